@@ -1,3 +1,10 @@
+import {
+  createRoute,
+  findRoute,
+  notFoundResult,
+  methodNotAllowedResult,
+} from './chain-of-responsibility.routing.js';
+
 /**
  * Creates a handler function for the Chain of Responsibility pattern
  * @param {Function} handlerFn - The function to handle the request
@@ -277,6 +284,58 @@ const createFinalHandler = () => {
   });
 };
 
+/**
+ * Creates a router that dispatches requests by method and path pattern to separate handler
+ * chains. A matched route's chain has the last word, even when it returns no result. Requests
+ * that match no route go to the next handler when one is set, and are answered with 404
+ * otherwise; requests whose path only matches routes of other methods get 405.
+ * @returns {Object} - Router handler with handle, setNext, route, get, post, put, patch,
+ * delete and all methods
+ */
+const createRouter = () => {
+  const routes = [];
+  let nextHandler = null;
+
+  const router = {
+    handle: async (request) => {
+      const { route, params, allowed } = findRoute(routes, request.method, request.path);
+
+      if (route) {
+        request.params = { ...request.params, ...params };
+        return route.handler.handle(request);
+      }
+
+      if (allowed.length) return methodNotAllowedResult(allowed);
+      if (nextHandler) return nextHandler.handle(request);
+      return notFoundResult(request);
+    },
+
+    setNext: (handler) => {
+      nextHandler = handler;
+      return handler;
+    },
+
+    /**
+     * Adds a route. Routes are tried in the order they were added.
+     * @param {string} method - The HTTP method, or ALL for any method
+     * @param {string} pattern - The path pattern, with :name parameters and a final * wildcard
+     * @param {Object} routeHandler - The first handler of the route's chain
+     * @returns {Object} - The router (for chaining)
+     */
+    route: (method, pattern, routeHandler) => {
+      routes.push(createRoute(method, pattern, routeHandler));
+      return router;
+    },
+  };
+
+  for (const method of ['get', 'post', 'put', 'patch', 'delete', 'all']) {
+    router[method] = (pattern, routeHandler) =>
+      router.route(method.toUpperCase(), pattern, routeHandler);
+  }
+
+  return router;
+};
+
 export {
   createHandler,
   createRateLimitHandler,
@@ -286,4 +345,5 @@ export {
   createLoggingHandler,
   createResponseFormatterHandler,
   createFinalHandler,
+  createRouter,
 };
@@ -0,0 +1,230 @@
+/**
+ * Adapter between node:http and handler chains
+ *
+ * Both the class-based and the functional handlers take plain request objects and return
+ * results of the form { success, statusCode, message }. The adapter builds those request objects
+ * from incoming messages and writes the results back, so a chain can serve HTTP directly:
+ *
+ *   http.createServer(createRequestListener(chain)).listen(3000);
+ */
+
+import { randomUUID } from 'node:crypto';
+
+const DEFAULT_MAX_BODY_SIZE = 1024 * 1024;
+
+// application/json and the +json types, such as application/merge-patch+json
+const isJsonMediaType = (contentType = '') =>
+  /^application\/(?:[\w.-]+\+)?json\s*(?:;|$)/i.test(contentType);
+
+/**
+ * @class HttpRequestError
+ * @description An error raised while reading a request, answered with its HTTP status
+ */
+class HttpRequestError extends Error {
+  /**
+   * @param {number} statusCode - The HTTP status of the response
+   * @param {string} message - The message of the response
+   */
+  constructor(statusCode, message) {
+    super(message);
+    this.name = 'HttpRequestError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Collect the query parameters of a URL. Repeated parameters become arrays.
+ * @param {URLSearchParams} searchParams - The parameters
+ * @returns {Object} The parameters by name
+ */
+const parseQuery = (searchParams) => {
+  const query = {};
+  for (const [name, value] of searchParams) {
+    if (!Object.hasOwn(query, name)) query[name] = value;
+    else if (Array.isArray(query[name])) query[name].push(value);
+    else query[name] = [query[name], value];
+  }
+  return query;
+};
+
+/**
+ * Read the body of an incoming message
+ * @param {http.IncomingMessage} req - The message
+ * @param {number} maxBodySize - The largest body accepted, in bytes
+ * @returns {Promise<Buffer>} The body
+ */
+const readBody = (req, maxBodySize) =>
+  new Promise((resolve, reject) => {
+    if (Number(req.headers['content-length']) > maxBodySize) {
+      req.resume();
+      reject(new HttpRequestError(413, 'Request body too large'));
+      return;
+    }
+
+    const chunks = [];
+    let size = 0;
+    let tooLarge = false;
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      // Keep draining the request so the response can still be written
+      if (size > maxBodySize) tooLarge = true;
+      else chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (tooLarge) reject(new HttpRequestError(413, 'Request body too large'));
+      else resolve(Buffer.concat(chunks));
+    });
+    req.on('error', reject);
+  });
+
+/**
+ * Parse a request body. JSON bodies are parsed, other bodies are kept as text, and an empty
+ * body is undefined.
+ * @param {Buffer} buffer - The body
+ * @param {string} [contentType] - The Content-Type header
+ * @returns {*} The body
+ */
+const parseBody = (buffer, contentType) => {
+  if (buffer.length === 0) return undefined;
+
+  const text = buffer.toString('utf8');
+  if (!isJsonMediaType(contentType)) return text;
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new HttpRequestError(400, `Invalid JSON body: ${error.message}`);
+  }
+};
+
+/**
+ * Build the request object that handlers expect from an incoming message
+ * @param {http.IncomingMessage} req - The message
+ * @param {Object} [options] - Parsing options
+ * @param {number} [options.maxBodySize] - The largest body accepted, in bytes
+ * @param {boolean} [options.trustProxy] - Take the client IP from X-Forwarded-For
+ * @returns {Promise<Object>} The request, with method, path, query, headers, body, clientIp,
+ * token and requestId
+ * @throws {HttpRequestError} When the body is too large or is not valid JSON
+ */
+const parseRequest = async (
+  req,
+  { maxBodySize = DEFAULT_MAX_BODY_SIZE, trustProxy = false } = {}
+) => {
+  const url = new URL(req.url, 'http://localhost');
+  const headers = { ...req.headers };
+
+  const forwardedFor = trustProxy && headers['x-forwarded-for'];
+  const clientIp = forwardedFor ? forwardedFor.split(',')[0].trim() : req.socket.remoteAddress;
+
+  const authorization = headers.authorization;
+  const token = /^Bearer\s+/i.test(authorization ?? '')
+    ? authorization.replace(/^Bearer\s+/i, '')
+    : undefined;
+
+  const body = parseBody(await readBody(req, maxBodySize), headers['content-type']);
+
+  return {
+    method: req.method,
+    path: url.pathname,
+    query: parseQuery(url.searchParams),
+    headers,
+    body,
+    clientIp,
+    token,
+    requestId: headers['x-request-id'] || randomUUID(),
+  };
+};
+
+/**
+ * Write a handler result as the response. The status is the result's statusCode, or 200 for
+ * successes and 500 for failures. The result's headers are sent as headers; its body is sent
+ * when it has one, and otherwise the rest of the result is sent as JSON.
+ * @param {http.ServerResponse} res - The response
+ * @param {Object} result - The handler result
+ * @param {Object} [request] - The request, whose method decides if a body is written
+ */
+const writeResult = (res, result, request = {}) => {
+  const { headers = {}, body, ...rest } = result;
+  const statusCode = result.statusCode ?? (result.success === false ? 500 : 200);
+
+  let payload;
+  let contentType;
+  if (body === undefined) {
+    payload = JSON.stringify(rest);
+    contentType = 'application/json; charset=utf-8';
+  } else if (typeof body === 'string' || Buffer.isBuffer(body)) {
+    payload = body;
+    contentType =
+      typeof body === 'string' ? 'text/plain; charset=utf-8' : 'application/octet-stream';
+  } else {
+    payload = JSON.stringify(body);
+    contentType = 'application/json; charset=utf-8';
+  }
+
+  const noContent = statusCode === 204 || statusCode === 304;
+
+  res.statusCode = statusCode;
+  if (!Object.keys(headers).some((name) => name.toLowerCase() === 'content-type')) {
+    res.setHeader('Content-Type', contentType);
+  }
+  for (const [name, value] of Object.entries(headers)) res.setHeader(name, value);
+  if (noContent) {
+    res.end();
+    return;
+  }
+
+  res.setHeader('Content-Length', Buffer.byteLength(payload));
+  res.end(request.method === 'HEAD' ? undefined : payload);
+};
+
+/**
+ * Create a request listener for http.createServer that runs a handler chain.
+ * Requests the adapter cannot read are answered with 400 or 413 and never reach the chain,
+ * and errors thrown by the chain are answered with 500.
+ * @param {Object} handler - The first handler of the chain, class-based or functional
+ * @param {Object} [options] - Adapter options
+ * @param {number} [options.maxBodySize] - The largest body accepted, in bytes (default 1 MiB)
+ * @param {boolean} [options.trustProxy] - Take the client IP from X-Forwarded-For
+ * @param {Function} [options.prepareRequest] - Called with the request object and the incoming
+ * message before the chain runs, to add fields such as resource and action
+ * @param {Function} [options.onError] - Called with errors thrown by the chain
+ * @returns {Function} The request listener
+ */
+const createRequestListener = (handler, options = {}) => {
+  const { prepareRequest, onError = (error) => console.error('Request failed:', error) } = options;
+
+  return async (req, res) => {
+    let request = { method: req.method };
+
+    try {
+      request = await parseRequest(req, options);
+      if (prepareRequest) await prepareRequest(request, req);
+
+      const result = await handler.handle(request);
+      if (!result) throw new Error('The handler chain returned no result');
+
+      writeResult(res, result, request);
+    } catch (error) {
+      if (error instanceof HttpRequestError) {
+        const { statusCode, message } = error;
+        writeResult(res, { success: false, statusCode, message }, request);
+        return;
+      }
+
+      onError(error);
+      if (res.headersSent) {
+        res.end();
+        return;
+      }
+      writeResult(
+        res,
+        { success: false, statusCode: 500, message: 'Internal server error' },
+        request
+      );
+    }
+  };
+};
+
+export { HttpRequestError, parseQuery, parseRequest, writeResult, createRequestListener };
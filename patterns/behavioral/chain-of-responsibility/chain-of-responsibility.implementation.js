@@ -1,3 +1,10 @@
+import {
+  createRoute,
+  findRoute,
+  notFoundResult,
+  methodNotAllowedResult,
+} from './chain-of-responsibility.routing.js';
+
 /**
  * @class BaseHandler
  * @description Abstract base handler class for implementing the Chain of Responsibility pattern
@@ -308,6 +315,71 @@ class ResponseFormatterHandler extends BaseHandler {
   }
 }
 
+/**
+ * @class RouterHandler
+ * @description Dispatches requests by method and path pattern to separate handler chains.
+ * Requests that match no route go to the next handler when one is set, and are answered with
+ * 404 otherwise; requests whose path only matches routes of other methods are answered with 405.
+ */
+class RouterHandler extends BaseHandler {
+  constructor() {
+    super();
+    this.routes = [];
+  }
+
+  /**
+   * Adds a route. Routes are tried in the order they were added.
+   * @param {string} method - The HTTP method, or ALL for any method
+   * @param {string} pattern - The path pattern, with :name parameters and a final * wildcard
+   * @param {BaseHandler} handler - The first handler of the route's chain
+   * @returns {RouterHandler} - The router (for chaining)
+   */
+  route(method, pattern, handler) {
+    this.routes.push(createRoute(method, pattern, handler));
+    return this;
+  }
+
+  get(pattern, handler) {
+    return this.route('GET', pattern, handler);
+  }
+
+  post(pattern, handler) {
+    return this.route('POST', pattern, handler);
+  }
+
+  put(pattern, handler) {
+    return this.route('PUT', pattern, handler);
+  }
+
+  patch(pattern, handler) {
+    return this.route('PATCH', pattern, handler);
+  }
+
+  delete(pattern, handler) {
+    return this.route('DELETE', pattern, handler);
+  }
+
+  all(pattern, handler) {
+    return this.route('ALL', pattern, handler);
+  }
+
+  /**
+   * @inheritdoc
+   */
+  async handle(request) {
+    const { route, params, allowed } = findRoute(this.routes, request.method, request.path);
+
+    if (route) {
+      request.params = { ...request.params, ...params };
+      return route.handler.handle(request);
+    }
+
+    if (allowed.length) return methodNotAllowedResult(allowed);
+    if (this.nextHandler) return this.nextHandler.handle(request);
+    return notFoundResult(request);
+  }
+}
+
 export {
   BaseHandler,
   APIRateLimitHandler,
@@ -316,4 +388,5 @@ export {
   InputValidationHandler,
   LoggingHandler,
   ResponseFormatterHandler,
+  RouterHandler,
 };
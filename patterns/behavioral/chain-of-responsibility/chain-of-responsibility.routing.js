@@ -0,0 +1,132 @@
+/**
+ * Route matching shared by RouterHandler and createRouter
+ *
+ * Patterns are paths whose segments are literals, `:name` parameters or a final `*` wildcard:
+ *
+ *   /users          matches /users and /users/
+ *   /users/:id      matches /users/42, with params { id: '42' }
+ *   /files/*        matches /files, /files/a and /files/a/b, with params { '*': 'a/b' }
+ */
+
+const splitPath = (path) => path.split('/').filter(Boolean);
+
+// Decode a path segment, keeping segments that are not valid percent-encoding as they are
+const decodeSegment = (segment) => {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return segment;
+  }
+};
+
+/**
+ * Compile a route pattern
+ * @param {string} pattern - The pattern, such as /users/:id or /files/*
+ * @returns {Function} A matcher that takes a path and returns its params, or null when the
+ * path does not match
+ * @throws {Error} When the pattern is not a valid route pattern
+ */
+const compilePattern = (pattern) => {
+  if (typeof pattern !== 'string' || !pattern.startsWith('/')) {
+    throw new Error(`Route patterns must start with "/": ${pattern}`);
+  }
+
+  const segments = splitPath(pattern);
+  const wildcard = segments.at(-1) === '*';
+  if (wildcard) segments.pop();
+
+  segments.forEach((segment) => {
+    if (segment.includes('*')) {
+      throw new Error(`Wildcards must be the last segment of a route pattern: ${pattern}`);
+    }
+    if (segment === ':') throw new Error(`Route parameters need a name: ${pattern}`);
+  });
+
+  return (path) => {
+    const parts = splitPath(path);
+    if (wildcard ? parts.length < segments.length : parts.length !== segments.length) {
+      return null;
+    }
+
+    const params = {};
+    for (const [index, segment] of segments.entries()) {
+      const part = decodeSegment(parts[index]);
+      if (segment.startsWith(':')) params[segment.substring(1)] = part;
+      else if (segment !== part) return null;
+    }
+
+    if (wildcard) params['*'] = parts.slice(segments.length).map(decodeSegment).join('/');
+    return params;
+  };
+};
+
+/**
+ * Create a route
+ * @param {string} method - The HTTP method, or ALL for any method
+ * @param {string} pattern - The route pattern
+ * @param {Object} handler - The first handler of the route's chain
+ * @returns {Object} The route
+ * @throws {Error} When the pattern is invalid or the handler has no handle method
+ */
+const createRoute = (method, pattern, handler) => {
+  if (typeof handler?.handle !== 'function') {
+    throw new Error(`Route ${method} ${pattern} needs a handler with a handle method`);
+  }
+
+  return { method: method.toUpperCase(), pattern, match: compilePattern(pattern), handler };
+};
+
+// Whether a route accepts a method. HEAD requests are served by GET routes.
+const acceptsMethod = (route, method) =>
+  route.method === 'ALL' ||
+  route.method === method ||
+  (method === 'HEAD' && route.method === 'GET');
+
+/**
+ * Find the first route that matches a request
+ * @param {Array<Object>} routes - The routes, in the order they were added
+ * @param {string} method - The request method
+ * @param {string} path - The request path
+ * @returns {Object} { route, params } for a match, otherwise { allowed } with the methods of
+ * the routes whose pattern matches the path
+ */
+const findRoute = (routes, method = 'GET', path = '/') => {
+  const allowed = new Set();
+  const requestMethod = method.toUpperCase();
+
+  for (const route of routes) {
+    const params = route.match(path);
+    if (!params) continue;
+    if (acceptsMethod(route, requestMethod)) return { route, params };
+
+    allowed.add(route.method);
+    if (route.method === 'GET') allowed.add('HEAD');
+  }
+
+  return { allowed: [...allowed] };
+};
+
+/**
+ * The result for a request that matches no route
+ * @param {Object} request - The request
+ * @returns {Object} A 404 result
+ */
+const notFoundResult = (request) => ({
+  success: false,
+  statusCode: 404,
+  message: `Route not found: ${request.method} ${request.path}`,
+});
+
+/**
+ * The result for a request whose path matches routes of other methods
+ * @param {Array<string>} allowed - The methods of those routes
+ * @returns {Object} A 405 result with an Allow header
+ */
+const methodNotAllowedResult = (allowed) => ({
+  success: false,
+  statusCode: 405,
+  message: 'Method not allowed',
+  headers: { Allow: allowed.join(', ') },
+});
+
+export { compilePattern, createRoute, findRoute, notFoundResult, methodNotAllowedResult };
@@ -1,4 +1,5 @@
-import { describe, it, expect, beforeEach, vi } from 'vitest';
+import http from 'node:http';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 
 import {
   BaseHandler,
@@ -8,6 +9,7 @@ import {
   InputValidationHandler,
   LoggingHandler,
   ResponseFormatterHandler,
+  RouterHandler,
 } from './chain-of-responsibility.implementation.js';
 import {
   createHandler,
@@ -18,7 +20,9 @@ import {
   createLoggingHandler,
   createResponseFormatterHandler,
   createFinalHandler,
+  createRouter,
 } from './chain-of-responsibility.functional.js';
+import { createRequestListener } from './chain-of-responsibility.http.js';
 
 describe('Chain of Responsibility - Class-based Implementation', () => {
   const mockServices = {
@@ -225,6 +229,70 @@ describe('Chain of Responsibility - Class-based Implementation', () => {
       })
     );
   });
+
+  it('should route requests by method and path to separate chains', async () => {
+    const showUser = new BaseHandler();
+    showUser.handle = vi.fn(async (request) => ({ success: true, user: request.params.id }));
+    const createUser = new ResponseFormatterHandler();
+
+    const router = new RouterHandler()
+      .get('/users/:id', showUser)
+      .post('/users', createUser)
+      .all('/files/*', new BaseHandler());
+
+    const shown = await router.handle({ method: 'GET', path: '/users/42', params: { v: '1' } });
+    expect(shown).toEqual({ success: true, user: '42' });
+    expect(showUser.handle.mock.calls[0][0].params).toEqual({ v: '1', id: '42' });
+
+    const created = await router.handle({ method: 'POST', path: '/users/', requestId: 'r-1' });
+    expect(created).toMatchObject({ success: true, requestId: 'r-1', path: '/users/' });
+
+    const files = { method: 'DELETE', path: '/files/a/b%20c' };
+    expect((await router.handle(files)).success).toBe(true);
+    expect(files.params).toEqual({ '*': 'a/b c' });
+  });
+
+  it('should return 404 and 405 results from the router', async () => {
+    const router = new RouterHandler().get('/users/:id', new BaseHandler());
+
+    const notFound = await router.handle({ method: 'GET', path: '/posts' });
+    expect(notFound).toEqual({
+      success: false,
+      statusCode: 404,
+      message: 'Route not found: GET /posts',
+    });
+
+    const notAllowed = await router.handle({ method: 'PUT', path: '/users/1' });
+    expect(notAllowed).toMatchObject({ success: false, statusCode: 405 });
+    expect(notAllowed.headers).toEqual({ Allow: 'GET, HEAD' });
+
+    expect((await router.handle({ method: 'HEAD', path: '/users/1' })).success).toBe(true);
+  });
+
+  it('should pass unmatched requests to the next handler after the router', async () => {
+    const router = new RouterHandler().get('/users', new BaseHandler());
+    const fallback = new BaseHandler();
+    fallback.handle = vi.fn(async () => ({ success: true, message: 'Fallback' }));
+    router.setNext(fallback);
+
+    const result = await router.handle({ method: 'GET', path: '/other' });
+
+    expect(result.message).toBe('Fallback');
+  });
+
+  it('should reject invalid routes', () => {
+    const router = new RouterHandler();
+
+    expect(() => router.get('users', new BaseHandler())).toThrow(
+      'Route patterns must start with "/": users'
+    );
+    expect(() => router.get('/files/*/raw', new BaseHandler())).toThrow(
+      'Wildcards must be the last segment of a route pattern: /files/*/raw'
+    );
+    expect(() => router.get('/users', {})).toThrow(
+      'Route GET /users needs a handler with a handle method'
+    );
+  });
 });
 
 describe('Chain of Responsibility - Functional Implementation', () => {
@@ -411,4 +479,262 @@ describe('Chain of Responsibility - Functional Implementation', () => {
     expect(requestCount).toBe(3);
     expect(result.count).toBe(3);
   });
+
+  it('should route requests to functional sub-chains', async () => {
+    const authHandler = createAuthenticationHandler(mockServices.authService);
+    authHandler.setNext(
+      createHandler(async (request) => ({ success: true, deleted: request.params.id }))
+    );
+
+    const router = createRouter()
+      .get(
+        '/posts/:slug',
+        createHandler(async (request) => ({ success: true, ...request.params }))
+      )
+      .delete('/posts/:id', authHandler);
+
+    expect(await router.handle({ method: 'GET', path: '/posts/hello-world' })).toEqual({
+      success: true,
+      slug: 'hello-world',
+    });
+
+    const unauthenticated = await router.handle({ method: 'DELETE', path: '/posts/7' });
+    expect(unauthenticated.statusCode).toBe(401);
+
+    mockServices.authService.verifyToken.mockResolvedValue({ id: '123' });
+    const deleted = await router.handle({ method: 'DELETE', path: '/posts/7', token: 'valid' });
+    expect(deleted).toEqual({ success: true, deleted: '7' });
+  });
+
+  it('should return 404 and 405 results from a functional router', async () => {
+    const router = createRouter().post('/posts', createFinalHandler());
+
+    expect(await router.handle({ method: 'GET', path: '/users' })).toEqual({
+      success: false,
+      statusCode: 404,
+      message: 'Route not found: GET /users',
+    });
+    expect(await router.handle({ method: 'GET', path: '/posts' })).toMatchObject({
+      statusCode: 405,
+      headers: { Allow: 'POST' },
+    });
+
+    router.setNext(createHandler(async () => ({ success: true, message: 'Fallback' })));
+    expect((await router.handle({ method: 'GET', path: '/users' })).message).toBe('Fallback');
+  });
+
+  it('should run a router after the shared handlers of a chain', async () => {
+    mockServices.rateLimitService.getCurrentUsage.mockResolvedValue(0);
+    const rateLimitHandler = createRateLimitHandler(mockServices.rateLimitService);
+    const router = createRouter().get('/health', createFinalHandler());
+
+    rateLimitHandler.setNext(router);
+
+    const result = await rateLimitHandler.handle({ method: 'GET', path: '/health' });
+
+    expect(mockServices.rateLimitService.incrementUsage).toHaveBeenCalled();
+    expect(result.success).toBe(true);
+  });
+});
+
+describe.each([
+  ['class-based', () => new RouterHandler()],
+  ['functional', () => createRouter()],
+])('Chain of Responsibility - %s Router', (_, makeRouter) => {
+  it('should stop at a matched route even when its chain returns no result', async () => {
+    const fallback = { handle: vi.fn(async () => ({ success: true, message: 'Fallback' })) };
+    const router = makeRouter().get('/users', { handle: async () => null });
+    router.setNext(fallback);
+
+    expect(await router.handle({ method: 'GET', path: '/users' })).toBeNull();
+    expect(fallback.handle).not.toHaveBeenCalled();
+
+    expect((await router.handle({ method: 'GET', path: '/other' })).message).toBe('Fallback');
+  });
+});
+
+describe('Chain of Responsibility - HTTP Adapter', () => {
+  let server;
+  let baseUrl;
+
+  // Serve a handler chain on a free local port
+  const serve = async (handler, options) => {
+    server = http.createServer(createRequestListener(handler, options));
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  };
+
+  afterEach(async () => {
+    if (server) await new Promise((resolve) => server.close(resolve));
+    server = null;
+  });
+
+  it('should parse the request into the shape handlers expect', async () => {
+    let received;
+    const handler = createHandler(async (request) => {
+      received = request;
+      return { success: true, statusCode: 201, message: 'Created' };
+    });
+    await serve(handler);
+
+    const response = await fetch(`${baseUrl}/api/posts?tag=a&tag=b&page=2`, {
+      method: 'POST',
+      headers: {
+        Authorization: 'Bearer valid_token',
+        'Content-Type': 'application/json',
+        'X-Request-Id': 'req-42',
+      },
+      body: JSON.stringify({ title: 'Test Post' }),
+    });
+
+    expect(response.status).toBe(201);
+    expect(await response.json()).toEqual({ success: true, statusCode: 201, message: 'Created' });
+    expect(received).toMatchObject({
+      method: 'POST',
+      path: '/api/posts',
+      query: { tag: ['a', 'b'], page: '2' },
+      body: { title: 'Test Post' },
+      token: 'valid_token',
+      requestId: 'req-42',
+      clientIp: '127.0.0.1',
+    });
+    expect(received.headers['content-type']).toBe('application/json');
+  });
+
+  it('should run a class-based chain and write failures with their status code', async () => {
+    const authService = { verifyToken: vi.fn().mockResolvedValue(null) };
+    const authHandler = new AuthenticationHandler(authService);
+    authHandler.setNext(new ResponseFormatterHandler());
+    await serve(authHandler);
+
+    const missing = await fetch(`${baseUrl}/api/users`);
+    expect(missing.status).toBe(401);
+    expect(missing.headers.get('content-type')).toBe('application/json; charset=utf-8');
+    expect(await missing.json()).toMatchObject({
+      success: false,
+      message: 'Authentication required',
+    });
+
+    authService.verifyToken.mockResolvedValue({ id: '123' });
+    const ok = await fetch(`${baseUrl}/api/users`, {
+      headers: { Authorization: 'Bearer valid_token' },
+    });
+    const result = await ok.json();
+
+    expect(authService.verifyToken).toHaveBeenCalledWith('valid_token');
+    expect(ok.status).toBe(200);
+    expect(result.path).toBe('/api/users');
+    expect(result.requestId).toMatch(/^[0-9a-f-]{36}$/);
+  });
+
+  it('should write result headers and bodies', async () => {
+    const handler = createHandler(async (request) => {
+      if (request.path === '/text') {
+        return { success: true, headers: { 'X-Total': '3' }, body: 'plain' };
+      }
+      return { success: true, body: { items: [1, 2] } };
+    });
+    await serve(handler);
+
+    const text = await fetch(`${baseUrl}/text`);
+    expect(text.headers.get('x-total')).toBe('3');
+    expect(text.headers.get('content-type')).toBe('text/plain; charset=utf-8');
+    expect(await text.text()).toBe('plain');
+
+    const json = await fetch(`${baseUrl}/json`);
+    expect(await json.json()).toEqual({ items: [1, 2] });
+
+    const head = await fetch(`${baseUrl}/json`, { method: 'HEAD' });
+    expect(head.status).toBe(200);
+    expect(await head.text()).toBe('');
+  });
+
+  it('should let prepareRequest add fields before the chain runs', async () => {
+    const permissionService = { checkPermission: vi.fn().mockResolvedValue(false) };
+    const authorizationHandler = createAuthorizationHandler(permissionService);
+    await serve(authorizationHandler, {
+      prepareRequest: (request) => {
+        request.user = { id: '1' };
+        request.resource = request.path.split('/')[2];
+        request.action = request.method === 'GET' ? 'read' : 'write';
+      },
+    });
+
+    const response = await fetch(`${baseUrl}/api/users/123`, { method: 'DELETE' });
+
+    expect(response.status).toBe(403);
+    expect(permissionService.checkPermission).toHaveBeenCalledWith('1', 'users', 'write');
+  });
+
+  it('should answer unreadable bodies without running the chain', async () => {
+    const handle = vi.fn(async () => ({ success: true }));
+    await serve({ handle }, { maxBodySize: 16 });
+
+    const invalid = await fetch(baseUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: '{"title":',
+    });
+    expect(invalid.status).toBe(400);
+    expect((await invalid.json()).message).toMatch(/^Invalid JSON body/);
+
+    const large = await fetch(baseUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ title: 'x'.repeat(100) }),
+    });
+    expect(large.status).toBe(413);
+    expect(handle).not.toHaveBeenCalled();
+  });
+
+  it('should take the client IP from X-Forwarded-For only when the proxy is trusted', async () => {
+    const handler = createHandler(async (request) => ({ success: true, ip: request.clientIp }));
+    const headers = { 'X-Forwarded-For': '203.0.113.7, 10.0.0.1' };
+
+    await serve(handler);
+    expect((await (await fetch(baseUrl, { headers })).json()).ip).toBe('127.0.0.1');
+    await new Promise((resolve) => server.close(resolve));
+
+    await serve(handler, { trustProxy: true });
+    expect((await (await fetch(baseUrl, { headers })).json()).ip).toBe('203.0.113.7');
+  });
+
+  it('should answer errors thrown by the chain with 500', async () => {
+    const onError = vi.fn();
+    await serve(
+      createHandler(async () => {
+        throw new Error('Database unavailable');
+      }),
+      { onError }
+    );
+
+    const response = await fetch(baseUrl);
+
+    expect(response.status).toBe(500);
+    expect(await response.json()).toEqual({
+      success: false,
+      statusCode: 500,
+      message: 'Internal server error',
+    });
+    expect(onError).toHaveBeenCalledWith(
+      expect.objectContaining({ message: 'Database unavailable' })
+    );
+  });
+
+  it('should serve routed chains with 404 and 405 responses', async () => {
+    const router = new RouterHandler().get('/users/:id', {
+      handle: async (request) => ({ success: true, body: { id: request.params.id } }),
+    });
+    await serve(router);
+
+    const found = await fetch(`${baseUrl}/users/42`);
+    expect(await found.json()).toEqual({ id: '42' });
+
+    const missing = await fetch(`${baseUrl}/posts`);
+    expect(missing.status).toBe(404);
+
+    const notAllowed = await fetch(`${baseUrl}/users/42`, { method: 'POST' });
+    expect(notAllowed.status).toBe(405);
+    expect(notAllowed.headers.get('allow')).toBe('GET, HEAD');
+  });
 });
@@ -0,0 +1,332 @@
+/**
+ * Static analysis of parsed templates, to check them before they are rendered
+ * Works on the plain AST returned by toJSON(), so it is shared by the class-based and
+ * functional implementations
+ */
+
+// Marks "any item of" a collection in variable paths, as in order.items[].name
+const ITEM = '[]';
+
+/**
+ * Get the plain AST of a parsed template
+ * @param {Object} template - A parsed template, or its AST
+ * @returns {Object} The AST
+ */
+const toAst = (template) => (typeof template?.toJSON === 'function' ? template.toJSON() : template);
+
+/**
+ * Split a variable path into its property names and item markers
+ * @param {string} path - The path, e.g. order.items[].name
+ * @returns {string[]} The segments, e.g. ['order', 'items', '[]', 'name']
+ */
+const toSegments = (path) => path.match(/\[\]|[^.[\]]+/g) ?? [];
+
+/**
+ * Describe an expression node as a variable path, if it is one
+ * @param {Object} node - An expression language node
+ * @returns {string|null} The path, with [] for numeric indexes, or null for other expressions
+ */
+const toPath = (node) => {
+  if (node.type === 'path') return node.path;
+  if (node.type !== 'member' || node.property.type !== 'literal') return null;
+
+  const object = toPath(node.object);
+  if (object === null) return null;
+
+  return typeof node.property.value === 'number'
+    ? `${object}${ITEM}`
+    : `${object}.${node.property.value}`;
+};
+
+/**
+ * Resolve a path through the names bound in the template (loop variables, set variables,
+ * macro parameters), so item.name in a loop over order.items becomes order.items[].name
+ * @param {string} path - The path as written in the template
+ * @param {Map<string, string|null>} scope - Bound names and the paths they stand for, or null
+ *   for values that are not from the context
+ * @returns {string|null} The path in the context, or null if it does not come from the context
+ */
+const resolvePath = (path, scope) => {
+  const [root] = toSegments(path);
+  if (!scope.has(root)) return path;
+
+  const binding = scope.get(root);
+  return binding === null ? null : binding + path.slice(root.length);
+};
+
+/**
+ * Walk a template AST, collecting what it refers to
+ * @param {Object} ast - The template AST
+ * @returns {Object} { references, loopVariables, blocks, templates }, where references are
+ *   { path, optional } and optional paths are read through the default filter
+ */
+const collect = (ast) => {
+  const references = [];
+  const loopVariables = [];
+  const blocks = new Set();
+  const templates = new Set();
+
+  const reference = (path, scope, optional = false) => {
+    const resolved = resolvePath(path, scope);
+    if (resolved !== null) references.push({ path: resolved, optional });
+  };
+
+  const walkExpression = (node, scope, optional = false) => {
+    if (!node) return;
+
+    const path = toPath(node);
+    if (path !== null) {
+      reference(path, scope, optional);
+      return;
+    }
+
+    switch (node.type) {
+      case 'member':
+        walkExpression(node.object, scope);
+        walkExpression(node.property, scope);
+        break;
+      case 'list':
+        node.items.forEach((item) => walkExpression(item, scope));
+        break;
+      case 'unary':
+        walkExpression(node.operand, scope);
+        break;
+      case 'binary':
+        walkExpression(node.left, scope);
+        walkExpression(node.right, scope);
+        break;
+      case 'filter':
+        // The default filter accepts undefined variables when applied to them directly
+        walkExpression(node.input, scope, node.name === 'default' && node.input.type === 'path');
+        node.args.forEach((arg) => walkExpression(arg, scope));
+        break;
+      case 'call':
+        walkExpression(node.callee, scope);
+        node.args.forEach((arg) => walkExpression(arg, scope));
+        node.kwargs.forEach(({ value }) => walkExpression(value, scope));
+        break;
+      default:
+        // Literals refer to nothing
+        break;
+    }
+  };
+
+  // The context path an expression stands for, if any
+  const bindingOf = (node, scope) => {
+    const path = toPath(node);
+    return path === null ? null : resolvePath(path, scope);
+  };
+
+  const templateName = (node) => {
+    if (node.type === 'literal' && typeof node.value === 'string') templates.add(node.value);
+  };
+
+  const walk = (node, scope) => {
+    if (!node) return;
+
+    switch (node.type) {
+      case 'variable':
+        walkExpression(node.expression, scope);
+        break;
+      case 'conditional':
+        walkExpression(node.test, scope);
+        walk(node.trueExpression, scope);
+        walk(node.falseExpression, scope);
+        break;
+      case 'loop': {
+        walkExpression(node.collection, scope);
+
+        // Each iteration has its own scope, where a single loop variable stands for any item
+        const collection = bindingOf(node.collection, scope);
+        const loopScope = new Map(scope);
+        const single = node.targets.length === 1;
+
+        node.targets.forEach((name) =>
+          loopScope.set(name, single && collection !== null ? `${collection}${ITEM}` : null)
+        );
+        loopScope.set('loop', null);
+        loopVariables.push({ name: node.targets.join(', '), collection });
+
+        walk(node.loopBody, loopScope);
+        walk(node.emptyBody, scope);
+        break;
+      }
+      case 'composite':
+        node.expressions.forEach((expression) => walk(expression, scope));
+        break;
+      case 'block':
+        blocks.add(node.name);
+        walk(node.body, scope);
+        break;
+      case 'extends': {
+        walkExpression(node.parent, scope);
+        templateName(node.parent);
+        node.definitions.forEach((definition) => walk(definition, scope));
+
+        // Nested blocks are also listed on their own, but are walked within their parent
+        const nested = new Set();
+        const findNested = (child) => {
+          if (!child || typeof child !== 'object') return;
+          if (child.type === 'block') nested.add(child.name);
+          Object.values(child).forEach((value) =>
+            Array.isArray(value) ? value.forEach(findNested) : findNested(value)
+          );
+        };
+        node.blocks.forEach((block) => findNested(block.body));
+        node.blocks
+          .filter((block) => !nested.has(block.name))
+          .forEach((block) => walk(block, scope));
+        break;
+      }
+      case 'include':
+        walkExpression(node.template, scope);
+        templateName(node.template);
+        break;
+      case 'set':
+        walkExpression(node.value, scope);
+        scope.set(node.name, bindingOf(node.value, scope));
+        break;
+      case 'trans': {
+        node.bindings.forEach(({ value }) => walkExpression(value, scope));
+
+        const bound = new Set(node.bindings.map(({ name }) => name));
+        node.names.filter((name) => !bound.has(name)).forEach((name) => reference(name, scope));
+        break;
+      }
+      case 'macro': {
+        scope.set(node.name, null);
+
+        // Parameters are bound in order, so defaults may refer to earlier ones
+        const macroScope = new Map(scope);
+        node.params.forEach(({ name, defaultValue }) => {
+          walkExpression(defaultValue, macroScope);
+          macroScope.set(name, null);
+        });
+
+        walk(node.body, macroScope);
+        break;
+      }
+      default:
+        // Text and custom nodes refer to nothing the analyzer knows of
+        break;
+    }
+  };
+
+  walk(ast, new Map());
+  return { references, loopVariables, blocks: [...blocks], templates: [...templates] };
+};
+
+/**
+ * List what a parsed template refers to
+ * @param {Object} template - A parsed template (from TemplateParser or createTemplateParser),
+ *   or its AST
+ * @returns {Object} The analysis:
+ *   - variables: the variable paths read from the context, sorted, with [] standing for any
+ *     item of a collection (order.items[].name)
+ *   - loopVariables: { name, collection } for each loop, collection being the path looped
+ *     over, or null if it is not a context variable
+ *   - blocks: the names of the blocks defined by the template
+ *   - templates: the names of the templates extended or included by name
+ */
+const analyzeTemplate = (template) => {
+  const { references, loopVariables, blocks, templates } = collect(toAst(template));
+  const variables = [...new Set(references.map(({ path }) => path))].sort();
+
+  return { variables, loopVariables, blocks, templates };
+};
+
+/**
+ * Check whether a path exists in sample data
+ * @param {*} value - The data
+ * @param {string[]} segments - The remaining path segments
+ * @returns {boolean} True if the path exists; for collections, in at least one item
+ */
+const existsInContext = (value, segments) => {
+  if (segments.length === 0) return true;
+  if (value === undefined || value === null) return false;
+
+  const [segment, ...rest] = segments;
+
+  if (segment === ITEM) {
+    if (typeof value !== 'object') return false;
+
+    const items =
+      typeof value[Symbol.iterator] === 'function' ? Array.from(value) : Object.keys(value);
+    // An empty sample collection says nothing about its items
+    return items.length === 0 || items.some((item) => existsInContext(item, rest));
+  }
+
+  return segment in Object(value) && existsInContext(value[segment], rest);
+};
+
+/**
+ * Check whether a path exists in a JSON-schema-like description of the data. Objects list
+ * their properties, and allow others only through additionalProperties; arrays describe
+ * their items. Schemas without a type or properties accept any path.
+ * @param {Object|boolean} schema - The schema, e.g. { type: 'object', properties: { ... } }
+ * @param {string[]} segments - The remaining path segments
+ * @returns {boolean} True if the path exists
+ */
+const existsInSchema = (schema, segments) => {
+  if (segments.length === 0 || schema === true || schema === undefined) return true;
+  if (schema === false || schema === null) return false;
+
+  const [segment, ...rest] = segments;
+  const types = [schema.type ?? []].flat();
+  const allows = (type) => types.length === 0 || types.includes(type);
+
+  if (segment === ITEM) {
+    if (schema.items !== undefined) return existsInSchema(schema.items, rest);
+    // Looping over an object gives its keys
+    if (!allows('array') && allows('object')) return existsInSchema({ type: 'string' }, rest);
+    return allows('array');
+  }
+
+  if (schema.properties && Object.hasOwn(schema.properties, segment)) {
+    return existsInSchema(schema.properties[segment], rest);
+  }
+  if (
+    segment === 'length' &&
+    rest.length === 0 &&
+    (types.includes('array') || types.includes('string'))
+  ) {
+    return true;
+  }
+  if (schema.additionalProperties !== undefined) {
+    return existsInSchema(schema.additionalProperties, rest);
+  }
+  return !schema.properties && allows('object');
+};
+
+/**
+ * Check that the variables a template refers to exist in sample data or a schema. Variables
+ * read through the default filter are optional and not checked.
+ * @param {Object} template - A parsed template, or its AST
+ * @param {Object} options - What to validate against
+ * @param {Object} options.context - Sample data, as passed to render()
+ * @param {Object} options.schema - A JSON-schema-like description of the data
+ * @returns {Object} { valid, errors }, errors being { path, message } for each unknown path
+ */
+const validateTemplate = (template, options = {}) => {
+  const { context, schema } = options;
+
+  if (context === undefined && schema === undefined) {
+    throw new Error('Template validation needs a sample context or a schema');
+  }
+
+  const exists = (segments) =>
+    (context === undefined || existsInContext(context, segments)) &&
+    (schema === undefined || existsInSchema(schema, segments));
+  const { references } = collect(toAst(template));
+  const unknown = references
+    .filter(({ path, optional }) => !optional && !exists(toSegments(path)))
+    .map(({ path }) => path);
+  const errors = [...new Set(unknown)].map((path) => ({
+    path,
+    message: `Unknown variable "${path}"`,
+  }));
+
+  return { valid: errors.length === 0, errors };
+};
+
+export { analyzeTemplate, validateTemplate };
@@ -0,0 +1,106 @@
+/**
+ * Errors raised by the template language
+ * Shared by the class-based and functional implementations
+ */
+
+/**
+ * Find the line and column of a position in a source string
+ * @param {string} source - The source text
+ * @param {number} position - Zero-based offset into the source
+ * @returns {Object} One-based { line, column }
+ */
+const locate = (source, position) => {
+  const lines = source.slice(0, position).split('\n');
+  return { line: lines.length, column: lines.at(-1).length + 1 };
+};
+
+/**
+ * Render the lines around a position, with a caret under the offending column
+ * @param {string} source - The source text
+ * @param {number} line - One-based line number
+ * @param {number} column - One-based column number
+ * @param {number} contextLines - Number of lines to show before and after
+ * @returns {string} The code frame
+ */
+const codeFrame = (source, line, column, contextLines = 2) => {
+  const lines = source.split('\n');
+  const first = Math.max(1, line - contextLines);
+  const last = Math.min(lines.length, line + contextLines);
+  const width = String(last).length;
+  const frame = [];
+
+  for (let number = first; number <= last; number++) {
+    const gutter = String(number).padStart(width);
+    frame.push(`${number === line ? '>' : ' '} ${gutter} | ${lines[number - 1]}`.trimEnd());
+
+    if (number === line) {
+      frame.push(`  ${' '.repeat(width)} | ${' '.repeat(column - 1)}^`);
+    }
+  }
+
+  return frame.join('\n');
+};
+
+// Thrown for malformed template or expression syntax, pointing at where parsing failed
+class TemplateSyntaxError extends Error {
+  /**
+   * @param {string} reason - What is wrong, e.g. 'Unclosed {% if %} block'
+   * @param {Object} options - Error location
+   * @param {string} options.source - The template (or expression) source
+   * @param {number} options.position - Zero-based offset of the error in the source
+   * @param {string|null} options.templateName - Name of the template, when loaded by name
+   */
+  constructor(reason, options = {}) {
+    const { source = '', position = 0, templateName = null } = options;
+    const { line, column } = locate(source, position);
+    const snippet = codeFrame(source, line, column);
+    const where = templateName
+      ? `${templateName}:${line}:${column}`
+      : `line ${line}, column ${column}`;
+
+    super(`${reason} (${where})\n\n${snippet}`);
+    this.name = 'TemplateSyntaxError';
+    this.reason = reason;
+    this.source = source;
+    this.position = position;
+    this.templateName = templateName;
+    this.line = line;
+    this.column = column;
+    this.snippet = snippet;
+  }
+}
+
+// Thrown in strict variables mode when a template outputs a variable that is not defined
+class UndefinedVariableError extends Error {
+  /**
+   * @param {string} variableName - The variable path or expression source
+   */
+  constructor(variableName) {
+    super(`Undefined variable "${variableName}"`);
+    this.name = 'UndefinedVariableError';
+    this.variableName = variableName;
+  }
+}
+
+// Thrown when a sandboxed render goes over one of its limits
+class RenderLimitError extends Error {
+  /**
+   * @param {string} limit - The limit exceeded: 'iterations', 'depth', 'output' or 'time'
+   * @param {number} max - The value of the limit
+   */
+  constructor(limit, max) {
+    const messages = {
+      iterations: `Render exceeded the limit of ${max} loop iterations`,
+      depth: `Render exceeded the maximum nesting depth of ${max}`,
+      output: `Render exceeded the limit of ${max} characters of output`,
+      time: `Render exceeded the time limit of ${max}ms`,
+    };
+
+    super(messages[limit] ?? `Render exceeded its ${limit} limit of ${max}`);
+    this.name = 'RenderLimitError';
+    this.limit = limit;
+    this.max = max;
+  }
+}
+
+export { TemplateSyntaxError, UndefinedVariableError, RenderLimitError, codeFrame };
@@ -0,0 +1,248 @@
+/**
+ * Contextual output escaping for the template language
+ * Shared by the class-based and functional implementations
+ */
+
+// Marks a value as already safe for output, so autoescaping leaves it untouched
+class SafeString {
+  constructor(value) {
+    this.value = String(value ?? '');
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+/**
+ * Mark a value as safe, opting it out of autoescaping
+ * @param {*} value - The value to mark
+ * @returns {SafeString} The safe value
+ */
+const markSafe = (value) => (value instanceof SafeString ? value : new SafeString(value));
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+};
+
+/**
+ * Escape a value for an HTML text context
+ * @param {*} value - The value to escape
+ * @returns {string} The escaped string
+ */
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+
+/**
+ * Escape a value for an attribute context, quoted or unquoted
+ * @param {*} value - The value to escape
+ * @returns {string} The escaped string
+ */
+const escapeAttribute = (value) =>
+  String(value ?? '').replace(
+    /[&<>"'`=\s]/g,
+    (char) => HTML_ESCAPES[char] ?? `&#${char.charCodeAt(0)};`
+  );
+
+// Schemes allowed at the start of a URL attribute; relative URLs are always allowed
+const SAFE_URL_SCHEMES = ['http', 'https', 'mailto', 'tel', 'ftp'];
+
+/**
+ * Escape a value used as a whole URL (href="{{ url }}"), blocking unsafe schemes
+ * such as javascript:
+ * @param {*} value - The value to escape
+ * @returns {string} The escaped URL, or "about:invalid" when the scheme is not allowed
+ */
+const escapeUrl = (value) => {
+  const url = String(value ?? '').trim();
+  const scheme = url.match(/^([a-z][a-z0-9+.-]*):/i);
+
+  if (scheme && !SAFE_URL_SCHEMES.includes(scheme[1].toLowerCase())) {
+    return 'about:invalid';
+  }
+
+  // Percent-encode characters that are not valid in a URL, keeping its structure
+  const encoded = url.replace(/[^\w\-.~:/?#[\]@!$&'()*+,;=%]/g, (char) => encodeURIComponent(char));
+  return escapeHtml(encoded);
+};
+
+/**
+ * Escape a value used as part of a URL (href="/users/{{ id }}?q={{ query }}")
+ * @param {*} value - The value to escape
+ * @returns {string} The percent-encoded value
+ */
+const escapeUrlComponent = (value) => escapeHtml(encodeURIComponent(String(value ?? '')));
+
+const escapers = {
+  html: escapeHtml,
+  attribute: escapeAttribute,
+  url: escapeUrl,
+  'url-component': escapeUrlComponent,
+};
+
+/**
+ * Escape a value for the given output context, leaving safe strings untouched
+ * @param {*} value - The value to escape
+ * @param {string} context - One of html, attribute, url or url-component
+ * @returns {string} The escaped string
+ */
+const escapeForContext = (value, context) => {
+  if (value instanceof SafeString) return value.toString();
+  return escapers[context](value);
+};
+
+// Attributes whose values are URLs
+const URL_ATTRIBUTES = new Set([
+  'href',
+  'src',
+  'action',
+  'formaction',
+  'poster',
+  'cite',
+  'background',
+  'data',
+  'xlink:href',
+]);
+
+const INITIAL_HTML_STATE = Object.freeze({
+  mode: 'text',
+  quote: null,
+  attrName: '',
+  attrValue: '',
+});
+
+/**
+ * Advance a minimal HTML tokenizer state over a chunk of literal template text.
+ * The state tells which output context a following {{ variable }} is in.
+ * @param {Object} state - The state before the text
+ * @param {string} text - The literal text
+ * @returns {Object} The state after the text
+ */
+const advanceHtmlState = (state, text) => {
+  let { mode, quote, attrName, attrValue } = state;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    const isSpace = /\s/.test(char);
+
+    switch (mode) {
+      case 'text':
+        if (text.startsWith('<!--', i)) {
+          mode = 'comment';
+          i += 3;
+        } else if (char === '<' && /[A-Za-z/!]/.test(text[i + 1] ?? '')) {
+          mode = 'tagName';
+        }
+        break;
+      case 'comment':
+        if (text.startsWith('-->', i)) {
+          mode = 'text';
+          i += 2;
+        }
+        break;
+      case 'tagName':
+        if (char === '>') mode = 'text';
+        else if (isSpace) mode = 'tag';
+        break;
+      case 'tag':
+      case 'afterAttrName':
+        if (char === '>') {
+          mode = 'text';
+        } else if (char === '=' && mode === 'afterAttrName') {
+          mode = 'beforeValue';
+        } else if (!isSpace && char !== '/') {
+          mode = 'attrName';
+          attrName = char;
+        }
+        break;
+      case 'attrName':
+        if (char === '>') mode = 'text';
+        else if (char === '=') mode = 'beforeValue';
+        else if (isSpace) mode = 'afterAttrName';
+        else attrName += char;
+        break;
+      case 'beforeValue':
+        if (char === '>') {
+          mode = 'text';
+        } else if (char === '"' || char === "'") {
+          mode = 'value';
+          quote = char;
+          attrValue = '';
+        } else if (!isSpace) {
+          mode = 'value';
+          quote = null;
+          attrValue = char;
+        }
+        break;
+      case 'value':
+        if (quote ? char === quote : isSpace) {
+          mode = 'tag';
+        } else if (!quote && char === '>') {
+          mode = 'text';
+        } else {
+          attrValue += char;
+        }
+        break;
+    }
+  }
+
+  return { mode, quote, attrName, attrValue };
+};
+
+/**
+ * Determine the escaping context for output at the given HTML state
+ * @param {Object} state - The HTML tokenizer state
+ * @returns {string} One of html, attribute, url or url-component
+ */
+const getEscapeContext = (state) => {
+  if (state.mode === 'text' || state.mode === 'comment') return 'html';
+
+  const inValue = state.mode === 'value' || state.mode === 'beforeValue';
+  if (inValue && URL_ATTRIBUTES.has(state.attrName.toLowerCase())) {
+    return state.mode === 'beforeValue' || state.attrValue === '' ? 'url' : 'url-component';
+  }
+
+  return 'attribute';
+};
+
+/**
+ * Normalize the autoescape engine option
+ * @param {boolean|string} autoescape - true/'html' for HTML autoescaping, false/'text' for none
+ * @returns {string} Either 'html' or 'text'
+ */
+const normalizeAutoescape = (autoescape = 'text') => {
+  if (autoescape === true || autoescape === 'html') return 'html';
+  if (autoescape === false || autoescape === 'text') return 'text';
+
+  throw new Error(`Unknown autoescape mode: ${autoescape}`);
+};
+
+/**
+ * Replace template tags and comments in block content, so its literal text can be fed to the
+ * HTML state
+ * @param {string} content - Template source of a block body
+ * @returns {string} The literal text, with each output tag standing in as a single character
+ */
+const stripTemplateTags = (content) =>
+  content
+    .replace(/\{#[\s\S]*?#\}/g, '')
+    .replace(/\{\{[\s\S]*?\}\}/g, 'x')
+    .replace(/\{%[\s\S]*?%\}/g, '');
+
+export {
+  SafeString,
+  markSafe,
+  escapeHtml,
+  escapeAttribute,
+  escapeUrl,
+  escapeUrlComponent,
+  escapeForContext,
+  INITIAL_HTML_STATE,
+  advanceHtmlState,
+  getEscapeContext,
+  normalizeAutoescape,
+  stripTemplateTags,
+};
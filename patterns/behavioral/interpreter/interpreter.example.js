@@ -3,6 +3,8 @@
  * for template rendering
  */
 
+import { pathToFileURL } from 'node:url';
+
 // Import both implementations
 import { TemplateEngine } from './interpreter.implementation.js';
 import { createTemplateEngine } from './interpreter.functional.js';
@@ -114,67 +116,108 @@ const complexTemplate = `
 const classBasedEngine = new TemplateEngine();
 const functionalEngine = createTemplateEngine();
 
-// Example usage of the class-based implementation
-console.log('CLASS-BASED IMPLEMENTATION EXAMPLES');
-console.log('=========================================\n');
+// Render each example template with both implementations
+function runExamples() {
+  // Example usage of the class-based implementation
+  console.log('CLASS-BASED IMPLEMENTATION EXAMPLES');
+  console.log('=========================================\n');
 
-console.log('Example 1: Basic Template');
-console.log(classBasedEngine.render(basicTemplate, userData));
-console.log('\n-----------------------------------------\n');
+  console.log('Example 1: Basic Template');
+  console.log(classBasedEngine.render(basicTemplate, userData));
+  console.log('\n-----------------------------------------\n');
 
-console.log('Example 2: Conditional Template');
-console.log(classBasedEngine.render(conditionalTemplate, userData));
-console.log('\n-----------------------------------------\n');
+  console.log('Example 2: Conditional Template');
+  console.log(classBasedEngine.render(conditionalTemplate, userData));
+  console.log('\n-----------------------------------------\n');
 
-console.log('Example 3: Loop Template');
-console.log(classBasedEngine.render(loopTemplate, userData));
-console.log('\n-----------------------------------------\n');
+  console.log('Example 3: Loop Template');
+  console.log(classBasedEngine.render(loopTemplate, userData));
+  console.log('\n-----------------------------------------\n');
 
-console.log('Example 4: Complex Template');
-console.log(classBasedEngine.render(complexTemplate, userData));
-console.log('\n=========================================\n');
+  console.log('Example 4: Complex Template');
+  console.log(classBasedEngine.render(complexTemplate, userData));
+  console.log('\n=========================================\n');
 
-// Example usage of the functional implementation
-console.log('FUNCTIONAL IMPLEMENTATION EXAMPLES');
-console.log('=========================================\n');
+  // Example usage of the functional implementation
+  console.log('FUNCTIONAL IMPLEMENTATION EXAMPLES');
+  console.log('=========================================\n');
 
-console.log('Example 1: Basic Template');
-console.log(functionalEngine.render(basicTemplate, userData));
-console.log('\n-----------------------------------------\n');
+  console.log('Example 1: Basic Template');
+  console.log(functionalEngine.render(basicTemplate, userData));
+  console.log('\n-----------------------------------------\n');
 
-console.log('Example 2: Conditional Template');
-console.log(functionalEngine.render(conditionalTemplate, userData));
-console.log('\n-----------------------------------------\n');
+  console.log('Example 2: Conditional Template');
+  console.log(functionalEngine.render(conditionalTemplate, userData));
+  console.log('\n-----------------------------------------\n');
 
-console.log('Example 3: Loop Template');
-console.log(functionalEngine.render(loopTemplate, userData));
-console.log('\n-----------------------------------------\n');
+  console.log('Example 3: Loop Template');
+  console.log(functionalEngine.render(loopTemplate, userData));
+  console.log('\n-----------------------------------------\n');
 
-console.log('Example 4: Complex Template');
-console.log(functionalEngine.render(complexTemplate, userData));
-console.log('\n=========================================\n');
+  console.log('Example 4: Complex Template');
+  console.log(functionalEngine.render(complexTemplate, userData));
+  console.log('\n=========================================\n');
+}
 
 // Simple performance comparison
-console.log('PERFORMANCE COMPARISON');
-console.log('=========================================\n');
-
-const iterations = 1000;
-console.log(`Rendering all templates ${iterations} times...\n`);
-
-console.time('Class-based implementation');
-for (let i = 0; i < iterations; i++) {
-  classBasedEngine.render(basicTemplate, userData);
-  classBasedEngine.render(conditionalTemplate, userData);
-  classBasedEngine.render(loopTemplate, userData);
-  classBasedEngine.render(complexTemplate, userData);
+function runBenchmarks() {
+  console.log('PERFORMANCE COMPARISON');
+  console.log('=========================================\n');
+
+  const iterations = 1000;
+  console.log(`Rendering all templates ${iterations} times...\n`);
+
+  console.time('Class-based implementation');
+  for (let i = 0; i < iterations; i++) {
+    classBasedEngine.render(basicTemplate, userData);
+    classBasedEngine.render(conditionalTemplate, userData);
+    classBasedEngine.render(loopTemplate, userData);
+    classBasedEngine.render(complexTemplate, userData);
+  }
+  console.timeEnd('Class-based implementation');
+
+  console.time('Functional implementation');
+  for (let i = 0; i < iterations; i++) {
+    functionalEngine.render(basicTemplate, userData);
+    functionalEngine.render(conditionalTemplate, userData);
+    functionalEngine.render(loopTemplate, userData);
+    functionalEngine.render(complexTemplate, userData);
+  }
+  console.timeEnd('Functional implementation');
+
+  // Parsing dominates rendering, so compare re-parsing on every render against cached
+  // and precompiled templates
+  console.log(`\nRendering the complex template ${iterations} times...\n`);
+
+  const uncachedEngine = new TemplateEngine({ cacheSize: 0 });
+  const codegenEngine = new TemplateEngine({ codegen: true });
+  const renderComplex = classBasedEngine.compile(complexTemplate);
+  const renderGenerated = codegenEngine.compile(complexTemplate);
+
+  console.time('Re-parsing on every render');
+  for (let i = 0; i < iterations; i++) {
+    uncachedEngine.render(complexTemplate, userData);
+  }
+  console.timeEnd('Re-parsing on every render');
+
+  console.time('Compiled render function');
+  for (let i = 0; i < iterations; i++) {
+    renderComplex(userData);
+  }
+  console.timeEnd('Compiled render function');
+
+  console.time('Generated JavaScript');
+  for (let i = 0; i < iterations; i++) {
+    renderGenerated(userData);
+  }
+  console.timeEnd('Generated JavaScript');
 }
-console.timeEnd('Class-based implementation');
-
-console.time('Functional implementation');
-for (let i = 0; i < iterations; i++) {
-  functionalEngine.render(basicTemplate, userData);
-  functionalEngine.render(conditionalTemplate, userData);
-  functionalEngine.render(loopTemplate, userData);
-  functionalEngine.render(complexTemplate, userData);
+
+// Run the examples and benchmarks only when this file is executed directly, not when the
+// tests import its data
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  runExamples();
+  runBenchmarks();
 }
-console.timeEnd('Functional implementation');
\ No newline at end of file
+
+export { userData };
@@ -0,0 +1,107 @@
+/**
+ * Built-in filters for the template language
+ * Shared by the class-based and functional implementations
+ */
+
+import { SafeString, escapeHtml, markSafe } from './interpreter.escaping.js';
+
+/**
+ * Convert a Date, timestamp or date string into a Date instance
+ * @param {*} value - The value to convert
+ * @returns {Date|null} The date, or null if the value is not a valid date
+ */
+const toDate = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Format a date using YYYY, MM, DD, HH, mm and ss tokens (local time)
+ * @param {*} value - The date to format
+ * @param {string} format - The format pattern
+ * @returns {string} The formatted date, or an empty string for invalid dates
+ */
+const formatDate = (value, format = 'YYYY-MM-DD') => {
+  const date = toDate(value);
+  if (!date) return '';
+
+  const pad = (number) => String(number).padStart(2, '0');
+  const tokens = {
+    YYYY: String(date.getFullYear()),
+    MM: pad(date.getMonth() + 1),
+    DD: pad(date.getDate()),
+    HH: pad(date.getHours()),
+    mm: pad(date.getMinutes()),
+    ss: pad(date.getSeconds()),
+  };
+
+  return format.replace(/YYYY|MM|DD|HH|mm|ss/g, (token) => tokens[token]);
+};
+
+/**
+ * Get the size of a string, array, Map, Set or plain object
+ * @param {*} value - The value to measure
+ * @returns {number} The number of characters, items or keys
+ */
+const lengthOf = (value) => {
+  if (value === null || value === undefined) return 0;
+  if (typeof value === 'string' || Array.isArray(value)) return value.length;
+  if (value instanceof Map || value instanceof Set) return value.size;
+  if (typeof value === 'object') return Object.keys(value).length;
+  return String(value).length;
+};
+
+// Built-in filters, called as filter(value, ...args)
+const builtinFilters = {
+  upper: (value) => String(value ?? '').toUpperCase(),
+  lower: (value) => String(value ?? '').toLowerCase(),
+  capitalize: (value) => {
+    const text = String(value ?? '');
+    return text.charAt(0).toUpperCase() + text.slice(1).toLowerCase();
+  },
+  trim: (value) => String(value ?? '').trim(),
+  truncate: (value, length = 255, end = '...') => {
+    const text = String(value ?? '');
+    if (text.length <= length) return text;
+    return text.slice(0, Math.max(0, length - end.length)) + end;
+  },
+  // Use the fallback for undefined/null, or for any falsy value when `boolean` is true
+  default: (value, fallback = '', boolean = false) => {
+    if (value === undefined || value === null || value === '') return fallback;
+    return boolean && !value ? fallback : value;
+  },
+  date: formatDate,
+  join: (value, separator = ', ') => {
+    if (value === null || value === undefined) return '';
+    return Array.from(typeof value === 'string' ? [value] : value).join(separator);
+  },
+  length: lengthOf,
+  first: (value) => (value === null || value === undefined ? undefined : Array.from(value)[0]),
+  last: (value) => (value === null || value === undefined ? undefined : Array.from(value).at(-1)),
+  // Escaped output is marked safe, so autoescaping does not escape it twice
+  escape: (value) => (value instanceof SafeString ? value : markSafe(escapeHtml(value))),
+  safe: markSafe,
+  json: (value, indent) => JSON.stringify(value, null, indent),
+};
+
+// Filter names already warned about, by filter registry, so each typo is reported once
+const warnedFilters = new WeakMap();
+
+/**
+ * Warn that a template uses a filter that is not registered. Unknown filters leave the value
+ * unchanged, so without the warning a misspelled filter name would go unnoticed.
+ * @param {Map<string, Function>} filters - The filter registry the name was looked up in
+ * @param {string} name - The filter name
+ */
+const warnUnknownFilter = (filters, name) => {
+  const warned = warnedFilters.get(filters) ?? new Set();
+  warnedFilters.set(filters, warned);
+  if (warned.has(name)) return;
+
+  warned.add(name);
+  console.warn(`Unknown filter "${name}", the value is output unchanged`);
+};
+
+export { builtinFilters, formatDate, warnUnknownFilter };
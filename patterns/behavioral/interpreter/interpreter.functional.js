@@ -3,6 +3,639 @@
  * Functional implementation using the Interpreter Pattern
  */
 
+import fs from 'node:fs';
+import path from 'node:path';
+
+import { analyzeTemplate, validateTemplate } from './interpreter.analysis.js';
+import {
+  RenderLimitError,
+  TemplateSyntaxError,
+  UndefinedVariableError,
+} from './interpreter.errors.js';
+import { builtinFilters, warnUnknownFilter } from './interpreter.filters.js';
+import { parseMessage, renderMessage } from './interpreter.i18n.js';
+import {
+  INITIAL_HTML_STATE,
+  advanceHtmlState,
+  escapeForContext,
+  getEscapeContext,
+  markSafe,
+  normalizeAutoescape,
+  stripTemplateTags,
+} from './interpreter.escaping.js';
+
+const defaultFilters = new Map(Object.entries(builtinFilters));
+
+// Render-time state (engine, block overrides, template stack, strictness, sandbox budget,
+// locale), carried on the context under a symbol so it never clashes with template data
+const RUNTIME = Symbol('runtime');
+
+// Marks macro objects, so only macros can be called from templates
+const MACRO = Symbol('macro');
+
+// Properties templates may not read, as they lead to constructors and prototypes
+const BLOCKED_PROPERTIES = new Set(['__proto__', 'constructor', 'prototype']);
+
+// Whether templates may assign a name with {% set %}, a loop or a macro. The blocked properties
+// are left out, as assigning __proto__ would replace the prototype of the scope.
+const isAssignableName = (name) => /^[A-Za-z_]\w*$/.test(name) && !BLOCKED_PROPERTIES.has(name);
+
+/**
+ * Resolve a dotted variable path (user.name, etc.) against a context
+ * @param {Object} context - The data to look the path up in
+ * @param {string} path - The variable path
+ * @returns {*} The resolved value, or undefined if any part is missing or blocked
+ */
+const resolvePath = (context, path) => {
+  let value = context;
+
+  for (const part of path.split('.')) {
+    if (value === undefined || value === null || BLOCKED_PROPERTIES.has(part)) {
+      return undefined;
+    }
+    value = value[part];
+  }
+
+  return value;
+};
+
+/**
+ * Resolve a variable path, throwing if it is undefined and the render is strict about variables
+ * @param {Object} context - The render context
+ * @param {string} path - The variable path
+ * @returns {*} The resolved value
+ * @throws {UndefinedVariableError} In strict variables mode, if the value is undefined
+ */
+const lookupVariable = (context, path) => {
+  const value = resolvePath(context, path);
+
+  if (value === undefined && context[RUNTIME]?.strictVariables) {
+    throw new UndefinedVariableError(path);
+  }
+  return value;
+};
+
+/**
+ * Resolve a dotted variable path like resolvePath, awaiting each part that is a promise
+ * @param {Object} context - The data to look the path up in
+ * @param {string} path - The variable path
+ * @returns {Promise<*>} The resolved value, or undefined if any part is missing or blocked
+ */
+const resolvePathAsync = async (context, path) => {
+  let value = context;
+
+  for (const part of path.split('.')) {
+    if (value === undefined || value === null || BLOCKED_PROPERTIES.has(part)) {
+      return undefined;
+    }
+    value = await value[part];
+  }
+
+  return value;
+};
+
+/**
+ * Resolve a variable path like lookupVariable, awaiting each part that is a promise
+ * @param {Object} context - The render context
+ * @param {string} path - The variable path
+ * @returns {Promise<*>} The resolved value
+ * @throws {UndefinedVariableError} In strict variables mode, if the value is undefined
+ */
+const lookupVariableAsync = async (context, path) => {
+  const value = await resolvePathAsync(context, path);
+
+  if (value === undefined && context[RUNTIME]?.strictVariables) {
+    throw new UndefinedVariableError(path);
+  }
+  return value;
+};
+
+/**
+ * Read a computed member (items[0], user[field]), unless its name is blocked
+ * @param {*} object - The object
+ * @param {*} property - The property name or index
+ * @returns {*} The member value, or undefined
+ */
+const member = (object, property) =>
+  object === undefined || object === null || BLOCKED_PROPERTIES.has(String(property))
+    ? undefined
+    : object[property];
+
+/**
+ * Count output against the output limit of a sandboxed render
+ * @param {Object} context - The render context
+ * @param {*} output - The output
+ * @returns {*} The output
+ */
+const countOutput = (context, output) => {
+  context?.[RUNTIME]?.budget?.write(String(output).length);
+  return output;
+};
+
+/**
+ * Render one nesting level deeper (a loop, macro call or template), within the nesting depth
+ * limit of sandboxed renders
+ * @param {Object|null} budget - The budget of a sandboxed render, or null
+ * @param {Function} render - Renders the nested content
+ * @returns {*} The result of render
+ */
+const nested = (budget, render) => {
+  if (!budget) return render();
+
+  budget.enter();
+  try {
+    return render();
+  } finally {
+    budget.exit();
+  }
+};
+
+/**
+ * Check whether a collection contains a value (strings, arrays, Sets, Maps and object keys)
+ * @param {*} value - The value to look for
+ * @param {*} collection - The collection to search
+ * @returns {boolean} True if the value is a member of the collection
+ */
+const isMember = (value, collection) => {
+  if (collection === undefined || collection === null) return false;
+  if (typeof collection === 'string') return collection.includes(String(value));
+  if (Array.isArray(collection)) return collection.includes(value);
+  if (collection instanceof Set || collection instanceof Map) return collection.has(value);
+  if (typeof collection === 'object') return Object.hasOwn(collection, value);
+  return false;
+};
+
+/**
+ * Call a macro with evaluated arguments
+ * @param {*} macro - The value being called
+ * @param {Array} args - Positional argument values
+ * @param {Map<string, *>} kwargs - Keyword argument values
+ * @param {string} description - The called expression, for error messages
+ * @param {boolean} async - Whether to render the macro asynchronously, returning a promise
+ * @returns {*} The macro output, or undefined if the macro is not defined
+ */
+const callMacro = (macro, args, kwargs, description, async = false) => {
+  if (macro === undefined || macro === null) return undefined;
+  if (!macro[MACRO]) {
+    throw new Error(`Cannot call "${description}": it is not a macro`);
+  }
+  return async ? macro.callAsync(args, kwargs) : macro.call(args, kwargs);
+};
+
+/**
+ * Apply a comparison or membership operator to evaluated operands
+ * @param {string} operator - The operator
+ * @param {*} left - The left operand
+ * @param {*} right - The right operand
+ * @returns {boolean} The result
+ */
+const applyOperator = (operator, left, right) => {
+  switch (operator) {
+    case '==':
+      return left === right;
+    case '!=':
+      return left !== right;
+    case '<':
+      return left < right;
+    case '<=':
+      return left <= right;
+    case '>':
+      return left > right;
+    case '>=':
+      return left >= right;
+    case 'in':
+      return isMember(left, right);
+    case 'not in':
+      return !isMember(left, right);
+    default:
+      throw new Error(`Unknown operator: ${operator}`);
+  }
+};
+
+const KEYWORDS = new Set(['and', 'or', 'not', 'in', 'true', 'false', 'null']);
+const COMPARISON_OPERATORS = new Set(['==', '!=', '<', '<=', '>', '>=']);
+
+/**
+ * Split expression language source into tokens
+ * @param {string} source - The expression source, e.g. user.age >= 18 and not user.banned
+ * @returns {Object[]} Tokens with a type, value and position in the source
+ */
+const tokenizeExpression = (source) => {
+  const tokens = [];
+  let pos = 0;
+
+  while (pos < source.length) {
+    const rest = source.slice(pos);
+    const char = source[pos];
+
+    if (/\s/.test(char)) {
+      pos++;
+      continue;
+    }
+
+    const number = rest.match(/^\d+(\.\d+)?/);
+    const name = rest.match(/^[A-Za-z_]\w*/);
+    const operator = rest.match(/^(==|!=|<=|>=|[<>()[\],.|=-])/);
+
+    if (number) {
+      tokens.push({ type: 'number', value: Number(number[0]), pos });
+      pos += number[0].length;
+    } else if (name) {
+      const type = KEYWORDS.has(name[0]) ? 'keyword' : 'name';
+      tokens.push({ type, value: name[0], pos });
+      pos += name[0].length;
+    } else if (char === '"' || char === "'") {
+      // String literal, with backslash escapes
+      let value = '';
+      let end = pos + 1;
+
+      while (end < source.length && source[end] !== char) {
+        if (source[end] === '\\') end++;
+        value += source[end++] ?? '';
+      }
+      if (end >= source.length) {
+        throw new TemplateSyntaxError('Unterminated string', { source, position: pos });
+      }
+
+      tokens.push({ type: 'string', value, pos });
+      pos = end + 1;
+    } else if (operator) {
+      tokens.push({ type: 'operator', value: operator[0], pos });
+      pos += operator[0].length;
+    } else {
+      throw new TemplateSyntaxError(`Unexpected character "${char}"`, { source, position: pos });
+    }
+  }
+
+  tokens.push({ type: 'end', value: null, pos });
+  return tokens;
+};
+
+/**
+ * Parse expression language source into a tree of plain node objects.
+ * Precedence from lowest to highest binding: or, and, not, comparisons and in,
+ * filters and member access, primary values.
+ * @param {string} source - The expression source
+ * @param {Object} options - Parser options
+ * @param {boolean} options.bindings - Parse comma-separated name=value bindings, as in
+ *   {% trans %} tags, instead of a single expression
+ * @returns {Object} The root node, e.g. { type: 'binary', operator: '>=', left, right }, or
+ *   { name, value } for each binding
+ */
+const parseExpression = (source, options = {}) => {
+  const tokens = tokenizeExpression(source);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+
+  // Consume the next token if it matches the given type (and value)
+  const match = (type, value) => {
+    const token = peek();
+    if (token.type !== type || (value !== undefined && token.value !== value)) return null;
+    return next();
+  };
+
+  const unexpected = (token) => {
+    const description = token.type === 'end' ? 'end of expression' : `"${token.value}"`;
+    return new TemplateSyntaxError(`Unexpected ${description}`, { source, position: token.pos });
+  };
+
+  const expect = (type, value) => {
+    const token = match(type, value);
+    if (token) return token;
+    throw unexpected(peek());
+  };
+
+  const parseOr = () => {
+    let left = parseAnd();
+    while (match('keyword', 'or')) {
+      left = { type: 'binary', operator: 'or', left, right: parseAnd() };
+    }
+    return left;
+  };
+
+  const parseAnd = () => {
+    let left = parseNot();
+    while (match('keyword', 'and')) {
+      left = { type: 'binary', operator: 'and', left, right: parseNot() };
+    }
+    return left;
+  };
+
+  const parseNot = () => {
+    if (match('keyword', 'not')) {
+      return { type: 'unary', operator: 'not', operand: parseNot() };
+    }
+    return parseComparison();
+  };
+
+  const parseComparison = () => {
+    let left = parsePostfix();
+
+    while (true) {
+      const token = peek();
+      let operator = null;
+
+      if (token.type === 'operator' && COMPARISON_OPERATORS.has(token.value)) {
+        operator = next().value;
+      } else if (match('keyword', 'in')) {
+        operator = 'in';
+      } else if (
+        token.type === 'keyword' &&
+        token.value === 'not' &&
+        tokens[index + 1].value === 'in'
+      ) {
+        index += 2;
+        operator = 'not in';
+      } else {
+        return left;
+      }
+
+      left = { type: 'binary', operator, left, right: parsePostfix() };
+    }
+  };
+
+  // Parse a comma-separated list of expressions up to the closing operator
+  const parseArguments = (closing) => {
+    const args = [];
+
+    if (!match('operator', closing)) {
+      do {
+        args.push(parseOr());
+      } while (match('operator', ','));
+      expect('operator', closing);
+    }
+
+    return args;
+  };
+
+  // Parse macro call arguments: positional ones, then name=value ones
+  const parseCallArguments = () => {
+    const args = [];
+    const kwargs = [];
+
+    if (!match('operator', ')')) {
+      do {
+        const token = peek();
+
+        if (token.type === 'name' && tokens[index + 1].value === '=') {
+          index += 2;
+          kwargs.push({ name: token.value, value: parseOr() });
+        } else if (kwargs.length) {
+          throw unexpected(token);
+        } else {
+          args.push(parseOr());
+        }
+      } while (match('operator', ','));
+      expect('operator', ')');
+    }
+
+    return { args, kwargs };
+  };
+
+  const parsePostfix = () => {
+    let node = parsePrimary();
+
+    while (true) {
+      if (match('operator', '.')) {
+        const property = expect('name').value;
+
+        // Keep dotted paths (user.address.city) as a single lookup
+        node =
+          node.type === 'path'
+            ? { type: 'path', path: `${node.path}.${property}` }
+            : { type: 'member', object: node, property: { type: 'literal', value: property } };
+      } else if (match('operator', '[')) {
+        node = { type: 'member', object: node, property: parseOr() };
+        expect('operator', ']');
+      } else if (match('operator', '|')) {
+        const name = expect('name').value;
+        const args = match('operator', '(') ? parseArguments(')') : [];
+        node = { type: 'filter', name, args, input: node };
+      } else if (match('operator', '(')) {
+        node = { type: 'call', callee: node, ...parseCallArguments() };
+      } else {
+        return node;
+      }
+    }
+  };
+
+  const parsePrimary = () => {
+    const token = next();
+
+    switch (token.type) {
+      case 'number':
+      case 'string':
+        return { type: 'literal', value: token.value };
+      case 'name':
+        return { type: 'path', path: token.value };
+      case 'keyword':
+        if (token.value === 'true' || token.value === 'false') {
+          return { type: 'literal', value: token.value === 'true' };
+        }
+        if (token.value === 'null') return { type: 'literal', value: null };
+        break;
+      case 'operator':
+        if (token.value === '(') {
+          const node = parseOr();
+          expect('operator', ')');
+          return node;
+        }
+        if (token.value === '[') return { type: 'list', items: parseArguments(']') };
+        if (token.value === '-') return { type: 'unary', operator: '-', operand: parsePrimary() };
+        break;
+    }
+
+    throw unexpected(token);
+  };
+
+  const parseBindings = () => {
+    const bindings = [];
+
+    if (peek().type !== 'end') {
+      do {
+        const name = expect('name').value;
+        expect('operator', '=');
+        bindings.push({ name, value: parseOr() });
+      } while (match('operator', ','));
+    }
+
+    return bindings;
+  };
+
+  const root = options.bindings ? parseBindings() : parseOr();
+  expect('end');
+  return root;
+};
+
+/**
+ * Creates an evaluator for expression trees built by parseExpression.
+ * Evaluation walks the tree directly, without eval or Function.
+ * @param {Object} options - Evaluator options
+ * @param {Map<string, Function>} options.filters - Filter registry used by filter nodes
+ * @returns {Function} evaluate(node, context) returning the expression's value
+ */
+const createExpressionEvaluator = (options = {}) => {
+  const filters = options.filters ?? defaultFilters;
+
+  const evaluateBinary = (node, context) => {
+    const left = evaluate(node.left, context);
+
+    // Logical operators short-circuit and return one of their operands
+    if (node.operator === 'and') return left ? evaluate(node.right, context) : left;
+    if (node.operator === 'or') return left ? left : evaluate(node.right, context);
+
+    return applyOperator(node.operator, left, evaluate(node.right, context));
+  };
+
+  const evaluate = (node, context) => {
+    switch (node.type) {
+      case 'literal':
+        return node.value;
+      case 'path':
+        return lookupVariable(context, node.path);
+      case 'member': {
+        const object = evaluate(node.object, context);
+        if (object === undefined || object === null) return undefined;
+        return member(object, evaluate(node.property, context));
+      }
+      case 'list':
+        return node.items.map((item) => evaluate(item, context));
+      case 'unary': {
+        const value = evaluate(node.operand, context);
+        return node.operator === 'not' ? !value : -value;
+      }
+      case 'binary':
+        return evaluateBinary(node, context);
+      case 'call': {
+        const callee = evaluate(node.callee, context);
+        const args = node.args.map((arg) => evaluate(arg, context));
+        const kwargs = new Map(
+          node.kwargs.map(({ name, value }) => [name, evaluate(value, context)])
+        );
+        const description = node.callee.type === 'path' ? node.callee.path : 'expression';
+
+        return callMacro(callee, args, kwargs, description);
+      }
+      case 'filter': {
+        // The default filter is the way to accept undefined variables in strict variables mode
+        const value =
+          node.name === 'default' && node.input.type === 'path'
+            ? resolvePath(context, node.input.path)
+            : evaluate(node.input, context);
+        const filter = filters.get(node.name);
+
+        // Unknown filters leave the value unchanged
+        if (!filter) {
+          warnUnknownFilter(filters, node.name);
+          return value;
+        }
+
+        return filter(value, ...node.args.map((arg) => evaluate(arg, context)));
+      }
+      default:
+        throw new Error(`Unknown expression node: ${node.type}`);
+    }
+  };
+
+  return evaluate;
+};
+
+/**
+ * Creates an evaluator like createExpressionEvaluator that awaits promises found in the
+ * context, and the results of async filters
+ * @param {Object} options - Evaluator options
+ * @param {Map<string, Function>} options.filters - Filter registry used by filter nodes
+ * @returns {Function} evaluate(node, context) returning a promise of the expression's value
+ */
+const createAsyncExpressionEvaluator = (options = {}) => {
+  const filters = options.filters ?? defaultFilters;
+
+  // Arguments are evaluated in order, like the synchronous evaluator does
+  const evaluateAll = async (nodes, context) => {
+    const values = [];
+    for (const node of nodes) {
+      values.push(await evaluate(node, context));
+    }
+    return values;
+  };
+
+  const evaluate = async (node, context) => {
+    switch (node.type) {
+      case 'literal':
+        return node.value;
+      case 'path':
+        return lookupVariableAsync(context, node.path);
+      case 'member': {
+        const object = await evaluate(node.object, context);
+        if (object === undefined || object === null) return undefined;
+        return member(object, await evaluate(node.property, context));
+      }
+      case 'list':
+        return evaluateAll(node.items, context);
+      case 'unary': {
+        const value = await evaluate(node.operand, context);
+        return node.operator === 'not' ? !value : -value;
+      }
+      case 'binary': {
+        const left = await evaluate(node.left, context);
+
+        if (node.operator === 'and') return left ? evaluate(node.right, context) : left;
+        if (node.operator === 'or') return left ? left : evaluate(node.right, context);
+
+        return applyOperator(node.operator, left, await evaluate(node.right, context));
+      }
+      case 'call': {
+        const callee = await evaluate(node.callee, context);
+        const args = await evaluateAll(node.args, context);
+        const values = await evaluateAll(
+          node.kwargs.map(({ value }) => value),
+          context
+        );
+        const kwargs = new Map(node.kwargs.map(({ name }, index) => [name, values[index]]));
+        const description = node.callee.type === 'path' ? node.callee.path : 'expression';
+
+        return callMacro(callee, args, kwargs, description, true);
+      }
+      case 'filter': {
+        const value =
+          node.name === 'default' && node.input.type === 'path'
+            ? await resolvePathAsync(context, node.input.path)
+            : await evaluate(node.input, context);
+        const filter = filters.get(node.name);
+
+        if (!filter) {
+          warnUnknownFilter(filters, node.name);
+          return value;
+        }
+
+        // Filters may also be async, their result is awaited by the caller
+        return filter(value, ...(await evaluateAll(node.args, context)));
+      }
+      default:
+        throw new Error(`Unknown expression node: ${node.type}`);
+    }
+  };
+
+  return evaluate;
+};
+
+/**
+ * Render a template node as a sequence of output chunks, awaiting promises and async
+ * iterables found in the context. Nodes without a stream method are interpreted as usual.
+ * @param {Object} node - The template node
+ * @param {Object} context - The render context
+ * @returns {AsyncGenerator<string>} The output chunks
+ */
+async function* streamNode(node, context) {
+  if (node.stream) {
+    yield* node.stream(context);
+  } else {
+    yield toOutput(node.interpret(context));
+  }
+}
+
 /**
  * Creates a text expression
  * @param {string} text - The literal text content
@@ -11,126 +644,257 @@
 const createTextExpression = (text) => ({
   type: 'text',
   content: text,
-  interpret: (context) => text,
+  interpret: (context) => countOutput(context, text),
+  toJSON: () => ({ type: 'text', text }),
 });
 
 /**
  * Creates a variable expression
- * @param {string} variableName - The name of the variable to substitute
+ * @param {string} variableName - The variable to substitute, or any expression language source
+ * @param {Object} options - Expression options
+ * @param {Map<string, Function>} options.filters - The filters available to the expression
+ * @param {string|null} options.escape - Output escaping context (html, attribute, url,
+ *   url-component), or null to output the value as is
  * @returns {Object} A variable expression object
  */
-const createVariableExpression = (variableName) => {
-  const name = variableName.trim();
+const createVariableExpression = (variableName, options = {}) => {
+  const expression = parseExpression(variableName);
+  const evaluate = createExpressionEvaluator({ filters: options.filters });
+  const evaluateAsync = createAsyncExpressionEvaluator({ filters: options.filters });
+  const escape = options.escape ?? null;
+
+  // Describe the expression as a variable piped through filters
+  let base = expression;
+  const filters = [];
+  while (base.type === 'filter') {
+    filters.unshift({ name: base.name, args: base.args });
+    base = base.input;
+  }
 
   return {
     type: 'variable',
-    name,
+    name: base.type === 'path' ? base.path : variableName.trim(),
+    filters,
+    expression,
+    escape,
     interpret: (context) => {
-      // Handle nested properties (user.name, etc.)
-      if (name.includes('.')) {
-        const parts = name.split('.');
-        let value = context;
-
-        for (const part of parts) {
-          if (value === undefined || value === null) {
-            return '';
-          }
-          value = value[part];
-        }
+      const value = evaluate(expression, context);
 
-        return value !== undefined ? value : '';
-      }
-
-      // Handle simple variables
-      return context[name] !== undefined ? context[name] : '';
+      if (value === undefined) return '';
+      return countOutput(context, escape ? escapeForContext(value, escape) : value);
+    },
+    async *stream(context) {
+      const value = await evaluateAsync(expression, context);
+      yield countOutput(context, toOutput(value, escape));
     },
+    toJSON: () => ({ type: 'variable', expression, escape }),
   };
 };
 
 /**
  * Creates a conditional expression
- * @param {string} condition - The condition to evaluate
+ * @param {string} condition - Condition in the expression language, e.g. user.age >= 18
  * @param {Object} trueExpression - The expression to interpret if condition is true
  * @param {Object} falseExpression - The expression to interpret if condition is false
+ * @param {Object} options - Expression options
+ * @param {Map<string, Function>} options.filters - The filters available to the condition
  * @returns {Object} A conditional expression object
  */
-const createConditionalExpression = (condition, trueExpression, falseExpression = null) => {
+const createConditionalExpression = (
+  condition,
+  trueExpression,
+  falseExpression = null,
+  options = {}
+) => {
   const conditionText = condition.trim();
+  const test = parseExpression(conditionText);
+  const evaluate = createExpressionEvaluator({ filters: options.filters });
+  const evaluateAsync = createAsyncExpressionEvaluator({ filters: options.filters });
 
   return {
     type: 'conditional',
     condition: conditionText,
+    test,
     trueExpression,
     falseExpression,
     interpret: (context) => {
-      // Simple condition evaluation (truthy/falsy check on variable)
-      let conditionResult = false;
-
-      // Handle nested properties (user.isAdmin, etc.)
-      if (conditionText.includes('.')) {
-        const parts = conditionText.split('.');
-        let value = context;
-
-        for (const part of parts) {
-          if (value === undefined || value === null) {
-            value = undefined;
-            break;
-          }
-          value = value[part];
-        }
-
-        conditionResult = !!value;
-      } else {
-        // Simple variable check
-        conditionResult = !!context[conditionText];
-      }
-
       // Return the appropriate branch based on condition result
-      if (conditionResult) {
+      if (evaluate(test, context)) {
         return trueExpression.interpret(context);
       } else if (falseExpression) {
         return falseExpression.interpret(context);
       }
       return '';
     },
+    async *stream(context) {
+      if (await evaluateAsync(test, context)) {
+        yield* streamNode(trueExpression, context);
+      } else if (falseExpression) {
+        yield* streamNode(falseExpression, context);
+      }
+    },
+    toJSON: () => ({
+      type: 'conditional',
+      test,
+      trueExpression: trueExpression.toJSON(),
+      falseExpression: falseExpression?.toJSON() ?? null,
+    }),
   };
 };
 
+/**
+ * Turn a loop collection into the list of items to iterate
+ * @param {*} collection - An array, Map, Set or other iterable, or a plain object
+ * @param {boolean} unpack - Whether the loop unpacks items into several names (for k, v in obj)
+ * @returns {Array} The items; plain objects give their entries when unpacking, else their keys
+ */
+const toLoopItems = (collection, unpack) => {
+  if (collection === undefined || collection === null || typeof collection === 'string') {
+    return [];
+  }
+  if (typeof collection[Symbol.iterator] === 'function') return Array.from(collection);
+  if (typeof collection === 'object') {
+    return unpack ? Object.entries(collection) : Object.keys(collection);
+  }
+  return [];
+};
+
+/**
+ * Iterate a loop collection, which may also be an async iterable (rows from a cursor, etc.).
+ * Async items are read one ahead so the last one is known; their count is not.
+ * @param {*} collection - An async iterable, or any collection accepted by toLoopItems
+ * @param {boolean} unpack - Whether the loop unpacks items into several names
+ * @returns {AsyncGenerator<Object>} { item, index, length, last } for each item
+ */
+async function* iterateLoopItems(collection, unpack) {
+  if (typeof collection?.[Symbol.asyncIterator] !== 'function') {
+    const items = toLoopItems(collection, unpack);
+    for (const [index, item] of items.entries()) {
+      yield { item, index, length: items.length, last: index === items.length - 1 };
+    }
+    return;
+  }
+
+  let index = 0;
+  let pending = null;
+
+  for await (const item of collection) {
+    if (pending) yield { item: pending.item, index: index++, length: undefined, last: false };
+    pending = { item };
+  }
+  if (pending) yield { item: pending.item, index, length: undefined, last: true };
+}
+
 /**
  * Creates a loop expression
- * @param {string} itemName - The name for each item in the loop
- * @param {string} collectionName - The name of the collection to iterate
+ * @param {string} itemName - The loop variable, or names to unpack items into ("key, value")
+ * @param {string} collectionName - The collection, in the expression language (order.items)
  * @param {Object} loopBody - The expression to interpret for each item
+ * @param {Object} emptyBody - The expression to interpret if there are no items
+ * @param {Object} options - Expression options
+ * @param {Map<string, Function>} options.filters - The filters available to the collection
  * @returns {Object} A loop expression object
  */
-const createLoopExpression = (itemName, collectionName, loopBody) => {
+const createLoopExpression = (
+  itemName,
+  collectionName,
+  loopBody,
+  emptyBody = null,
+  options = {}
+) => {
   const item = itemName.trim();
-  const collection = collectionName.trim();
+  const targets = item.split(',').map((name) => name.trim());
+  const collectionSource = collectionName.trim();
+  const collection = parseExpression(collectionSource);
+  const evaluate = createExpressionEvaluator({ filters: options.filters });
+  const evaluateAsync = createAsyncExpressionEvaluator({ filters: options.filters });
+  const unpack = targets.length > 1;
+
+  if (!targets.every(isAssignableName)) {
+    throw new Error(`Invalid loop variable: ${item}`);
+  }
+
+  // Create a new scope for an iteration, with the loop variables and loop metadata.
+  // The length is undefined for async iterables. Counts the iteration against the limit of
+  // sandboxed renders.
+  const createScope = (context, itemValue, index, length, last) => {
+    context[RUNTIME]?.budget?.iterate();
+    const loopContext = Object.create(context);
+
+    if (unpack) {
+      targets.forEach((name, position) => (loopContext[name] = itemValue?.[position]));
+    } else {
+      loopContext[targets[0]] = itemValue;
+    }
+
+    loopContext.loop = {
+      index: index + 1,
+      index0: index,
+      revindex: length === undefined ? undefined : length - index,
+      first: index === 0,
+      last,
+      length,
+      parent: context.loop,
+    };
+
+    return loopContext;
+  };
 
   return {
     type: 'loop',
     itemName: item,
-    collectionName: collection,
+    targets,
+    collectionName: collectionSource,
+    collection,
     loopBody,
+    emptyBody,
     interpret: (context) => {
-      const items = context[collection] || [];
+      const items = toLoopItems(evaluate(collection, context), unpack);
 
-      if (!Array.isArray(items)) {
-        return '';
+      if (items.length === 0) {
+        return emptyBody ? emptyBody.interpret(context) : '';
       }
 
-      let result = '';
+      return nested(context[RUNTIME]?.budget, () => {
+        let result = '';
+
+        items.forEach((itemValue, index) => {
+          const last = index === items.length - 1;
+          result += loopBody.interpret(createScope(context, itemValue, index, items.length, last));
+        });
 
-      // Create a new context for each iteration
-      for (const itemValue of items) {
-        const loopContext = { ...context };
-        loopContext[item] = itemValue;
+        return result;
+      });
+    },
+    async *stream(context) {
+      const items = await evaluateAsync(collection, context);
+      const budget = context[RUNTIME]?.budget;
+      let empty = true;
 
-        result += loopBody.interpret(loopContext);
+      budget?.enter();
+      try {
+        for await (const { item: itemValue, index, length, last } of iterateLoopItems(
+          items,
+          unpack
+        )) {
+          empty = false;
+          yield* streamNode(loopBody, createScope(context, itemValue, index, length, last));
+        }
+      } finally {
+        budget?.exit();
       }
 
-      return result;
+      if (empty && emptyBody) {
+        yield* streamNode(emptyBody, context);
+      }
     },
+    toJSON: () => ({
+      type: 'loop',
+      targets,
+      collection,
+      loopBody: loopBody.toJSON(),
+      emptyBody: emptyBody?.toJSON() ?? null,
+    }),
   };
 };
 
@@ -146,80 +910,545 @@ const createCompositeExpression = (expressions = []) => {
     type: 'composite',
     expressions: expressList,
     interpret: (context) => expressList.map((expr) => expr.interpret(context)).join(''),
+    async *stream(context) {
+      for (const expression of expressList) {
+        yield* streamNode(expression, context);
+      }
+    },
     addExpression: (expression) => expressList.push(expression),
+    toJSON: () => ({ type: 'composite', expressions: expressList.map((expr) => expr.toJSON()) }),
+  };
+};
+
+/**
+ * Creates a block expression {% block name %}...{% endblock %}
+ * @param {string} name - The block name
+ * @param {Object} body - The block's default content
+ * @returns {Object} A block expression object
+ */
+const createBlockExpression = (name, body) => {
+  const block = {
+    type: 'block',
+    name,
+    body,
+    interpret: (context) => {
+      // A template extending this one may override the block
+      const override = context[RUNTIME]?.blocks.get(name);
+      return (override ?? block).body.interpret(context);
+    },
+    async *stream(context) {
+      const override = context[RUNTIME]?.blocks.get(name);
+      yield* streamNode((override ?? block).body, context);
+    },
+    toJSON: () => ({ type: 'block', name, body: body.toJSON() }),
+  };
+
+  return block;
+};
+
+/**
+ * Load a template referenced by {% extends %} or {% include %}, guarding against cycles
+ * @param {Object} context - The current render context
+ * @param {string} name - The template name
+ * @param {string} tagName - The referencing tag, for error messages
+ * @returns {Object} The parsed template and a scope to render it in
+ */
+const enterTemplate = (context, name, tagName) => {
+  const runtime = context[RUNTIME];
+
+  if (!runtime) {
+    throw new Error(`{% ${tagName} %} needs a template engine with a loader to render`);
+  }
+  if (runtime.stack.includes(name)) {
+    throw new Error(`Circular ${tagName} detected: ${[...runtime.stack, name].join(' -> ')}`);
+  }
+
+  const scope = Object.create(context);
+  scope[RUNTIME] = { ...runtime, stack: [...runtime.stack, name] };
+
+  return { template: runtime.engine.getTemplate(name), scope };
+};
+
+/**
+ * Creates an extends expression {% extends "base" %} for template inheritance
+ * @param {string} parentName - The parent template name, in the expression language
+ * @param {Map<string, Object>} blocks - The blocks defined by the extending template
+ * @param {Object} options - Expression options
+ * @param {Map<string, Function>} options.filters - The filters available to the name
+ * @returns {Object} An extends expression object
+ */
+const createExtendsExpression = (parentName, blocks = new Map(), options = {}) => {
+  const source = parentName.trim();
+  const parent = parseExpression(source);
+  const evaluate = createExpressionEvaluator({ filters: options.filters });
+  const evaluateAsync = createAsyncExpressionEvaluator({ filters: options.filters });
+
+  // Load the parent template, with a scope carrying the blocks this template overrides
+  const enter = (context, name) => {
+    const entered = enterTemplate(context, name, 'extends');
+    const runtime = entered.scope[RUNTIME];
+
+    // Blocks from more derived templates take precedence
+    runtime.blocks = new Map([...blocks, ...runtime.blocks]);
+    return entered;
+  };
+
+  const extendsExpr = {
+    type: 'extends',
+    parentName: source,
+    parent,
+    blocks,
+    // {% set %} and {% macro %} tags outside the blocks, run before rendering the parent
+    definitions: [],
+    interpret: (context) => {
+      const { template, scope } = enter(context, evaluate(parent, context));
+
+      return nested(scope[RUNTIME].budget, () => {
+        extendsExpr.definitions.forEach((definition) => definition.interpret(scope));
+        return template.interpret(scope);
+      });
+    },
+    async *stream(context) {
+      const { template, scope } = enter(context, await evaluateAsync(parent, context));
+      const { budget } = scope[RUNTIME];
+
+      budget?.enter();
+      try {
+        for (const definition of extendsExpr.definitions) {
+          yield* streamNode(definition, scope);
+        }
+
+        yield* streamNode(template, scope);
+      } finally {
+        budget?.exit();
+      }
+    },
+    toJSON: () => ({
+      type: 'extends',
+      parent,
+      blocks: [...blocks.values()].map((block) => block.toJSON()),
+      definitions: extendsExpr.definitions.map((definition) => definition.toJSON()),
+    }),
   };
+
+  return extendsExpr;
+};
+
+/**
+ * Creates an include expression {% include "header" %}, rendered with the current context
+ * @param {string} templateName - The included template name, in the expression language
+ * @param {Object} options - Expression options
+ * @param {Map<string, Function>} options.filters - The filters available to the name
+ * @returns {Object} An include expression object
+ */
+const createIncludeExpression = (templateName, options = {}) => {
+  const source = templateName.trim();
+  const template = parseExpression(source);
+  const evaluate = createExpressionEvaluator({ filters: options.filters });
+  const evaluateAsync = createAsyncExpressionEvaluator({ filters: options.filters });
+
+  // Load the included template, with a scope of its own for blocks
+  const enter = (context, name) => {
+    const entered = enterTemplate(context, name, 'include');
+    entered.scope[RUNTIME].blocks = new Map();
+    return entered;
+  };
+
+  return {
+    type: 'include',
+    templateName: source,
+    template,
+    interpret: (context) => {
+      const { template: included, scope } = enter(context, evaluate(template, context));
+      return nested(scope[RUNTIME].budget, () => included.interpret(scope));
+    },
+    async *stream(context) {
+      const { template: included, scope } = enter(context, await evaluateAsync(template, context));
+      const { budget } = scope[RUNTIME];
+
+      budget?.enter();
+      try {
+        yield* streamNode(included, scope);
+      } finally {
+        budget?.exit();
+      }
+    },
+    toJSON: () => ({ type: 'include', template }),
+  };
+};
+
+/**
+ * Creates an assignment expression {% set name = expression %}. The variable is set in the
+ * current scope, so assignments inside loops, macros and includes do not leak out of them.
+ * @param {string} name - The variable to assign
+ * @param {string} valueSource - The value, in the expression language
+ * @param {Object} options - Expression options
+ * @param {Map<string, Function>} options.filters - The filters available to the value
+ * @returns {Object} A set expression object
+ */
+const createSetExpression = (name, valueSource, options = {}) => {
+  const variableName = name.trim();
+  const source = valueSource.trim();
+  const value = parseExpression(source);
+  const evaluate = createExpressionEvaluator({ filters: options.filters });
+  const evaluateAsync = createAsyncExpressionEvaluator({ filters: options.filters });
+
+  if (!isAssignableName(variableName)) {
+    throw new Error(`Invalid variable name: ${variableName}`);
+  }
+
+  return {
+    type: 'set',
+    name: variableName,
+    valueSource: source,
+    value,
+    interpret: (context) => {
+      context[variableName] = evaluate(value, context);
+      return '';
+    },
+    async *stream(context) {
+      context[variableName] = await evaluateAsync(value, context);
+    },
+    toJSON: () => ({ type: 'set', name: variableName, value }),
+  };
+};
+
+/**
+ * Creates a macro defined by {% macro %}, bound to the scope it was defined in
+ * @param {Object} definition - The macro expression
+ * @param {Object} scope - The context the macro was defined in
+ * @param {Function} evaluate - Evaluates default values
+ * @param {Function} evaluateAsync - Evaluates default values, awaiting promises
+ * @returns {Object} A macro with call(args, kwargs) and callAsync(args, kwargs) methods
+ *   returning its rendered body
+ */
+const createMacro = (definition, scope, evaluate, evaluateAsync) => {
+  // Create the scope of a call, checking the keyword arguments name parameters
+  const createScope = (kwargs) => {
+    for (const key of kwargs.keys()) {
+      if (!definition.params.some((param) => param.name === key)) {
+        throw new Error(`Macro "${definition.name}" has no parameter "${key}"`);
+      }
+    }
+
+    return Object.create(scope);
+  };
+
+  return {
+    [MACRO]: true,
+    name: definition.name,
+    definition,
+    call: (args = [], kwargs = new Map()) => {
+      const { params, body } = definition;
+      const macroScope = createScope(kwargs);
+
+      // Defaults are evaluated when called, and may refer to earlier parameters
+      params.forEach((param, index) => {
+        if (index < args.length) macroScope[param.name] = args[index];
+        else if (kwargs.has(param.name)) macroScope[param.name] = kwargs.get(param.name);
+        else {
+          macroScope[param.name] = param.defaultValue
+            ? evaluate(param.defaultValue, macroScope)
+            : undefined;
+        }
+      });
+
+      const budget = macroScope[RUNTIME]?.budget;
+      const output = budget?.output;
+      try {
+        // The body was escaped when rendered, so its output is safe
+        return markSafe(nested(budget, () => body.interpret(macroScope)));
+      } finally {
+        // The body is counted where the call is output, not also while rendering it
+        if (budget) budget.output = output;
+      }
+    },
+    callAsync: async (args = [], kwargs = new Map()) => {
+      const { params, body } = definition;
+      const macroScope = createScope(kwargs);
+
+      for (const [index, param] of params.entries()) {
+        if (index < args.length) macroScope[param.name] = args[index];
+        else if (kwargs.has(param.name)) macroScope[param.name] = kwargs.get(param.name);
+        else {
+          macroScope[param.name] = param.defaultValue
+            ? await evaluateAsync(param.defaultValue, macroScope)
+            : undefined;
+        }
+      }
+
+      const budget = macroScope[RUNTIME]?.budget;
+      const counted = budget?.output;
+      let output = '';
+
+      budget?.enter();
+      try {
+        for await (const chunk of streamNode(body, macroScope)) {
+          output += chunk;
+        }
+      } finally {
+        budget?.exit();
+        if (budget) budget.output = counted;
+      }
+      return markSafe(output);
+    },
+  };
+};
+
+/**
+ * Creates a macro definition {% macro name(param, other="default") %}...{% endmacro %}
+ * @param {string} signature - The macro name and parameters, e.g. button(label, href="#")
+ * @param {Object} body - The macro body
+ * @param {Object} options - Expression options
+ * @param {Map<string, Function>} options.filters - The filters available to default values
+ * @returns {Object} A macro expression object
+ */
+const createMacroExpression = (signature, body, options = {}) => {
+  const source = signature.trim();
+  const evaluate = createExpressionEvaluator({ filters: options.filters });
+  const evaluateAsync = createAsyncExpressionEvaluator({ filters: options.filters });
+
+  // The signature reads like a call, with parameter names in place of positional arguments
+  const call = parseExpression(source);
+  const isName = (node) => node.type === 'path' && !node.path.includes('.');
+
+  if (call.type !== 'call' || !isName(call.callee) || !call.args.every(isName)) {
+    throw new Error(`Invalid macro signature: ${source}`);
+  }
+
+  const names = [
+    call.callee.path,
+    ...call.args.map((arg) => arg.path),
+    ...call.kwargs.map(({ name }) => name),
+  ];
+  if (!names.every(isAssignableName)) {
+    throw new Error(`Invalid macro signature: ${source}`);
+  }
+
+  const definition = {
+    type: 'macro',
+    name: call.callee.path,
+    signature: source,
+    params: [
+      ...call.args.map((arg) => ({ name: arg.path, defaultValue: null })),
+      ...call.kwargs.map(({ name, value }) => ({ name, defaultValue: value })),
+    ],
+    body,
+    interpret: (context) => {
+      context[definition.name] = createMacro(definition, context, evaluate, evaluateAsync);
+      return '';
+    },
+    async *stream(context) {
+      definition.interpret(context);
+    },
+    toJSON: () => ({
+      type: 'macro',
+      name: definition.name,
+      params: definition.params,
+      body: body.toJSON(),
+    }),
+  };
+
+  return definition;
+};
+
+/**
+ * Creates a translatable text expression {% trans %}...{% plural %}...{% endtrans %}
+ * @param {string} bindingsSource - Values bound to placeholder names, e.g.
+ *   count=cart.items | length
+ * @param {string} singularSource - The message: text with {{ name }} placeholders
+ * @param {string|null} pluralSource - The plural form, used when count is not one, or null
+ * @param {Object} options - Expression options
+ * @param {Map<string, Function>} options.filters - The filters available to the bindings
+ * @param {string|null} options.escape - Output escaping context for placeholder values
+ * @returns {Object} A trans expression object
+ */
+const createTransExpression = (
+  bindingsSource,
+  singularSource,
+  pluralSource = null,
+  options = {}
+) => {
+  const bindings = parseExpression(bindingsSource, { bindings: true });
+  const singular = parseMessage(singularSource);
+  const plural = pluralSource === null ? null : parseMessage(pluralSource);
+  const evaluate = createExpressionEvaluator({ filters: options.filters });
+  const evaluateAsync = createAsyncExpressionEvaluator({ filters: options.filters });
+  const escape = options.escape ?? null;
+
+  // The names the message reads: its placeholders, and count for plural messages
+  const placeholders = [...singular.names, ...(plural?.names ?? [])];
+  const names = [...new Set(plural ? [...placeholders, 'count'] : placeholders)];
+
+  // Render the message in the locale of the render, translated if there is a translation
+  const render = (context, values) => {
+    const runtime = context[RUNTIME];
+    const valueOf = (name) => (values.has(name) ? values.get(name) : lookupVariable(context, name));
+
+    return renderMessage({ singular, plural }, valueOf, {
+      catalogs: runtime?.engine.translations,
+      locale: runtime?.locale,
+      sourceLocale: runtime?.engine.sourceLocale,
+      output: (value) => toOutput(value, escape),
+    });
+  };
+
+  return {
+    type: 'trans',
+    bindings,
+    singular,
+    plural,
+    names,
+    interpret: (context) => {
+      const values = new Map(bindings.map(({ name, value }) => [name, evaluate(value, context)]));
+      return countOutput(context, render(context, values));
+    },
+    async *stream(context) {
+      const values = new Map();
+
+      for (const { name, value } of bindings) {
+        values.set(name, await evaluateAsync(value, context));
+      }
+      for (const name of names) {
+        if (!values.has(name)) values.set(name, await lookupVariableAsync(context, name));
+      }
+
+      yield countOutput(context, render(context, values));
+    },
+    toJSON: () => ({
+      type: 'trans',
+      bindings,
+      singular: singular.id,
+      plural: plural?.id ?? null,
+      names,
+    }),
+  };
+};
+
+/**
+ * Get the content of a tag, without its delimiters and whitespace control markers
+ * @param {string} template - The template content
+ * @param {number} start - Position of the opening delimiter ({{ or {%)
+ * @param {number} end - Position of the closing delimiter (}} or %})
+ * @returns {string} The trimmed content
+ */
+const tagContent = (template, start, end) => {
+  let content = template.substring(start + 2, end);
+
+  if (content.startsWith('-')) content = content.substring(1);
+  if (content.endsWith('-')) content = content.substring(0, content.length - 1);
+  return content.trim();
+};
+
+/**
+ * Whitespace control: a tag opened with {{-, {%- or {#- trims the whitespace before it
+ * @param {string} source - The template source
+ * @param {number} position - Position in the source where text ends
+ * @returns {boolean} True if the tag at the position trims the text before it
+ */
+const trimsTextBefore = (source, position) =>
+  /^\{[{%#]-/.test(source.substring(position, position + 3));
+
+/**
+ * Whitespace control: a tag closed with -}}, -%} or -#} trims the whitespace after it
+ * @param {string} source - The template source
+ * @param {number} position - Position in the source where text starts
+ * @returns {boolean} True if the tag ending at the position trims the text after it
+ */
+const trimsTextAfter = (source, position) =>
+  /-[}%#]\}$/.test(source.substring(position - 3, position));
+
+/**
+ * Describe a block tag the parser does not recognize, for strict mode errors
+ * @param {string} keyword - The first word of the tag
+ * @returns {string} The reason the tag is invalid
+ */
+const describeUnknownTag = (keyword) => {
+  if (
+    ['if', 'for', 'block', 'extends', 'include', 'set', 'macro', 'raw', 'trans'].includes(keyword)
+  ) {
+    return `Malformed {% ${keyword} %} tag`;
+  }
+  if (/^(end\w+|elif|else|empty|plural)$/.test(keyword)) {
+    return `Unexpected {% ${keyword} %} outside of its block`;
+  }
+  return keyword ? `Unknown tag {% ${keyword} %}` : 'Empty tag';
 };
 
 /**
  * Creates a template parser that converts template strings to expression trees
+ * @param {Object} options - Parser options
+ * @param {Map<string, Function>} options.filters - Filter registry used by variable expressions
+ * @param {boolean|string} options.autoescape - 'html' to escape output by its HTML context
+ * @param {boolean} options.strict - Throw a TemplateSyntaxError for malformed tags and
+ *   unknown filters instead of keeping them as text (default false)
  * @returns {Object} A template parser object
  */
-const createTemplateParser = () => {
+const createTemplateParser = (options = {}) => {
+  const filters = options.filters ?? defaultFilters;
+  const trackHtml = normalizeAutoescape(options.autoescape) === 'html';
+  const strict = options.strict ?? false;
+
   /**
    * Extract a block of content from a template, handling proper nesting
    * @param {string} template - The template string
    * @param {number} startPos - The position to start extracting from
-   * @param {string} blockType - The type of block ('if' or 'for')
-   * @returns {Object|null} The extracted content and end position, or null if not found
+   * @param {string} blockType - The type of block ('if', 'for', 'block', 'macro' or 'trans')
+   * @returns {Object|null} The content before the first branch tag, the branches
+   *   ({% elif %}/{% else %} for if, {% empty %} for for, {% plural %} for trans, with the
+   *   positions of their tag and content) and the end position, or null if the block is not
+   *   closed
    */
   const extractBlock = (template, startPos, blockType) => {
-    let pos = startPos;
+    const branchKeywords =
+      { if: ['elif', 'else'], for: ['empty'], trans: ['plural'] }[blockType] ?? [];
+    // Comments and raw blocks are matched only to skip the tags inside them
+    const tagPattern =
+      /\{#[\s\S]*?#\}|\{%-?\s*raw\s*-?%\}[\s\S]*?\{%-?\s*endraw\s*-?%\}|\{%-?\s*([\s\S]*?)\s*-?%\}/g;
+    const sections = [];
     let depth = 1; // We're already inside one block
-    let elsePos = -1;
+    let section = { keyword: null, argument: '', start: startPos };
+    let match;
 
-    const endTag = `{% end${blockType} %}`;
-    const startTag = `{% ${blockType}`;
-    const elseTag = '{% else %}';
+    tagPattern.lastIndex = startPos;
 
-    while (pos < template.length) {
-      const nextStartTag = template.indexOf(startTag, pos);
-      const nextEndTag = template.indexOf(endTag, pos);
-      const nextElseTag = blockType === 'if' ? template.indexOf(elseTag, pos) : -1;
-
-      // Cannot find matching end tag
-      if (nextEndTag === -1) {
-        return null;
-      }
-
-      // Check if we find an else tag at the current nesting level
-      if (
-        blockType === 'if' &&
-        nextElseTag !== -1 &&
-        depth === 1 &&
-        (nextStartTag === -1 || nextElseTag < nextStartTag) &&
-        (nextEndTag === -1 || nextElseTag < nextEndTag)
-      ) {
-        elsePos = nextElseTag;
-        pos = nextElseTag + 9; // 9 = length of "{% else %}"
-        continue;
-      }
+    while ((match = tagPattern.exec(template))) {
+      const [tag, tagContent] = match;
+      if (tagContent === undefined) continue;
+
+      const [keyword] = tagContent.split(/\s/, 1);
 
-      // Check if we find another start tag before the end tag
-      if (nextStartTag !== -1 && nextStartTag < nextEndTag) {
+      if (keyword === blockType) {
         depth++;
-        pos = nextStartTag + startTag.length;
-      } else {
+      } else if (keyword === `end${blockType}`) {
         depth--;
+
         if (depth === 0) {
           // We've found the matching end tag
-          const blockEndPos = nextEndTag + endTag.length;
-
-          if (elsePos !== -1) {
-            // If there's an else branch, extract both true and false content
-            return {
-              content: template.substring(startPos, elsePos),
-              elseContent: template.substring(elsePos + 9, nextEndTag),
-              end: blockEndPos,
-            };
-          } else {
-            // No else branch, just extract the content
-            return {
-              content: template.substring(startPos, nextEndTag),
-              end: blockEndPos,
-            };
-          }
+          sections.push({ ...section, content: template.substring(section.start, match.index) });
+          const [first, ...branches] = sections;
+
+          return {
+            content: first.content,
+            branches: branches.map(({ keyword, argument, content, start, tagStart }) => ({
+              keyword,
+              argument,
+              content,
+              start,
+              tagStart,
+            })),
+            end: match.index + tag.length,
+          };
         }
-        pos = nextEndTag + endTag.length;
+      } else if (depth === 1 && branchKeywords.includes(keyword)) {
+        // A branch tag of this block starts a new section
+        sections.push({ ...section, content: template.substring(section.start, match.index) });
+        section = {
+          keyword,
+          argument: tagContent.substring(keyword.length).trim(),
+          start: match.index + tag.length,
+          tagStart: match.index,
+        };
       }
     }
 
@@ -227,123 +1456,433 @@ const createTemplateParser = () => {
     return null;
   };
 
-  // The parser function that converts a template string to an expression tree
-  const parse = (template) => {
+  /**
+   * Turn an error raised while parsing into a TemplateSyntaxError positioned in the template
+   * @param {Error|string} error - The error, or the reason for a new one
+   * @param {Object} document - The template being parsed
+   * @param {number} position - Offset in the template of the tag or expression that failed
+   * @returns {TemplateSyntaxError} The positioned error
+   */
+  const syntaxError = (error, document, position) => {
+    if (error instanceof TemplateSyntaxError && error.source === document.source) return error;
+
+    // Expression errors are positioned within the expression source
+    const reason = typeof error === 'string' ? error : (error.reason ?? error.message);
+    const offset = error instanceof TemplateSyntaxError ? error.position : 0;
+
+    return new TemplateSyntaxError(reason, {
+      source: document.source,
+      position: position + offset,
+      templateName: document.templateName,
+    });
+  };
+
+  /**
+   * Check that the filters an expression uses are registered, for strict mode
+   * @param {string} source - The expression source
+   * @throws {TemplateSyntaxError} If the expression uses an unknown filter
+   */
+  const checkFilters = (source) => {
+    const tokens = tokenizeExpression(source);
+
+    tokens.forEach((token, index) => {
+      const name = tokens[index + 1];
+      if (token.type !== 'operator' || token.value !== '|' || name.type !== 'name') return;
+
+      if (!filters.has(name.value)) {
+        throw new TemplateSyntaxError(`Unknown filter "${name.value}"`, {
+          source,
+          position: name.pos,
+        });
+      }
+    });
+  };
+
+  /**
+   * Parse template content (the whole template or a block body) into a composite expression
+   * @param {string} template - The template content
+   * @param {Object} htmlState - HTML context the content starts in
+   * @param {Object} document - The template being parsed: its source, name and the
+   *   {% block %} tags collected so far
+   * @param {number} offset - Position of the content in the template source
+   * @returns {Object} The parsed content
+   */
+  const parseContent = (template, htmlState, document, offset = 0) => {
     let pos = 0;
+    let state = htmlState;
     const result = createCompositeExpression();
+    const { blocks } = document;
+
+    // Add literal text, keeping track of the HTML context it leaves the output in
+    const addText = (text) => {
+      result.addExpression(createTextExpression(text));
+      if (trackHtml) state = advanceHtmlState(state, text);
+    };
+
+    // Add the template text between two positions, trimming whitespace next to the
+    // whitespace control markers of the tags around it
+    const addSource = (from, to) => {
+      let text = template.substring(from, to);
+
+      if (trimsTextAfter(document.source, offset + from)) text = text.trimStart();
+      if (trimsTextBefore(document.source, offset + to)) text = text.trimEnd();
+      if (text) addText(text);
+    };
+
+    // Keep a malformed tag as text, or report it in strict mode
+    const malformed = (tagStart, tagEnd, error) => {
+      if (strict) throw syntaxError(error, document, offset + tagStart);
+      addText(template.substring(tagStart, tagEnd));
+    };
+
+    // Create an expression from source text found after `from`, positioning its errors
+    const located = (text, from, create) => {
+      try {
+        const expression = create();
+        if (strict) checkFilters(text.trim());
+        return expression;
+      } catch (error) {
+        throw syntaxError(error, document, offset + template.indexOf(text.trim(), from));
+      }
+    };
 
     while (pos < template.length) {
-      // Find the next expression start
-      const variableStart = template.indexOf('{{', pos);
-      const blockStart = template.indexOf('{%', pos);
-
-      // No more expressions, add the rest as text
-      if (variableStart === -1 && blockStart === -1) {
-        if (pos < template.length) {
-          result.addExpression(createTextExpression(template.substring(pos)));
-        }
+      // Find the next tag: {{ variable }}, {% block %} or {# comment #}
+      const starts = ['{{', '{%', '{#']
+        .map((delimiter) => template.indexOf(delimiter, pos))
+        .filter((start) => start !== -1);
+
+      // No more tags, add the rest as text
+      if (starts.length === 0) {
+        addSource(pos, template.length);
         break;
       }
 
-      // Determine which expression comes first
-      let expressionStart;
-      let isVariable = false;
+      const expressionStart = Math.min(...starts);
+      const delimiter = template.substring(expressionStart, expressionStart + 2);
 
-      if (variableStart !== -1 && (blockStart === -1 || variableStart < blockStart)) {
-        expressionStart = variableStart;
-        isVariable = true;
-      } else {
-        expressionStart = blockStart;
-        isVariable = false;
-      }
+      // Add text before the tag
+      addSource(pos, expressionStart);
 
-      // Add text before the expression
-      if (expressionStart > pos) {
-        result.addExpression(createTextExpression(template.substring(pos, expressionStart)));
-      }
+      // Handle the tag based on its type
+      if (delimiter === '{#') {
+        // Comment {# ... #}, left out of the output
+        const commentEnd = template.indexOf('#}', expressionStart + 2);
+        if (commentEnd === -1) {
+          malformed(expressionStart, template.length, 'Unclosed comment, expected "#}"');
+          break;
+        }
 
-      // Handle the expression based on its type
-      if (isVariable) {
+        pos = commentEnd + 2;
+      } else if (delimiter === '{{') {
         // Variable expression {{ variable }}
         const variableEnd = template.indexOf('}}', expressionStart);
         if (variableEnd === -1) {
-          result.addExpression(createTextExpression(template.substring(expressionStart)));
+          malformed(expressionStart, template.length, 'Unclosed variable tag, expected "}}"');
           break;
         }
 
-        const variableName = template.substring(expressionStart + 2, variableEnd).trim();
-        result.addExpression(createVariableExpression(variableName));
+        const variableName = tagContent(template, expressionStart, variableEnd);
+        const escape = trackHtml ? getEscapeContext(state) : null;
+        let variableExpr;
+
+        try {
+          variableExpr = located(variableName, expressionStart + 2, () =>
+            createVariableExpression(variableName, { filters, escape })
+          );
+        } catch (error) {
+          // Malformed expression, treat as text
+          malformed(expressionStart, variableEnd + 2, error);
+          pos = variableEnd + 2;
+          continue;
+        }
+
+        result.addExpression(variableExpr);
+
+        // The variable's output stands in as a single character of text
+        if (trackHtml) state = advanceHtmlState(state, 'x');
 
         pos = variableEnd + 2;
       } else {
         // Block expression {% ... %}
         const blockEnd = template.indexOf('%}', expressionStart);
         if (blockEnd === -1) {
-          result.addExpression(createTextExpression(template.substring(expressionStart)));
+          malformed(expressionStart, template.length, 'Unclosed tag, expected "%}"');
           break;
         }
 
-        const blockContent = template.substring(expressionStart + 2, blockEnd).trim();
+        const blockContent = tagContent(template, expressionStart, blockEnd);
+        const [keyword] = blockContent.split(/\s/, 1);
+
+        const forMatch = blockContent.match(/^for\s+(.+?)\s+in\s+(.+)$/s);
+        const setMatch = blockContent.match(/^set\s+(\w+)\s*=(?!=)\s*(.+)$/s);
+
+        if (blockContent === 'raw') {
+          // Raw block {% raw %}...{% endraw %}, output as text without parsing its tags
+          const rawEnd = /\{%-?\s*endraw\s*-?%\}/g;
+          rawEnd.lastIndex = blockEnd + 2;
+          const endMatch = rawEnd.exec(template);
+
+          if (!endMatch) {
+            malformed(
+              expressionStart,
+              blockEnd + 2,
+              'Unclosed {% raw %} block, expected {% endraw %}'
+            );
+            pos = blockEnd + 2;
+            continue;
+          }
 
-        if (blockContent.startsWith('if ')) {
-          // Conditional block {% if condition %}
+          addSource(blockEnd + 2, endMatch.index);
+          pos = endMatch.index + endMatch[0].length;
+        } else if (blockContent.startsWith('if ')) {
+          // Conditional block {% if condition %}...{% elif condition %}...{% else %}
           const condition = blockContent.substring(3);
           const ifBody = extractBlock(template, blockEnd + 2, 'if');
 
           if (!ifBody) {
             // If we can't properly extract the if block, just add the text
-            result.addExpression(
-              createTextExpression(template.substring(expressionStart, blockEnd + 2))
+            malformed(
+              expressionStart,
+              blockEnd + 2,
+              'Unclosed {% if %} block, expected {% endif %}'
             );
             pos = blockEnd + 2;
             continue;
           }
 
-          const { content: trueContent, end: ifEnd, elseContent } = ifBody;
+          const { content: trueContent, branches, end: ifEnd } = ifBody;
+          let conditionalExpr;
 
-          const trueExpr = parse(trueContent);
-          const falseExpr = elseContent ? parse(elseContent) : null;
+          try {
+            const elseIndex = branches.findIndex((branch) => branch.keyword === 'else');
+            if (elseIndex !== -1 && elseIndex !== branches.length - 1) {
+              throw new Error('{% else %} must be the last branch of an if block');
+            }
 
-          result.addExpression(createConditionalExpression(condition, trueExpr, falseExpr));
+            // Chain elif branches as nested conditionals, from the last one backwards
+            const falseExpr = [...branches].reverse().reduce((nextBranch, branch) => {
+              const branchExpr = parseContent(
+                branch.content,
+                state,
+                document,
+                offset + branch.start
+              );
+              return branch.keyword === 'else'
+                ? branchExpr
+                : located(branch.argument, branch.tagStart, () =>
+                    createConditionalExpression(branch.argument, branchExpr, nextBranch, {
+                      filters,
+                    })
+                  );
+            }, null);
 
-          pos = ifEnd;
-        } else if (blockContent.startsWith('for ') && blockContent.includes(' in ')) {
-          // Loop block {% for item in items %}
-          const forParts = blockContent.substring(4).split(' in ');
-          if (forParts.length !== 2) {
-            // Invalid for loop syntax, treat as text
-            result.addExpression(
-              createTextExpression(template.substring(expressionStart, blockEnd + 2))
+            const trueExpr = parseContent(trueContent, state, document, offset + blockEnd + 2);
+            conditionalExpr = located(condition, expressionStart + 2, () =>
+              createConditionalExpression(condition, trueExpr, falseExpr, { filters })
             );
+          } catch (error) {
+            // Malformed condition, treat the tag as text
+            malformed(expressionStart, blockEnd + 2, error);
             pos = blockEnd + 2;
             continue;
           }
 
-          const itemName = forParts[0].trim();
-          const collectionName = forParts[1].trim();
+          // Assume all branches leave the output in the same HTML context
+          if (trackHtml) state = advanceHtmlState(state, stripTemplateTags(trueContent));
 
+          result.addExpression(conditionalExpr);
+
+          pos = ifEnd;
+        } else if (forMatch) {
+          // Loop block {% for item in items %}...{% empty %}...{% endfor %}
+          const [, itemName, collectionName] = forMatch;
           const forBody = extractBlock(template, blockEnd + 2, 'for');
 
           if (!forBody) {
             // If we can't properly extract the for block, just add the text
-            result.addExpression(
-              createTextExpression(template.substring(expressionStart, blockEnd + 2))
+            malformed(
+              expressionStart,
+              blockEnd + 2,
+              'Unclosed {% for %} block, expected {% endfor %}'
+            );
+            pos = blockEnd + 2;
+            continue;
+          }
+
+          const { content: loopContent, branches, end: forEnd } = forBody;
+          let loopExpr;
+
+          try {
+            if (branches.length > 1) {
+              throw new Error('A for block can only have one {% empty %} branch');
+            }
+
+            const loopBody = parseContent(loopContent, state, document, offset + blockEnd + 2);
+            const emptyBody = branches.length
+              ? parseContent(branches[0].content, state, document, offset + branches[0].start)
+              : null;
+
+            loopExpr = located(collectionName, template.lastIndexOf(collectionName, blockEnd), () =>
+              createLoopExpression(itemName, collectionName, loopBody, emptyBody, {
+                filters,
+              })
             );
+          } catch (error) {
+            // Invalid for loop syntax, treat as text
+            malformed(expressionStart, blockEnd + 2, error);
             pos = blockEnd + 2;
             continue;
           }
 
-          const { content: loopContent, end: forEnd } = forBody;
-          const loopExpr = parse(loopContent);
+          if (trackHtml) state = advanceHtmlState(state, stripTemplateTags(loopContent));
 
-          result.addExpression(createLoopExpression(itemName, collectionName, loopExpr));
+          result.addExpression(loopExpr);
 
           pos = forEnd;
+        } else if (/^block\s+[A-Za-z_]\w*$/.test(blockContent)) {
+          // Overridable block {% block name %}...{% endblock %}
+          const name = blockContent.substring(6).trim();
+          const blockBody = extractBlock(template, blockEnd + 2, 'block');
+
+          if (!blockBody || blocks.has(name)) {
+            // Unclosed or duplicate block, treat as text
+            malformed(
+              expressionStart,
+              blockEnd + 2,
+              blockBody
+                ? `Duplicate block "${name}"`
+                : 'Unclosed {% block %}, expected {% endblock %}'
+            );
+            pos = blockEnd + 2;
+            continue;
+          }
+
+          const blockExpr = createBlockExpression(
+            name,
+            parseContent(blockBody.content, state, document, offset + blockEnd + 2)
+          );
+          blocks.set(name, blockExpr);
+
+          if (trackHtml) state = advanceHtmlState(state, stripTemplateTags(blockBody.content));
+
+          result.addExpression(blockExpr);
+
+          pos = blockBody.end;
+        } else if (setMatch) {
+          // Assignment {% set name = expression %}
+          const [, name, valueSource] = setMatch;
+
+          try {
+            result.addExpression(
+              located(valueSource, template.lastIndexOf(valueSource, blockEnd), () =>
+                createSetExpression(name, valueSource, { filters })
+              )
+            );
+          } catch (error) {
+            // Malformed value, treat as text
+            malformed(expressionStart, blockEnd + 2, error);
+          }
+
+          pos = blockEnd + 2;
+        } else if (/^macro\s/.test(blockContent)) {
+          // Macro definition {% macro name(params) %}...{% endmacro %}
+          const signature = blockContent.substring(6);
+          const macroBody = extractBlock(template, blockEnd + 2, 'macro');
+
+          if (!macroBody) {
+            malformed(
+              expressionStart,
+              blockEnd + 2,
+              'Unclosed {% macro %} block, expected {% endmacro %}'
+            );
+            pos = blockEnd + 2;
+            continue;
+          }
+
+          try {
+            // The body is rendered where the macro is called, assumed to be HTML text
+            const body = parseContent(
+              macroBody.content,
+              INITIAL_HTML_STATE,
+              document,
+              offset + blockEnd + 2
+            );
+            result.addExpression(
+              located(signature, expressionStart + 2, () =>
+                createMacroExpression(signature, body, { filters })
+              )
+            );
+          } catch (error) {
+            // Malformed signature, treat the tag as text
+            malformed(expressionStart, blockEnd + 2, error);
+            pos = blockEnd + 2;
+            continue;
+          }
+
+          pos = macroBody.end;
+        } else if (/^trans(\s|$)/.test(blockContent)) {
+          // Translatable text {% trans name=value %}...{% plural %}...{% endtrans %}
+          const bindings = blockContent.substring(5);
+          const transBody = extractBlock(template, blockEnd + 2, 'trans');
+
+          if (!transBody) {
+            malformed(
+              expressionStart,
+              blockEnd + 2,
+              'Unclosed {% trans %} block, expected {% endtrans %}'
+            );
+            pos = blockEnd + 2;
+            continue;
+          }
+
+          const { content: singular, branches, end: transEnd } = transBody;
+
+          try {
+            if (branches.length > 1 || branches[0]?.argument) {
+              throw new Error('A trans block can only have one {% plural %} branch');
+            }
+
+            const escape = trackHtml ? getEscapeContext(state) : null;
+            result.addExpression(
+              located(bindings, expressionStart + 2, () =>
+                createTransExpression(bindings, singular, branches[0]?.content ?? null, {
+                  filters,
+                  escape,
+                })
+              )
+            );
+          } catch (error) {
+            // Malformed bindings or message, treat the tag as text
+            malformed(expressionStart, blockEnd + 2, error);
+            pos = blockEnd + 2;
+            continue;
+          }
+
+          if (trackHtml) state = advanceHtmlState(state, stripTemplateTags(singular));
+
+          pos = transEnd;
+        } else if (/^(extends|include)\s/.test(blockContent)) {
+          // Template references {% extends "base" %} and {% include "partial" %}
+          const templateName = blockContent.substring(keyword.length);
+
+          try {
+            result.addExpression(
+              located(templateName, expressionStart + 2 + keyword.length, () =>
+                keyword === 'extends'
+                  ? createExtendsExpression(templateName, blocks, { filters })
+                  : createIncludeExpression(templateName, { filters })
+              )
+            );
+          } catch (error) {
+            // Malformed template name, treat as text
+            malformed(expressionStart, blockEnd + 2, error);
+          }
+
+          pos = blockEnd + 2;
         } else {
           // Unrecognized block, treat as text
-          result.addExpression(
-            createTextExpression(template.substring(expressionStart, blockEnd + 2))
-          );
+          malformed(expressionStart, blockEnd + 2, describeUnknownTag(keyword));
           pos = blockEnd + 2;
         }
       }
@@ -352,30 +1891,603 @@ const createTemplateParser = () => {
     return result;
   };
 
+  /**
+   * The parser function that converts a template string to an expression tree
+   * @param {string} template - The template string
+   * @param {string|null} templateName - The template name, for error messages
+   * @returns {Object} The root expression; an extends expression if the template extends
+   *   another one (content outside its blocks is then ignored), else a composite expression
+   * @throws {TemplateSyntaxError} In strict mode, if the template is malformed
+   */
+  const parse = (template, templateName = null) => {
+    const document = { source: template, templateName, blocks: new Map() };
+    const root = parseContent(template, INITIAL_HTML_STATE, document);
+    const extendsExpr = root.expressions.find((expr) => expr.type === 'extends');
+
+    if (extendsExpr) {
+      extendsExpr.definitions = root.expressions.filter(
+        (expr) => expr.type === 'set' || expr.type === 'macro'
+      );
+    }
+
+    return extendsExpr ?? root;
+  };
+
   return {
     parse,
   };
 };
 
+/**
+ * Creates a least-recently-used cache, holding the parsed templates of an engine
+ * @param {number} maxSize - Maximum number of entries, 0 disables the cache
+ * @returns {Object} A cache with get(key), set(key, value), clear() and size()
+ */
+const createLRUCache = (maxSize = 100) => {
+  const entries = new Map();
+
+  const cache = {
+    get: (key) => {
+      if (!entries.has(key)) return undefined;
+
+      // Re-insert the entry to mark it as the most recently used
+      const value = entries.get(key);
+      entries.delete(key);
+      entries.set(key, value);
+      return value;
+    },
+    set: (key, value) => {
+      if (maxSize <= 0) return cache;
+
+      entries.delete(key);
+      entries.set(key, value);
+      if (entries.size > maxSize) entries.delete(entries.keys().next().value);
+      return cache;
+    },
+    clear: () => entries.clear(),
+    size: () => entries.size,
+  };
+
+  return cache;
+};
+
+/**
+ * Convert an interpreted value to output text, the way composite expressions join their parts
+ * @param {*} value - The value to output
+ * @param {string|null} escape - Output escaping context, or null to output the value as is
+ * @returns {string} The output text
+ */
+const toOutput = (value, escape = null) => {
+  if (value === undefined || value === null) return '';
+  return escape ? escapeForContext(value, escape) : String(value);
+};
+
+// Runtime helpers referenced by generated code
+const compilerHelpers = {
+  RUNTIME,
+  toOutput,
+  resolvePath,
+  lookupVariable,
+  toLoopItems,
+  isMember,
+  callMacro,
+  member,
+  applyFilter: (filters, name, value, args) => {
+    const filter = filters.get(name);
+    if (filter) return filter(value, ...args);
+
+    warnUnknownFilter(filters, name);
+    return value;
+  },
+};
+
+const BINARY_OPERATORS = { and: '&&', or: '||', '==': '===', '!=': '!==' };
+
+/**
+ * Creates a compiler turning parsed templates into JavaScript functions, so rendering no
+ * longer walks the tree. Template values only reach the generated code as JSON literals;
+ * nodes the compiler does not know are kept as constants and interpreted as usual.
+ * @param {Object} options - Compiler options
+ * @param {Map<string, Function>} options.filters - Filter registry used by filter nodes
+ * @returns {Object} A compiler with a compile(expression) method
+ */
+const createTemplateCompiler = (options = {}) => {
+  const filters = options.filters ?? defaultFilters;
+
+  const compile = (expression) => {
+    const constants = [];
+    let names = 0;
+
+    // Reference a value from generated code
+    const constant = (value) => {
+      constants.push(value);
+      return `constants[${constants.length - 1}]`;
+    };
+    const uniqueName = (prefix) => `${prefix}${names++}`;
+
+    // Generate a JavaScript expression evaluating an expression language node
+    const compileValue = (node, scope) => {
+      const value = (child) => compileValue(child, scope);
+
+      switch (node.type) {
+        case 'literal':
+          return node.value === undefined ? 'undefined' : JSON.stringify(node.value);
+        case 'path':
+          return `helpers.lookupVariable(${scope}, ${JSON.stringify(node.path)})`;
+        case 'member':
+          return `helpers.member(${value(node.object)}, ${value(node.property)})`;
+        case 'list':
+          return `[${node.items.map(value).join(', ')}]`;
+        case 'unary':
+          return `${node.operator === 'not' ? '!' : '-'}(${value(node.operand)})`;
+        case 'binary': {
+          const left = value(node.left);
+          const right = value(node.right);
+
+          if (node.operator === 'in') return `helpers.isMember(${left}, ${right})`;
+          if (node.operator === 'not in') return `!helpers.isMember(${left}, ${right})`;
+          return `(${left} ${BINARY_OPERATORS[node.operator] ?? node.operator} ${right})`;
+        }
+        case 'call': {
+          const description = node.callee.type === 'path' ? node.callee.path : 'expression';
+          const kwargs = node.kwargs.map(
+            ({ name, value: arg }) => `[${JSON.stringify(name)}, ${value(arg)}]`
+          );
+          return (
+            `helpers.callMacro(${value(node.callee)}, [${node.args.map(value).join(', ')}], ` +
+            `new Map([${kwargs.join(', ')}]), ${JSON.stringify(description)})`
+          );
+        }
+        case 'filter': {
+          const args = node.args.map(value).join(', ');
+          const input =
+            node.name === 'default' && node.input.type === 'path'
+              ? `helpers.resolvePath(${scope}, ${JSON.stringify(node.input.path)})`
+              : value(node.input);
+          return `helpers.applyFilter(${constant(filters)}, ${JSON.stringify(node.name)}, ${input}, [${args}])`;
+        }
+        default:
+          throw new Error(`Unknown expression node: ${node.type}`);
+      }
+    };
+
+    // Generate a loop, mirroring loop expressions' scopes and loop metadata
+    const compileLoop = (node, scope) => {
+      const unpack = node.targets.length > 1;
+      const items = uniqueName('items');
+      const index = uniqueName('index');
+      const loopScope = uniqueName('scope');
+
+      const targets = unpack
+        ? node.targets.map(
+            (name, position) =>
+              `${loopScope}[${JSON.stringify(name)}] = ${items}[${index}]?.[${position}];\n`
+          )
+        : [`${loopScope}[${JSON.stringify(node.targets[0])}] = ${items}[${index}];\n`];
+      const emptyBody = node.emptyBody ? compileNode(node.emptyBody, scope) : '';
+
+      return (
+        `const ${items} = helpers.toLoopItems(${compileValue(node.collection, scope)}, ${unpack});\n` +
+        `if (${items}.length === 0) {\n${emptyBody}} else {\n` +
+        `for (let ${index} = 0; ${index} < ${items}.length; ${index}++) {\n` +
+        `const ${loopScope} = Object.create(${scope});\n` +
+        targets.join('') +
+        `${loopScope}.loop = { index: ${index} + 1, index0: ${index}, ` +
+        `revindex: ${items}.length - ${index}, first: ${index} === 0, ` +
+        `last: ${index} === ${items}.length - 1, length: ${items}.length, parent: ${scope}.loop };\n` +
+        compileNode(node.loopBody, loopScope) +
+        '}\n}\n'
+      );
+    };
+
+    // Generate statements appending the output of a template node to `out`
+    const compileNode = (node, scope) => {
+      switch (node.type) {
+        case 'text':
+          return `out += ${JSON.stringify(String(node.content))};\n`;
+        case 'composite':
+          return node.expressions.map((child) => compileNode(child, scope)).join('');
+        case 'variable':
+          return `out += helpers.toOutput(${compileValue(node.expression, scope)}, ${JSON.stringify(node.escape)});\n`;
+        case 'conditional': {
+          const otherwise = node.falseExpression
+            ? ` else {\n${compileNode(node.falseExpression, scope)}}`
+            : '';
+          return `if (${compileValue(node.test, scope)}) {\n${compileNode(node.trueExpression, scope)}}${otherwise}\n`;
+        }
+        case 'loop':
+          return compileLoop(node, scope);
+        case 'set':
+          return `${scope}[${JSON.stringify(node.name)}] = ${compileValue(node.value, scope)};\n`;
+        case 'block': {
+          const override = uniqueName('override');
+          return (
+            `const ${override} = ${scope}[helpers.RUNTIME]?.blocks.get(${JSON.stringify(node.name)});\n` +
+            `if (${override}) out += ${override}.body.interpret(${scope});\n` +
+            `else {\n${compileNode(node.body, scope)}}\n`
+          );
+        }
+        default:
+          // Template references and custom nodes are interpreted as usual
+          return `out += helpers.toOutput(${constant(node)}.interpret(${scope}));\n`;
+      }
+    };
+
+    const body = `let out = '';\n${compileNode(expression, 'context')}return out;`;
+    const render = new Function('context', 'constants', 'helpers', body);
+
+    return {
+      type: 'compiled',
+      expression,
+      interpret: (context) => render(context, constants, compilerHelpers),
+      // Generated code is synchronous, so asynchronous renders walk the original template
+      stream: (context) => streamNode(expression, context),
+      toJSON: () => expression.toJSON(),
+    };
+  };
+
+  return { compile };
+};
+
+/**
+ * Creates an in-memory template loader, for templates defined in code or tests
+ * @param {Object<string, string>} templates - Template sources keyed by name
+ * @returns {Object} A loader with load(name) and set(name, source) methods
+ */
+const createMemoryLoader = (templates = {}) => {
+  const sources = new Map(Object.entries(templates));
+
+  const loader = {
+    set: (name, source) => {
+      sources.set(name, source);
+      return loader;
+    },
+    load: (name) => sources.get(name) ?? null,
+  };
+
+  return loader;
+};
+
+/**
+ * Creates a directory template loader, reading templates from files under a root directory
+ * @param {string} root - The directory holding the templates
+ * @param {Object} options - Loader options
+ * @param {string} options.extension - Appended to names without an extension (e.g. '.html')
+ * @param {string} options.encoding - File encoding (default utf8)
+ * @returns {Object} A loader with a load(name) method
+ */
+const createDirectoryLoader = (root, options = {}) => {
+  const rootDir = path.resolve(root);
+  const { extension = '', encoding = 'utf8' } = options;
+
+  return {
+    load: (name) => {
+      const fileName = path.extname(name) ? name : name + extension;
+      const filePath = path.resolve(rootDir, fileName);
+
+      // Never read files outside the root directory
+      if (!filePath.startsWith(rootDir + path.sep)) {
+        throw new Error(`Template "${name}" is outside the loader directory`);
+      }
+
+      try {
+        return fs.readFileSync(filePath, encoding);
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+  };
+};
+
+/**
+ * Expose an async iterator of output chunks as a web ReadableStream
+ * @param {AsyncIterator<string>} chunks - The output chunks
+ * @returns {ReadableStream<string>} A stream reading the chunks on demand
+ */
+const toReadableStream = (chunks) =>
+  new ReadableStream({
+    pull: async (controller) => {
+      const { value, done } = await chunks.next();
+      if (done) controller.close();
+      else controller.enqueue(value);
+    },
+    cancel: async () => {
+      await chunks.return();
+    },
+  });
+
+// Limits of sandboxed renders, see createTemplateEngine
+const DEFAULT_LIMITS = {
+  maxIterations: 10000,
+  maxDepth: 20,
+  maxOutput: 1000000,
+  timeout: 1000,
+};
+
+/**
+ * Creates the budget of a sandboxed render: what it has used of its limits, shared by the
+ * templates it includes
+ * @param {Object} limits - The limits, defaulting to DEFAULT_LIMITS
+ * @param {number} limits.maxIterations - Loop iterations over the whole render
+ * @param {number} limits.maxDepth - Nesting of loops, macro calls, includes and extends
+ * @param {number} limits.maxOutput - Characters of output
+ * @param {number} limits.timeout - Wall-clock time in milliseconds
+ * @returns {Object} A budget with iterate(), enter(), exit(), write(length) and checkTime()
+ *   methods, each throwing a RenderLimitError when a limit is exceeded
+ */
+const createRenderBudget = (limits = {}) => {
+  const { maxIterations, maxDepth, maxOutput, timeout } = { ...DEFAULT_LIMITS, ...limits };
+  const deadline = Date.now() + timeout;
+
+  const budget = {
+    limits: { maxIterations, maxDepth, maxOutput, timeout },
+    iterations: 0,
+    depth: 0,
+    output: 0,
+    checkTime: () => {
+      if (Date.now() > deadline) throw new RenderLimitError('time', timeout);
+    },
+    iterate: () => {
+      budget.iterations += 1;
+      if (budget.iterations > maxIterations) {
+        throw new RenderLimitError('iterations', maxIterations);
+      }
+      budget.checkTime();
+    },
+    enter: () => {
+      budget.depth += 1;
+      if (budget.depth > maxDepth) {
+        budget.depth -= 1;
+        throw new RenderLimitError('depth', maxDepth);
+      }
+      budget.checkTime();
+    },
+    exit: () => {
+      budget.depth -= 1;
+    },
+    write: (length) => {
+      budget.output += length;
+      if (budget.output > maxOutput) throw new RenderLimitError('output', maxOutput);
+      budget.checkTime();
+    },
+  };
+
+  return budget;
+};
+
 /**
  * Creates a template engine that interprets templates
+ * @param {Object} options - Engine options
+ * @param {boolean|string} options.autoescape - 'html' (or true) escapes variable output for
+ *   its HTML body, attribute or URL context; 'text' (default, or false) outputs values as is
+ * @param {Object} options.loader - Loads templates by name for {% extends %}, {% include %}
+ *   and renderTemplate(), any object with a load(name) method returning the source or null
+ * @param {number} options.cacheSize - Number of parsed templates to keep, keyed by source
+ *   (default 100, 0 disables caching)
+ * @param {boolean} options.codegen - Compile templates to JavaScript functions instead of
+ *   walking the expression tree on each render (default false)
+ * @param {boolean} options.strict - Throw a TemplateSyntaxError for malformed templates and
+ *   unknown filters instead of rendering malformed tags as text (default false)
+ * @param {boolean} options.strictVariables - Throw an UndefinedVariableError when a
+ *   template uses an undefined variable, other than through the default filter (default false)
+ * @param {boolean|Object} options.sandbox - Limit each render to options.sandbox.limits (see
+ *   createRenderBudget), throwing a RenderLimitError when one is exceeded (default false).
+ *   Sandboxed engines always walk the expression tree, so codegen is ignored.
+ * @param {string|null} options.locale - Locale {% trans %} blocks are translated to, unless a
+ *   render names another one (default null, rendering the source text)
+ * @param {string} options.sourceLocale - Locale of the source text, whose plural rules choose
+ *   between the forms of untranslated messages (default 'en')
  * @returns {Object} A template engine object
  */
-const createTemplateEngine = () => {
-  const parser = createTemplateParser();
+const createTemplateEngine = (options = {}) => {
+  const filters = new Map(defaultFilters);
+  const autoescape = normalizeAutoescape(options.autoescape);
+  const loader = options.loader ?? null;
+  const strictVariables = options.strictVariables ?? false;
+  const locale = options.locale ?? null;
+  const translations = new Map();
+  const sandbox = options.sandbox ? { ...DEFAULT_LIMITS, ...options.sandbox.limits } : null;
+  const parser = createTemplateParser({ filters, autoescape, strict: options.strict ?? false });
+  const cache = createLRUCache(options.cacheSize ?? 100);
+  const compiler = options.codegen && !sandbox ? createTemplateCompiler({ filters }) : null;
+
+  /**
+   * Parse a template source, compiling it when codegen is enabled, through the cache
+   * @param {string} source - The template source
+   * @param {string|null} name - The template name, for error messages
+   * @returns {Object} The parsed (or compiled) template
+   */
+  const loadExpression = (source, name = null) => {
+    let expression = cache.get(source);
+
+    if (!expression) {
+      expression = parser.parse(source, name);
+      if (compiler) expression = compiler.compile(expression);
+      cache.set(source, expression);
+    }
+
+    return expression;
+  };
+
+  /**
+   * Create the render context: a new scope over the data, carrying the render-time state
+   * @param {Object} data - The data to use for rendering
+   * @param {string[]} stack - Names of the templates being rendered, for cycle detection
+   * @param {Object} renderOptions - Render options, see render
+   * @returns {Object} The render context
+   */
+  const createContext = (data, stack, renderOptions = {}) => {
+    const context = Object.create(data);
+    context[RUNTIME] = {
+      engine,
+      blocks: new Map(),
+      stack,
+      strictVariables,
+      budget: sandbox ? createRenderBudget(sandbox) : null,
+      locale: renderOptions.locale ?? locale,
+    };
+
+    return context;
+  };
+
+  /**
+   * Interpret a parsed template in a new scope over the data, carrying the render-time state
+   * @param {Object} expression - The parsed template
+   * @param {Object} data - The data to use for rendering
+   * @param {string[]} stack - Names of the templates being rendered, for cycle detection
+   * @param {Object} renderOptions - Render options, see render
+   * @returns {string} The rendered template
+   */
+  const interpretTemplate = (expression, data, stack, renderOptions = {}) =>
+    expression.interpret(createContext(data, stack, renderOptions));
+
+  /**
+   * Stream a parsed template like interpretTemplate, joining output into chunks
+   * @param {Object} expression - The parsed template
+   * @param {Object} data - The data to use for rendering
+   * @param {string[]} stack - Names of the templates being rendered, for cycle detection
+   * @param {Object} streamOptions - Render and stream options, see renderStream
+   * @returns {AsyncGenerator<string>} The output chunks
+   */
+  async function* streamTemplate(expression, data, stack, streamOptions = {}) {
+    const chunkSize = streamOptions.chunkSize ?? 16384;
+    let buffer = '';
+
+    for await (const chunk of streamNode(expression, createContext(data, stack, streamOptions))) {
+      buffer += chunk;
+      if (buffer && buffer.length >= chunkSize) {
+        yield buffer;
+        buffer = '';
+      }
+    }
+
+    if (buffer) yield buffer;
+  }
+
+  const engine = {
+    cache,
+    translations,
+    sourceLocale: options.sourceLocale ?? 'en',
+
+    /**
+     * Register a filter usable as {{ value | name(arg1, arg2) }}
+     * @param {string} name - The filter name
+     * @param {Function} fn - Called as fn(value, ...args), returns the filtered value
+     * @returns {Object} The engine (for chaining)
+     */
+    registerFilter: (name, fn) => {
+      if (typeof fn !== 'function') {
+        throw new Error(`Filter "${name}" must be a function`);
+      }
+
+      filters.set(name, fn);
+      return engine;
+    },
+
+    /**
+     * Register translations for {% trans %} blocks, merged into those of the locale
+     * @param {string} messagesLocale - The locale, e.g. 'fr' or 'pt-BR'; regional locales
+     *   fall back to the translations of their language
+     * @param {Object} messages - Translations keyed by message id ('Hello {name}'), each an
+     *   ICU-style message or, for plural messages, forms by plural category ({ one, other })
+     * @returns {Object} The engine (for chaining)
+     */
+    addTranslations: (messagesLocale, messages) => {
+      translations.set(messagesLocale, { ...translations.get(messagesLocale), ...messages });
+      return engine;
+    },
 
-  return {
     /**
      * Render a template with the given data
      * @param {string} template - The template string to render
      * @param {Object} data - The data to use for rendering
+     * @param {Object} renderOptions - Render options
+     * @param {string} renderOptions.locale - Locale to translate {% trans %} blocks to,
+     *   instead of the engine's
+     * @returns {string} The rendered template
+     */
+    render: (template, data = {}, renderOptions = {}) =>
+      engine.compile(template)(data, renderOptions),
+
+    /**
+     * Compile a template to a reusable render function
+     * @param {string} template - The template string
+     * @returns {Function} Called as render(data, renderOptions), returns the rendered template
+     */
+    compile: (template) => {
+      const expression = loadExpression(template);
+      return (data = {}, renderOptions = {}) =>
+        interpretTemplate(expression, data, [], renderOptions);
+    },
+
+    /**
+     * Load and parse a template by name
+     * @param {string} name - The template name
+     * @returns {Object} The parsed template
+     */
+    getTemplate: (name) => {
+      if (!loader) {
+        throw new Error(`Cannot load template "${name}": no template loader configured`);
+      }
+
+      const source = loader.load(name);
+      if (source === null || source === undefined) {
+        throw new Error(`Template not found: "${name}"`);
+      }
+
+      return loadExpression(source, name);
+    },
+
+    /**
+     * Render a template from the loader with the given data
+     * @param {string} name - The template name
+     * @param {Object} data - The data to use for rendering
+     * @param {Object} renderOptions - Render options, see render
      * @returns {string} The rendered template
      */
-    render: (template, data = {}) => {
-      const expression = parser.parse(template);
-      return expression.interpret(data);
+    renderTemplate: (name, data = {}, renderOptions = {}) =>
+      interpretTemplate(engine.getTemplate(name), data, [name], renderOptions),
+
+    /**
+     * Render a template with data that may hold promises and async iterables, which are
+     * awaited as the template reaches them. Filters may return promises too.
+     * @param {string} template - The template string to render
+     * @param {Object} data - The data to use for rendering
+     * @param {Object} renderOptions - Render options, see render
+     * @returns {Promise<string>} The rendered template
+     */
+    renderAsync: async (template, data = {}, renderOptions = {}) => {
+      let output = '';
+      const streamOptions = { ...renderOptions, chunkSize: Infinity };
+
+      for await (const chunk of engine.renderStream(template, data, streamOptions)) {
+        output += chunk;
+      }
+      return output;
+    },
+
+    /**
+     * Render a template as a stream of output chunks, awaiting data like renderAsync, so
+     * large output can be sent as it is produced
+     * @param {string} template - The template string to render
+     * @param {Object} data - The data to use for rendering
+     * @param {Object} streamOptions - Render and stream options
+     * @param {string} streamOptions.locale - Locale to translate {% trans %} blocks to, see
+     *   render
+     * @param {number} streamOptions.chunkSize - Output is buffered up to chunks of this length
+     *   (default 16384, 0 yields every piece of output as soon as it is rendered)
+     * @param {boolean} streamOptions.readable - Return a web ReadableStream instead of an
+     *   async iterator (default false)
+     * @returns {AsyncGenerator<string>|ReadableStream<string>} The output chunks
+     */
+    renderStream: (template, data = {}, streamOptions = {}) => {
+      const chunks = streamTemplate(loadExpression(template), data, [], streamOptions);
+      return streamOptions.readable ? toReadableStream(chunks) : chunks;
     },
   };
+
+  return engine;
 };
 
 export {
@@ -385,8 +2497,33 @@ export {
   createConditionalExpression,
   createLoopExpression,
   createCompositeExpression,
+  createBlockExpression,
+  createExtendsExpression,
+  createIncludeExpression,
+  createSetExpression,
+  createMacroExpression,
+  createTransExpression,
+
+  // Expression language functions
+  parseExpression,
+  createExpressionEvaluator,
+  createAsyncExpressionEvaluator,
 
-  // Parser and engine factory functions
+  // Parser, compiler, loader and engine factory functions
   createTemplateParser,
+  createTemplateCompiler,
+  createLRUCache,
+  createMemoryLoader,
+  createDirectoryLoader,
   createTemplateEngine,
+  createRenderBudget,
+
+  // Static analysis
+  analyzeTemplate,
+  validateTemplate,
+
+  // Errors
+  TemplateSyntaxError,
+  UndefinedVariableError,
+  RenderLimitError,
 };
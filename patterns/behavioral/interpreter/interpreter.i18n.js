@@ -0,0 +1,283 @@
+/**
+ * Translation of {% trans %} blocks: message catalogs, ICU-style message formatting and
+ * plural selection with Intl.PluralRules
+ * Shared by the class-based and functional implementations
+ */
+
+/**
+ * Parse the body of a {% trans %} block, or its {% plural %} form, into a message
+ * @param {string} source - The body: text, {{ name }} placeholders and {# comments #}
+ * @returns {Object} { id, parts, names }: the message id looked up in catalogs, with {name}
+ *   for each placeholder; the parts to render it untranslated (text, and { name } for
+ *   placeholders); the placeholder names
+ * @throws {Error} If the body holds other tags, or placeholders that are not simple names
+ */
+const parseMessage = (source) => {
+  const parts = [];
+  const tagPattern = /\{\{(-?)\s*([\s\S]*?)\s*(-?)\}\}|\{#[\s\S]*?#\}|\{%/g;
+  let pos = 0;
+  let trimNext = false;
+  let match;
+
+  const addText = (text) => {
+    const trimmed = trimNext ? text.trimStart() : text;
+    if (trimmed) parts.push(trimmed);
+  };
+
+  while ((match = tagPattern.exec(source))) {
+    const [tag, trimBefore, name, trimAfter] = match;
+
+    if (tag === '{%') {
+      throw new Error('{% trans %} blocks can only hold text and {{ name }} placeholders');
+    }
+
+    addText(source.substring(pos, match.index));
+    pos = match.index + tag.length;
+    trimNext = false;
+
+    // Comments are left out of the message
+    if (name === undefined) continue;
+
+    if (!/^[A-Za-z_]\w*$/.test(name)) {
+      throw new Error(
+        `Placeholders in {% trans %} must be names, bind "${name}" to one in the tag ` +
+          `({% trans name=${name} %})`
+      );
+    }
+    if (trimBefore && typeof parts.at(-1) === 'string') {
+      parts.push(parts.pop().trimEnd());
+    }
+
+    parts.push({ name });
+    trimNext = Boolean(trimAfter);
+  }
+  addText(source.substring(pos));
+
+  return {
+    id: parts.map((part) => (typeof part === 'string' ? part : `{${part.name}}`)).join(''),
+    parts,
+    names: [...new Set(parts.filter((part) => typeof part !== 'string').map(({ name }) => name))],
+  };
+};
+
+/**
+ * Parse an ICU-style message into text and arguments. Supports {name}, {name, number},
+ * {name, plural, =0 {...} one {...} other {...}} and {name, select, a {...} other {...}}, with
+ * # standing for the number inside plural forms. Apostrophes quote literal braces ('{') and
+ * a doubled apostrophe ('') is a literal one.
+ * @param {string} message - The message
+ * @param {boolean} inPlural - Whether the message is a plural form, where # stands for the
+ *   number
+ * @returns {Array} Text strings and argument nodes: { type: 'argument', name, format },
+ *   { type: 'plural' | 'select', name, options: Map<selector, Array> } and { type: 'number' }
+ */
+const parseIcuMessage = (message, inPlural = false) => {
+  let pos = 0;
+
+  const fail = (reason) => {
+    throw new Error(`${reason} at position ${pos} of message "${message}"`);
+  };
+
+  const skipSpace = () => {
+    while (/\s/.test(message[pos] ?? '')) pos++;
+  };
+
+  const readWord = (pattern) => {
+    skipSpace();
+    const word = message.slice(pos).match(pattern)?.[0];
+    if (!word) fail('Expected a name');
+    pos += word.length;
+    skipSpace();
+    return word;
+  };
+
+  const expect = (char) => {
+    skipSpace();
+    if (message[pos] !== char) fail(`Expected "${char}"`);
+    pos++;
+  };
+
+  // Parse text and arguments up to a closing brace (or the end of the message)
+  const parseNodes = (inPlural) => {
+    const nodes = [];
+    let text = '';
+
+    while (pos < message.length && message[pos] !== '}') {
+      const char = message[pos];
+      const following = message[pos + 1];
+
+      if (char === "'" && following === "'") {
+        text += "'";
+        pos += 2;
+      } else if (char === "'" && (following === '{' || following === '}' || following === '#')) {
+        const end = message.indexOf("'", pos + 1);
+        text += message.substring(pos + 1, end === -1 ? message.length : end);
+        pos = end === -1 ? message.length : end + 1;
+      } else if (char === '{' || (char === '#' && inPlural)) {
+        if (text) nodes.push(text);
+        text = '';
+
+        if (char === '#') {
+          nodes.push({ type: 'number' });
+          pos++;
+        } else {
+          nodes.push(parseArgument(inPlural));
+        }
+      } else {
+        text += char;
+        pos++;
+      }
+    }
+
+    if (text) nodes.push(text);
+    return nodes;
+  };
+
+  const parseArgument = (inPlural) => {
+    pos++;
+    const name = readWord(/^[A-Za-z_]\w*/);
+
+    if (message[pos] === '}') {
+      pos++;
+      return { type: 'argument', name, format: null };
+    }
+
+    expect(',');
+    const format = readWord(/^\w+/);
+
+    if (format !== 'plural' && format !== 'select') {
+      expect('}');
+      return { type: 'argument', name, format };
+    }
+
+    expect(',');
+    const options = new Map();
+
+    while (message[pos] !== '}') {
+      if (pos >= message.length) fail(`Unclosed {${name}, ${format}} argument`);
+
+      const selector = readWord(/^(=\d+(\.\d+)?|[\w-]+)/);
+      expect('{');
+      options.set(selector, parseNodes(format === 'plural' || inPlural));
+      expect('}');
+      skipSpace();
+    }
+    pos++;
+
+    if (!options.has('other')) fail(`The {${name}, ${format}} argument needs an "other" form`);
+    return { type: format, name, options };
+  };
+
+  const nodes = parseNodes(inPlural);
+  if (pos < message.length) fail('Unexpected "}"');
+  return nodes;
+};
+
+/**
+ * Choose a plural form for a number
+ * @param {Map<string, *>} forms - Forms by exact value (=0) or plural category (one, other)
+ * @param {number} count - The number
+ * @param {string} locale - The locale whose plural rules apply
+ * @returns {*} The form for the exact value, else for the category, else the other form
+ */
+const selectPlural = (forms, count, locale) => {
+  const exact = `=${count}`;
+  if (forms.has(exact)) return forms.get(exact);
+
+  return forms.get(new Intl.PluralRules(locale).select(Number(count))) ?? forms.get('other');
+};
+
+/**
+ * Format an ICU-style message, see parseIcuMessage for the syntax
+ * @param {string} message - The message
+ * @param {Function} valueOf - Gets the value of an argument by name
+ * @param {Object} options - Formatting options
+ * @param {string} options.locale - The locale for plural rules and numbers
+ * @param {Function} options.output - Turns argument values into output (escaping them)
+ * @param {number} options.count - The number, for messages that are plural forms themselves,
+ *   where # stands for it
+ * @returns {string} The formatted message
+ */
+const formatMessage = (message, valueOf, options = {}) => {
+  const { locale, output = String, count } = options;
+  const formatNumber = (value) => new Intl.NumberFormat(locale).format(value);
+
+  const format = (nodes, number) =>
+    nodes
+      .map((node) => {
+        if (typeof node === 'string') return node;
+        if (node.type === 'number') return output(formatNumber(number));
+
+        const value = valueOf(node.name);
+
+        switch (node.type) {
+          case 'plural':
+            return format(selectPlural(node.options, value, locale), value);
+          case 'select':
+            return format(node.options.get(String(value)) ?? node.options.get('other'), number);
+          default:
+            return output(node.format === 'number' ? formatNumber(value) : value);
+        }
+      })
+      .join('');
+
+  return format(parseIcuMessage(message, count !== undefined), count);
+};
+
+/**
+ * Find the translation of a message, in the catalog of the locale or else of its language
+ * (pt-BR, then pt)
+ * @param {Map<string, Object>} catalogs - Messages by locale, keyed by message id
+ * @param {string|null} locale - The locale
+ * @param {string} id - The message id
+ * @returns {string|Object|undefined} The translation: an ICU-style message, or plural forms
+ *   by category; undefined if there is none
+ */
+const findTranslation = (catalogs, locale, id) => {
+  if (!catalogs || !locale) return undefined;
+
+  for (const candidate of new Set([locale, locale.split('-')[0]])) {
+    const catalog = catalogs.get(candidate);
+    if (catalog && Object.hasOwn(catalog, id)) return catalog[id];
+  }
+  return undefined;
+};
+
+/**
+ * Render a {% trans %} message, translated if the catalogs have it, else in the source text.
+ * Plural messages are keyed by their singular id, and choose their form by the count value.
+ * @param {Object} message - The message
+ * @param {Object} message.singular - The singular form, as parsed by parseMessage
+ * @param {Object|null} message.plural - The plural form, as parsed by parseMessage
+ * @param {Function} valueOf - Gets the value of a placeholder by name
+ * @param {Object} options - Rendering options
+ * @param {Map<string, Object>} options.catalogs - Messages by locale
+ * @param {string|null} options.locale - The locale to render in
+ * @param {string} options.sourceLocale - The locale of the source text (default 'en')
+ * @param {Function} options.output - Turns placeholder values into output (escaping them)
+ * @returns {string} The rendered message
+ */
+const renderMessage = ({ singular, plural }, valueOf, options) => {
+  const { catalogs, locale, sourceLocale = 'en', output = String } = options;
+  const count = plural ? valueOf('count') : undefined;
+  const translation = findTranslation(catalogs, locale, singular.id);
+
+  if (translation !== undefined) {
+    const text =
+      translation !== null && typeof translation === 'object'
+        ? selectPlural(new Map(Object.entries(translation)), count, locale)
+        : translation;
+
+    return formatMessage(String(text ?? ''), valueOf, { locale, output, count });
+  }
+
+  const source =
+    plural && new Intl.PluralRules(sourceLocale).select(Number(count)) !== 'one'
+      ? plural
+      : singular;
+  return source.parts
+    .map((part) => (typeof part === 'string' ? part : output(valueOf(part.name))))
+    .join('');
+};
+
+export { parseMessage, formatMessage, findTranslation, renderMessage };
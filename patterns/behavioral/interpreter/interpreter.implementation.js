@@ -3,11 +3,188 @@
  * Class-based implementation using the Interpreter Pattern
  */
 
+import fs from 'node:fs';
+import path from 'node:path';
+
+import { analyzeTemplate, validateTemplate } from './interpreter.analysis.js';
+import {
+  RenderLimitError,
+  TemplateSyntaxError,
+  UndefinedVariableError,
+} from './interpreter.errors.js';
+import { builtinFilters, warnUnknownFilter } from './interpreter.filters.js';
+import { parseMessage, renderMessage } from './interpreter.i18n.js';
+import {
+  INITIAL_HTML_STATE,
+  advanceHtmlState,
+  escapeForContext,
+  getEscapeContext,
+  markSafe,
+  normalizeAutoescape,
+  stripTemplateTags,
+} from './interpreter.escaping.js';
+
+const defaultFilters = new Map(Object.entries(builtinFilters));
+
+// Render-time state (engine, block overrides, template stack, strictness, sandbox budget,
+// locale), carried on the context under a symbol so it never clashes with template data
+const RUNTIME = Symbol('runtime');
+
+// Properties templates may not read, as they lead to constructors and prototypes
+const BLOCKED_PROPERTIES = new Set(['__proto__', 'constructor', 'prototype']);
+
+// Whether templates may assign a name with {% set %}, a loop or a macro. The blocked properties
+// are left out, as assigning __proto__ would replace the prototype of the scope.
+const isAssignableName = (name) => /^[A-Za-z_]\w*$/.test(name) && !BLOCKED_PROPERTIES.has(name);
+
+/**
+ * Resolve a dotted variable path (user.name, etc.) against a context
+ * @param {Object} context - The data to look the path up in
+ * @param {string} path - The variable path
+ * @returns {*} The resolved value, or undefined if any part is missing or blocked
+ */
+function resolvePath(context, path) {
+  let value = context;
+
+  for (const part of path.split('.')) {
+    if (value === undefined || value === null || BLOCKED_PROPERTIES.has(part)) {
+      return undefined;
+    }
+    value = value[part];
+  }
+
+  return value;
+}
+
+/**
+ * Resolve a variable path, throwing if it is undefined and the render is strict about variables
+ * @param {Object} context - The render context
+ * @param {string} path - The variable path
+ * @returns {*} The resolved value
+ * @throws {UndefinedVariableError} In strict variables mode, if the value is undefined
+ */
+function lookupVariable(context, path) {
+  const value = resolvePath(context, path);
+
+  if (value === undefined && context[RUNTIME]?.strictVariables) {
+    throw new UndefinedVariableError(path);
+  }
+  return value;
+}
+
+/**
+ * Resolve a dotted variable path like resolvePath, awaiting each part that is a promise
+ * @param {Object} context - The data to look the path up in
+ * @param {string} path - The variable path
+ * @returns {Promise<*>} The resolved value, or undefined if any part is missing or blocked
+ */
+async function resolvePathAsync(context, path) {
+  let value = context;
+
+  for (const part of path.split('.')) {
+    if (value === undefined || value === null || BLOCKED_PROPERTIES.has(part)) {
+      return undefined;
+    }
+    value = await value[part];
+  }
+
+  return value;
+}
+
+/**
+ * Resolve a variable path like lookupVariable, awaiting each part that is a promise
+ * @param {Object} context - The render context
+ * @param {string} path - The variable path
+ * @returns {Promise<*>} The resolved value
+ * @throws {UndefinedVariableError} In strict variables mode, if the value is undefined
+ */
+async function lookupVariableAsync(context, path) {
+  const value = await resolvePathAsync(context, path);
+
+  if (value === undefined && context[RUNTIME]?.strictVariables) {
+    throw new UndefinedVariableError(path);
+  }
+  return value;
+}
+
+/**
+ * Read a computed member (items[0], user[field]), unless its name is blocked
+ * @param {*} object - The object
+ * @param {*} property - The property name or index
+ * @returns {*} The member value, or undefined
+ */
+function member(object, property) {
+  if (object === undefined || object === null || BLOCKED_PROPERTIES.has(String(property))) {
+    return undefined;
+  }
+  return object[property];
+}
+
+/**
+ * Count output against the output limit of a sandboxed render
+ * @param {Object} context - The render context
+ * @param {*} output - The output
+ * @returns {*} The output
+ */
+function countOutput(context, output) {
+  context?.[RUNTIME]?.budget?.write(String(output).length);
+  return output;
+}
+
+/**
+ * Render one nesting level deeper (a loop, macro call or template), within the nesting depth
+ * limit of sandboxed renders
+ * @param {RenderBudget|null} budget - The budget of a sandboxed render, or null
+ * @param {Function} render - Renders the nested content
+ * @returns {*} The result of render
+ */
+function nested(budget, render) {
+  if (!budget) return render();
+
+  budget.enter();
+  try {
+    return render();
+  } finally {
+    budget.exit();
+  }
+}
+
 // Abstract Expression - Base class for all expressions
 class Expression {
   interpret(context) {
     throw new Error('Abstract method: Must be implemented by subclasses');
   }
+
+  /**
+   * Interpret the expression, awaiting promises found in the context. Expressions that never
+   * read the context asynchronously interpret as usual.
+   * @param {Object} context - The render context
+   * @returns {Promise<*>} The value
+   */
+  async interpretAsync(context) {
+    return this.interpret(context);
+  }
+
+  /**
+   * Render the expression as a sequence of output chunks, awaiting promises and async
+   * iterables found in the context
+   * @param {Object} context - The render context
+   * @returns {AsyncGenerator<string>} The output chunks
+   */
+  async *stream(context) {
+    yield toOutput(this.interpret(context));
+  }
+
+  /**
+   * Describe the expression as a node of the public AST, a tree of plain objects such as
+   * { type: 'variable', expression: { type: 'path', path: 'user.name' }, escape: null }.
+   * The functional implementation builds the same AST. Custom expressions are described
+   * by their class name.
+   * @returns {Object} The AST node
+   */
+  toJSON() {
+    return { type: this.constructor.name };
+  }
 }
 
 // Terminal Expression for Text content
@@ -18,107 +195,256 @@ class TextExpression extends Expression {
   }
 
   interpret(context) {
-    return this.text;
+    return countOutput(context, this.text);
+  }
+
+  toJSON() {
+    return { type: 'text', text: this.text };
   }
 }
 
-// Terminal Expression for Variable substitution {{ variable }}
+// Terminal Expression for Variable substitution {{ expression | filter(arg) }}
 class VariableExpression extends Expression {
-  constructor(variableName) {
+  /**
+   * @param {string} variableName - The variable to substitute, or any expression language source
+   * @param {Object} options - Expression options
+   * @param {Map<string, Function>} options.filters - The filters available to the expression
+   * @param {string|null} options.escape - Output escaping context (html, attribute, url,
+   *   url-component), or null to output the value as is
+   */
+  constructor(variableName, options = {}) {
     super();
-    this.variableName = variableName.trim();
+    const filterRegistry = options.filters ?? defaultFilters;
+
+    this.expression = new ExpressionParser(variableName, { filters: filterRegistry }).parse();
+    this.escape = options.escape ?? null;
+
+    // Describe the expression as a variable piped through filters
+    let base = this.expression;
+    this.filters = [];
+    while (base instanceof FilterExpression) {
+      this.filters.unshift({ name: base.name, args: base.args });
+      base = base.input;
+    }
+    this.variableName = base instanceof LookupExpression ? base.path : variableName.trim();
   }
 
   interpret(context) {
-    // Handle nested properties (user.name, etc.)
-    if (this.variableName.includes('.')) {
-      const parts = this.variableName.split('.');
-      let value = context;
-
-      for (const part of parts) {
-        if (value === undefined || value === null) {
-          return '';
-        }
-        value = value[part];
-      }
+    const value = this.expression.interpret(context);
 
-      return value !== undefined ? value : '';
-    }
+    if (value === undefined) return '';
+    return countOutput(context, this.escape ? escapeForContext(value, this.escape) : value);
+  }
 
-    // Handle simple variables
-    return context[this.variableName] !== undefined ? context[this.variableName] : '';
+  async *stream(context) {
+    const value = await this.expression.interpretAsync(context);
+    yield countOutput(context, toOutput(value, this.escape));
+  }
+
+  toJSON() {
+    return { type: 'variable', expression: this.expression.toJSON(), escape: this.escape };
   }
 }
 
 // Non-terminal Expression for Conditional blocks {% if condition %}...{% else %}...{% endif %}
 class ConditionalExpression extends Expression {
-  constructor(condition, trueExpression, falseExpression = null) {
+  /**
+   * @param {string} condition - Condition in the expression language, e.g. user.age >= 18
+   * @param {Expression} trueExpression - The expression to interpret if the condition is true
+   * @param {Expression|null} falseExpression - The expression to interpret otherwise
+   * @param {Object} options - Expression options
+   * @param {Map<string, Function>} options.filters - The filters available to the condition
+   */
+  constructor(condition, trueExpression, falseExpression = null, options = {}) {
     super();
     this.condition = condition.trim();
+    this.test = new ExpressionParser(this.condition, { filters: options.filters }).parse();
     this.trueExpression = trueExpression;
     this.falseExpression = falseExpression;
   }
 
   interpret(context) {
-    // Simple condition evaluation (truthy/falsy check on variable)
-    let conditionResult = false;
-
-    // Handle nested properties (user.isAdmin, etc.)
-    if (this.condition.includes('.')) {
-      const parts = this.condition.split('.');
-      let value = context;
-
-      for (const part of parts) {
-        if (value === undefined || value === null) {
-          value = undefined;
-          break;
-        }
-        value = value[part];
-      }
-
-      conditionResult = !!value;
-    } else {
-      // Simple variable check
-      conditionResult = !!context[this.condition];
-    }
-
     // Return the appropriate branch based on condition result
-    if (conditionResult) {
+    if (this.test.interpret(context)) {
       return this.trueExpression.interpret(context);
     } else if (this.falseExpression) {
       return this.falseExpression.interpret(context);
     }
     return '';
   }
+
+  async *stream(context) {
+    if (await this.test.interpretAsync(context)) {
+      yield* this.trueExpression.stream(context);
+    } else if (this.falseExpression) {
+      yield* this.falseExpression.stream(context);
+    }
+  }
+
+  toJSON() {
+    return {
+      type: 'conditional',
+      test: this.test.toJSON(),
+      trueExpression: this.trueExpression.toJSON(),
+      falseExpression: this.falseExpression?.toJSON() ?? null,
+    };
+  }
+}
+
+/**
+ * Turn a loop collection into the list of items to iterate
+ * @param {*} collection - An array, Map, Set or other iterable, or a plain object
+ * @param {boolean} unpack - Whether the loop unpacks items into several names (for k, v in obj)
+ * @returns {Array} The items; plain objects give their entries when unpacking, else their keys
+ */
+function toLoopItems(collection, unpack) {
+  if (collection === undefined || collection === null || typeof collection === 'string') {
+    return [];
+  }
+  if (typeof collection[Symbol.iterator] === 'function') return Array.from(collection);
+  if (typeof collection === 'object') {
+    return unpack ? Object.entries(collection) : Object.keys(collection);
+  }
+  return [];
+}
+
+/**
+ * Iterate a loop collection, which may also be an async iterable (rows from a cursor, etc.).
+ * Async items are read one ahead so the last one is known; their count is not.
+ * @param {*} collection - An async iterable, or any collection accepted by toLoopItems
+ * @param {boolean} unpack - Whether the loop unpacks items into several names
+ * @returns {AsyncGenerator<Object>} { item, index, length, last } for each item
+ */
+async function* iterateLoopItems(collection, unpack) {
+  if (typeof collection?.[Symbol.asyncIterator] !== 'function') {
+    const items = toLoopItems(collection, unpack);
+    for (const [index, item] of items.entries()) {
+      yield { item, index, length: items.length, last: index === items.length - 1 };
+    }
+    return;
+  }
+
+  let index = 0;
+  let pending = null;
+
+  for await (const item of collection) {
+    if (pending) yield { item: pending.item, index: index++, length: undefined, last: false };
+    pending = { item };
+  }
+  if (pending) yield { item: pending.item, index, length: undefined, last: true };
 }
 
-// Non-terminal Expression for Loop blocks {% for item in items %}...{% endfor %}
+// Non-terminal Expression for Loop blocks {% for item in items %}...{% empty %}...{% endfor %}
 class LoopExpression extends Expression {
-  constructor(itemName, collectionName, loopBody) {
+  /**
+   * @param {string} itemName - The loop variable, or names to unpack items into ("key, value")
+   * @param {string} collectionName - The collection, in the expression language (order.items)
+   * @param {Expression} loopBody - The expression to interpret for each item
+   * @param {Expression|null} emptyBody - The expression to interpret if there are no items
+   * @param {Object} options - Expression options
+   * @param {Map<string, Function>} options.filters - The filters available to the collection
+   */
+  constructor(itemName, collectionName, loopBody, emptyBody = null, options = {}) {
     super();
     this.itemName = itemName.trim();
+    this.targets = this.itemName.split(',').map((name) => name.trim());
     this.collectionName = collectionName.trim();
+    this.collection = new ExpressionParser(this.collectionName, {
+      filters: options.filters,
+    }).parse();
     this.loopBody = loopBody;
+    this.emptyBody = emptyBody;
+
+    if (!this.targets.every(isAssignableName)) {
+      throw new Error(`Invalid loop variable: ${this.itemName}`);
+    }
   }
 
   interpret(context) {
-    const collection = context[this.collectionName] || [];
+    const unpack = this.targets.length > 1;
+    const items = toLoopItems(this.collection.interpret(context), unpack);
+
+    if (items.length === 0) {
+      return this.emptyBody ? this.emptyBody.interpret(context) : '';
+    }
 
-    if (!Array.isArray(collection)) {
-      return '';
+    return nested(context[RUNTIME]?.budget, () => {
+      let result = '';
+
+      items.forEach((item, index) => {
+        const last = index === items.length - 1;
+        const scope = this.createScope(context, item, index, items.length, last);
+        result += this.loopBody.interpret(scope);
+      });
+
+      return result;
+    });
+  }
+
+  async *stream(context) {
+    const collection = await this.collection.interpretAsync(context);
+    const budget = context[RUNTIME]?.budget;
+    let empty = true;
+
+    budget?.enter();
+    try {
+      for await (const { item, index, length, last } of iterateLoopItems(
+        collection,
+        this.targets.length > 1
+      )) {
+        empty = false;
+        yield* this.loopBody.stream(this.createScope(context, item, index, length, last));
+      }
+    } finally {
+      budget?.exit();
     }
 
-    let result = '';
+    if (empty && this.emptyBody) {
+      yield* this.emptyBody.stream(context);
+    }
+  }
 
-    // Create a new context for each iteration
-    for (const item of collection) {
-      const loopContext = { ...context };
-      loopContext[this.itemName] = item;
+  /**
+   * Create a new scope for an iteration, with the loop variables and loop metadata. Counts
+   * the iteration against the limit of sandboxed renders.
+   * @param {Object} context - The enclosing context
+   * @param {*} item - The current item
+   * @param {number} index - Zero-based index of the item
+   * @param {number|undefined} length - Number of items, undefined for async iterables
+   * @param {boolean} last - Whether this is the last item
+   * @returns {Object} The iteration scope
+   */
+  createScope(context, item, index, length, last) {
+    context[RUNTIME]?.budget?.iterate();
+    const loopContext = Object.create(context);
 
-      result += this.loopBody.interpret(loopContext);
+    if (this.targets.length > 1) {
+      this.targets.forEach((name, position) => (loopContext[name] = item?.[position]));
+    } else {
+      loopContext[this.targets[0]] = item;
     }
 
-    return result;
+    loopContext.loop = {
+      index: index + 1,
+      index0: index,
+      revindex: length === undefined ? undefined : length - index,
+      first: index === 0,
+      last,
+      length,
+      parent: context.loop,
+    };
+
+    return loopContext;
+  }
+
+  toJSON() {
+    return {
+      type: 'loop',
+      targets: this.targets,
+      collection: this.collection.toJSON(),
+      loopBody: this.loopBody.toJSON(),
+      emptyBody: this.emptyBody?.toJSON() ?? null,
+    };
   }
 }
 
@@ -133,225 +459,2331 @@ class CompositeExpression extends Expression {
     return this.expressions.map((expr) => expr.interpret(context)).join('');
   }
 
+  async *stream(context) {
+    for (const expression of this.expressions) {
+      yield* expression.stream(context);
+    }
+  }
+
   addExpression(expression) {
     this.expressions.push(expression);
   }
+
+  toJSON() {
+    return { type: 'composite', expressions: this.expressions.map((expr) => expr.toJSON()) };
+  }
 }
 
-// TemplateParser for building the syntax tree from template strings
-class TemplateParser {
-  parse(template) {
-    let pos = 0;
-    const result = new CompositeExpression();
+// Non-terminal Expression for overridable blocks {% block name %}...{% endblock %}
+class BlockExpression extends Expression {
+  constructor(name, body) {
+    super();
+    this.name = name;
+    this.body = body;
+  }
 
-    while (pos < template.length) {
-      // Find the next expression start
-      const variableStart = template.indexOf('{{', pos);
-      const blockStart = template.indexOf('{%', pos);
-
-      // No more expressions, add the rest as text
-      if (variableStart === -1 && blockStart === -1) {
-        if (pos < template.length) {
-          result.addExpression(new TextExpression(template.substring(pos)));
-        }
-        break;
-      }
+  interpret(context) {
+    // A template extending this one may override the block
+    const override = context[RUNTIME]?.blocks.get(this.name);
+    return (override ?? this).body.interpret(context);
+  }
 
-      // Determine which expression comes first
-      let expressionStart;
-      let isVariable = false;
+  async *stream(context) {
+    const override = context[RUNTIME]?.blocks.get(this.name);
+    yield* (override ?? this).body.stream(context);
+  }
 
-      if (variableStart !== -1 && (blockStart === -1 || variableStart < blockStart)) {
-        expressionStart = variableStart;
-        isVariable = true;
-      } else {
-        expressionStart = blockStart;
-        isVariable = false;
-      }
+  toJSON() {
+    return { type: 'block', name: this.name, body: this.body.toJSON() };
+  }
+}
 
-      // Add text before the expression
-      if (expressionStart > pos) {
-        result.addExpression(new TextExpression(template.substring(pos, expressionStart)));
-      }
+/**
+ * Load a template referenced by {% extends %} or {% include %}, guarding against cycles
+ * @param {Object} context - The current render context
+ * @param {string} name - The template name
+ * @param {string} tagName - The referencing tag, for error messages
+ * @returns {Object} The parsed template and a scope to render it in
+ */
+function enterTemplate(context, name, tagName) {
+  const runtime = context[RUNTIME];
 
-      // Handle the expression based on its type
-      if (isVariable) {
-        // Variable expression {{ variable }}
-        const variableEnd = template.indexOf('}}', expressionStart);
-        if (variableEnd === -1) {
-          result.addExpression(new TextExpression(template.substring(expressionStart)));
-          break;
-        }
+  if (!runtime) {
+    throw new Error(`{% ${tagName} %} needs a TemplateEngine with a loader to render`);
+  }
+  if (runtime.stack.includes(name)) {
+    throw new Error(`Circular ${tagName} detected: ${[...runtime.stack, name].join(' -> ')}`);
+  }
 
-        const variableName = template.substring(expressionStart + 2, variableEnd).trim();
-        result.addExpression(new VariableExpression(variableName));
+  const scope = Object.create(context);
+  scope[RUNTIME] = { ...runtime, stack: [...runtime.stack, name] };
 
-        pos = variableEnd + 2;
-      } else {
-        // Block expression {% ... %}
-        const blockEnd = template.indexOf('%}', expressionStart);
-        if (blockEnd === -1) {
-          result.addExpression(new TextExpression(template.substring(expressionStart)));
-          break;
-        }
+  return { template: runtime.engine.getTemplate(name), scope };
+}
 
-        const blockContent = template.substring(expressionStart + 2, blockEnd).trim();
+// Non-terminal Expression for template inheritance {% extends "base" %}
+class ExtendsExpression extends Expression {
+  /**
+   * @param {string} parentName - The parent template name, in the expression language
+   * @param {Map<string, BlockExpression>} blocks - The blocks defined by the extending template
+   * @param {Object} options - Expression options
+   * @param {Map<string, Function>} options.filters - The filters available to the name
+   */
+  constructor(parentName, blocks = new Map(), options = {}) {
+    super();
+    this.parentName = parentName.trim();
+    this.parent = new ExpressionParser(this.parentName, { filters: options.filters }).parse();
+    this.blocks = blocks;
+    // {% set %} and {% macro %} tags outside the blocks, run before rendering the parent
+    this.definitions = [];
+  }
 
-        if (blockContent.startsWith('if ')) {
-          // Conditional block {% if condition %}
-          const condition = blockContent.substring(3);
-          const ifBody = this.extractBlock(template, blockEnd + 2, 'if');
+  interpret(context) {
+    const { template, scope } = this.enter(context, this.parent.interpret(context));
 
-          if (!ifBody) {
-            // If we can't properly extract the if block, just add the text
-            result.addExpression(
-              new TextExpression(template.substring(expressionStart, blockEnd + 2))
-            );
-            pos = blockEnd + 2;
-            continue;
-          }
+    return nested(scope[RUNTIME].budget, () => {
+      this.definitions.forEach((definition) => definition.interpret(scope));
+      return template.interpret(scope);
+    });
+  }
 
-          const { content: trueContent, end: ifEnd, elseContent } = ifBody;
+  async *stream(context) {
+    const { template, scope } = this.enter(context, await this.parent.interpretAsync(context));
+    const { budget } = scope[RUNTIME];
 
-          const trueExpr = this.parse(trueContent);
-          const falseExpr = elseContent ? this.parse(elseContent) : null;
+    budget?.enter();
+    try {
+      for (const definition of this.definitions) {
+        yield* definition.stream(scope);
+      }
 
-          result.addExpression(new ConditionalExpression(condition, trueExpr, falseExpr));
+      yield* template.stream(scope);
+    } finally {
+      budget?.exit();
+    }
+  }
 
-          pos = ifEnd;
-        } else if (blockContent.startsWith('for ') && blockContent.includes(' in ')) {
-          // Loop block {% for item in items %}
-          const forParts = blockContent.substring(4).split(' in ');
-          if (forParts.length !== 2) {
-            // Invalid for loop syntax, treat as text
-            result.addExpression(
-              new TextExpression(template.substring(expressionStart, blockEnd + 2))
-            );
-            pos = blockEnd + 2;
-            continue;
-          }
+  /**
+   * Load the parent template, with a scope carrying the blocks this template overrides
+   * @param {Object} context - The current render context
+   * @param {string} name - The parent template name
+   * @returns {Object} The parsed parent template and a scope to render it in
+   */
+  enter(context, name) {
+    const entered = enterTemplate(context, name, 'extends');
+    const runtime = entered.scope[RUNTIME];
 
-          const itemName = forParts[0].trim();
-          const collectionName = forParts[1].trim();
+    // Blocks from more derived templates take precedence
+    runtime.blocks = new Map([...this.blocks, ...runtime.blocks]);
+    return entered;
+  }
 
-          const forBody = this.extractBlock(template, blockEnd + 2, 'for');
+  toJSON() {
+    return {
+      type: 'extends',
+      parent: this.parent.toJSON(),
+      blocks: [...this.blocks.values()].map((block) => block.toJSON()),
+      definitions: this.definitions.map((definition) => definition.toJSON()),
+    };
+  }
+}
 
-          if (!forBody) {
-            // If we can't properly extract the for block, just add the text
-            result.addExpression(
-              new TextExpression(template.substring(expressionStart, blockEnd + 2))
-            );
-            pos = blockEnd + 2;
-            continue;
-          }
+// Non-terminal Expression for partials {% include "header" %}, rendered with the current context
+class IncludeExpression extends Expression {
+  /**
+   * @param {string} templateName - The included template name, in the expression language
+   * @param {Object} options - Expression options
+   * @param {Map<string, Function>} options.filters - The filters available to the name
+   */
+  constructor(templateName, options = {}) {
+    super();
+    this.templateName = templateName.trim();
+    this.template = new ExpressionParser(this.templateName, { filters: options.filters }).parse();
+  }
 
-          const { content: loopContent, end: forEnd } = forBody;
-          const loopExpr = this.parse(loopContent);
+  interpret(context) {
+    const { template, scope } = this.enter(context, this.template.interpret(context));
+    return nested(scope[RUNTIME].budget, () => template.interpret(scope));
+  }
 
-          result.addExpression(new LoopExpression(itemName, collectionName, loopExpr));
+  async *stream(context) {
+    const { template, scope } = this.enter(context, await this.template.interpretAsync(context));
+    const { budget } = scope[RUNTIME];
 
-          pos = forEnd;
-        } else {
-          // Unrecognized block, treat as text
-          result.addExpression(
-            new TextExpression(template.substring(expressionStart, blockEnd + 2))
-          );
-          pos = blockEnd + 2;
-        }
-      }
+    budget?.enter();
+    try {
+      yield* template.stream(scope);
+    } finally {
+      budget?.exit();
     }
-
-    return result;
   }
 
   /**
-   * Extract a block of content from a template, handling proper nesting
-   * @param {string} template - The template string
-   * @param {number} startPos - The position to start extracting from
-   * @param {string} blockType - The type of block ('if' or 'for')
-   * @returns {Object|null} The extracted content and end position, or null if not found
+   * Load the included template, with a scope of its own for blocks
+   * @param {Object} context - The current render context
+   * @param {string} name - The included template name
+   * @returns {Object} The parsed template and a scope to render it in
    */
-  extractBlock(template, startPos, blockType) {
-    let pos = startPos;
-    let depth = 1; // We're already inside one block
-    let elsePos = -1;
+  enter(context, name) {
+    const entered = enterTemplate(context, name, 'include');
+    entered.scope[RUNTIME].blocks = new Map();
+    return entered;
+  }
 
-    const endTag = `{% end${blockType} %}`;
-    const startTag = `{% ${blockType}`;
-    const elseTag = '{% else %}';
+  toJSON() {
+    return { type: 'include', template: this.template.toJSON() };
+  }
+}
 
-    while (pos < template.length) {
-      const nextStartTag = template.indexOf(startTag, pos);
-      const nextEndTag = template.indexOf(endTag, pos);
-      const nextElseTag = blockType === 'if' ? template.indexOf(elseTag, pos) : -1;
+// Non-terminal Expression for assignments {% set name = expression %}. The variable is set in
+// the current scope, so assignments inside loops, macros and includes do not leak out of them.
+class SetExpression extends Expression {
+  /**
+   * @param {string} name - The variable to assign
+   * @param {string} valueSource - The value, in the expression language
+   * @param {Object} options - Expression options
+   * @param {Map<string, Function>} options.filters - The filters available to the value
+   */
+  constructor(name, valueSource, options = {}) {
+    super();
+    this.name = name.trim();
+    this.valueSource = valueSource.trim();
+    this.value = new ExpressionParser(this.valueSource, { filters: options.filters }).parse();
 
-      // Cannot find matching end tag
-      if (nextEndTag === -1) {
-        return null;
-      }
+    if (!isAssignableName(this.name)) {
+      throw new Error(`Invalid variable name: ${this.name}`);
+    }
+  }
 
-      // Check if we find an else tag at the current nesting level
-      if (
-        blockType === 'if' &&
-        nextElseTag !== -1 &&
-        depth === 1 &&
-        (nextStartTag === -1 || nextElseTag < nextStartTag) &&
-        (nextEndTag === -1 || nextElseTag < nextEndTag)
-      ) {
-        elsePos = nextElseTag;
-        pos = nextElseTag + 9; // 9 = length of "{% else %}"
-        continue;
-      }
+  interpret(context) {
+    context[this.name] = this.value.interpret(context);
+    return '';
+  }
 
-      // Check if we find another start tag before the end tag
-      if (nextStartTag !== -1 && nextStartTag < nextEndTag) {
-        depth++;
-        pos = nextStartTag + startTag.length;
-      } else {
-        depth--;
-        if (depth === 0) {
-          // We've found the matching end tag
-          const blockEndPos = nextEndTag + endTag.length;
-
-          if (elsePos !== -1) {
-            // If there's an else branch, extract both true and false content
-            return {
-              content: template.substring(startPos, elsePos),
-              elseContent: template.substring(elsePos + 9, nextEndTag),
-              end: blockEndPos,
-            };
-          } else {
-            // No else branch, just extract the content
-            return {
-              content: template.substring(startPos, nextEndTag),
-              end: blockEndPos,
-            };
-          }
-        }
-        pos = nextEndTag + endTag.length;
-      }
-    }
+  async *stream(context) {
+    context[this.name] = await this.value.interpretAsync(context);
+  }
 
-    // Could not find matching end tag
-    return null;
+  toJSON() {
+    return { type: 'set', name: this.name, value: this.value.toJSON() };
   }
 }
 
-// Template Engine - The interpreter client
-class TemplateEngine {
-  constructor() {
-    this.parser = new TemplateParser();
+// A macro defined by {% macro %}, bound to the scope it was defined in
+class Macro {
+  /**
+   * @param {MacroExpression} definition - The macro definition
+   * @param {Object} scope - The context the macro was defined in
+   */
+  constructor(definition, scope) {
+    this.name = definition.name;
+    this.definition = definition;
+    this.scope = scope;
+  }
+
+  /**
+   * Render the macro body with the given arguments
+   * @param {Array} args - Positional argument values
+   * @param {Map<string, *>} kwargs - Keyword argument values
+   * @returns {SafeString} The rendered body, marked safe as it was escaped when rendered
+   */
+  call(args = [], kwargs = new Map()) {
+    const { params, body } = this.definition;
+    const scope = this.createScope(kwargs);
+
+    // Defaults are evaluated when called, and may refer to earlier parameters
+    params.forEach((param, index) => {
+      if (index < args.length) scope[param.name] = args[index];
+      else if (kwargs.has(param.name)) scope[param.name] = kwargs.get(param.name);
+      else scope[param.name] = param.defaultValue?.interpret(scope);
+    });
+
+    const budget = scope[RUNTIME]?.budget;
+    const output = budget?.output;
+    try {
+      return markSafe(nested(budget, () => body.interpret(scope)));
+    } finally {
+      // The body is counted where the call is output, not also while rendering it
+      if (budget) budget.output = output;
+    }
+  }
+
+  /**
+   * Render the macro body like call(), awaiting promises in default values and the body
+   * @param {Array} args - Positional argument values
+   * @param {Map<string, *>} kwargs - Keyword argument values
+   * @returns {Promise<SafeString>} The rendered body
+   */
+  async callAsync(args = [], kwargs = new Map()) {
+    const { params, body } = this.definition;
+    const scope = this.createScope(kwargs);
+
+    for (const [index, param] of params.entries()) {
+      if (index < args.length) scope[param.name] = args[index];
+      else if (kwargs.has(param.name)) scope[param.name] = kwargs.get(param.name);
+      else scope[param.name] = await param.defaultValue?.interpretAsync(scope);
+    }
+
+    const budget = scope[RUNTIME]?.budget;
+    const counted = budget?.output;
+    let output = '';
+
+    budget?.enter();
+    try {
+      for await (const chunk of body.stream(scope)) {
+        output += chunk;
+      }
+    } finally {
+      budget?.exit();
+      if (budget) budget.output = counted;
+    }
+    return markSafe(output);
+  }
+
+  /**
+   * Create the scope of a call, checking the keyword arguments name parameters
+   * @param {Map<string, *>} kwargs - Keyword argument values
+   * @returns {Object} A new scope over the definition scope
+   */
+  createScope(kwargs) {
+    for (const name of kwargs.keys()) {
+      if (!this.definition.params.some((param) => param.name === name)) {
+        throw new Error(`Macro "${this.name}" has no parameter "${name}"`);
+      }
+    }
+
+    return Object.create(this.scope);
+  }
+}
+
+// Non-terminal Expression for macro definitions {% macro name(param, other="default") %}
+class MacroExpression extends Expression {
+  /**
+   * @param {string} signature - The macro name and parameters, e.g. button(label, href="#")
+   * @param {Expression} body - The macro body
+   * @param {Object} options - Expression options
+   * @param {Map<string, Function>} options.filters - The filters available to default values
+   */
+  constructor(signature, body, options = {}) {
+    super();
+    this.signature = signature.trim();
+    this.body = body;
+
+    // The signature reads like a call, with parameter names in place of positional arguments
+    const call = new ExpressionParser(this.signature, { filters: options.filters }).parse();
+    const isName = (expression) =>
+      expression instanceof LookupExpression && !expression.path.includes('.');
+
+    if (!(call instanceof CallExpression) || !isName(call.callee) || !call.args.every(isName)) {
+      throw new Error(`Invalid macro signature: ${this.signature}`);
+    }
+
+    this.name = call.callee.path;
+    this.params = [
+      ...call.args.map((arg) => ({ name: arg.path, defaultValue: null })),
+      ...call.kwargs.map(({ name, value }) => ({ name, defaultValue: value })),
+    ];
+
+    if (![this.name, ...this.params.map(({ name }) => name)].every(isAssignableName)) {
+      throw new Error(`Invalid macro signature: ${this.signature}`);
+    }
+  }
+
+  interpret(context) {
+    context[this.name] = new Macro(this, context);
+    return '';
+  }
+
+  async *stream(context) {
+    this.interpret(context);
+  }
+
+  toJSON() {
+    return {
+      type: 'macro',
+      name: this.name,
+      params: this.params.map(({ name, defaultValue }) => ({
+        name,
+        defaultValue: defaultValue?.toJSON() ?? null,
+      })),
+      body: this.body.toJSON(),
+    };
+  }
+}
+
+// Terminal Expression for translatable text {% trans %}...{% plural %}...{% endtrans %}
+class TransExpression extends Expression {
+  /**
+   * @param {string} bindings - Values bound to placeholder names, e.g. count=cart.items | length
+   * @param {string} singular - The message: text with {{ name }} placeholders
+   * @param {string|null} plural - The plural form, used when count is not one, or null
+   * @param {Object} options - Expression options
+   * @param {Map<string, Function>} options.filters - The filters available to the bindings
+   * @param {string|null} options.escape - Output escaping context for placeholder values
+   */
+  constructor(bindings, singular, plural = null, options = {}) {
+    super();
+    this.bindings = new ExpressionParser(bindings, { filters: options.filters }).parseBindings();
+    this.singular = parseMessage(singular);
+    this.plural = plural === null ? null : parseMessage(plural);
+    this.escape = options.escape ?? null;
+  }
+
+  // The names the message reads: its placeholders, and count for plural messages
+  get names() {
+    const names = [...this.singular.names, ...(this.plural?.names ?? [])];
+    return [...new Set(this.plural ? [...names, 'count'] : names)];
+  }
+
+  interpret(context) {
+    const values = new Map(
+      this.bindings.map(({ name, value }) => [name, value.interpret(context)])
+    );
+    return countOutput(context, this.render(context, values));
+  }
+
+  async *stream(context) {
+    const values = new Map();
+
+    for (const { name, value } of this.bindings) {
+      values.set(name, await value.interpretAsync(context));
+    }
+    for (const name of this.names) {
+      if (!values.has(name)) values.set(name, await lookupVariableAsync(context, name));
+    }
+
+    yield countOutput(context, this.render(context, values));
+  }
+
+  /**
+   * Render the message in the locale of the render
+   * @param {Object} context - The render context
+   * @param {Map<string, *>} values - Values of the bound names
+   * @returns {string} The translated message, or the source text if it has no translation
+   */
+  render(context, values) {
+    const runtime = context[RUNTIME];
+    const valueOf = (name) => (values.has(name) ? values.get(name) : lookupVariable(context, name));
+
+    return renderMessage(this, valueOf, {
+      catalogs: runtime?.engine.translations,
+      locale: runtime?.locale,
+      sourceLocale: runtime?.engine.sourceLocale,
+      output: (value) => toOutput(value, this.escape),
+    });
+  }
+
+  toJSON() {
+    return {
+      type: 'trans',
+      bindings: this.bindings.map(({ name, value }) => ({ name, value: value.toJSON() })),
+      singular: this.singular.id,
+      plural: this.plural?.id ?? null,
+      names: this.names,
+    };
+  }
+}
+
+// Terminal Expression for literals in the expression language ("text", 42, true, null)
+class LiteralExpression extends Expression {
+  constructor(value) {
+    super();
+    this.value = value;
+  }
+
+  interpret(context) {
+    return this.value;
+  }
+
+  toJSON() {
+    return { type: 'literal', value: this.value };
+  }
+}
+
+// Terminal Expression for variable lookups in the expression language (user.name)
+class LookupExpression extends Expression {
+  constructor(path) {
+    super();
+    this.path = path;
+  }
+
+  interpret(context) {
+    return lookupVariable(context, this.path);
+  }
+
+  interpretAsync(context) {
+    return lookupVariableAsync(context, this.path);
+  }
+
+  toJSON() {
+    return { type: 'path', path: this.path };
+  }
+}
+
+// Non-terminal Expression for computed member access (items[0], user[field])
+class MemberExpression extends Expression {
+  constructor(object, property) {
+    super();
+    this.object = object;
+    this.property = property;
+  }
+
+  interpret(context) {
+    const object = this.object.interpret(context);
+    if (object === undefined || object === null) return undefined;
+
+    return member(object, this.property.interpret(context));
+  }
+
+  async interpretAsync(context) {
+    const object = await this.object.interpretAsync(context);
+    if (object === undefined || object === null) return undefined;
+
+    return member(object, await this.property.interpretAsync(context));
+  }
+
+  toJSON() {
+    return { type: 'member', object: this.object.toJSON(), property: this.property.toJSON() };
+  }
+}
+
+// Non-terminal Expression for list literals (["admin", "editor"])
+class ListExpression extends Expression {
+  constructor(items = []) {
+    super();
+    this.items = items;
+  }
+
+  interpret(context) {
+    return this.items.map((item) => item.interpret(context));
+  }
+
+  async interpretAsync(context) {
+    const items = [];
+    for (const item of this.items) {
+      items.push(await item.interpretAsync(context));
+    }
+    return items;
+  }
+
+  toJSON() {
+    return { type: 'list', items: this.items.map((item) => item.toJSON()) };
+  }
+}
+
+// Non-terminal Expression for unary operators (not, -)
+class UnaryExpression extends Expression {
+  constructor(operator, operand) {
+    super();
+    this.operator = operator;
+    this.operand = operand;
+  }
+
+  interpret(context) {
+    const value = this.operand.interpret(context);
+    return this.operator === 'not' ? !value : -value;
+  }
+
+  async interpretAsync(context) {
+    const value = await this.operand.interpretAsync(context);
+    return this.operator === 'not' ? !value : -value;
+  }
+
+  toJSON() {
+    return { type: 'unary', operator: this.operator, operand: this.operand.toJSON() };
+  }
+}
+
+/**
+ * Check whether a collection contains a value (strings, arrays, Sets, Maps and object keys)
+ * @param {*} value - The value to look for
+ * @param {*} collection - The collection to search
+ * @returns {boolean} True if the value is a member of the collection
+ */
+function isMember(value, collection) {
+  if (collection === undefined || collection === null) return false;
+  if (typeof collection === 'string') return collection.includes(String(value));
+  if (Array.isArray(collection)) return collection.includes(value);
+  if (collection instanceof Set || collection instanceof Map) return collection.has(value);
+  if (typeof collection === 'object') return Object.hasOwn(collection, value);
+  return false;
+}
+
+// Non-terminal Expression for binary operators (and, or, comparisons, in)
+class BinaryExpression extends Expression {
+  constructor(operator, left, right) {
+    super();
+    this.operator = operator;
+    this.left = left;
+    this.right = right;
+  }
+
+  interpret(context) {
+    const left = this.left.interpret(context);
+
+    // Logical operators short-circuit and return one of their operands
+    if (this.operator === 'and') return left ? this.right.interpret(context) : left;
+    if (this.operator === 'or') return left ? left : this.right.interpret(context);
+
+    return this.apply(left, this.right.interpret(context));
+  }
+
+  async interpretAsync(context) {
+    const left = await this.left.interpretAsync(context);
+
+    if (this.operator === 'and') return left ? this.right.interpretAsync(context) : left;
+    if (this.operator === 'or') return left ? left : this.right.interpretAsync(context);
+
+    return this.apply(left, await this.right.interpretAsync(context));
+  }
+
+  /**
+   * Apply a comparison or membership operator to evaluated operands
+   * @param {*} left - The left operand
+   * @param {*} right - The right operand
+   * @returns {boolean} The result
+   */
+  apply(left, right) {
+    switch (this.operator) {
+      case '==':
+        return left === right;
+      case '!=':
+        return left !== right;
+      case '<':
+        return left < right;
+      case '<=':
+        return left <= right;
+      case '>':
+        return left > right;
+      case '>=':
+        return left >= right;
+      case 'in':
+        return isMember(left, right);
+      case 'not in':
+        return !isMember(left, right);
+      default:
+        throw new Error(`Unknown operator: ${this.operator}`);
+    }
+  }
+
+  toJSON() {
+    return {
+      type: 'binary',
+      operator: this.operator,
+      left: this.left.toJSON(),
+      right: this.right.toJSON(),
+    };
+  }
+}
+
+// Non-terminal Expression for filter application (value | name(arg1, arg2))
+class FilterExpression extends Expression {
+  constructor(input, name, args = [], filterRegistry = defaultFilters) {
+    super();
+    this.input = input;
+    this.name = name;
+    this.args = args;
+    this.filterRegistry = filterRegistry;
+  }
+
+  interpret(context) {
+    // The default filter is the way to accept undefined variables in strict variables mode
+    const value =
+      this.name === 'default' && this.input instanceof LookupExpression
+        ? resolvePath(context, this.input.path)
+        : this.input.interpret(context);
+    const filter = this.filterRegistry.get(this.name);
+
+    // Unknown filters leave the value unchanged
+    if (!filter) {
+      warnUnknownFilter(this.filterRegistry, this.name);
+      return value;
+    }
+
+    return filter(value, ...this.args.map((arg) => arg.interpret(context)));
+  }
+
+  // Filters may also be async, their result is awaited by the caller
+  async interpretAsync(context) {
+    const value =
+      this.name === 'default' && this.input instanceof LookupExpression
+        ? await resolvePathAsync(context, this.input.path)
+        : await this.input.interpretAsync(context);
+    const filter = this.filterRegistry.get(this.name);
+
+    if (!filter) {
+      warnUnknownFilter(this.filterRegistry, this.name);
+      return value;
+    }
+
+    const args = [];
+    for (const arg of this.args) {
+      args.push(await arg.interpretAsync(context));
+    }
+    return filter(value, ...args);
+  }
+
+  toJSON() {
+    return {
+      type: 'filter',
+      name: this.name,
+      args: this.args.map((arg) => arg.toJSON()),
+      input: this.input.toJSON(),
+    };
+  }
+}
+
+/**
+ * Call a macro with evaluated arguments
+ * @param {*} macro - The value being called
+ * @param {Array} args - Positional argument values
+ * @param {Map<string, *>} kwargs - Keyword argument values
+ * @param {string} description - The called expression, for error messages
+ * @param {boolean} async - Whether to render the macro asynchronously, returning a promise
+ * @returns {*} The macro output, or undefined if the macro is not defined
+ */
+function callMacro(macro, args, kwargs, description, async = false) {
+  if (macro === undefined || macro === null) return undefined;
+  if (!(macro instanceof Macro)) {
+    throw new Error(`Cannot call "${description}": it is not a macro`);
+  }
+  return async ? macro.callAsync(args, kwargs) : macro.call(args, kwargs);
+}
+
+// Non-terminal Expression for macro calls (button("Go", href=url))
+class CallExpression extends Expression {
+  /**
+   * @param {Expression} callee - The expression giving the macro
+   * @param {Expression[]} args - Positional arguments
+   * @param {Object[]} kwargs - Keyword arguments, as { name, value } with an expression value
+   */
+  constructor(callee, args = [], kwargs = []) {
+    super();
+    this.callee = callee;
+    this.args = args;
+    this.kwargs = kwargs;
+  }
+
+  interpret(context) {
+    const callee = this.callee.interpret(context);
+    const args = this.args.map((arg) => arg.interpret(context));
+    const kwargs = new Map(this.kwargs.map(({ name, value }) => [name, value.interpret(context)]));
+    const description = this.callee instanceof LookupExpression ? this.callee.path : 'expression';
+
+    return callMacro(callee, args, kwargs, description);
+  }
+
+  async interpretAsync(context) {
+    const callee = await this.callee.interpretAsync(context);
+    const args = [];
+    for (const arg of this.args) {
+      args.push(await arg.interpretAsync(context));
+    }
+    const kwargs = new Map();
+    for (const { name, value } of this.kwargs) {
+      kwargs.set(name, await value.interpretAsync(context));
+    }
+    const description = this.callee instanceof LookupExpression ? this.callee.path : 'expression';
+
+    return callMacro(callee, args, kwargs, description, true);
+  }
+
+  toJSON() {
+    return {
+      type: 'call',
+      callee: this.callee.toJSON(),
+      args: this.args.map((arg) => arg.toJSON()),
+      kwargs: this.kwargs.map(({ name, value }) => ({ name, value: value.toJSON() })),
+    };
+  }
+}
+
+const KEYWORDS = new Set(['and', 'or', 'not', 'in', 'true', 'false', 'null']);
+const COMPARISON_OPERATORS = new Set(['==', '!=', '<', '<=', '>', '>=']);
+
+/**
+ * Split expression language source into tokens
+ * @param {string} source - The expression source, e.g. user.age >= 18 and not user.banned
+ * @returns {Object[]} Tokens with a type, value and position in the source
+ */
+function tokenizeExpression(source) {
+  const tokens = [];
+  let pos = 0;
+
+  while (pos < source.length) {
+    const rest = source.slice(pos);
+    const char = source[pos];
+
+    if (/\s/.test(char)) {
+      pos++;
+      continue;
+    }
+
+    const number = rest.match(/^\d+(\.\d+)?/);
+    const name = rest.match(/^[A-Za-z_]\w*/);
+    const operator = rest.match(/^(==|!=|<=|>=|[<>()[\],.|=-])/);
+
+    if (number) {
+      tokens.push({ type: 'number', value: Number(number[0]), pos });
+      pos += number[0].length;
+    } else if (name) {
+      const type = KEYWORDS.has(name[0]) ? 'keyword' : 'name';
+      tokens.push({ type, value: name[0], pos });
+      pos += name[0].length;
+    } else if (char === '"' || char === "'") {
+      // String literal, with backslash escapes
+      let value = '';
+      let end = pos + 1;
+
+      while (end < source.length && source[end] !== char) {
+        if (source[end] === '\\') end++;
+        value += source[end++] ?? '';
+      }
+      if (end >= source.length) {
+        throw new TemplateSyntaxError('Unterminated string', { source, position: pos });
+      }
+
+      tokens.push({ type: 'string', value, pos });
+      pos = end + 1;
+    } else if (operator) {
+      tokens.push({ type: 'operator', value: operator[0], pos });
+      pos += operator[0].length;
+    } else {
+      throw new TemplateSyntaxError(`Unexpected character "${char}"`, { source, position: pos });
+    }
+  }
+
+  tokens.push({ type: 'end', value: null, pos });
+  return tokens;
+}
+
+/**
+ * Precedence parser for the expression language, from lowest to highest binding:
+ * or, and, not, comparisons and in, filters and member access, primary values.
+ * Builds a tree of expressions that is evaluated without eval or Function.
+ */
+class ExpressionParser {
+  /**
+   * @param {string} source - The expression source
+   * @param {Object} options - Parser options
+   * @param {Map<string, Function>} options.filters - Filter registry used by filter expressions
+   */
+  constructor(source, options = {}) {
+    this.source = source;
+    this.filters = options.filters ?? defaultFilters;
+    this.tokens = tokenizeExpression(source);
+    this.index = 0;
+  }
+
+  /**
+   * Parse the whole source as a single expression
+   * @returns {Expression} The expression tree
+   */
+  parse() {
+    const expression = this.parseOr();
+    this.expect('end');
+    return expression;
+  }
+
+  /**
+   * Parse the whole source as comma-separated name=value bindings, as in {% trans %} tags
+   * @returns {Array} { name, value } for each binding
+   */
+  parseBindings() {
+    const bindings = [];
+
+    if (!this.match('end')) {
+      do {
+        const name = this.expect('name').value;
+        this.expect('operator', '=');
+        bindings.push({ name, value: this.parseOr() });
+      } while (this.match('operator', ','));
+      this.expect('end');
+    }
+
+    return bindings;
+  }
+
+  peek() {
+    return this.tokens[this.index];
+  }
+
+  next() {
+    return this.tokens[this.index++];
+  }
+
+  // Consume the next token if it matches the given type (and value)
+  match(type, value) {
+    const token = this.peek();
+    if (token.type !== type || (value !== undefined && token.value !== value)) return null;
+    return this.next();
+  }
+
+  expect(type, value) {
+    const token = this.match(type, value);
+    if (token) return token;
+
+    throw this.unexpected(this.peek());
+  }
+
+  unexpected(token) {
+    const description = token.type === 'end' ? 'end of expression' : `"${token.value}"`;
+    return new TemplateSyntaxError(`Unexpected ${description}`, {
+      source: this.source,
+      position: token.pos,
+    });
+  }
+
+  parseOr() {
+    let left = this.parseAnd();
+    while (this.match('keyword', 'or')) {
+      left = new BinaryExpression('or', left, this.parseAnd());
+    }
+    return left;
+  }
+
+  parseAnd() {
+    let left = this.parseNot();
+    while (this.match('keyword', 'and')) {
+      left = new BinaryExpression('and', left, this.parseNot());
+    }
+    return left;
+  }
+
+  parseNot() {
+    if (this.match('keyword', 'not')) {
+      return new UnaryExpression('not', this.parseNot());
+    }
+    return this.parseComparison();
+  }
+
+  parseComparison() {
+    let left = this.parsePostfix();
+
+    while (true) {
+      const token = this.peek();
+      let operator = null;
+
+      if (token.type === 'operator' && COMPARISON_OPERATORS.has(token.value)) {
+        operator = this.next().value;
+      } else if (this.match('keyword', 'in')) {
+        operator = 'in';
+      } else if (
+        token.type === 'keyword' &&
+        token.value === 'not' &&
+        this.tokens[this.index + 1].value === 'in'
+      ) {
+        this.index += 2;
+        operator = 'not in';
+      } else {
+        return left;
+      }
+
+      left = new BinaryExpression(operator, left, this.parsePostfix());
+    }
+  }
+
+  parsePostfix() {
+    let expression = this.parsePrimary();
+
+    while (true) {
+      if (this.match('operator', '.')) {
+        const property = this.expect('name').value;
+
+        // Keep dotted paths (user.address.city) as a single lookup
+        expression =
+          expression instanceof LookupExpression
+            ? new LookupExpression(`${expression.path}.${property}`)
+            : new MemberExpression(expression, new LiteralExpression(property));
+      } else if (this.match('operator', '[')) {
+        expression = new MemberExpression(expression, this.parseOr());
+        this.expect('operator', ']');
+      } else if (this.match('operator', '|')) {
+        const name = this.expect('name').value;
+        const args = this.match('operator', '(') ? this.parseArguments(')') : [];
+        expression = new FilterExpression(expression, name, args, this.filters);
+      } else if (this.match('operator', '(')) {
+        const { args, kwargs } = this.parseCallArguments();
+        expression = new CallExpression(expression, args, kwargs);
+      } else {
+        return expression;
+      }
+    }
+  }
+
+  // Parse a comma-separated list of expressions up to the closing operator
+  parseArguments(closing) {
+    const args = [];
+
+    if (!this.match('operator', closing)) {
+      do {
+        args.push(this.parseOr());
+      } while (this.match('operator', ','));
+      this.expect('operator', closing);
+    }
+
+    return args;
+  }
+
+  // Parse macro call arguments: positional ones, then name=value ones
+  parseCallArguments() {
+    const args = [];
+    const kwargs = [];
+
+    if (!this.match('operator', ')')) {
+      do {
+        const token = this.peek();
+
+        if (token.type === 'name' && this.tokens[this.index + 1].value === '=') {
+          this.index += 2;
+          kwargs.push({ name: token.value, value: this.parseOr() });
+        } else if (kwargs.length) {
+          throw this.unexpected(token);
+        } else {
+          args.push(this.parseOr());
+        }
+      } while (this.match('operator', ','));
+      this.expect('operator', ')');
+    }
+
+    return { args, kwargs };
+  }
+
+  parsePrimary() {
+    const token = this.next();
+
+    switch (token.type) {
+      case 'number':
+      case 'string':
+        return new LiteralExpression(token.value);
+      case 'name':
+        return new LookupExpression(token.value);
+      case 'keyword':
+        if (token.value === 'true' || token.value === 'false') {
+          return new LiteralExpression(token.value === 'true');
+        }
+        if (token.value === 'null') return new LiteralExpression(null);
+        break;
+      case 'operator':
+        if (token.value === '(') {
+          const expression = this.parseOr();
+          this.expect('operator', ')');
+          return expression;
+        }
+        if (token.value === '[') return new ListExpression(this.parseArguments(']'));
+        if (token.value === '-') return new UnaryExpression('-', this.parsePrimary());
+        break;
+    }
+
+    throw this.unexpected(token);
+  }
+}
+
+/**
+ * Get the content of a tag, without its delimiters and whitespace control markers
+ * @param {string} template - The template content
+ * @param {number} start - Position of the opening delimiter ({{ or {%)
+ * @param {number} end - Position of the closing delimiter (}} or %})
+ * @returns {string} The trimmed content
+ */
+function tagContent(template, start, end) {
+  let content = template.substring(start + 2, end);
+
+  if (content.startsWith('-')) content = content.substring(1);
+  if (content.endsWith('-')) content = content.substring(0, content.length - 1);
+  return content.trim();
+}
+
+/**
+ * Whitespace control: a tag opened with {{-, {%- or {#- trims the whitespace before it
+ * @param {string} source - The template source
+ * @param {number} position - Position in the source where text ends
+ * @returns {boolean} True if the tag at the position trims the text before it
+ */
+function trimsTextBefore(source, position) {
+  return /^\{[{%#]-/.test(source.substring(position, position + 3));
+}
+
+/**
+ * Whitespace control: a tag closed with -}}, -%} or -#} trims the whitespace after it
+ * @param {string} source - The template source
+ * @param {number} position - Position in the source where text starts
+ * @returns {boolean} True if the tag ending at the position trims the text after it
+ */
+function trimsTextAfter(source, position) {
+  return /-[}%#]\}$/.test(source.substring(position - 3, position));
+}
+
+/**
+ * Describe a block tag the parser does not recognize, for strict mode errors
+ * @param {string} keyword - The first word of the tag
+ * @returns {string} The reason the tag is invalid
+ */
+function describeUnknownTag(keyword) {
+  if (
+    ['if', 'for', 'block', 'extends', 'include', 'set', 'macro', 'raw', 'trans'].includes(keyword)
+  ) {
+    return `Malformed {% ${keyword} %} tag`;
+  }
+  if (/^(end\w+|elif|else|empty|plural)$/.test(keyword)) {
+    return `Unexpected {% ${keyword} %} outside of its block`;
+  }
+  return keyword ? `Unknown tag {% ${keyword} %}` : 'Empty tag';
+}
+
+// TemplateParser for building the syntax tree from template strings
+class TemplateParser {
+  /**
+   * @param {Object} options - Parser options
+   * @param {Map<string, Function>} options.filters - Filter registry used by variable expressions
+   * @param {boolean|string} options.autoescape - 'html' to escape output by its HTML context
+   * @param {boolean} options.strict - Throw a TemplateSyntaxError for malformed tags and
+   *   unknown filters instead of keeping them as text (default false)
+   */
+  constructor(options = {}) {
+    this.filters = options.filters ?? defaultFilters;
+    this.autoescape = normalizeAutoescape(options.autoescape);
+    this.strict = options.strict ?? false;
+  }
+
+  /**
+   * Parse a template string into an expression tree
+   * @param {string} template - The template string
+   * @param {string|null} templateName - The template name, for error messages
+   * @returns {Expression} The root expression; an ExtendsExpression if the template extends
+   *   another one (content outside its blocks is then ignored), else a CompositeExpression
+   * @throws {TemplateSyntaxError} In strict mode, if the template is malformed
+   */
+  parse(template, templateName = null) {
+    const document = { source: template, templateName, blocks: new Map() };
+    const root = this.parseContent(template, INITIAL_HTML_STATE, document);
+    const extendsExpr = root.expressions.find((expr) => expr instanceof ExtendsExpression);
+
+    if (extendsExpr) {
+      extendsExpr.definitions = root.expressions.filter(
+        (expr) => expr instanceof SetExpression || expr instanceof MacroExpression
+      );
+    }
+
+    return extendsExpr ?? root;
+  }
+
+  /**
+   * Turn an error raised while parsing into a TemplateSyntaxError positioned in the template
+   * @param {Error|string} error - The error, or the reason for a new one
+   * @param {Object} document - The template being parsed
+   * @param {number} position - Offset in the template of the tag or expression that failed
+   * @returns {TemplateSyntaxError} The positioned error
+   */
+  syntaxError(error, document, position) {
+    if (error instanceof TemplateSyntaxError && error.source === document.source) return error;
+
+    // Expression errors are positioned within the expression source
+    const reason = typeof error === 'string' ? error : (error.reason ?? error.message);
+    const offset = error instanceof TemplateSyntaxError ? error.position : 0;
+
+    return new TemplateSyntaxError(reason, {
+      source: document.source,
+      position: position + offset,
+      templateName: document.templateName,
+    });
+  }
+
+  /**
+   * Check that the filters an expression uses are registered, for strict mode
+   * @param {string} source - The expression source
+   * @throws {TemplateSyntaxError} If the expression uses an unknown filter
+   */
+  checkFilters(source) {
+    const tokens = tokenizeExpression(source);
+
+    tokens.forEach((token, index) => {
+      const name = tokens[index + 1];
+      if (token.type !== 'operator' || token.value !== '|' || name.type !== 'name') return;
+
+      if (!this.filters.has(name.value)) {
+        throw new TemplateSyntaxError(`Unknown filter "${name.value}"`, {
+          source,
+          position: name.pos,
+        });
+      }
+    });
+  }
+
+  /**
+   * Parse template content (the whole template or a block body) into a composite expression
+   * @param {string} template - The template content
+   * @param {Object} htmlState - HTML context the content starts in
+   * @param {Object} document - The template being parsed: its source, name and the
+   *   {% block %} tags collected so far
+   * @param {number} offset - Position of the content in the template source
+   * @returns {CompositeExpression} The parsed content
+   */
+  parseContent(template, htmlState, document, offset = 0) {
+    let pos = 0;
+    let state = htmlState;
+    const result = new CompositeExpression();
+    const trackHtml = this.autoescape === 'html';
+    const { blocks } = document;
+
+    // Add literal text, keeping track of the HTML context it leaves the output in
+    const addText = (text) => {
+      result.addExpression(new TextExpression(text));
+      if (trackHtml) state = advanceHtmlState(state, text);
+    };
+
+    // Add the template text between two positions, trimming whitespace next to the
+    // whitespace control markers of the tags around it
+    const addSource = (from, to) => {
+      let text = template.substring(from, to);
+
+      if (trimsTextAfter(document.source, offset + from)) text = text.trimStart();
+      if (trimsTextBefore(document.source, offset + to)) text = text.trimEnd();
+      if (text) addText(text);
+    };
+
+    // Keep a malformed tag as text, or report it in strict mode
+    const malformed = (tagStart, tagEnd, error) => {
+      if (this.strict) throw this.syntaxError(error, document, offset + tagStart);
+      addText(template.substring(tagStart, tagEnd));
+    };
+
+    // Create an expression from source text found after `from`, positioning its errors
+    const located = (text, from, create) => {
+      try {
+        const expression = create();
+        if (this.strict) this.checkFilters(text.trim());
+        return expression;
+      } catch (error) {
+        throw this.syntaxError(error, document, offset + template.indexOf(text.trim(), from));
+      }
+    };
+
+    while (pos < template.length) {
+      // Find the next tag: {{ variable }}, {% block %} or {# comment #}
+      const starts = ['{{', '{%', '{#']
+        .map((delimiter) => template.indexOf(delimiter, pos))
+        .filter((start) => start !== -1);
+
+      // No more tags, add the rest as text
+      if (starts.length === 0) {
+        addSource(pos, template.length);
+        break;
+      }
+
+      const expressionStart = Math.min(...starts);
+      const delimiter = template.substring(expressionStart, expressionStart + 2);
+
+      // Add text before the tag
+      addSource(pos, expressionStart);
+
+      // Handle the tag based on its type
+      if (delimiter === '{#') {
+        // Comment {# ... #}, left out of the output
+        const commentEnd = template.indexOf('#}', expressionStart + 2);
+        if (commentEnd === -1) {
+          malformed(expressionStart, template.length, 'Unclosed comment, expected "#}"');
+          break;
+        }
+
+        pos = commentEnd + 2;
+      } else if (delimiter === '{{') {
+        // Variable expression {{ variable }}
+        const variableEnd = template.indexOf('}}', expressionStart);
+        if (variableEnd === -1) {
+          malformed(expressionStart, template.length, 'Unclosed variable tag, expected "}}"');
+          break;
+        }
+
+        const variableName = tagContent(template, expressionStart, variableEnd);
+        const escape = trackHtml ? getEscapeContext(state) : null;
+        let variableExpr;
+
+        try {
+          variableExpr = located(
+            variableName,
+            expressionStart + 2,
+            () => new VariableExpression(variableName, { filters: this.filters, escape })
+          );
+        } catch (error) {
+          // Malformed expression, treat as text
+          malformed(expressionStart, variableEnd + 2, error);
+          pos = variableEnd + 2;
+          continue;
+        }
+
+        result.addExpression(variableExpr);
+
+        // The variable's output stands in as a single character of text
+        if (trackHtml) state = advanceHtmlState(state, 'x');
+
+        pos = variableEnd + 2;
+      } else {
+        // Block expression {% ... %}
+        const blockEnd = template.indexOf('%}', expressionStart);
+        if (blockEnd === -1) {
+          malformed(expressionStart, template.length, 'Unclosed tag, expected "%}"');
+          break;
+        }
+
+        const blockContent = tagContent(template, expressionStart, blockEnd);
+        const [keyword] = blockContent.split(/\s/, 1);
+
+        const forMatch = blockContent.match(/^for\s+(.+?)\s+in\s+(.+)$/s);
+        const setMatch = blockContent.match(/^set\s+(\w+)\s*=(?!=)\s*(.+)$/s);
+
+        if (blockContent === 'raw') {
+          // Raw block {% raw %}...{% endraw %}, output as text without parsing its tags
+          const rawEnd = /\{%-?\s*endraw\s*-?%\}/g;
+          rawEnd.lastIndex = blockEnd + 2;
+          const endMatch = rawEnd.exec(template);
+
+          if (!endMatch) {
+            malformed(
+              expressionStart,
+              blockEnd + 2,
+              'Unclosed {% raw %} block, expected {% endraw %}'
+            );
+            pos = blockEnd + 2;
+            continue;
+          }
+
+          addSource(blockEnd + 2, endMatch.index);
+          pos = endMatch.index + endMatch[0].length;
+        } else if (blockContent.startsWith('if ')) {
+          // Conditional block {% if condition %}...{% elif condition %}...{% else %}
+          const condition = blockContent.substring(3);
+          const ifBody = this.extractBlock(template, blockEnd + 2, 'if');
+
+          if (!ifBody) {
+            // If we can't properly extract the if block, just add the text
+            malformed(
+              expressionStart,
+              blockEnd + 2,
+              'Unclosed {% if %} block, expected {% endif %}'
+            );
+            pos = blockEnd + 2;
+            continue;
+          }
+
+          const { content: trueContent, branches, end: ifEnd } = ifBody;
+          let conditionalExpr;
+
+          try {
+            const elseIndex = branches.findIndex((branch) => branch.keyword === 'else');
+            if (elseIndex !== -1 && elseIndex !== branches.length - 1) {
+              throw new Error('{% else %} must be the last branch of an if block');
+            }
+
+            // Chain elif branches as nested conditionals, from the last one backwards
+            let falseExpr = null;
+            for (const branch of [...branches].reverse()) {
+              const branchExpr = this.parseContent(
+                branch.content,
+                state,
+                document,
+                offset + branch.start
+              );
+              falseExpr =
+                branch.keyword === 'else'
+                  ? branchExpr
+                  : located(
+                      branch.argument,
+                      branch.tagStart,
+                      () =>
+                        new ConditionalExpression(branch.argument, branchExpr, falseExpr, {
+                          filters: this.filters,
+                        })
+                    );
+            }
+
+            const trueExpr = this.parseContent(trueContent, state, document, offset + blockEnd + 2);
+            conditionalExpr = located(
+              condition,
+              expressionStart + 2,
+              () =>
+                new ConditionalExpression(condition, trueExpr, falseExpr, { filters: this.filters })
+            );
+          } catch (error) {
+            // Malformed condition, treat the tag as text
+            malformed(expressionStart, blockEnd + 2, error);
+            pos = blockEnd + 2;
+            continue;
+          }
+
+          // Assume all branches leave the output in the same HTML context
+          if (trackHtml) state = advanceHtmlState(state, stripTemplateTags(trueContent));
+
+          result.addExpression(conditionalExpr);
+
+          pos = ifEnd;
+        } else if (forMatch) {
+          // Loop block {% for item in items %}...{% empty %}...{% endfor %}
+          const [, itemName, collectionName] = forMatch;
+          const forBody = this.extractBlock(template, blockEnd + 2, 'for');
+
+          if (!forBody) {
+            // If we can't properly extract the for block, just add the text
+            malformed(
+              expressionStart,
+              blockEnd + 2,
+              'Unclosed {% for %} block, expected {% endfor %}'
+            );
+            pos = blockEnd + 2;
+            continue;
+          }
+
+          const { content: loopContent, branches, end: forEnd } = forBody;
+          let loopExpr;
+
+          try {
+            if (branches.length > 1) {
+              throw new Error('A for block can only have one {% empty %} branch');
+            }
+
+            const loopBody = this.parseContent(loopContent, state, document, offset + blockEnd + 2);
+            const emptyBody = branches.length
+              ? this.parseContent(branches[0].content, state, document, offset + branches[0].start)
+              : null;
+
+            loopExpr = located(
+              collectionName,
+              template.lastIndexOf(collectionName, blockEnd),
+              () =>
+                new LoopExpression(itemName, collectionName, loopBody, emptyBody, {
+                  filters: this.filters,
+                })
+            );
+          } catch (error) {
+            // Invalid for loop syntax, treat as text
+            malformed(expressionStart, blockEnd + 2, error);
+            pos = blockEnd + 2;
+            continue;
+          }
+
+          if (trackHtml) state = advanceHtmlState(state, stripTemplateTags(loopContent));
+
+          result.addExpression(loopExpr);
+
+          pos = forEnd;
+        } else if (/^block\s+[A-Za-z_]\w*$/.test(blockContent)) {
+          // Overridable block {% block name %}...{% endblock %}
+          const name = blockContent.substring(6).trim();
+          const blockBody = this.extractBlock(template, blockEnd + 2, 'block');
+
+          if (!blockBody || blocks.has(name)) {
+            // Unclosed or duplicate block, treat as text
+            malformed(
+              expressionStart,
+              blockEnd + 2,
+              blockBody
+                ? `Duplicate block "${name}"`
+                : 'Unclosed {% block %}, expected {% endblock %}'
+            );
+            pos = blockEnd + 2;
+            continue;
+          }
+
+          const blockExpr = new BlockExpression(
+            name,
+            this.parseContent(blockBody.content, state, document, offset + blockEnd + 2)
+          );
+          blocks.set(name, blockExpr);
+
+          if (trackHtml) state = advanceHtmlState(state, stripTemplateTags(blockBody.content));
+
+          result.addExpression(blockExpr);
+
+          pos = blockBody.end;
+        } else if (setMatch) {
+          // Assignment {% set name = expression %}
+          const [, name, valueSource] = setMatch;
+
+          try {
+            result.addExpression(
+              located(
+                valueSource,
+                template.lastIndexOf(valueSource, blockEnd),
+                () => new SetExpression(name, valueSource, { filters: this.filters })
+              )
+            );
+          } catch (error) {
+            // Malformed value, treat as text
+            malformed(expressionStart, blockEnd + 2, error);
+          }
+
+          pos = blockEnd + 2;
+        } else if (/^macro\s/.test(blockContent)) {
+          // Macro definition {% macro name(params) %}...{% endmacro %}
+          const signature = blockContent.substring(6);
+          const macroBody = this.extractBlock(template, blockEnd + 2, 'macro');
+
+          if (!macroBody) {
+            malformed(
+              expressionStart,
+              blockEnd + 2,
+              'Unclosed {% macro %} block, expected {% endmacro %}'
+            );
+            pos = blockEnd + 2;
+            continue;
+          }
+
+          try {
+            // The body is rendered where the macro is called, assumed to be HTML text
+            const body = this.parseContent(
+              macroBody.content,
+              INITIAL_HTML_STATE,
+              document,
+              offset + blockEnd + 2
+            );
+            result.addExpression(
+              located(
+                signature,
+                expressionStart + 2,
+                () => new MacroExpression(signature, body, { filters: this.filters })
+              )
+            );
+          } catch (error) {
+            // Malformed signature, treat the tag as text
+            malformed(expressionStart, blockEnd + 2, error);
+            pos = blockEnd + 2;
+            continue;
+          }
+
+          pos = macroBody.end;
+        } else if (/^trans(\s|$)/.test(blockContent)) {
+          // Translatable text {% trans name=value %}...{% plural %}...{% endtrans %}
+          const bindings = blockContent.substring(5);
+          const transBody = this.extractBlock(template, blockEnd + 2, 'trans');
+
+          if (!transBody) {
+            malformed(
+              expressionStart,
+              blockEnd + 2,
+              'Unclosed {% trans %} block, expected {% endtrans %}'
+            );
+            pos = blockEnd + 2;
+            continue;
+          }
+
+          const { content: singular, branches, end: transEnd } = transBody;
+
+          try {
+            if (branches.length > 1 || branches[0]?.argument) {
+              throw new Error('A trans block can only have one {% plural %} branch');
+            }
+
+            const escape = trackHtml ? getEscapeContext(state) : null;
+            result.addExpression(
+              located(
+                bindings,
+                expressionStart + 2,
+                () =>
+                  new TransExpression(bindings, singular, branches[0]?.content ?? null, {
+                    filters: this.filters,
+                    escape,
+                  })
+              )
+            );
+          } catch (error) {
+            // Malformed bindings or message, treat the tag as text
+            malformed(expressionStart, blockEnd + 2, error);
+            pos = blockEnd + 2;
+            continue;
+          }
+
+          if (trackHtml) state = advanceHtmlState(state, stripTemplateTags(singular));
+
+          pos = transEnd;
+        } else if (/^(extends|include)\s/.test(blockContent)) {
+          // Template references {% extends "base" %} and {% include "partial" %}
+          const templateName = blockContent.substring(keyword.length);
+
+          try {
+            result.addExpression(
+              located(templateName, expressionStart + 2 + keyword.length, () =>
+                keyword === 'extends'
+                  ? new ExtendsExpression(templateName, blocks, { filters: this.filters })
+                  : new IncludeExpression(templateName, { filters: this.filters })
+              )
+            );
+          } catch (error) {
+            // Malformed template name, treat as text
+            malformed(expressionStart, blockEnd + 2, error);
+          }
+
+          pos = blockEnd + 2;
+        } else {
+          // Unrecognized block, treat as text
+          malformed(expressionStart, blockEnd + 2, describeUnknownTag(keyword));
+          pos = blockEnd + 2;
+        }
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Extract a block of content from a template, handling proper nesting
+   * @param {string} template - The template string
+   * @param {number} startPos - The position to start extracting from
+   * @param {string} blockType - The type of block ('if', 'for', 'block', 'macro' or 'trans')
+   * @returns {Object|null} The content before the first branch tag, the branches
+   *   ({% elif %}/{% else %} for if, {% empty %} for for, {% plural %} for trans, with the
+   *   positions of their tag and content) and the end position, or null if the block is not
+   *   closed
+   */
+  extractBlock(template, startPos, blockType) {
+    const branchKeywords =
+      { if: ['elif', 'else'], for: ['empty'], trans: ['plural'] }[blockType] ?? [];
+    // Comments and raw blocks are matched only to skip the tags inside them
+    const tagPattern =
+      /\{#[\s\S]*?#\}|\{%-?\s*raw\s*-?%\}[\s\S]*?\{%-?\s*endraw\s*-?%\}|\{%-?\s*([\s\S]*?)\s*-?%\}/g;
+    const sections = [];
+    let depth = 1; // We're already inside one block
+    let section = { keyword: null, argument: '', start: startPos };
+    let match;
+
+    tagPattern.lastIndex = startPos;
+
+    while ((match = tagPattern.exec(template))) {
+      const [tag, tagContent] = match;
+      if (tagContent === undefined) continue;
+
+      const [keyword] = tagContent.split(/\s/, 1);
+
+      if (keyword === blockType) {
+        depth++;
+      } else if (keyword === `end${blockType}`) {
+        depth--;
+
+        if (depth === 0) {
+          // We've found the matching end tag
+          sections.push({ ...section, content: template.substring(section.start, match.index) });
+          const [first, ...branches] = sections;
+
+          return {
+            content: first.content,
+            branches: branches.map(({ keyword, argument, content, start, tagStart }) => ({
+              keyword,
+              argument,
+              content,
+              start,
+              tagStart,
+            })),
+            end: match.index + tag.length,
+          };
+        }
+      } else if (depth === 1 && branchKeywords.includes(keyword)) {
+        // A branch tag of this block starts a new section
+        sections.push({ ...section, content: template.substring(section.start, match.index) });
+        section = {
+          keyword,
+          argument: tagContent.substring(keyword.length).trim(),
+          start: match.index + tag.length,
+          tagStart: match.index,
+        };
+      }
+    }
+
+    // Could not find matching end tag
+    return null;
+  }
+}
+
+// Least-recently-used cache, holding the parsed templates of an engine
+class LRUCache {
+  /**
+   * @param {number} maxSize - Maximum number of entries, 0 disables the cache
+   */
+  constructor(maxSize = 100) {
+    this.maxSize = maxSize;
+    this.entries = new Map();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Get an entry, marking it as the most recently used
+   * @param {*} key - The entry key
+   * @returns {*} The cached value, or undefined on a miss
+   */
+  get(key) {
+    if (!this.entries.has(key)) return undefined;
+
+    const value = this.entries.get(key);
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    return value;
+  }
+
+  /**
+   * Add or replace an entry, evicting the least recently used one when full
+   * @param {*} key - The entry key
+   * @param {*} value - The value to cache
+   * @returns {LRUCache} The cache (for chaining)
+   */
+  set(key, value) {
+    if (this.maxSize <= 0) return this;
+
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    if (this.entries.size > this.maxSize) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+    return this;
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
+
+/**
+ * Convert an interpreted value to output text, the way CompositeExpression joins its parts
+ * @param {*} value - The value to output
+ * @param {string|null} escape - Output escaping context, or null to output the value as is
+ * @returns {string} The output text
+ */
+function toOutput(value, escape = null) {
+  if (value === undefined || value === null) return '';
+  return escape ? escapeForContext(value, escape) : String(value);
+}
+
+// Runtime helpers referenced by generated code
+const compilerHelpers = {
+  RUNTIME,
+  toOutput,
+  resolvePath,
+  lookupVariable,
+  toLoopItems,
+  isMember,
+  callMacro,
+  member,
+  applyFilter: (filterRegistry, name, value, args) => {
+    const filter = filterRegistry.get(name);
+    if (filter) return filter(value, ...args);
+
+    warnUnknownFilter(filterRegistry, name);
+    return value;
+  },
+};
+
+// Expression wrapping a template compiled to a JavaScript function
+class CompiledExpression extends Expression {
+  /**
+   * @param {Expression} expression - The parsed template the function was generated from
+   * @param {Function} render - The generated function
+   * @param {Array} constants - Nodes and registries referenced by the generated code
+   */
+  constructor(expression, render, constants = []) {
+    super();
+    this.expression = expression;
+    this.render = render;
+    this.constants = constants;
+  }
+
+  interpret(context) {
+    return this.render(context, this.constants, compilerHelpers);
+  }
+
+  // Generated code is synchronous, so asynchronous renders walk the original template
+  stream(context) {
+    return this.expression.stream(context);
+  }
+
+  // Compiled templates have the AST of the template they were compiled from
+  toJSON() {
+    return this.expression.toJSON();
+  }
+}
+
+// Compiles a parsed template to a JavaScript function, so rendering no longer walks the tree.
+// Template values only reach the generated code as JSON literals; nodes the compiler does not
+// know are kept as constants and interpreted as usual.
+class TemplateCompiler {
+  /**
+   * Compile a parsed template
+   * @param {Expression} expression - The parsed template
+   * @returns {CompiledExpression} An expression rendering the template with generated code
+   */
+  compile(expression) {
+    const state = { constants: [], names: 0 };
+    const body = `let out = '';\n${this.compileNode(expression, 'context', state)}return out;`;
+    const render = new Function('context', 'constants', 'helpers', body);
+
+    return new CompiledExpression(expression, render, state.constants);
+  }
+
+  /**
+   * Generate statements appending the output of a template node to `out`
+   * @param {Expression} node - The template node
+   * @param {string} scope - Name of the variable holding the current context
+   * @param {Object} state - Compilation state (constants, generated names)
+   * @returns {string} The generated statements
+   */
+  compileNode(node, scope, state) {
+    if (node instanceof TextExpression) {
+      return `out += ${JSON.stringify(String(node.text))};\n`;
+    }
+    if (node instanceof CompositeExpression) {
+      return node.expressions.map((child) => this.compileNode(child, scope, state)).join('');
+    }
+    if (node instanceof VariableExpression) {
+      const value = this.compileValue(node.expression, scope, state);
+      return `out += helpers.toOutput(${value}, ${JSON.stringify(node.escape)});\n`;
+    }
+    if (node instanceof ConditionalExpression) {
+      const test = this.compileValue(node.test, scope, state);
+      const otherwise = node.falseExpression
+        ? ` else {\n${this.compileNode(node.falseExpression, scope, state)}}`
+        : '';
+      return `if (${test}) {\n${this.compileNode(node.trueExpression, scope, state)}}${otherwise}\n`;
+    }
+    if (node instanceof LoopExpression) {
+      return this.compileLoop(node, scope, state);
+    }
+    if (node instanceof SetExpression) {
+      return `${scope}[${JSON.stringify(node.name)}] = ${this.compileValue(node.value, scope, state)};\n`;
+    }
+    if (node instanceof BlockExpression) {
+      const override = this.name(state, 'override');
+      return (
+        `const ${override} = ${scope}[helpers.RUNTIME]?.blocks.get(${JSON.stringify(node.name)});\n` +
+        `if (${override}) out += ${override}.body.interpret(${scope});\n` +
+        `else {\n${this.compileNode(node.body, scope, state)}}\n`
+      );
+    }
+
+    // Template references and custom nodes are interpreted as usual
+    return `out += helpers.toOutput(${this.constant(state, node)}.interpret(${scope}));\n`;
+  }
+
+  /**
+   * Generate a loop, mirroring LoopExpression's scopes and loop metadata
+   * @param {LoopExpression} node - The loop node
+   * @param {string} scope - Name of the variable holding the current context
+   * @param {Object} state - Compilation state
+   * @returns {string} The generated statements
+   */
+  compileLoop(node, scope, state) {
+    const unpack = node.targets.length > 1;
+    const items = this.name(state, 'items');
+    const index = this.name(state, 'index');
+    const loopScope = this.name(state, 'scope');
+
+    const targets = unpack
+      ? node.targets.map(
+          (name, position) =>
+            `${loopScope}[${JSON.stringify(name)}] = ${items}[${index}]?.[${position}];\n`
+        )
+      : [`${loopScope}[${JSON.stringify(node.targets[0])}] = ${items}[${index}];\n`];
+    const emptyBody = node.emptyBody ? this.compileNode(node.emptyBody, scope, state) : '';
+
+    return (
+      `const ${items} = helpers.toLoopItems(${this.compileValue(node.collection, scope, state)}, ${unpack});\n` +
+      `if (${items}.length === 0) {\n${emptyBody}} else {\n` +
+      `for (let ${index} = 0; ${index} < ${items}.length; ${index}++) {\n` +
+      `const ${loopScope} = Object.create(${scope});\n` +
+      targets.join('') +
+      `${loopScope}.loop = { index: ${index} + 1, index0: ${index}, ` +
+      `revindex: ${items}.length - ${index}, first: ${index} === 0, ` +
+      `last: ${index} === ${items}.length - 1, length: ${items}.length, parent: ${scope}.loop };\n` +
+      this.compileNode(node.loopBody, loopScope, state) +
+      '}\n}\n'
+    );
+  }
+
+  /**
+   * Generate a JavaScript expression evaluating an expression language node
+   * @param {Expression} node - The expression language node
+   * @param {string} scope - Name of the variable holding the current context
+   * @param {Object} state - Compilation state
+   * @returns {string} The generated expression
+   */
+  compileValue(node, scope, state) {
+    const value = (child) => this.compileValue(child, scope, state);
+
+    if (node instanceof LiteralExpression) {
+      return node.value === undefined ? 'undefined' : JSON.stringify(node.value);
+    }
+    if (node instanceof LookupExpression) {
+      return `helpers.lookupVariable(${scope}, ${JSON.stringify(node.path)})`;
+    }
+    if (node instanceof MemberExpression) {
+      return `helpers.member(${value(node.object)}, ${value(node.property)})`;
+    }
+    if (node instanceof ListExpression) {
+      return `[${node.items.map(value).join(', ')}]`;
+    }
+    if (node instanceof UnaryExpression) {
+      return `${node.operator === 'not' ? '!' : '-'}(${value(node.operand)})`;
+    }
+    if (node instanceof BinaryExpression) {
+      return this.compileBinary(node.operator, value(node.left), value(node.right));
+    }
+    if (node instanceof CallExpression) {
+      const description = node.callee instanceof LookupExpression ? node.callee.path : 'expression';
+      const kwargs = node.kwargs.map(
+        ({ name, value: arg }) => `[${JSON.stringify(name)}, ${value(arg)}]`
+      );
+      return (
+        `helpers.callMacro(${value(node.callee)}, [${node.args.map(value).join(', ')}], ` +
+        `new Map([${kwargs.join(', ')}]), ${JSON.stringify(description)})`
+      );
+    }
+    if (node instanceof FilterExpression) {
+      const registry = this.constant(state, node.filterRegistry);
+      const args = node.args.map(value).join(', ');
+      const input =
+        node.name === 'default' && node.input instanceof LookupExpression
+          ? `helpers.resolvePath(${scope}, ${JSON.stringify(node.input.path)})`
+          : value(node.input);
+      return `helpers.applyFilter(${registry}, ${JSON.stringify(node.name)}, ${input}, [${args}])`;
+    }
+
+    return `${this.constant(state, node)}.interpret(${scope})`;
+  }
+
+  /**
+   * Generate a binary operation, with the operator semantics of BinaryExpression
+   * @param {string} operator - The expression language operator
+   * @param {string} left - Generated left operand
+   * @param {string} right - Generated right operand
+   * @returns {string} The generated expression
+   */
+  compileBinary(operator, left, right) {
+    switch (operator) {
+      case 'and':
+        return `(${left} && ${right})`;
+      case 'or':
+        return `(${left} || ${right})`;
+      case '==':
+        return `(${left} === ${right})`;
+      case '!=':
+        return `(${left} !== ${right})`;
+      case '<':
+      case '<=':
+      case '>':
+      case '>=':
+        return `(${left} ${operator} ${right})`;
+      case 'in':
+        return `helpers.isMember(${left}, ${right})`;
+      case 'not in':
+        return `!helpers.isMember(${left}, ${right})`;
+      default:
+        throw new Error(`Unknown operator: ${operator}`);
+    }
+  }
+
+  /**
+   * Reference a value from generated code
+   * @param {Object} state - Compilation state
+   * @param {*} value - The value
+   * @returns {string} The generated reference
+   */
+  constant(state, value) {
+    state.constants.push(value);
+    return `constants[${state.constants.length - 1}]`;
+  }
+
+  /**
+   * Generate a unique variable name
+   * @param {Object} state - Compilation state
+   * @param {string} prefix - Readable part of the name
+   * @returns {string} The variable name
+   */
+  name(state, prefix) {
+    return `${prefix}${state.names++}`;
+  }
+}
+
+// In-memory template loader, for templates defined in code or tests
+class MemoryLoader {
+  /**
+   * @param {Object<string, string>} templates - Template sources keyed by name
+   */
+  constructor(templates = {}) {
+    this.templates = new Map(Object.entries(templates));
+  }
+
+  /**
+   * Add or replace a template
+   * @param {string} name - The template name
+   * @param {string} source - The template source
+   * @returns {MemoryLoader} The loader (for chaining)
+   */
+  set(name, source) {
+    this.templates.set(name, source);
+    return this;
+  }
+
+  /**
+   * Load a template source by name
+   * @param {string} name - The template name
+   * @returns {string|null} The template source, or null if there is no such template
+   */
+  load(name) {
+    return this.templates.get(name) ?? null;
+  }
+}
+
+// Directory template loader, reads templates from files under a root directory
+class DirectoryLoader {
+  /**
+   * @param {string} root - The directory holding the templates
+   * @param {Object} options - Loader options
+   * @param {string} options.extension - Appended to names without an extension (e.g. '.html')
+   * @param {string} options.encoding - File encoding (default utf8)
+   */
+  constructor(root, options = {}) {
+    this.root = path.resolve(root);
+    this.extension = options.extension ?? '';
+    this.encoding = options.encoding ?? 'utf8';
+  }
+
+  /**
+   * Load a template source by name, relative to the root directory
+   * @param {string} name - The template name, e.g. 'emails/welcome'
+   * @returns {string|null} The template source, or null if the file does not exist
+   */
+  load(name) {
+    const fileName = path.extname(name) ? name : name + this.extension;
+    const filePath = path.resolve(this.root, fileName);
+
+    // Never read files outside the root directory
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw new Error(`Template "${name}" is outside the loader directory`);
+    }
+
+    try {
+      return fs.readFileSync(filePath, this.encoding);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+}
+
+/**
+ * Expose an async iterator of output chunks as a web ReadableStream
+ * @param {AsyncIterator<string>} chunks - The output chunks
+ * @returns {ReadableStream<string>} A stream reading the chunks on demand
+ */
+function toReadableStream(chunks) {
+  return new ReadableStream({
+    async pull(controller) {
+      const { value, done } = await chunks.next();
+      if (done) controller.close();
+      else controller.enqueue(value);
+    },
+    async cancel() {
+      await chunks.return();
+    },
+  });
+}
+
+// Limits of sandboxed renders, see TemplateEngine
+const DEFAULT_LIMITS = {
+  maxIterations: 10000,
+  maxDepth: 20,
+  maxOutput: 1000000,
+  timeout: 1000,
+};
+
+// What a sandboxed render has used of its limits, shared by the templates it includes
+class RenderBudget {
+  /**
+   * @param {Object} limits - The limits, defaulting to DEFAULT_LIMITS
+   * @param {number} limits.maxIterations - Loop iterations over the whole render
+   * @param {number} limits.maxDepth - Nesting of loops, macro calls, includes and extends
+   * @param {number} limits.maxOutput - Characters of output
+   * @param {number} limits.timeout - Wall-clock time in milliseconds
+   */
+  constructor(limits = {}) {
+    this.limits = { ...DEFAULT_LIMITS, ...limits };
+    this.iterations = 0;
+    this.depth = 0;
+    this.output = 0;
+    this.deadline = Date.now() + this.limits.timeout;
+  }
+
+  // Count a loop iteration
+  iterate() {
+    this.iterations += 1;
+    if (this.iterations > this.limits.maxIterations) {
+      throw new RenderLimitError('iterations', this.limits.maxIterations);
+    }
+    this.checkTime();
+  }
+
+  // Go one nesting level deeper
+  enter() {
+    this.depth += 1;
+    if (this.depth > this.limits.maxDepth) {
+      this.depth -= 1;
+      throw new RenderLimitError('depth', this.limits.maxDepth);
+    }
+    this.checkTime();
+  }
+
+  // Come back up one nesting level
+  exit() {
+    this.depth -= 1;
+  }
+
+  /**
+   * Count characters of output
+   * @param {number} length - The number of characters
+   */
+  write(length) {
+    this.output += length;
+    if (this.output > this.limits.maxOutput) {
+      throw new RenderLimitError('output', this.limits.maxOutput);
+    }
+    this.checkTime();
+  }
+
+  checkTime() {
+    if (Date.now() > this.deadline) {
+      throw new RenderLimitError('time', this.limits.timeout);
+    }
+  }
+}
+
+// Template Engine - The interpreter client
+class TemplateEngine {
+  /**
+   * @param {Object} options - Engine options
+   * @param {boolean|string} options.autoescape - 'html' (or true) escapes variable output for
+   *   its HTML body, attribute or URL context; 'text' (default, or false) outputs values as is
+   * @param {Object} options.loader - Loads templates by name for {% extends %}, {% include %}
+   *   and renderTemplate(), any object with a load(name) method returning the source or null
+   * @param {number} options.cacheSize - Number of parsed templates to keep, keyed by source
+   *   (default 100, 0 disables caching)
+   * @param {boolean} options.codegen - Compile templates to JavaScript functions instead of
+   *   walking the expression tree on each render (default false)
+   * @param {boolean} options.strict - Throw a TemplateSyntaxError for malformed templates and
+   *   unknown filters instead of rendering malformed tags as text (default false)
+   * @param {boolean} options.strictVariables - Throw an UndefinedVariableError when a
+   *   template uses an undefined variable, other than through the default filter (default false)
+   * @param {boolean|Object} options.sandbox - Limit each render to options.sandbox.limits (see
+   *   RenderBudget), throwing a RenderLimitError when one is exceeded (default false). Sandboxed
+   *   engines always walk the expression tree, so codegen is ignored.
+   * @param {string|null} options.locale - Locale {% trans %} blocks are translated to, unless
+   *   a render names another one (default null, rendering the source text)
+   * @param {string} options.sourceLocale - Locale of the source text, whose plural rules
+   *   choose between the forms of untranslated messages (default 'en')
+   */
+  constructor(options = {}) {
+    this.filters = new Map(defaultFilters);
+    this.autoescape = normalizeAutoescape(options.autoescape);
+    this.loader = options.loader ?? null;
+    this.strictVariables = options.strictVariables ?? false;
+    this.locale = options.locale ?? null;
+    this.sourceLocale = options.sourceLocale ?? 'en';
+    this.translations = new Map();
+    this.sandbox = options.sandbox ? { ...DEFAULT_LIMITS, ...options.sandbox.limits } : null;
+    this.parser = new TemplateParser({
+      filters: this.filters,
+      autoescape: this.autoescape,
+      strict: options.strict ?? false,
+    });
+    this.cache = new LRUCache(options.cacheSize ?? 100);
+    this.compiler = options.codegen && !this.sandbox ? new TemplateCompiler() : null;
+  }
+
+  /**
+   * Parse a template source, compiling it when codegen is enabled, through the cache
+   * @param {string} source - The template source
+   * @param {string|null} name - The template name, for error messages
+   * @returns {Expression} The parsed (or compiled) template
+   */
+  loadExpression(source, name = null) {
+    let expression = this.cache.get(source);
+
+    if (!expression) {
+      expression = this.parser.parse(source, name);
+      if (this.compiler) expression = this.compiler.compile(expression);
+      this.cache.set(source, expression);
+    }
+
+    return expression;
+  }
+
+  /**
+   * Compile a template to a reusable render function
+   * @param {string} template - The template string
+   * @returns {Function} Called as render(data, options), returns the rendered template
+   */
+  compile(template) {
+    const expression = this.loadExpression(template);
+    return (data = {}, options = {}) => this.interpretTemplate(expression, data, [], options);
+  }
+
+  /**
+   * Load and parse a template by name
+   * @param {string} name - The template name
+   * @returns {Expression} The parsed template
+   */
+  getTemplate(name) {
+    if (!this.loader) {
+      throw new Error(`Cannot load template "${name}": no template loader configured`);
+    }
+
+    const source = this.loader.load(name);
+    if (source === null || source === undefined) {
+      throw new Error(`Template not found: "${name}"`);
+    }
+
+    return this.loadExpression(source, name);
+  }
+
+  /**
+   * Register a filter usable as {{ value | name(arg1, arg2) }}
+   * @param {string} name - The filter name
+   * @param {Function} fn - Called as fn(value, ...args), returns the filtered value
+   * @returns {TemplateEngine} The engine (for chaining)
+   */
+  registerFilter(name, fn) {
+    if (typeof fn !== 'function') {
+      throw new Error(`Filter "${name}" must be a function`);
+    }
+
+    this.filters.set(name, fn);
+    return this;
+  }
+
+  /**
+   * Register translations for {% trans %} blocks, merged into those of the locale
+   * @param {string} locale - The locale, e.g. 'fr' or 'pt-BR'; regional locales fall back to
+   *   the translations of their language
+   * @param {Object} messages - Translations keyed by message id ('Hello {name}'), each an
+   *   ICU-style message or, for plural messages, forms by plural category ({ one, other })
+   * @returns {TemplateEngine} The engine (for chaining)
+   */
+  addTranslations(locale, messages) {
+    this.translations.set(locale, { ...this.translations.get(locale), ...messages });
+    return this;
   }
 
   /**
    * Render a template with the given data
    * @param {string} template - The template string to render
    * @param {Object} data - The data to use for rendering
+   * @param {Object} options - Render options
+   * @param {string} options.locale - Locale to translate {% trans %} blocks to, instead of the
+   *   engine's
+   * @returns {string} The rendered template
+   */
+  render(template, data = {}, options = {}) {
+    return this.compile(template)(data, options);
+  }
+
+  /**
+   * Render a template from the loader with the given data
+   * @param {string} name - The template name
+   * @param {Object} data - The data to use for rendering
+   * @param {Object} options - Render options, see render
+   * @returns {string} The rendered template
+   */
+  renderTemplate(name, data = {}, options = {}) {
+    return this.interpretTemplate(this.getTemplate(name), data, [name], options);
+  }
+
+  /**
+   * Render a template with data that may hold promises and async iterables, which are
+   * awaited as the template reaches them. Filters may return promises too.
+   * @param {string} template - The template string to render
+   * @param {Object} data - The data to use for rendering
+   * @param {Object} options - Render options, see render
+   * @returns {Promise<string>} The rendered template
+   */
+  async renderAsync(template, data = {}, options = {}) {
+    let output = '';
+    const streamOptions = { ...options, chunkSize: Infinity };
+
+    for await (const chunk of this.renderStream(template, data, streamOptions)) {
+      output += chunk;
+    }
+    return output;
+  }
+
+  /**
+   * Render a template as a stream of output chunks, awaiting data like renderAsync, so large
+   * output can be sent as it is produced
+   * @param {string} template - The template string to render
+   * @param {Object} data - The data to use for rendering
+   * @param {Object} options - Render and stream options
+   * @param {string} options.locale - Locale to translate {% trans %} blocks to, see render
+   * @param {number} options.chunkSize - Output is buffered up to chunks of this length
+   *   (default 16384, 0 yields every piece of output as soon as it is rendered)
+   * @param {boolean} options.readable - Return a web ReadableStream instead of an async
+   *   iterator (default false)
+   * @returns {AsyncGenerator<string>|ReadableStream<string>} The output chunks
+   */
+  renderStream(template, data = {}, options = {}) {
+    const chunks = this.streamTemplate(this.loadExpression(template), data, [], options);
+    return options.readable ? toReadableStream(chunks) : chunks;
+  }
+
+  /**
+   * Interpret a parsed template in a new scope over the data, carrying the render-time state
+   * @param {Expression} expression - The parsed template
+   * @param {Object} data - The data to use for rendering
+   * @param {string[]} stack - Names of the templates being rendered, for cycle detection
+   * @param {Object} options - Render options, see render
    * @returns {string} The rendered template
    */
-  render(template, data = {}) {
-    const expression = this.parser.parse(template);
-    return expression.interpret(data);
+  interpretTemplate(expression, data, stack, options = {}) {
+    return expression.interpret(this.createContext(data, stack, options));
+  }
+
+  /**
+   * Stream a parsed template like interpretTemplate, joining output into chunks
+   * @param {Expression} expression - The parsed template
+   * @param {Object} data - The data to use for rendering
+   * @param {string[]} stack - Names of the templates being rendered, for cycle detection
+   * @param {Object} options - Render and stream options, see renderStream
+   * @returns {AsyncGenerator<string>} The output chunks
+   */
+  async *streamTemplate(expression, data, stack, options = {}) {
+    const chunkSize = options.chunkSize ?? 16384;
+    let buffer = '';
+
+    for await (const chunk of expression.stream(this.createContext(data, stack, options))) {
+      buffer += chunk;
+      if (buffer && buffer.length >= chunkSize) {
+        yield buffer;
+        buffer = '';
+      }
+    }
+
+    if (buffer) yield buffer;
+  }
+
+  /**
+   * Create the render context: a new scope over the data, carrying the render-time state
+   * @param {Object} data - The data to use for rendering
+   * @param {string[]} stack - Names of the templates being rendered, for cycle detection
+   * @param {Object} options - Render options, see render
+   * @returns {Object} The render context
+   */
+  createContext(data, stack, options = {}) {
+    const context = Object.create(data);
+    context[RUNTIME] = {
+      engine: this,
+      blocks: new Map(),
+      stack,
+      strictVariables: this.strictVariables,
+      budget: this.sandbox ? new RenderBudget(this.sandbox) : null,
+      locale: options.locale ?? this.locale,
+    };
+
+    return context;
   }
 }
 
@@ -363,8 +2795,41 @@ export {
   ConditionalExpression,
   LoopExpression,
   CompositeExpression,
+  BlockExpression,
+  ExtendsExpression,
+  IncludeExpression,
+  SetExpression,
+  MacroExpression,
+  Macro,
+  TransExpression,
+
+  // Expression language classes
+  LiteralExpression,
+  LookupExpression,
+  MemberExpression,
+  ListExpression,
+  UnaryExpression,
+  BinaryExpression,
+  FilterExpression,
+  CallExpression,
+  ExpressionParser,
 
-  // Parser and engine
+  // Parser, compiler, loaders and engine
   TemplateParser,
+  TemplateCompiler,
+  CompiledExpression,
+  LRUCache,
+  MemoryLoader,
+  DirectoryLoader,
   TemplateEngine,
+  RenderBudget,
+
+  // Static analysis
+  analyzeTemplate,
+  validateTemplate,
+
+  // Errors
+  TemplateSyntaxError,
+  UndefinedVariableError,
+  RenderLimitError,
 };
@@ -1,4 +1,7 @@
-import { describe, test, expect, beforeEach } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest';
 
 import {
   TextExpression,
@@ -8,6 +11,17 @@ import {
   CompositeExpression,
   TemplateParser,
   TemplateEngine,
+  MemoryLoader,
+  DirectoryLoader,
+  ExpressionParser,
+  BinaryExpression,
+  LookupExpression,
+  LRUCache,
+  TemplateSyntaxError,
+  UndefinedVariableError,
+  RenderLimitError,
+  analyzeTemplate,
+  validateTemplate,
 } from './interpreter.implementation.js';
 import {
   createTextExpression,
@@ -15,9 +29,15 @@ import {
   createConditionalExpression,
   createLoopExpression,
   createCompositeExpression,
+  createTemplateParser,
   createTemplateEngine,
+  createMemoryLoader,
+  createDirectoryLoader,
+  parseExpression,
+  createExpressionEvaluator,
+  createLRUCache,
 } from './interpreter.functional.js';
-import { userData } from './interpreter.example';
+import { userData } from './interpreter.example.js';
 
 describe('Class-based Interpreter Implementation', () => {
   describe('Expression Classes', () => {
@@ -141,6 +161,72 @@ describe('Class-based Interpreter Implementation', () => {
       expect(resultWithoutItems).toContain('<p>No items</p>');
     });
   });
+
+  describe('Filters', () => {
+    let engine;
+
+    beforeEach(() => {
+      engine = new TemplateEngine();
+    });
+
+    test('VariableExpression should pipe the value through filters', () => {
+      const expr = new VariableExpression('user.name | upper | truncate(6)');
+      const context = { user: { name: 'John Doe' } };
+      expect(expr.interpret(context)).toBe('JOH...');
+    });
+
+    test('should apply built-in filters with arguments', () => {
+      const data = {
+        name: 'Ada',
+        tags: ['a', 'b', 'c'],
+        created: new Date(2024, 0, 5, 9, 3),
+        html: '<b>"x"</b>',
+        settings: { theme: 'dark' },
+      };
+
+      expect(engine.render('{{ name | lower }}', data)).toBe('ada');
+      expect(engine.render('{{ missing | default("N/A") }}', data)).toBe('N/A');
+      expect(engine.render('{{ tags | join(" / ") }}', data)).toBe('a / b / c');
+      expect(engine.render('{{ tags | length }}', data)).toBe('3');
+      expect(engine.render('{{ created | date("DD.MM.YYYY HH:mm") }}', data)).toBe(
+        '05.01.2024 09:03'
+      );
+      expect(engine.render('{{ html | escape }}', data)).toBe('&lt;b&gt;&quot;x&quot;&lt;/b&gt;');
+      expect(engine.render('{{ settings | json }}', data)).toBe('{"theme":"dark"}');
+    });
+
+    test('should resolve filter arguments from the context', () => {
+      const template = '{{ nickname | default(user.name) }}';
+      expect(engine.render(template, { user: { name: 'John' } })).toBe('John');
+    });
+
+    test('should not split pipelines inside quoted arguments', () => {
+      expect(engine.render('{{ items | join(" | ") }}', { items: [1, 2] })).toBe('1 | 2');
+    });
+
+    test('registerFilter should add custom filters', () => {
+      engine
+        .registerFilter('currency', (value, symbol = '$') => `${symbol}${value.toFixed(2)}`)
+        .registerFilter('reverse', (value) => [...String(value)].reverse().join(''));
+
+      expect(engine.render('{{ price | currency("€") }}', { price: 5 })).toBe('€5.00');
+      expect(engine.render('{{ word | reverse | upper }}', { word: 'abc' })).toBe('CBA');
+    });
+
+    test('registerFilter should reject non-function filters', () => {
+      expect(() => engine.registerFilter('bad', 'nope')).toThrow('must be a function');
+    });
+
+    test('unknown filters should leave the value unchanged and warn once', () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      expect(engine.render('{{ name | shout }}', { name: 'Ada' })).toBe('Ada');
+      expect(engine.render('{{ name | shout }}!', { name: 'Ada' })).toBe('Ada!');
+      expect(warn).toHaveBeenCalledTimes(1);
+      expect(warn).toHaveBeenCalledWith('Unknown filter "shout", the value is output unchanged');
+      warn.mockRestore();
+    });
+  });
 });
 
 describe('Functional Interpreter Implementation', () => {
@@ -200,6 +286,1494 @@ describe('Functional Interpreter Implementation', () => {
       expect(loop.interpret(context)).toBe('abc');
     });
   });
+
+  describe('Filters', () => {
+    test('createVariableExpression should expose the parsed filter pipeline', () => {
+      const expr = createVariableExpression('user.name | truncate(20, "…") | upper');
+
+      expect(expr.name).toBe('user.name');
+      expect(expr.filters).toEqual([
+        {
+          name: 'truncate',
+          args: [
+            { type: 'literal', value: 20 },
+            { type: 'literal', value: '…' },
+          ],
+        },
+        { name: 'upper', args: [] },
+      ]);
+    });
+
+    test('registerFilter should add custom filters', () => {
+      const engine = createTemplateEngine().registerFilter('double', (value) => value * 2);
+
+      expect(engine.render('{{ count | double }}', { count: 21 })).toBe('42');
+      expect(engine.render('{{ name | upper }}', { name: 'ada' })).toBe('ADA');
+    });
+
+    test.each([false, true])('unknown filters should warn (codegen: %s)', async (codegen) => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      const engine = createTemplateEngine({ codegen });
+
+      expect(engine.render('{{ name | uper }}', { name: 'ada' })).toBe('ada');
+      expect(await engine.renderAsync('{{ name | lowr }}', { name: 'Ada' })).toBe('Ada');
+      expect(warn.mock.calls).toEqual([
+        ['Unknown filter "uper", the value is output unchanged'],
+        ['Unknown filter "lowr", the value is output unchanged'],
+      ]);
+      warn.mockRestore();
+    });
+  });
+});
+
+describe('Autoescaping', () => {
+  const engines = [
+    ['class-based', (options) => new TemplateEngine(options)],
+    ['functional', (options) => createTemplateEngine(options)],
+  ];
+
+  describe.each(engines)('%s engine', (_, createEngine) => {
+    let engine;
+
+    beforeEach(() => {
+      engine = createEngine({ autoescape: 'html' });
+    });
+
+    test('should escape variables in HTML body context', () => {
+      const result = engine.render('<p>{{ comment }}</p>', {
+        comment: '<script>alert(1)</script>',
+      });
+      expect(result).toBe('<p>&lt;script&gt;alert(1)&lt;/script&gt;</p>');
+    });
+
+    test('should escape variables in attribute context', () => {
+      const template = '<input value="{{ name }}" title={{ name }}>';
+      expect(engine.render(template, { name: 'a" onclick="x' })).toBe(
+        '<input value="a&quot;&#32;onclick&#61;&quot;x" title=a&quot;&#32;onclick&#61;&quot;x>'
+      );
+    });
+
+    test('should block unsafe URL schemes and encode URL components', () => {
+      const template = '<a href="{{ url }}">x</a><a href="/search?q={{ query }}">y</a>';
+      const result = engine.render(template, { url: 'javascript:alert(1)', query: 'a&b c' });
+
+      expect(result).toBe('<a href="about:invalid">x</a><a href="/search?q=a%26b%20c">y</a>');
+      expect(engine.render('<a href="{{ url }}">', { url: 'https://example.com/?a=1&b=2' })).toBe(
+        '<a href="https://example.com/?a=1&amp;b=2">'
+      );
+    });
+
+    test('should track the HTML context inside blocks', () => {
+      const template =
+        '{% for link in links %}<a href="{{ link.url }}">{{ link.label }}</a>{% endfor %}';
+      const data = { links: [{ url: 'javascript:void(0)', label: '<b>' }] };
+
+      expect(engine.render(template, data)).toBe('<a href="about:invalid">&lt;b&gt;</a>');
+    });
+
+    test('safe filter should opt out of escaping', () => {
+      expect(engine.render('{{ html | safe }}', { html: '<em>hi</em>' })).toBe('<em>hi</em>');
+    });
+
+    test('escape filter should not be escaped twice', () => {
+      expect(engine.render('{{ html | escape }}', { html: '<em>' })).toBe('&lt;em&gt;');
+    });
+
+    test('text mode should output values as is', () => {
+      const textEngine = createEngine();
+      expect(textEngine.render('<p>{{ comment }}</p>', { comment: '<b>' })).toBe('<p><b></p>');
+    });
+
+    test('should reject unknown autoescape modes', () => {
+      expect(() => createEngine({ autoescape: 'xml' })).toThrow('Unknown autoescape mode');
+    });
+  });
+});
+
+describe('Expression Language', () => {
+  test('ExpressionParser should build a precedence tree', () => {
+    const expr = new ExpressionParser('a or b and not c == 1').parse();
+
+    expect(expr).toBeInstanceOf(BinaryExpression);
+    expect(expr.operator).toBe('or');
+    expect(expr.left).toBeInstanceOf(LookupExpression);
+    expect(expr.right.operator).toBe('and');
+    expect(expr.right.right.operator).toBe('not');
+    expect(expr.right.right.operand.operator).toBe('==');
+  });
+
+  test('parseExpression should build plain node objects', () => {
+    expect(parseExpression('user.role in ["admin", "editor"]')).toEqual({
+      type: 'binary',
+      operator: 'in',
+      left: { type: 'path', path: 'user.role' },
+      right: {
+        type: 'list',
+        items: [
+          { type: 'literal', value: 'admin' },
+          { type: 'literal', value: 'editor' },
+        ],
+      },
+    });
+
+    const evaluate = createExpressionEvaluator();
+    expect(evaluate(parseExpression('(1 < 2) == true'), {})).toBe(true);
+  });
+
+  test.each([
+    ['unterminated string', 'name == "John'],
+    ['unexpected character', 'price > $5'],
+    ['missing operand', 'a and'],
+    ['unbalanced parentheses', '(a or b'],
+  ])('both parsers should reject %s', (_, source) => {
+    expect(() => new ExpressionParser(source).parse()).toThrow();
+    expect(() => parseExpression(source)).toThrow();
+  });
+
+  describe.each([
+    ['class-based', () => new TemplateEngine()],
+    ['functional', () => createTemplateEngine()],
+  ])('%s engine', (_, createEngine) => {
+    const data = {
+      user: { name: 'John', age: 21, role: 'editor', tags: ['vip'], banned: false },
+      limits: { 'max-items': 3 },
+      items: [1, 2, 3, 4],
+      field: 'name',
+    };
+    let engine;
+
+    beforeEach(() => {
+      engine = createEngine();
+    });
+
+    const check = (condition) =>
+      engine.render(`{% if ${condition} %}Y{% else %}N{% endif %}`, data);
+
+    test('should evaluate comparisons', () => {
+      expect(check('user.age >= 18')).toBe('Y');
+      expect(check('user.age < 18')).toBe('N');
+      expect(check('user.name == "John"')).toBe('Y');
+      expect(check("user.name != 'John'")).toBe('N');
+      expect(check('user.age == 21.0')).toBe('Y');
+    });
+
+    test('should combine conditions with and, or, not and parentheses', () => {
+      expect(check('user.age > 18 and not user.banned')).toBe('Y');
+      expect(check('user.banned or user.age < 18')).toBe('N');
+      expect(check('not (user.banned or user.age < 18)')).toBe('Y');
+      expect(check('user.banned and user.missing.deep')).toBe('N');
+    });
+
+    test('should check membership with in and not in', () => {
+      expect(check('user.role in ["admin", "editor"]')).toBe('Y');
+      expect(check('"vip" in user.tags')).toBe('Y');
+      expect(check('"oh" in user.name')).toBe('Y');
+      expect(check('"age" in user')).toBe('Y');
+      expect(check('user.role not in ["admin"]')).toBe('Y');
+      expect(check('"x" in missing')).toBe('N');
+    });
+
+    test('should support filters and member access in conditions', () => {
+      expect(check('items | length > limits["max-items"]')).toBe('Y');
+      expect(check('items[0] == 1 and user[field] == "John"')).toBe('Y');
+    });
+
+    test('should evaluate expressions in variable output', () => {
+      expect(engine.render('{{ nickname or user.name }}', data)).toBe('John');
+      expect(engine.render('{{ items[-1] }}|{{ items[1] }}', data)).toBe('|2');
+    });
+
+    test('should keep malformed expressions as text', () => {
+      expect(engine.render('{% if a > %}A{% endif %}', data)).toBe('{% if a > %}A{% endif %}');
+      expect(engine.render('{{ a b }}', data)).toBe('{{ a b }}');
+    });
+  });
+});
+
+describe('Branches and Loops', () => {
+  describe.each([
+    ['class-based', () => new TemplateEngine()],
+    ['functional', () => createTemplateEngine()],
+  ])('%s engine', (_, createEngine) => {
+    let engine;
+
+    beforeEach(() => {
+      engine = createEngine();
+    });
+
+    test('should render the first matching elif branch', () => {
+      const template =
+        '{% if score >= 90 %}A{% elif score >= 80 %}B{% elif score >= 70 %}C{% else %}F{% endif %}';
+
+      expect(engine.render(template, { score: 95 })).toBe('A');
+      expect(engine.render(template, { score: 85 })).toBe('B');
+      expect(engine.render(template, { score: 72 })).toBe('C');
+      expect(engine.render(template, { score: 10 })).toBe('F');
+      expect(engine.render('{% if a %}A{% elif b %}B{% endif %}', {})).toBe('');
+    });
+
+    test('should keep nested elif branches with their own block', () => {
+      const template =
+        '{% if a %}{% if b %}AB{% elif c %}AC{% endif %}{% elif c %}C{% else %}-{% endif %}';
+
+      expect(engine.render(template, { a: true, c: true })).toBe('AC');
+      expect(engine.render(template, { a: false, c: true })).toBe('C');
+    });
+
+    test('should render the empty branch for empty or missing collections', () => {
+      const template = '{% for item in items %}{{ item }}{% empty %}None{% endfor %}';
+
+      expect(engine.render(template, { items: [] })).toBe('None');
+      expect(engine.render(template, {})).toBe('None');
+      expect(engine.render(template, { items: ['a'] })).toBe('a');
+    });
+
+    test('should expose loop metadata', () => {
+      const template =
+        '{% for item in items %}{{ loop.index }}/{{ loop.length }}:{{ item }}' +
+        '{% if loop.first %}(first){% endif %}{% if not loop.last %}, {% endif %}{% endfor %}';
+
+      expect(engine.render(template, { items: ['a', 'b', 'c'] })).toBe(
+        '1/3:a(first), 2/3:b, 3/3:c'
+      );
+    });
+
+    test('should link nested loops through loop.parent', () => {
+      const template =
+        '{% for row in rows %}{% for cell in row %}' +
+        '{{ loop.parent.index0 }}{{ loop.index0 }}={{ cell }} {% endfor %}{% endfor %}';
+
+      expect(engine.render(template, { rows: [['a', 'b'], ['c']] })).toBe('00=a 01=b 10=c ');
+    });
+
+    test('should iterate dotted collection paths', () => {
+      const template = '{% for line in order.items %}{{ line.sku }};{% endfor %}';
+      const data = { order: { items: [{ sku: 'A1' }, { sku: 'B2' }] } };
+
+      expect(engine.render(template, data)).toBe('A1;B2;');
+    });
+
+    test('should iterate object entries, Maps and other iterables', () => {
+      const template = '{% for key, value in obj %}{{ key }}={{ value }};{% endfor %}';
+
+      expect(engine.render(template, { obj: { a: 1, b: 2 } })).toBe('a=1;b=2;');
+      expect(engine.render(template, { obj: new Map([['x', 'y']]) })).toBe('x=y;');
+      expect(
+        engine.render('{% for key in obj %}{{ key }}{% endfor %}', { obj: { a: 1, b: 2 } })
+      ).toBe('ab');
+      expect(engine.render('{% for n in ids %}{{ n }}{% endfor %}', { ids: new Set([1, 2]) })).toBe(
+        '12'
+      );
+
+      function* generate() {
+        yield 'g1';
+        yield 'g2';
+      }
+      expect(
+        engine.render('{% for g in gen %}{{ g }}{% if loop.last %}!{% endif %}{% endfor %}', {
+          gen: generate(),
+        })
+      ).toBe('g1g2!');
+    });
+
+    test('should not leak loop variables into the outer scope', () => {
+      const template = '{% for item in items %}{{ item }}{% endfor %}[{{ item }}]';
+      expect(engine.render(template, { items: [1, 2], item: 'outer' })).toBe('12[outer]');
+    });
+  });
+});
+
+describe('Template Inheritance and Includes', () => {
+  const templates = {
+    base:
+      '<html><title>{% block title %}Default{% endblock %}</title>' +
+      '{% include "header" %}<main>{% block content %}{% endblock %}</main></html>',
+    header: '<header>{{ company }}</header>',
+    layout:
+      '{% extends "base" %}{% block content %}<div>{% block body %}{% endblock %}</div>{% endblock %}',
+    welcome:
+      '{% extends "layout" %}ignored{% block title %}Welcome {{ user.name }}{% endblock %}' +
+      '{% block body %}Hi {{ user.name }}!{% endblock %}',
+    loopA: 'A{% include "loopB" %}',
+    loopB: 'B{% include "loopA" %}',
+    self: '{% extends "self" %}',
+    dynamic: '{% include partial %}',
+  };
+
+  describe.each([
+    ['class-based', (options) => new TemplateEngine(options), (t) => new MemoryLoader(t)],
+    ['functional', (options) => createTemplateEngine(options), (t) => createMemoryLoader(t)],
+  ])('%s engine', (_, createEngine, createLoader) => {
+    let engine;
+
+    beforeEach(() => {
+      engine = createEngine({ loader: createLoader(templates) });
+    });
+
+    test('should include partials with the current context', () => {
+      expect(engine.render('[{% include "header" %}]', { company: 'Acme' })).toBe(
+        '[<header>Acme</header>]'
+      );
+    });
+
+    test('should render block overrides through several levels of inheritance', () => {
+      const result = engine.renderTemplate('welcome', { user: { name: 'Ada' }, company: 'Acme' });
+
+      expect(result).toBe(
+        '<html><title>Welcome Ada</title><header>Acme</header>' +
+          '<main><div>Hi Ada!</div></main></html>'
+      );
+    });
+
+    test('should keep default block content when not overridden', () => {
+      expect(engine.render('{% extends "base" %}', { company: 'Acme' })).toBe(
+        '<html><title>Default</title><header>Acme</header><main></main></html>'
+      );
+    });
+
+    test('should resolve template names from expressions', () => {
+      expect(engine.renderTemplate('dynamic', { partial: 'header', company: 'X' })).toBe(
+        '<header>X</header>'
+      );
+    });
+
+    test('should report circular includes and inheritance', () => {
+      expect(() => engine.renderTemplate('loopA')).toThrow(
+        'Circular include detected: loopA -> loopB -> loopA'
+      );
+      expect(() => engine.renderTemplate('self')).toThrow(
+        'Circular extends detected: self -> self'
+      );
+    });
+
+    test('should report missing templates and missing loaders', () => {
+      expect(() => engine.render('{% include "nope" %}')).toThrow('Template not found: "nope"');
+      expect(() => createEngine().render('{% include "header" %}')).toThrow(
+        'no template loader configured'
+      );
+    });
+
+    test('loaders can add templates after creation', () => {
+      const loader = createLoader().set('greeting', 'Hello {{ name }}');
+      const localEngine = createEngine({ loader });
+
+      expect(localEngine.renderTemplate('greeting', { name: 'Ada' })).toBe('Hello Ada');
+    });
+  });
+
+  describe.each([
+    ['DirectoryLoader', (root, options) => new DirectoryLoader(root, options), TemplateEngine],
+    ['createDirectoryLoader', createDirectoryLoader, null],
+  ])('%s', (_, createLoader, EngineClass) => {
+    let root;
+
+    beforeEach(() => {
+      root = fs.mkdtempSync(path.join(os.tmpdir(), 'templates-'));
+      fs.mkdirSync(path.join(root, 'emails'));
+      fs.writeFileSync(path.join(root, 'base.html'), '<body>{% block body %}{% endblock %}</body>');
+      fs.writeFileSync(
+        path.join(root, 'emails', 'welcome.html'),
+        '{% extends "base" %}{% block body %}Welcome {{ name }}{% endblock %}'
+      );
+    });
+
+    afterEach(() => {
+      fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    test('should read templates from files', () => {
+      const loader = createLoader(root, { extension: '.html' });
+      const engine = EngineClass ? new EngineClass({ loader }) : createTemplateEngine({ loader });
+
+      expect(engine.renderTemplate('emails/welcome', { name: 'Ada' })).toBe(
+        '<body>Welcome Ada</body>'
+      );
+      expect(loader.load('missing')).toBeNull();
+    });
+
+    test('should not read files outside the root directory', () => {
+      const loader = createLoader(path.join(root, 'emails'));
+      expect(() => loader.load('../base.html')).toThrow('outside the loader directory');
+    });
+  });
+});
+
+describe('Set and Macros', () => {
+  describe.each([
+    ['class-based', (options) => new TemplateEngine(options), (t) => new MemoryLoader(t)],
+    ['functional', (options) => createTemplateEngine(options), (t) => createMemoryLoader(t)],
+  ])('%s engine', (_, createEngine, createLoader) => {
+    let engine;
+
+    beforeEach(() => {
+      engine = createEngine({ autoescape: 'html' });
+    });
+
+    test('set should assign expression values', () => {
+      const template =
+        '{% set name = user.name | upper %}{% set tags = ["a", "b"] %}{{ name }} {{ tags | join }}';
+      expect(engine.render(template, { user: { name: 'ada' } })).toBe('ADA a, b');
+    });
+
+    test('set should be scoped to loops and not change the data', () => {
+      const data = { items: [1, 2], current: 'none' };
+      const template =
+        '{% for item in items %}{% set current = item %}{{ current }},{% endfor %}{{ current }}' +
+        '{% set current = "top" %} {{ current }}';
+
+      expect(engine.render(template, data)).toBe('1,2,none top');
+      expect(data.current).toBe('none');
+    });
+
+    test('set inside an if block should apply to the enclosing scope', () => {
+      expect(engine.render('{% if true %}{% set x = 1 %}{% endif %}{{ x }}')).toBe('1');
+    });
+
+    test('macros should render with positional, keyword and default arguments', () => {
+      const template =
+        '{% macro button(label, href="#", cls=label | lower) %}' +
+        '<a href="{{ href }}" class="{{ cls }}">{{ label }}</a>{% endmacro %}' +
+        '{{ button("Go", url) }}|{{ button("Back", cls="secondary") }}';
+
+      expect(engine.render(template, { url: '/next' })).toBe(
+        '<a href="/next" class="go">Go</a>|<a href="#" class="secondary">Back</a>'
+      );
+    });
+
+    test('macro output should be escaped once', () => {
+      const template = '{% macro em(text) %}<em>{{ text }}</em>{% endmacro %}{{ em(value) }}';
+      expect(engine.render(template, { value: '<b>' })).toBe('<em>&lt;b&gt;</em>');
+    });
+
+    test('macros should see their definition scope but not the caller locals', () => {
+      const template =
+        '{% macro greet() %}{{ greeting }} {{ item }}{% endmacro %}' +
+        '{% for item in items %}[{{ greet() }}]{% endfor %}';
+
+      expect(engine.render(template, { greeting: 'Hi', items: ['a'] })).toBe('[Hi ]');
+    });
+
+    test('macros should be recursive', () => {
+      const template =
+        '{% macro tree(node) %}{{ node.name }}{% if node.children %}({% for child in node.children %}' +
+        '{{ tree(child) }}{% endfor %}){% endif %}{% endmacro %}{{ tree(root) }}';
+      const root = {
+        name: 'a',
+        children: [{ name: 'b' }, { name: 'c', children: [{ name: 'd' }] }],
+      };
+
+      expect(engine.render(template, { root })).toBe('a(bc(d))');
+    });
+
+    test('calling undefined macros should render nothing, calling other values should throw', () => {
+      expect(engine.render('[{{ missing("x") }}]')).toBe('[]');
+      expect(() => engine.render('{{ name() }}', { name: 'x' })).toThrow(
+        'Cannot call "name": it is not a macro'
+      );
+      expect(() => engine.render('{% macro m(a) %}{% endmacro %}{{ m(b=1) }}')).toThrow(
+        'Macro "m" has no parameter "b"'
+      );
+    });
+
+    test('child templates should run top-level set and macro tags', () => {
+      const loader = createLoader({
+        base: '<h1>{% block title %}{% endblock %}</h1>',
+        page:
+          '{% extends "base" %}{% set site = "Acme" %}' +
+          '{% macro em(text) %}<em>{{ text }}</em>{% endmacro %}' +
+          '{% block title %}{{ em(site) }}{% endblock %}',
+      });
+
+      expect(createEngine({ loader }).renderTemplate('page')).toBe('<h1><em>Acme</em></h1>');
+    });
+
+    test('malformed set and macro tags should be text, or errors in strict mode', () => {
+      expect(engine.render('{% set = 1 %}{% macro 1(a) %}x{% endmacro %}')).toBe(
+        '{% set = 1 %}{% macro 1(a) %}x{% endmacro %}'
+      );
+
+      const strict = createEngine({ strict: true });
+      expect(() => strict.render('{% set x = %}')).toThrow('Malformed {% set %} tag');
+      expect(() => strict.render('{% macro m(a.b) %}{% endmacro %}')).toThrow(
+        'Invalid macro signature: m(a.b)'
+      );
+      expect(() => strict.render('{% macro m() %}')).toThrow('Unclosed {% macro %} block');
+    });
+  });
+});
+
+describe('Whitespace Control, Comments and Raw Blocks', () => {
+  describe.each([
+    ['class-based', (options) => new TemplateEngine(options)],
+    ['functional', (options) => createTemplateEngine(options)],
+    ['codegen', (options) => new TemplateEngine({ codegen: true, ...options })],
+  ])('%s engine', (_, createEngine) => {
+    test('trim markers should remove the whitespace next to tags', () => {
+      const template = [
+        'Items:',
+        '{% for item in items -%}',
+        '  - {{ item }}',
+        '{% endfor -%}',
+        '{%- if total %}',
+        'Total: {{- total -}} !',
+        '{%- endif %}',
+      ].join('\n');
+
+      expect(createEngine().render(template, { items: ['a', 'b'], total: 2 })).toBe(
+        'Items:\n- a\n- b\n\nTotal:2!'
+      );
+    });
+
+    test('trim markers should not change expressions', () => {
+      expect(createEngine().render('{{ -n }} {{-n-}} | {{ n }}', { n: 3 })).toBe('-33| 3');
+    });
+
+    test('comments should be left out of the output', () => {
+      const template = 'a{# note: {{ secret }} {% if %} #}b {#- trimmed -#} c';
+      expect(createEngine().render(template, { secret: 'x' })).toBe('abc');
+    });
+
+    test('raw blocks should output their content unparsed', () => {
+      const template = '{% raw %}{{ name }} {% if x %}{# y #}{% endraw %} {{ name }}';
+      expect(createEngine().render(template, { name: 'Ada' })).toBe(
+        '{{ name }} {% if x %}{# y #} Ada'
+      );
+    });
+
+    test('tags inside comments and raw blocks should not close outer blocks', () => {
+      const template =
+        '{% if show %}{# {% endif %} #}{% raw %}{% endif %}{% endraw %}shown{% endif %}';
+
+      expect(createEngine().render(template, { show: true })).toBe('{% endif %}shown');
+      expect(createEngine().render(template, { show: false })).toBe('');
+    });
+
+    test('strict mode should report unclosed comments and raw blocks', () => {
+      const engine = createEngine({ strict: true });
+
+      expect(() => engine.render('a\n{# note')).toThrow('Unclosed comment, expected "#}" (line 2');
+      expect(() => engine.render('{% raw %}{{ x }}')).toThrow(
+        'Unclosed {% raw %} block, expected {% endraw %}'
+      );
+      expect(createEngine().render('{% raw %}{{ x }}', { x: 1 })).toBe('{% raw %}1');
+    });
+  });
+});
+
+describe('Compilation and Caching', () => {
+  const templates = {
+    base: '<title>{% block title %}Default{% endblock %}</title>{% block body %}{% endblock %}',
+    page: '{% extends "base" %}{% block body %}{% include "item" %}{% endblock %}',
+    item: '<p title="{{ item.name }}">{{ item.name | upper }}</p>',
+  };
+
+  // Templates covering every node type, rendered with the data below
+  const parityCases = [
+    'Plain text only',
+    'Hello, {{ user.name }}! You are {{ user.age }}.',
+    '{{ missing }}|{{ empty }}|{{ zero }}|{{ flag }}|{{ user.missing.deep }}',
+    '{{ items[0].name }} {{ items[index].price }} {{ user["name"] }} {{ [1, 2, 3] }}',
+    '{{ user.name | lower | truncate(3, "!") }} {{ tags | join(" / ") }} {{ note | default("n/a") }}',
+    '{{ unknown_filter_value | nope }} {{ price | money("EUR") }}',
+    '{{ not flag }} {{ -zero }} {{ user.age >= 18 and "adult" }} {{ zero or "none" }}',
+    '{{ "admin" in roles }} {{ "guest" not in roles }} {{ user.age == 30 }} {{ user.age != 30 }}',
+    '{% if user.age > 40 %}old{% elif user.age > 20 %}adult{% else %}young{% endif %}',
+    '{% if flag %}yes{% endif %}{% if not flag %}no{% endif %}',
+    '{% for item in items %}{{ loop.index }}/{{ loop.length }} {{ item.name }}{% if not loop.last %}, {% endif %}{% endfor %}',
+    '{% for key, value in settings %}{{ key }}={{ value }};{% endfor %}',
+    '{% for row in matrix %}{% for cell in row %}{{ loop.parent.index0 }}{{ cell }}{% endfor %}|{% endfor %}',
+    '{% for item in nothing %}x{% empty %}No items{% endfor %}',
+    '{% for tag in tagSet %}{{ tag }}{% endfor %} {% for name in settings %}{{ name }}{% endfor %}',
+    '{% for item in items %}{{ item }}{% endfor %}',
+    '{% block intro %}Intro for {{ user.name }}{% endblock %}',
+    '{% include "item" %} {{ item.name }}',
+    '{% extends "page" %}{% block title %}{{ user.name }}{% endblock %}',
+    '<a href="{{ url }}" title={{ user.name }}>{{ html }}</a>{{ html | safe }}',
+    '{% set total = items | length %}{% for i in items %}{% set total = i.price %}{% endfor %}{{ total }}',
+    '{% macro tag(name, cls=name | lower) %}<b class="{{ cls }}">{{ name }}</b>{% endmacro %}{{ tag(user.name) }}{{ tag("X", cls="y") }}',
+    'Unclosed {{ name',
+    '{% if admin %}Admin',
+  ];
+
+  const data = {
+    user: { name: 'Ada <Lovelace>', age: 36 },
+    items: [
+      { name: 'Apple', price: 1.5 },
+      { name: 'Pear', price: 2 },
+    ],
+    index: 1,
+    tags: ['a', 'b'],
+    tagSet: new Set(['x', 'y']),
+    roles: ['admin', 'editor'],
+    settings: { theme: 'dark', lang: 'en' },
+    matrix: [
+      [1, 2],
+      [3, 4],
+    ],
+    item: { name: 'Widget' },
+    empty: null,
+    zero: 0,
+    flag: false,
+    note: '',
+    price: 9.5,
+    url: 'javascript:alert(1)',
+    html: '<b>"bold"</b>',
+  };
+
+  describe.each([
+    [
+      'class-based',
+      (options) => new TemplateEngine(options),
+      (t) => new MemoryLoader(t),
+      (cache) => cache.size,
+    ],
+    [
+      'functional',
+      (options) => createTemplateEngine(options),
+      (t) => createMemoryLoader(t),
+      (cache) => cache.size(),
+    ],
+  ])('%s engine', (_, createEngine, createLoader, sizeOf) => {
+    const createEngines = (options) =>
+      [createEngine({ ...options, cacheSize: 0 }), createEngine({ ...options, codegen: true })].map(
+        (engine) =>
+          engine.registerFilter('money', (value, currency) => `${currency} ${value.toFixed(2)}`)
+      );
+
+    test.each(['text', 'html'])(
+      'generated code should match the interpreter (%s)',
+      (autoescape) => {
+        const [interpreter, compiled] = createEngines({
+          autoescape,
+          loader: createLoader(templates),
+        });
+
+        for (const template of parityCases) {
+          expect(compiled.render(template, data), template).toBe(
+            interpreter.render(template, data)
+          );
+        }
+      }
+    );
+
+    test('generated code should match the interpreter for loaded templates', () => {
+      const [interpreter, compiled] = createEngines({ loader: createLoader(templates) });
+
+      expect(compiled.renderTemplate('page', data)).toBe(interpreter.renderTemplate('page', data));
+    });
+
+    test('compile should return a reusable render function', () => {
+      const engine = createEngine({ codegen: true });
+      const render = engine.compile('{% for n in numbers %}{{ n }}{% endfor %}Hi {{ name }}');
+
+      expect(render({ name: 'Ada' })).toBe('Hi Ada');
+      expect(render({ name: 'Grace', numbers: [] })).toBe('Hi Grace');
+      expect(render()).toBe('Hi ');
+    });
+
+    test('should cache parsed templates by source', () => {
+      const engine = createEngine({ loader: createLoader(templates), cacheSize: 2 });
+
+      engine.render('{{ a }}', { a: 1 });
+      expect(engine.render('{{ a }}', { a: 2 })).toBe('2');
+      expect(sizeOf(engine.cache)).toBe(1);
+
+      engine.renderTemplate('item', data);
+      engine.render('{{ b }}');
+      expect(sizeOf(engine.cache)).toBe(2);
+    });
+
+    test('should apply filters registered after compiling', () => {
+      const engine = createEngine({ codegen: true });
+      const render = engine.compile('{{ name | shout }}');
+
+      expect(render({ name: 'hi' })).toBe('hi');
+      engine.registerFilter('shout', (value) => `${value}!`);
+      expect(render({ name: 'hi' })).toBe('hi!');
+    });
+  });
+
+  test('generated code should not evaluate template values', () => {
+    const engine = new TemplateEngine({ codegen: true });
+    const template = '{{ "`${process.exit()}`\\"); throw 1; //" }}{% for a, b in x %}{% endfor %}';
+
+    expect(engine.render(template)).toBe('`${process.exit()}`"); throw 1; //');
+  });
+
+  describe.each([
+    ['LRUCache', () => new LRUCache(2), (cache) => cache.size],
+    ['createLRUCache', () => createLRUCache(2), (cache) => cache.size()],
+  ])('%s', (_, createCache, sizeOf) => {
+    test('should evict the least recently used entry', () => {
+      const cache = createCache().set('a', 1).set('b', 2);
+
+      expect(cache.get('a')).toBe(1);
+      cache.set('c', 3);
+
+      expect(cache.get('b')).toBeUndefined();
+      expect(cache.get('a')).toBe(1);
+      expect(cache.get('c')).toBe(3);
+      expect(sizeOf(cache)).toBe(2);
+    });
+  });
+
+  test('a cache size of 0 should disable caching', () => {
+    const cache = new LRUCache(0).set('a', 1);
+    expect(cache.get('a')).toBeUndefined();
+  });
+});
+
+describe('Strict Mode', () => {
+  describe.each([
+    ['class-based', (options) => new TemplateEngine(options), (t) => new MemoryLoader(t)],
+    ['functional', (options) => createTemplateEngine(options), (t) => createMemoryLoader(t)],
+  ])('%s engine', (_, createEngine, createLoader) => {
+    const syntaxErrorOf = (template, options = {}) => {
+      try {
+        createEngine({ strict: true, ...options }).render(template);
+      } catch (error) {
+        return error;
+      }
+      throw new Error(`Expected a syntax error for: ${template}`);
+    };
+
+    test('should report unclosed blocks with line, column and a code frame', () => {
+      const error = syntaxErrorOf(
+        '<ul>\n  {% for item in items %}\n    <li>{{ item }}</li>\n</ul>'
+      );
+
+      expect(error).toBeInstanceOf(TemplateSyntaxError);
+      expect(error.reason).toBe('Unclosed {% for %} block, expected {% endfor %}');
+      expect(error.line).toBe(2);
+      expect(error.column).toBe(3);
+      expect(error.snippet).toBe(
+        [
+          '  1 | <ul>',
+          '> 2 |   {% for item in items %}',
+          '    |   ^',
+          '  3 |     <li>{{ item }}</li>',
+          '  4 | </ul>',
+        ].join('\n')
+      );
+      expect(error.message).toContain('(line 2, column 3)');
+    });
+
+    test.each([
+      ['Hello {{ name', 'Unclosed variable tag, expected "}}"', 1, 7],
+      ['{% if admin %}Admin', 'Unclosed {% if %} block, expected {% endif %}', 1, 1],
+      ['x\n{% block a %}', 'Unclosed {% block %}, expected {% endblock %}', 2, 1],
+      ['{% block a %}{% endblock %}{% block a %}{% endblock %}', 'Duplicate block "a"', 1, 28],
+      ['{% if a %}{% endif %}{% endif %}', 'Unexpected {% endif %} outside of its block', 1, 22],
+      ['{% for item %}{% endfor %}', 'Malformed {% for %} tag', 1, 1],
+      ['{% cycle a %}', 'Unknown tag {% cycle %}', 1, 1],
+      ['{% if a %}{% else %}{% elif b %}{% endif %}', '{% else %} must be the last branch', 1, 1],
+    ])('should reject %j', (template, reason, line, column) => {
+      const error = syntaxErrorOf(template);
+
+      expect(error).toBeInstanceOf(TemplateSyntaxError);
+      expect(error.reason).toContain(reason);
+      expect([error.line, error.column]).toEqual([line, column]);
+    });
+
+    test('should point into malformed expressions, nested blocks included', () => {
+      expect(syntaxErrorOf('{{ user.name | }}')).toMatchObject({
+        reason: 'Unexpected end of expression',
+        column: 15,
+      });
+      expect(
+        syntaxErrorOf('{% if a %}\n{% for i in items %}\n  {{ i + 1 }}{% endfor %}{% endif %}')
+      ).toMatchObject({ reason: 'Unexpected character "+"', line: 3, column: 8 });
+      expect(syntaxErrorOf('{% if a %}{% elif b c %}{% endif %}')).toMatchObject({
+        reason: 'Unexpected "c"',
+        column: 21,
+      });
+    });
+
+    test('should reject unknown filters with their line and column', () => {
+      const error = syntaxErrorOf('<p>\n  {{ name | trim | uper }}\n</p>');
+
+      expect(error).toBeInstanceOf(TemplateSyntaxError);
+      expect(error.reason).toBe('Unknown filter "uper"');
+      expect([error.line, error.column]).toEqual([2, 20]);
+      expect(syntaxErrorOf('{% for i in items | srot %}{% endfor %}')).toMatchObject({
+        reason: 'Unknown filter "srot"',
+        column: 21,
+      });
+      expect(
+        createEngine({ strict: true })
+          .registerFilter('shout', (value) => `${value}!`)
+          .render('{{ name | shout }}', { name: 'Ada' })
+      ).toBe('Ada!');
+    });
+
+    test('should name the template in errors from loaded templates', () => {
+      const loader = createLoader({ page: 'Hi\n{% include %}' });
+      const engine = createEngine({ strict: true, loader });
+
+      expect(() => engine.renderTemplate('page')).toThrow('Malformed {% include %} tag (page:2:1)');
+    });
+
+    test('should render well-formed templates as in lenient mode', () => {
+      const template =
+        '{% for n in numbers %}{{ n }}{% if not loop.last %},{% endif %}{% endfor %}';
+      expect(createEngine({ strict: true }).render(template, { numbers: [1, 2] })).toBe('1,2');
+    });
+
+    test('lenient mode should keep malformed tags as text', () => {
+      expect(createEngine().render('{% if admin %}Admin {{ name', { name: 'x' })).toBe(
+        '{% if admin %}Admin {{ name'
+      );
+    });
+
+    test.each([false, true])(
+      'strictVariables should throw on undefined variables (codegen: %s)',
+      (codegen) => {
+        const engine = createEngine({ strictVariables: true, codegen });
+        const data = { user: { name: 'Ada' }, items: [] };
+
+        expect(() => engine.render('Hi {{ usr.name }}', data)).toThrow(UndefinedVariableError);
+        expect(() => engine.render('{% if user.admin %}x{% endif %}', data)).toThrow(
+          'Undefined variable "user.admin"'
+        );
+        expect(() => engine.render('{% for i in itemz %}{% endfor %}', data)).toThrow(
+          'Undefined variable "itemz"'
+        );
+      }
+    );
+
+    test('strictVariables should still accept defined values and the default filter', () => {
+      const engine = createEngine({ strictVariables: true });
+      const data = { user: { name: 'Ada', nickname: null }, count: 0 };
+
+      expect(
+        engine.render(
+          '{{ user.name }} {{ user.nickname }}{{ count }} {{ title | default("Home") }}',
+          data
+        )
+      ).toBe('Ada 0 Home');
+      expect(createEngine().render('{{ usr.name }}', data)).toBe('');
+    });
+  });
+
+  test('expression parse errors should be TemplateSyntaxErrors', () => {
+    expect(() => new ExpressionParser('a ==').parse()).toThrow(TemplateSyntaxError);
+    expect(() => parseExpression('"open')).toThrow('Unterminated string (line 1, column 1)');
+  });
+});
+
+describe('Async Rendering and Streaming', () => {
+  const later = (value) => new Promise((resolve) => setTimeout(() => resolve(value), 1));
+
+  async function* rows(...values) {
+    for (const value of values) {
+      yield later(value);
+    }
+  }
+
+  const collect = async (chunks) => {
+    const output = [];
+    for await (const chunk of chunks) output.push(chunk);
+    return output;
+  };
+
+  describe.each([
+    ['class-based', (options) => new TemplateEngine(options), (t) => new MemoryLoader(t)],
+    ['functional', (options) => createTemplateEngine(options), (t) => createMemoryLoader(t)],
+    [
+      'codegen class-based',
+      (options) => new TemplateEngine({ codegen: true, ...options }),
+      (t) => new MemoryLoader(t),
+    ],
+    [
+      'codegen functional',
+      (options) => createTemplateEngine({ codegen: true, ...options }),
+      (t) => createMemoryLoader(t),
+    ],
+  ])('%s engine', (_, createEngine, createLoader) => {
+    test('renderAsync should await promises anywhere in a variable path', async () => {
+      const engine = createEngine({ autoescape: 'html' });
+      const data = { user: later({ name: '<Ada>', team: later({ name: 'Core' }) }) };
+
+      await expect(
+        engine.renderAsync('{{ user.name }} ({{ user.team.name }})', data)
+      ).resolves.toBe('&lt;Ada&gt; (Core)');
+    });
+
+    test('renderAsync should await conditions, set values, filters and macro defaults', async () => {
+      const engine = createEngine().registerFilter('shout', async (value) => later(`${value}!`));
+      const template =
+        '{% macro greet(name=user.name) %}Hi {{ name | shout }}{% endmacro %}' +
+        '{% set role = user.role %}{% if user.admin and role == "owner" %}{{ greet() }}{% endif %}' +
+        '{{ user.name | upper }} {{ missing | default(user.name) }}';
+      const data = { user: later({ name: 'ada', admin: later(true), role: later('owner') }) };
+
+      await expect(engine.renderAsync(template, data)).resolves.toBe('Hi ada!ADA ada');
+    });
+
+    test('loops should read async iterables lazily, with loop metadata', async () => {
+      const engine = createEngine();
+      const template =
+        '{% for row in rows %}{{ loop.index }}:{{ row }}{% if loop.last %}.{% else %},{% endif %}' +
+        '{% empty %}none{% endfor %}';
+
+      await expect(engine.renderAsync(template, { rows: rows('a', 'b', 'c') })).resolves.toBe(
+        '1:a,2:b,3:c.'
+      );
+      await expect(engine.renderAsync(template, { rows: rows() })).resolves.toBe('none');
+      await expect(engine.renderAsync('{{ n }}', { n: later(0) })).resolves.toBe('0');
+    });
+
+    test('renderAsync should render inheritance and includes', async () => {
+      const loader = createLoader({
+        base: '<title>{% block title %}Site{% endblock %}</title>{% include "footer" %}',
+        footer: '<footer>{{ company }}</footer>',
+      });
+      const engine = createEngine({ loader });
+
+      await expect(
+        engine.renderAsync('{% extends "base" %}{% block title %}{{ page }}{% endblock %}', {
+          page: later('Home'),
+          company: later('ACME'),
+        })
+      ).resolves.toBe('<title>Home</title><footer>ACME</footer>');
+    });
+
+    test('renderStream should yield output as it is rendered', async () => {
+      const engine = createEngine();
+      const chunks = engine.renderStream(
+        '<ul>{% for row in rows %}<li>{{ row }}</li>{% endfor %}</ul>',
+        { rows: rows(1, 2) },
+        { chunkSize: 0 }
+      );
+
+      expect(await collect(chunks)).toEqual([
+        '<ul>',
+        '<li>',
+        '1',
+        '</li>',
+        '<li>',
+        '2',
+        '</li>',
+        '</ul>',
+      ]);
+    });
+
+    test('renderStream should buffer output into chunks', async () => {
+      const engine = createEngine();
+      const data = { rows: Array.from({ length: 10 }, (_, index) => index) };
+      const chunks = await collect(
+        engine.renderStream('{% for row in rows %}[{{ row }}]{% endfor %}', data, { chunkSize: 8 })
+      );
+
+      expect(chunks.join('')).toBe(
+        engine.render('{% for row in rows %}[{{ row }}]{% endfor %}', data)
+      );
+      expect(chunks.slice(0, -1).every((chunk) => chunk.length >= 8)).toBe(true);
+      expect(await collect(engine.renderStream('Hi {{ name }}', { name: 'Ada' }))).toEqual([
+        'Hi Ada',
+      ]);
+    });
+
+    test('renderStream should return a ReadableStream on request', async () => {
+      const engine = createEngine();
+      const stream = engine.renderStream(
+        'Hi {{ name }}',
+        { name: later('Ada') },
+        { readable: true }
+      );
+      const reader = stream.getReader();
+
+      expect(await reader.read()).toEqual({ value: 'Hi Ada', done: false });
+      expect(await reader.read()).toEqual({ value: undefined, done: true });
+    });
+
+    test('cancelling a stream should close the async iterable being looped over', async () => {
+      let closed = false;
+      async function* endless() {
+        try {
+          for (let index = 0; ; index++) yield index;
+        } finally {
+          closed = true;
+        }
+      }
+
+      const engine = createEngine();
+      const stream = engine.renderStream(
+        '{% for n in numbers %}{{ n }}{% endfor %}',
+        { numbers: endless() },
+        { chunkSize: 0, readable: true }
+      );
+      const reader = stream.getReader();
+
+      expect((await reader.read()).value).toBe('0');
+      await reader.cancel();
+      expect(closed).toBe(true);
+    });
+
+    test('strictVariables should apply to async renders', async () => {
+      const engine = createEngine({ strictVariables: true });
+
+      await expect(
+        engine.renderAsync('{{ user.nme }}', { user: later({ name: 'Ada' }) })
+      ).rejects.toThrow('Undefined variable "user.nme"');
+      await expect(engine.renderAsync('{{ nickname | default("none") }}', {})).resolves.toBe(
+        'none'
+      );
+    });
+  });
+});
+
+describe('Static Analysis', () => {
+  const page =
+    '{% extends "base" %}{% set title = page.title %}' +
+    '{% macro link(label, href=site.url) %}<a href="{{ href }}">{{ label }}</a>{% endmacro %}' +
+    '{% block content %}<h1>{{ title }}</h1>' +
+    '{% for item in order.items %}{{ loop.index }}. {{ item.name | upper }} {{ item.tags[0] }}' +
+    '{% block price %}{{ item.price }}{% endblock %}{% empty %}{{ empty_message }}{% endfor %}' +
+    '{{ link("Home") }} {{ user.nickname | default(user.name) }}{% include "footer" %}' +
+    '{% endblock %}';
+
+  describe.each([
+    ['class-based', (options) => new TemplateParser(options)],
+    ['functional', (options) => createTemplateParser(options)],
+  ])('%s parser', (_, createParser) => {
+    test('toJSON should describe the template as a tree of plain objects', () => {
+      const ast = createParser()
+        .parse('Hi {% if user.admin %}{{ user.name | upper }}{% endif %}')
+        .toJSON();
+
+      expect(ast).toEqual({
+        type: 'composite',
+        expressions: [
+          { type: 'text', text: 'Hi ' },
+          {
+            type: 'conditional',
+            test: { type: 'path', path: 'user.admin' },
+            trueExpression: {
+              type: 'composite',
+              expressions: [
+                {
+                  type: 'variable',
+                  expression: {
+                    type: 'filter',
+                    name: 'upper',
+                    args: [],
+                    input: { type: 'path', path: 'user.name' },
+                  },
+                  escape: null,
+                },
+              ],
+            },
+            falseExpression: null,
+          },
+        ],
+      });
+      expect(JSON.parse(JSON.stringify(createParser().parse(page)))).toEqual(
+        createParser().parse(page).toJSON()
+      );
+    });
+
+    test('analyzeTemplate should list variable paths, loop variables, blocks and templates', () => {
+      expect(analyzeTemplate(createParser().parse(page))).toEqual({
+        variables: [
+          'empty_message',
+          'order.items',
+          'order.items[].name',
+          'order.items[].price',
+          'order.items[].tags[]',
+          'page.title',
+          'site.url',
+          'user.name',
+          'user.nickname',
+        ],
+        loopVariables: [{ name: 'item', collection: 'order.items' }],
+        blocks: ['content', 'price'],
+        templates: ['base', 'footer'],
+      });
+    });
+
+    test('analyzeTemplate should not report names bound by the template', () => {
+      const template =
+        '{% for key, value in settings %}{{ key }}={{ value.label }}{% endfor %}' +
+        '{% set total = 0 %}{{ total }}{{ loop.index }}{% macro m(a, b=a) %}{{ b }}{% endmacro %}{{ m(1) }}';
+
+      expect(analyzeTemplate(createParser().parse(template))).toMatchObject({
+        variables: ['loop.index', 'settings'],
+        loopVariables: [{ name: 'key, value', collection: 'settings' }],
+      });
+    });
+
+    test('validateTemplate should report paths missing from a sample context', () => {
+      const context = {
+        page: { title: 'Orders' },
+        site: { url: '/' },
+        user: { name: 'Ada' },
+        order: { items: [{ name: 'Pen', tags: [], price: 2 }] },
+      };
+
+      expect(validateTemplate(createParser().parse(page), { context })).toEqual({
+        valid: false,
+        errors: [{ path: 'empty_message', message: 'Unknown variable "empty_message"' }],
+      });
+      expect(
+        validateTemplate(createParser().parse(page), { context: { ...context, empty_message: '' } })
+          .valid
+      ).toBe(true);
+    });
+
+    test('validateTemplate should report paths missing from a schema', () => {
+      const schema = {
+        type: 'object',
+        properties: {
+          page: { type: 'object', properties: { title: { type: 'string' } } },
+          site: { type: 'object', additionalProperties: true },
+          user: { type: 'object', properties: { name: { type: 'string' } } },
+          empty_message: { type: 'string' },
+          order: {
+            type: 'object',
+            properties: {
+              items: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: { name: { type: 'string' }, price: { type: 'number' } },
+                },
+              },
+            },
+          },
+        },
+      };
+
+      expect(validateTemplate(createParser().parse(page), { schema }).errors).toEqual([
+        { path: 'order.items[].tags[]', message: 'Unknown variable "order.items[].tags[]"' },
+      ]);
+      expect(
+        validateTemplate(createParser().parse('{{ page.title.length }} {{ page.title.first }}'), {
+          schema,
+        }).errors.map(({ path }) => path)
+      ).toEqual(['page.title.first']);
+    });
+  });
+
+  test('validateTemplate should need a sample context or a schema', () => {
+    expect(() => validateTemplate(new TemplateParser().parse('{{ a }}'))).toThrow(
+      'Template validation needs a sample context or a schema'
+    );
+  });
+
+  test('compiled templates should describe the template they were compiled from', () => {
+    const template = '{% for n in numbers %}{{ n }}{% endfor %}';
+
+    expect(new TemplateEngine({ codegen: true }).loadExpression(template).toJSON()).toEqual(
+      new TemplateParser().parse(template).toJSON()
+    );
+  });
+});
+
+describe('Sandboxed Rendering', () => {
+  const limitErrorOf = (render) => {
+    try {
+      render();
+    } catch (error) {
+      return error;
+    }
+    throw new Error('Expected a render limit error');
+  };
+
+  describe.each([
+    ['class-based', (options) => new TemplateEngine(options), (t) => new MemoryLoader(t)],
+    ['functional', (options) => createTemplateEngine(options), (t) => createMemoryLoader(t)],
+  ])('%s engine', (_, createEngine, createLoader) => {
+    const sandboxed = (limits, options = {}) => createEngine({ sandbox: { limits }, ...options });
+
+    test('should limit loop iterations over the whole render', () => {
+      const engine = sandboxed({ maxIterations: 10 });
+      const template =
+        '{% for row in rows %}{% for cell in row %}{{ cell }}{% endfor %}{% endfor %}';
+
+      // Outer iterations count too: 2 + 6 here, 3 + 9 below
+      expect(
+        engine.render(template, {
+          rows: [
+            [1, 2, 3],
+            [4, 5, 6],
+          ],
+        })
+      ).toBe('123456');
+
+      const error = limitErrorOf(() =>
+        engine.render(template, {
+          rows: [
+            [1, 2, 3],
+            [4, 5, 6],
+            [7, 8, 9],
+          ],
+        })
+      );
+      expect(error).toBeInstanceOf(RenderLimitError);
+      expect(error).toMatchObject({ limit: 'iterations', max: 10 });
+      expect(error.message).toBe('Render exceeded the limit of 10 loop iterations');
+    });
+
+    test('should limit nesting depth, stopping runaway macro recursion', () => {
+      const error = limitErrorOf(() =>
+        sandboxed({}).render('{% macro down(n) %}{{ down(n) }}{% endmacro %}{{ down(1) }}')
+      );
+
+      expect(error).toBeInstanceOf(RenderLimitError);
+      expect(error).toMatchObject({ limit: 'depth', max: 20 });
+    });
+
+    test('should count loops and includes towards the nesting depth', () => {
+      const loader = createLoader({ a: '{% include "b" %}', b: '{% include "c" %}', c: 'C' });
+
+      expect(sandboxed({ maxDepth: 2 }, { loader }).renderTemplate('a')).toBe('C');
+      expect(
+        limitErrorOf(() => sandboxed({ maxDepth: 1 }, { loader }).renderTemplate('a'))
+      ).toMatchObject({ limit: 'depth', max: 1 });
+      expect(
+        limitErrorOf(() =>
+          sandboxed({ maxDepth: 1 }).render(
+            '{% for a in items %}{% for b in items %}{{ b }}{% endfor %}{% endfor %}',
+            { items: [1] }
+          )
+        )
+      ).toMatchObject({ limit: 'depth', max: 1 });
+    });
+
+    test('should limit output size, counting macro output once', () => {
+      const engine = sandboxed({ maxOutput: 10 });
+      const template = '{% macro pad(text) %}[{{ text }}]{% endmacro %}{{ pad(word) }}';
+
+      expect(engine.render(template, { word: 'sandbox' })).toBe('[sandbox]');
+
+      const error = limitErrorOf(() => engine.render('{{ text }}!', { text: 'x'.repeat(10) }));
+      expect(error).toBeInstanceOf(RenderLimitError);
+      expect(error).toMatchObject({ limit: 'output', max: 10 });
+    });
+
+    test('should limit wall-clock time', () => {
+      const engine = sandboxed({ timeout: 5 }).registerFilter('slow', (value) => {
+        const until = Date.now() + 10;
+        while (Date.now() < until);
+        return value;
+      });
+
+      const error = limitErrorOf(() =>
+        engine.render('{% for n in items %}{{ n | slow }}{% endfor %}', { items: [1, 2, 3] })
+      );
+      expect(error).toBeInstanceOf(RenderLimitError);
+      expect(error).toMatchObject({ limit: 'time', max: 5 });
+    });
+
+    test('should give each render a fresh budget', () => {
+      const engine = sandboxed({ maxIterations: 3 });
+
+      expect(engine.render('{% for n in items %}{{ n }}{% endfor %}', { items: [1, 2, 3] })).toBe(
+        '123'
+      );
+      expect(engine.render('{% for n in items %}{{ n }}{% endfor %}', { items: [4, 5, 6] })).toBe(
+        '456'
+      );
+    });
+
+    test('should apply the limits to codegen engines, async renders and streams', async () => {
+      const template = '{% for n in items %}{{ n }}{% endfor %}';
+      const data = { items: [1, 2, 3] };
+
+      expect(
+        limitErrorOf(() =>
+          sandboxed({ maxIterations: 2 }, { codegen: true }).render(template, data)
+        )
+      ).toMatchObject({ limit: 'iterations' });
+      await expect(
+        sandboxed({ maxIterations: 2 }).renderAsync(template, data)
+      ).rejects.toBeInstanceOf(RenderLimitError);
+
+      const chunks = sandboxed({ maxOutput: 2 }).renderStream(template, data, { chunkSize: 1 });
+      await expect(
+        (async () => {
+          for await (const chunk of chunks) chunk;
+        })()
+      ).rejects.toMatchObject({ limit: 'output' });
+    });
+
+    test('should not limit engines without a sandbox', () => {
+      const items = Array.from({ length: 30 }, (value, index) => index);
+
+      expect(createEngine().render('{% for n in items %}.{% endfor %}', { items })).toBe(
+        '.'.repeat(30)
+      );
+    });
+
+    test.each([
+      ['{{ user.constructor }}'],
+      ['{{ user.__proto__ }}'],
+      ['{{ user["constructor"]["name"] }}'],
+      ['{{ user.greet.prototype }}'],
+      ['{% set c = user.constructor %}{{ c.name }}'],
+    ])('should block prototype access in %s', (template) => {
+      const user = { name: 'Ada', greet() {} };
+
+      expect(sandboxed({}).render(template, { user })).toBe('');
+      expect(createEngine().render(template, { user })).toBe('');
+      expect(createEngine({ codegen: true }).render(template, { user })).toBe('');
+    });
+
+    test.each([
+      ['{% set __proto__ = u %}', 'Invalid variable name: __proto__'],
+      ['{% set constructor = u %}', 'Invalid variable name: constructor'],
+      ['{% for prototype in items %}{% endfor %}', 'Invalid loop variable: prototype'],
+      ['{% for key, __proto__ in u %}{% endfor %}', 'Invalid loop variable: key, __proto__'],
+      ['{% macro __proto__() %}{% endmacro %}', 'Invalid macro signature: __proto__()'],
+      ['{% macro m(constructor) %}{% endmacro %}', 'Invalid macro signature: m(constructor)'],
+      ['{% macro m(a, prototype=1) %}{% endmacro %}', 'Invalid macro signature: m(a, prototype=1)'],
+    ])('should not assign a prototype property in %s', (template, message) => {
+      const data = { items: [1], u: { name: 'u' } };
+
+      expect(() => createEngine({ strict: true }).render(template, data)).toThrow(message);
+      expect(() => createEngine({ strict: true, codegen: true }).render(template, data)).toThrow(
+        message
+      );
+      // Outside strict mode the tag is output as text, like other invalid tags
+      expect(sandboxed({}).render(template, data)).toBe(template);
+    });
+
+    test('should keep the data of a scope when a template sets __proto__', () => {
+      const template = '{% set __proto__ = u %}{{ name }}|{{ secret }}';
+      const data = { name: 'n', secret: 's', u: { name: 'u', secret: 'leaked' } };
+
+      expect(sandboxed({}).render(template, data)).toBe('{% set __proto__ = u %}n|s');
+      expect(createEngine({ codegen: true }).render(template, data)).toBe(
+        '{% set __proto__ = u %}n|s'
+      );
+    });
+  });
+});
+
+describe('Translations', () => {
+  const catalogs = {
+    fr: {
+      'Hello {name}!': 'Bonjour {name} !',
+      'One message': { '=0': 'Aucun message', one: '# message', other: '# messages' },
+      '{user} liked your post':
+        '{gender, select, female {{user} a aimé} other {{user} a aimé}} votre publication',
+    },
+    'fr-CA': { 'Hello {name}!': 'Allô {name}!' },
+    pl: {
+      'One file': '{count, plural, one {# plik} few {# pliki} many {# plików} other {# pliku}}',
+    },
+  };
+
+  describe.each([
+    ['class-based', (options) => new TemplateEngine(options)],
+    ['functional', (options) => createTemplateEngine(options)],
+    ['codegen class-based', (options) => new TemplateEngine({ codegen: true, ...options })],
+    ['codegen functional', (options) => createTemplateEngine({ codegen: true, ...options })],
+  ])('%s engine', (_, createEngine) => {
+    const createTranslatedEngine = (options = {}) => {
+      const engine = createEngine(options);
+      Object.entries(catalogs).forEach(([locale, messages]) =>
+        engine.addTranslations(locale, messages)
+      );
+      return engine;
+    };
+    const hello = '{% trans %}Hello {{ name }}!{% endtrans %}';
+    const messages =
+      '{% trans count=messages | length %}One message{% plural %}{{ count }} messages{% endtrans %}';
+    const inbox = (count) => ({ messages: Array.from({ length: count }, () => 'message') });
+
+    test('should render the source text without a locale, escaping placeholders', () => {
+      const engine = createTranslatedEngine({ autoescape: 'html' });
+
+      expect(engine.render(hello, { name: '<Ada>' })).toBe('Hello &lt;Ada&gt;!');
+      expect(engine.render(messages, inbox(1))).toBe('One message');
+      expect(engine.render(messages, inbox(0))).toBe('0 messages');
+      expect(engine.render(messages, inbox(3))).toBe('3 messages');
+    });
+
+    test('should translate to the engine locale, or the locale of a render', () => {
+      const engine = createTranslatedEngine({ locale: 'fr' });
+
+      expect(engine.render(hello, { name: 'Ada' })).toBe('Bonjour Ada !');
+      expect(engine.render(hello, { name: 'Ada' }, { locale: 'fr-CA' })).toBe('Allô Ada!');
+      expect(engine.render(hello, { name: 'Ada' }, { locale: 'fr-BE' })).toBe('Bonjour Ada !');
+      expect(engine.render(hello, { name: 'Ada' }, { locale: 'de' })).toBe('Hello Ada!');
+      expect(engine.compile(hello)({ name: 'Ada' }, { locale: 'en' })).toBe('Hello Ada!');
+    });
+
+    test('should choose plural forms by exact value and plural category', () => {
+      const engine = createTranslatedEngine({ locale: 'fr' });
+
+      expect([0, 1, 2, 1500].map((count) => engine.render(messages, inbox(count)))).toEqual([
+        'Aucun message',
+        '1 message',
+        '2 messages',
+        `${new Intl.NumberFormat('fr').format(1500)} messages`,
+      ]);
+
+      // Polish has one, few and many forms
+      const files = '{% trans count=files %}One file{% plural %}{{ count }} files{% endtrans %}';
+      expect(
+        [1, 3, 5, 22].map((count) => engine.render(files, { files: count }, { locale: 'pl' }))
+      ).toEqual(['1 plik', '3 pliki', '5 plików', '22 pliki']);
+    });
+
+    test('should format ICU select arguments and read unbound names from the context', () => {
+      const engine = createTranslatedEngine({ locale: 'fr' });
+      const template = '{% trans user=author.name %}{{ user }} liked your post{% endtrans %}';
+
+      expect(engine.render(template, { author: { name: 'Ada' }, gender: 'female' })).toBe(
+        'Ada a aimé votre publication'
+      );
+      expect(engine.render(template, { author: { name: 'Ada' } }, { locale: 'en' })).toBe(
+        'Ada liked your post'
+      );
+    });
+
+    test('should translate in async renders and streams', async () => {
+      const engine = createTranslatedEngine();
+      const data = { name: Promise.resolve('Ada'), messages: Promise.resolve(['a', 'b']) };
+
+      await expect(
+        engine.renderAsync(`${hello} ${messages}`, data, { locale: 'fr' })
+      ).resolves.toBe('Bonjour Ada ! 2 messages');
+
+      const chunks = [];
+      for await (const chunk of engine.renderStream(hello, data, { locale: 'fr-CA' })) {
+        chunks.push(chunk);
+      }
+      expect(chunks.join('')).toBe('Allô Ada!');
+    });
+
+    test.each([
+      [
+        '{% trans %}Hello {{ user.name }}{% endtrans %}',
+        'Placeholders in {% trans %} must be names',
+      ],
+      ['{% trans %}{% if a %}a{% endif %}{% endtrans %}', 'can only hold text and {{ name }}'],
+      ['{% trans %}a{% plural %}b{% plural %}c{% endtrans %}', 'only have one {% plural %}'],
+      ['{% trans %}Hello', 'Unclosed {% trans %} block, expected {% endtrans %}'],
+      ['{% trans count %}a{% endtrans %}', 'Unexpected end of expression'],
+      ['{% plural %}', 'Unexpected {% plural %} outside of its block'],
+    ])('strict mode should reject %j', (template, reason) => {
+      expect(() => createEngine({ strict: true }).render(template)).toThrow(reason);
+    });
+  });
+
+  test('should list the names a message reads in the static analysis', () => {
+    const template =
+      '{% trans count=inbox.messages | length %}{{ user }} has one message' +
+      '{% plural %}{{ user }} has {{ count }} messages{% endtrans %}';
+
+    expect(analyzeTemplate(new TemplateParser().parse(template)).variables).toEqual([
+      'inbox.messages',
+      'user',
+    ]);
+    expect(new TemplateParser().parse(template).toJSON()).toEqual(
+      createTemplateParser().parse(template).toJSON()
+    );
+  });
 });
 
 describe('Implementation Comparisons', () => {
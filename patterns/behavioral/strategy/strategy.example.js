@@ -63,7 +63,7 @@ function demoDataExportStrategies() {
   console.log(exporter.export({ tableName: 'website_analytics', createTable: true }));
 }
 
-function demoFunctionalStrategyPattern() {
+async function demoFunctionalStrategyPattern() {
   const content = `
 Welcome to our **Strategy Pattern** tutorial.
 
@@ -117,7 +117,19 @@ Key benefits:
   publisher.setFormatter(enhancedFormatter);
   console.log('COMPOSITE STRATEGY OUTPUT:');
   console.log(publisher.publish());
+  console.log('-----------------------');
+
+  // Publish to several platforms at once, each with its own markup and length limit
+  publisher.setProfile('website', { dialect: 'html' });
+  publisher.setProfile('slack', { dialect: 'slack' });
+  publisher.setProfile('social', { dialect: 'text', maxLength: 100 });
+
+  Object.entries(await publisher.publishAll()).forEach(([platform, { output, warnings }]) => {
+    console.log(`${platform.toUpperCase()} PROFILE OUTPUT:`);
+    console.log(output);
+    warnings.forEach((warning) => console.log(`Warning: ${warning}`));
+  });
 }
 
 demoDataExportStrategies();
-demoFunctionalStrategyPattern();
+demoFunctionalStrategyPattern().catch(console.error);
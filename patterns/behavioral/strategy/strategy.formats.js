@@ -0,0 +1,199 @@
+/**
+ * Formatting and escaping for the TSV, YAML, Markdown table and HTML table export formats
+ * Shared by the class-based and functional implementations
+ */
+
+// Format a TSV field. TSV fields cannot be quoted, so tabs, line breaks and backslashes are
+// escaped as \t, \n, \r and \\
+const formatTsvField = (value) => {
+  if (value === null || value === undefined) return '';
+
+  return String(value).replace(/[\\\t\n\r]/g, (char) =>
+    char === '\\' ? '\\\\' : char === '\t' ? '\\t' : char === '\n' ? '\\n' : '\\r'
+  );
+};
+
+// Format a TSV line from field values
+const formatTsvLine = (values) => values.map(formatTsvField).join('\t') + '\n';
+
+// Plain YAML scalars that would be read back as something other than the string
+const YAML_RESERVED = /^(~|null|true|false|yes|no|on|off|y|n)$/i;
+
+// Characters that YAML double-quoted scalars have to escape beyond what JSON escapes
+const YAML_UNSAFE = /[\x7f-\x9f\u2028\u2029\ufeff]/;
+
+// Format a YAML scalar: strings are only quoted when they would not read back as themselves
+const formatYamlScalar = (value) => {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'boolean' || typeof value === 'bigint') return String(value);
+  if (typeof value === 'number') {
+    if (Number.isNaN(value)) return '.nan';
+    if (!Number.isFinite(value)) return value > 0 ? '.inf' : '-.inf';
+    return String(value);
+  }
+  if (value instanceof Date) return value.toISOString();
+
+  const text = String(value);
+  const plain =
+    text !== '' &&
+    !YAML_RESERVED.test(text) &&
+    !/^[-+.]?\d/.test(text) &&
+    !/^[\s\-?:,[\]{}#&*!|>'"%@`]/.test(text) &&
+    !/\s$|: |:$| #|[\x00-\x1f]/.test(text) &&
+    !YAML_UNSAFE.test(text);
+
+  if (plain) return text;
+  return JSON.stringify(text).replace(
+    new RegExp(YAML_UNSAFE, 'g'),
+    (char) => `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`
+  );
+};
+
+// Whether a value is written as a YAML block (a non-empty sequence or mapping)
+const isYamlBlock = (value) =>
+  value !== null &&
+  typeof value === 'object' &&
+  !(value instanceof Date) &&
+  Object.keys(value).length > 0;
+
+/**
+ * Format a value as block-style YAML
+ * @param {*} value - The value: arrays are sequences, objects are mappings
+ * @param {number} level - The indentation level
+ * @returns {string} The YAML, without a final line break
+ */
+const formatYaml = (value, level = 0) => {
+  const pad = '  '.repeat(level);
+
+  if (!isYamlBlock(value)) {
+    if (Array.isArray(value)) return `${pad}[]`;
+    if (value !== null && typeof value === 'object' && !(value instanceof Date)) return `${pad}{}`;
+    return pad + formatYamlScalar(value);
+  }
+
+  // Collections in sequence items start on the item's line: "- key: value"
+  if (Array.isArray(value)) {
+    return value.map((item) => `${pad}- ${formatYaml(item, level + 1).trimStart()}`).join('\n');
+  }
+
+  return Object.entries(value)
+    .map(([key, item]) => {
+      const name = `${pad}${formatYamlScalar(key)}:`;
+      return isYamlBlock(item)
+        ? `${name}\n${formatYaml(item, level + 1)}`
+        : `${name} ${formatYaml(item).trimStart()}`;
+    })
+    .join('\n');
+};
+
+// Format one row as a YAML sequence item
+const formatYamlItem = (row) => formatYaml([row]) + '\n';
+
+// Format a Markdown table cell. Markdown punctuation is escaped so values show as written,
+// and line breaks become <br>
+const formatMarkdownCell = (value) => {
+  if (value === null || value === undefined) return '';
+
+  return String(value)
+    .replace(/[\\`*_[\]<>|~&]/g, '\\$&')
+    .replace(/\r?\n/g, '<br>');
+};
+
+// Format a Markdown table row from cell values
+const formatMarkdownRow = (values) => `| ${values.map(formatMarkdownCell).join(' | ')} |\n`;
+
+const MARKDOWN_ALIGNMENT = { left: ':---', center: ':---:', right: '---:' };
+
+/**
+ * Format the header of a GitHub-flavoured Markdown table
+ * @param {string[]} headers - The column headers
+ * @param {Object} align - Column alignments by header: 'left', 'center' or 'right'
+ * @returns {string} The header row and the divider row
+ */
+const formatMarkdownHeader = (headers, align = {}) => {
+  const dividers = headers.map((header) => {
+    if (align[header] === undefined) return '---';
+    if (!Object.hasOwn(MARKDOWN_ALIGNMENT, align[header])) {
+      throw new Error(`Unsupported Markdown column alignment: ${align[header]}`);
+    }
+    return MARKDOWN_ALIGNMENT[align[header]];
+  });
+
+  return formatMarkdownRow(headers) + `| ${dividers.join(' | ')} |\n`;
+};
+
+// Escape text for HTML content and attribute values
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+// The default styles of HTML tables, scoped to their class name
+const defaultTableStyles = (className) =>
+  [
+    `.${className} { border-collapse: collapse; font-family: sans-serif; font-size: 14px; }`,
+    `.${className} th, .${className} td { border: 1px solid #ddd; padding: 6px 12px; text-align: left; }`,
+    `.${className} th { background: #f4f4f4; font-weight: 600; }`,
+    `.${className} tbody tr:nth-child(even) { background: #fafafa; }`,
+    `.${className} td.number { text-align: right; font-variant-numeric: tabular-nums; }`,
+  ].join('\n');
+
+/**
+ * Format the start of an HTML table, up to its body
+ * @param {string[]} headers - The column headers
+ * @param {Object} options - Table options
+ * @param {string} options.className - The table's class, which the styles are scoped to
+ *   (default 'data-table')
+ * @param {string} options.caption - A caption for the table
+ * @param {boolean} options.includeStyles - Whether to include a <style> element (default true)
+ * @param {string} options.styles - CSS to use instead of the default styles
+ * @returns {string} The HTML
+ */
+const formatHtmlTableStart = (headers, options = {}) => {
+  const { className = 'data-table', caption = null, includeStyles = true, styles = null } = options;
+
+  if (!/^-?[A-Za-z_][\w-]*$/.test(className)) {
+    throw new Error(`Invalid HTML table class name: ${className}`);
+  }
+
+  let html = '';
+  if (includeStyles) html += `<style>\n${styles ?? defaultTableStyles(className)}\n</style>\n`;
+
+  html += `<table class="${className}">\n`;
+  if (caption !== null) html += `  <caption>${escapeHtml(caption)}</caption>\n`;
+  html += '  <thead>\n';
+  html += `    <tr>${headers.map((header) => `<th scope="col">${escapeHtml(header)}</th>`).join('')}</tr>\n`;
+  html += '  </thead>\n  <tbody>\n';
+
+  return html;
+};
+
+// Format an HTML table row from cell values. Numbers are marked so the styles align them.
+const formatHtmlRow = (values) => {
+  const cells = values.map((value) => {
+    const text = value === null || value === undefined ? '' : escapeHtml(value);
+    return typeof value === 'number' ? `<td class="number">${text}</td>` : `<td>${text}</td>`;
+  });
+
+  return `    <tr>${cells.join('')}</tr>\n`;
+};
+
+const HTML_TABLE_END = '  </tbody>\n</table>\n';
+
+export {
+  formatTsvField,
+  formatTsvLine,
+  formatYamlScalar,
+  formatYaml,
+  formatYamlItem,
+  formatMarkdownCell,
+  formatMarkdownRow,
+  formatMarkdownHeader,
+  escapeHtml,
+  formatHtmlTableStart,
+  formatHtmlRow,
+  HTML_TABLE_END,
+};
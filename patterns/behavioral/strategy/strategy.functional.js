@@ -6,49 +6,112 @@
  *
  * Real-world use case: A content management system that needs to publish
  * the same content to different platforms with different formatting requirements.
+ *
+ * Markdown is parsed into a syntax tree (strategy.markdown.js) that the formatters render, and
+ * HTML output is sanitized against an allow-list (strategy.html.js).
+ *
+ * Functional versions of the NDJSON, TSV, YAML, Markdown and HTML table export strategies
+ * follow, as factories of exporter functions.
  */
 
+import {
+  formatTsvLine,
+  formatYamlItem,
+  formatMarkdownHeader,
+  formatMarkdownRow,
+  formatHtmlTableStart,
+  formatHtmlRow,
+  HTML_TABLE_END,
+} from './strategy.formats.js';
+import { isSafeUrl, sanitizeHtml } from './strategy.html.js';
+import {
+  renderSlack,
+  renderTelegram,
+  mapLinks,
+  findNodes,
+  truncateTree,
+} from './strategy.platforms.js';
+import {
+  parseMarkdown,
+  parseHtml,
+  renderHtml,
+  renderPlainText,
+  renderMarkdown,
+  htmlToMarkdown,
+} from './strategy.markdown.js';
+
+// Content formatters are tagged with the format of their output, so the publisher knows
+// what it can sanitize
+const withOutputFormat = (format, formatter) => Object.assign(formatter, { outputFormat: format });
+
+// Read content as HTML when it starts with a tag, and as Markdown otherwise
+const parseContent = (content) =>
+  /^\s*<(?:!--|[a-z][a-z0-9-]*[\s/>])/i.test(content) ? parseHtml(content) : parseMarkdown(content);
+
+// Sanitize the raw HTML nodes of a syntax tree, dropping those left empty, and clear link and
+// image URLs with schemes that are not allowed. Inline HTML nodes hold single tags, balanced by
+// the tags around them, so nodes are sanitized unbalanced.
+const sanitizeTree = (tree, options) => {
+  const sanitizeNode = (node) => {
+    if (node.type === 'html') {
+      const value = sanitizeHtml(node.value, { ...options, balance: false });
+      return value ? { ...node, value } : null;
+    }
+    if (
+      (node.type === 'link' || node.type === 'image') &&
+      !isSafeUrl(node.url, options.allowedSchemes)
+    ) {
+      const [element, name] = node.type === 'link' ? ['a', 'href'] : ['img', 'src'];
+      options.onRemove?.({ type: 'attribute', element, name, value: node.url });
+      return sanitizeNode({ ...node, url: '' });
+    }
+    return node.children
+      ? { ...node, children: node.children.map(sanitizeNode).filter(Boolean) }
+      : node;
+  };
+
+  return sanitizeNode(tree);
+};
+
+// Sanitize the raw HTML in Markdown. Markdown with nothing to remove is kept as it is.
+const sanitizeMarkdown = (markdown, options) => {
+  let removed = false;
+  const tree = sanitizeTree(parseMarkdown(markdown), {
+    ...options,
+    onRemove: (removal) => {
+      removed = true;
+      options.onRemove?.(removal);
+    },
+  });
+  return removed ? renderMarkdown(tree) : markdown;
+};
+
 // Strategy functions
 const plainTextFormatter = () => {
-  return (content) => {
-    // Strip all HTML tags and markdown syntax
-    const plainText = content
-      .replace(/<[^>]*>/g, '') // Remove HTML tags
-      .replace(/[*_~`#]/g, '') // Remove markdown formatting chars
-      .replace(/\n{3,}/g, '\n\n'); // Normalize excessive line breaks
-
-    return plainText;
-  };
+  // Strip all HTML tags and Markdown syntax, keeping the text
+  return withOutputFormat('text', (content) => renderPlainText(parseContent(content)));
 };
 
-const htmlFormatter = () => {
-  return (content) => {
-    // Convert markdown-like syntax to HTML
-    return content
-      .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>') // Bold
-      .replace(/\*(.*?)\*/g, '<em>$1</em>') // Italic
-      .replace(/\n{2,}/g, '</p><p>') // Paragraphs
-      .replace(/^(.+)$/gm, function (match) {
-        // Don't wrap existing HTML tags in paragraphs
-        return match.startsWith('<') ? match : `<p>${match}</p>`;
-      });
-  };
+const htmlFormatter = ({ sanitize = true } = {}) => {
+  return withOutputFormat('html', (content) => {
+    // Render Markdown as HTML. Raw HTML in the Markdown is sanitized unless sanitize is false.
+    const html = renderHtml(parseMarkdown(content));
+    if (!sanitize) return html;
+    return sanitizeHtml(html, sanitize === true ? {} : sanitize);
+  });
 };
 
-const markdownFormatter = () => {
-  return (content) => {
-    // Convert HTML to markdown or enhance existing markdown
-    return content
-      .replace(/<strong>(.*?)<\/strong>/g, '**$1**') // Bold
-      .replace(/<em>(.*?)<\/em>/g, '*$1*') // Italic
-      .replace(/<h1>(.*?)<\/h1>/g, '# $1\n') // H1
-      .replace(/<h2>(.*?)<\/h2>/g, '## $1\n') // H2
-      .replace(/<p>(.*?)<\/p>/g, '$1\n\n'); // Paragraphs
-  };
+const markdownFormatter = ({ sanitize = true } = {}) => {
+  // Convert HTML to Markdown, or normalize existing Markdown. Raw HTML in the Markdown is
+  // sanitized unless sanitize is false.
+  return withOutputFormat('markdown', (content) => {
+    const tree = parseContent(content);
+    return renderMarkdown(sanitize ? sanitizeTree(tree, sanitize === true ? {} : sanitize) : tree);
+  });
 };
 
 const seoFormatter = (keywords = [], metaDescription = '') => {
-  return (content) => {
+  return withOutputFormat('html', (content) => {
     // Enhance content with SEO elements
     let seoContent = content;
 
@@ -71,13 +134,139 @@ const seoFormatter = (keywords = [], metaDescription = '') => {
     }
 
     return seoContent;
+  });
+};
+
+// Renderers of the markup dialects that publishing profiles write
+const MARKUP_DIALECTS = {
+  html: renderHtml,
+  markdown: renderMarkdown,
+  text: renderPlainText,
+  slack: renderSlack,
+  telegram: renderTelegram,
+};
+
+// Check a publishing profile and fill in its defaults
+const createProfile = (name, profile = {}) => {
+  const {
+    formatters = [],
+    dialect = 'html',
+    maxLength = null,
+    ellipsis = '\u2026',
+    shortenLink = null,
+  } = profile;
+
+  if (!Object.hasOwn(MARKUP_DIALECTS, dialect)) {
+    throw new Error(`Unsupported markup dialect: ${dialect}`);
+  }
+  if (maxLength !== null && !(Number.isInteger(maxLength) && maxLength > 0)) {
+    throw new Error(`Publishing profile "${name}" needs a positive integer maxLength`);
+  }
+
+  return { formatters: [formatters].flat(), dialect, maxLength, ellipsis, shortenLink };
+};
+
+// Publish content with a profile: run its formatters, shorten its links, render it in its
+// dialect and truncate it to its length limit. The shortenLink hook may return a promise.
+const publishWithProfile = async (content, profile, sanitize) => {
+  const { formatters, dialect, maxLength, ellipsis, shortenLink } = profile;
+  const warnings = [];
+  let tree = parseContent(formatters.reduce((text, formatter) => formatter(text), content));
+
+  if (shortenLink) {
+    // Shorten each distinct URL once, in the order the links appear
+    const shortLinks = new Map();
+    for (const { url } of findNodes(tree, 'link')) {
+      if (shortLinks.has(url)) continue;
+      try {
+        shortLinks.set(url, (await shortenLink(url)) ?? url);
+      } catch (error) {
+        warnings.push(`Could not shorten ${url}: ${error.message}`);
+        shortLinks.set(url, url);
+      }
+    }
+    tree = mapLinks(tree, (url) => shortLinks.get(url));
+  }
+
+  // Chat platforms have no raw HTML or images
+  if (dialect === 'slack' || dialect === 'telegram') {
+    if (findNodes(tree, 'html').length) {
+      warnings.push(`Raw HTML is not supported by ${dialect} and was dropped`);
+    }
+    if (findNodes(tree, 'image').length) {
+      warnings.push(`Images are not supported by ${dialect} and were written as links`);
+    }
+  }
+
+  // HTML output is sanitized, and so is the raw HTML that Markdown output passes on
+  const sanitizeOptions = sanitize === true ? {} : sanitize;
+  let removed = false;
+  const onRemove = (removal) => {
+    removed = true;
+    sanitizeOptions.onRemove?.(removal);
+  };
+  if (dialect === 'markdown' && sanitize)
+    tree = sanitizeTree(tree, { ...sanitizeOptions, onRemove });
+
+  const sanitizes = dialect === 'html' && sanitize;
+  const render = (root, onRender) => {
+    const output = MARKUP_DIALECTS[dialect](root);
+    return sanitizes ? sanitizeHtml(output, { ...sanitizeOptions, onRemove: onRender }) : output;
   };
+
+  let output = render(tree, onRemove);
+  if (removed) warnings.push('Unsafe HTML was removed by the sanitizer');
+
+  if (maxLength !== null && output.length > maxLength) {
+    // Markup makes the output longer than its text, so search for the most text that fits
+    let truncated = null;
+    let low = 0;
+    let high = maxLength;
+    while (low <= high) {
+      const limit = Math.floor((low + high) / 2);
+      const candidate = render(truncateTree(tree, limit, ellipsis));
+      if (candidate.length <= maxLength) {
+        truncated = candidate;
+        low = limit + 1;
+      } else {
+        high = limit - 1;
+      }
+    }
+
+    if (truncated === null) {
+      warnings.push(`Nothing fits in ${maxLength} characters`);
+      truncated = '';
+    } else {
+      warnings.push(`Truncated from ${output.length} to ${truncated.length} characters`);
+    }
+    output = truncated;
+  }
+
+  return { output, warnings };
 };
 
-// Context function
-const createContentPublisher = (initialFormatter) => {
+/**
+ * Context function
+ * @param {Function} initialFormatter - The formatter strategy
+ * @param {Object} options - Publisher options
+ * @param {boolean|Object} options.sanitize - Whether to sanitize HTML output, so it is safe to
+ *   embed, or the sanitizer options (default true). Markdown output has its raw HTML
+ *   sanitized, and plain text is left as it is; output of formatters that do not declare a
+ *   format is sanitized as HTML.
+ * @param {Object} options.profiles - Publishing profiles by name, for publishTo and publishAll.
+ *   A profile has formatters (a formatter or a chain of them, run before rendering), a markup
+ *   dialect ('html' by default, 'markdown', 'text', 'slack' for Slack mrkdwn or 'telegram' for
+ *   Telegram HTML), a maxLength that the output is truncated to at a word boundary, the
+ *   ellipsis that marks the cut, and a shortenLink hook called with each link URL, which
+ *   returns the URL to use or a promise of it. publishTo and publishAll return promises.
+ * @returns {Object} The publisher
+ */
+const createContentPublisher = (initialFormatter, { sanitize = true, profiles = {} } = {}) => {
   let formatter = initialFormatter;
   let content = '';
+  const targets = new Map(
+    Object.entries(profiles).map(([name, profile]) => [name, createProfile(name, profile)])
+  );
 
   return {
     setContent: (newContent) => {
@@ -90,18 +279,92 @@ const createContentPublisher = (initialFormatter) => {
 
     publish: () => {
       if (!formatter) throw new Error('Formatter strategy not set');
-      return formatter(content);
+
+      const output = formatter(content);
+      if (!sanitize || formatter.outputFormat === 'text') return output;
+
+      const options = sanitize === true ? {} : sanitize;
+      if (formatter.outputFormat === 'markdown') return sanitizeMarkdown(output, options);
+      return sanitizeHtml(output, options);
     },
+
+    setProfile: (name, profile) => {
+      targets.set(name, createProfile(name, profile));
+    },
+
+    removeProfile: (name) => targets.delete(name),
+
+    // Publish for one profile: resolves to the output and the warnings about what could not
+    // be kept
+    publishTo: async (name) => {
+      if (!targets.has(name)) throw new Error(`Unknown publishing profile: ${name}`);
+      return publishWithProfile(content, targets.get(name), sanitize);
+    },
+
+    // Publish for every profile: resolves to the renditions by profile name
+    publishAll: async () =>
+      Object.fromEntries(
+        await Promise.all(
+          [...targets].map(async ([name, profile]) => [
+            name,
+            await publishWithProfile(content, profile, sanitize),
+          ])
+        )
+      ),
   };
 };
 
 // Additional advanced strategy with composition
 const compositeFormatter = (...formatters) => {
-  return (content) => {
+  // The output is in the format of the last formatter
+  return withOutputFormat(formatters.at(-1)?.outputFormat, (content) => {
     // Apply each formatter in sequence
     return formatters.reduce((formattedContent, formatter) => {
       return formatter(formattedContent);
     }, content);
+  });
+};
+
+// Data export strategies: each takes its options and returns an exporter of rows to text
+
+const ndjsonExporter = ({ replacer = null } = {}) => {
+  return (data) => data.map((row) => (JSON.stringify(row, replacer) ?? 'null') + '\n').join('');
+};
+
+const tsvExporter = ({ includeHeaders = true } = {}) => {
+  return (data) => {
+    if (data.length === 0) return '';
+
+    const headers = Object.keys(data[0]);
+    const lines = data.map((row) => formatTsvLine(headers.map((header) => row[header])));
+
+    return (includeHeaders ? formatTsvLine(headers) : '') + lines.join('');
+  };
+};
+
+const yamlExporter = () => {
+  return (data) => (data.length === 0 ? '[]\n' : data.map(formatYamlItem).join(''));
+};
+
+const markdownTableExporter = ({ align = {} } = {}) => {
+  return (data) => {
+    if (data.length === 0) return '';
+
+    const headers = Object.keys(data[0]);
+    const rows = data.map((row) => formatMarkdownRow(headers.map((header) => row[header])));
+
+    return formatMarkdownHeader(headers, align) + rows.join('');
+  };
+};
+
+const htmlTableExporter = (options = {}) => {
+  return (data) => {
+    if (data.length === 0) return '';
+
+    const headers = Object.keys(data[0]);
+    const rows = data.map((row) => formatHtmlRow(headers.map((header) => row[header])));
+
+    return formatHtmlTableStart(headers, options) + rows.join('') + HTML_TABLE_END;
   };
 };
 
@@ -112,4 +375,12 @@ export {
   seoFormatter,
   compositeFormatter,
   createContentPublisher,
+  parseMarkdown,
+  htmlToMarkdown,
+  sanitizeHtml,
+  ndjsonExporter,
+  tsvExporter,
+  yamlExporter,
+  markdownTableExporter,
+  htmlTableExporter,
 };
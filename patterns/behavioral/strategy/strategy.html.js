@@ -0,0 +1,451 @@
+/**
+ * HTML tokenizing, parsing and allow-list sanitizing for the content formatters
+ */
+
+import { escapeHtml } from './strategy.formats.js';
+
+// Elements that have no content or end tag
+const VOID_ELEMENTS = new Set([
+  'area',
+  'base',
+  'br',
+  'col',
+  'embed',
+  'hr',
+  'img',
+  'input',
+  'link',
+  'meta',
+  'source',
+  'track',
+  'wbr',
+]);
+
+// Elements that start a block, closing an open paragraph
+const BLOCK_ELEMENTS = new Set([
+  'address',
+  'article',
+  'aside',
+  'blockquote',
+  'details',
+  'div',
+  'dl',
+  'fieldset',
+  'figcaption',
+  'figure',
+  'footer',
+  'form',
+  'h1',
+  'h2',
+  'h3',
+  'h4',
+  'h5',
+  'h6',
+  'header',
+  'hr',
+  'li',
+  'main',
+  'nav',
+  'ol',
+  'p',
+  'pre',
+  'section',
+  'table',
+  'ul',
+]);
+
+// Elements whose content is raw text, not markup
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title', 'xmp', 'iframe']);
+
+// Elements that are dropped with their content when not allowed, instead of unwrapped
+const DROP_CONTENT_ELEMENTS = new Set([
+  ...RAW_TEXT_ELEMENTS,
+  'head',
+  'noscript',
+  'object',
+  'template',
+  'svg',
+  'math',
+  'select',
+  'noembed',
+  'noframes',
+]);
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: '\u00a0',
+  copy: '\u00a9',
+  reg: '\u00ae',
+  trade: '\u2122',
+  hellip: '\u2026',
+  mdash: '\u2014',
+  ndash: '\u2013',
+  lsquo: '\u2018',
+  rsquo: '\u2019',
+  ldquo: '\u201c',
+  rdquo: '\u201d',
+  euro: '\u20ac',
+};
+
+// Decode character references: named ones need their semicolon, numeric ones do not
+const decodeEntities = (text) =>
+  text.replace(/&(?:#(\d+);?|#x([0-9a-f]+);?|([a-z][a-z0-9]*);)/gi, (entity, dec, hex, name) => {
+    if (name) return NAMED_ENTITIES[name] ?? entity;
+
+    const code = dec !== undefined ? Number(dec) : parseInt(hex, 16);
+    const valid = code > 0 && code <= 0x10ffff && !(code >= 0xd800 && code <= 0xdfff);
+    return valid ? String.fromCodePoint(code) : '\ufffd';
+  });
+
+/**
+ * Split HTML into tokens, the way browsers read it: text, start and end tags, and comments.
+ * The content of raw text elements (script, style...) is text, whatever it holds.
+ * @param {string} html - The HTML
+ * @returns {Array<Object>} Tokens: { type: 'text', value }, { type: 'start', name, attributes,
+ *   selfClosing } with attributes as [name, value] pairs, { type: 'end', name } and
+ *   { type: 'comment', value }. Names are lowercase and values are decoded.
+ */
+const tokenizeHtml = (html) => {
+  const tokens = [];
+  let pos = 0;
+
+  const pushText = (text) => {
+    if (!text) return;
+    if (tokens.at(-1)?.type === 'text') tokens.at(-1).value += text;
+    else tokens.push({ type: 'text', value: text });
+  };
+
+  // Read a start tag's attributes, up to its closing >. Returns null when the tag never closes.
+  const readAttributes = () => {
+    const attributes = [];
+    const attributePattern =
+      /([\s/]*)(?:(>)|([^\s/>=][^\s/>=]*)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?)/y;
+
+    while (pos < html.length) {
+      attributePattern.lastIndex = pos;
+      const match = attributePattern.exec(html);
+      if (!match) break;
+
+      pos = attributePattern.lastIndex;
+      const [, space, end, name, double, single, unquoted] = match;
+      if (end) return { attributes, selfClosing: space.endsWith('/') };
+
+      const key = name.toLowerCase();
+      if (!attributes.some(([existing]) => existing === key)) {
+        attributes.push([key, decodeEntities(double ?? single ?? unquoted ?? '')]);
+      }
+    }
+
+    return null;
+  };
+
+  while (pos < html.length) {
+    const next = html.indexOf('<', pos);
+    pushText(decodeEntities(html.substring(pos, next === -1 ? html.length : next)));
+    if (next === -1) break;
+
+    pos = next;
+    const startTag = /<([a-z][^\s/>]*)/iy;
+    const endTag = /<\/([a-z][^\s/>]*)[^>]*>/iy;
+    startTag.lastIndex = endTag.lastIndex = pos;
+    let match;
+
+    if (html.startsWith('<!--', pos)) {
+      const end = /<!--(?:-?>|[\s\S]*?--!?>|[\s\S]*$)/y;
+      end.lastIndex = pos;
+      const [comment] = end.exec(html);
+      tokens.push({ type: 'comment', value: comment.slice(4).replace(/^-?>$|--!?>$/, '') });
+      pos += comment.length;
+    } else if ((match = endTag.exec(html))) {
+      tokens.push({ type: 'end', name: match[1].toLowerCase() });
+      pos += match[0].length;
+    } else if ((match = startTag.exec(html))) {
+      pos += match[0].length;
+      const name = match[1].toLowerCase();
+      const tag = readAttributes();
+
+      // A tag that never closes is ignored, with everything after it
+      if (!tag) break;
+      tokens.push({ type: 'start', name, ...tag });
+
+      // Raw text runs to the element's end tag
+      if (RAW_TEXT_ELEMENTS.has(name)) {
+        const end = html.toLowerCase().indexOf(`</${name}`, pos);
+        const text = html.substring(pos, end === -1 ? html.length : end);
+        if (text) tokens.push({ type: 'text', value: text });
+        pos = end === -1 ? html.length : end;
+      }
+    } else if (/^<[!?/]/.test(html.substring(pos, pos + 2))) {
+      // Doctypes, processing instructions and bogus comments are dropped
+      const end = html.indexOf('>', pos);
+      pos = end === -1 ? html.length : end + 1;
+    } else {
+      pushText('<');
+      pos++;
+    }
+  }
+
+  return tokens;
+};
+
+// Elements nest at most this deep in parsed trees. The content of deeper elements is added to
+// their parent, so deeply nested user content cannot overflow the stack of tree walkers.
+const MAX_TREE_DEPTH = 256;
+
+/**
+ * Parse HTML into a tree
+ * @param {string} html - The HTML
+ * @returns {Object} The root: { type: 'root', children }, with children { type: 'element',
+ *   name, attributes, children }, { type: 'text', value } and { type: 'comment', value }
+ */
+const parseHtmlTree = (html) => {
+  const root = { type: 'root', children: [] };
+  const stack = [root];
+  const current = () => stack.at(-1);
+  // Close the innermost open element with the name, and everything inside it
+  const close = (name) => {
+    const index = stack.findLastIndex((node) => node.name === name);
+    if (index > 0) stack.length = index;
+  };
+
+  tokenizeHtml(html).forEach((token) => {
+    if (token.type === 'text' || token.type === 'comment') {
+      current().children.push({ type: token.type, value: token.value });
+    } else if (token.type === 'start') {
+      // Block elements close an open paragraph, and list items close the previous item
+      if (BLOCK_ELEMENTS.has(token.name)) close('p');
+      if (token.name === 'li') {
+        const list = stack.findLastIndex((node) => ['ul', 'ol'].includes(node.name));
+        const item = stack.findLastIndex((node) => node.name === 'li');
+        if (item > list) stack.length = item;
+      }
+
+      const element = {
+        type: 'element',
+        name: token.name,
+        attributes: Object.fromEntries(token.attributes),
+        children: [],
+      };
+      current().children.push(element);
+      if (!VOID_ELEMENTS.has(token.name) && !token.selfClosing && stack.length <= MAX_TREE_DEPTH) {
+        stack.push(element);
+      }
+    } else {
+      close(token.name);
+    }
+  });
+
+  return root;
+};
+
+// The text content of a tree node
+const textContent = (node) =>
+  node.type === 'text'
+    ? node.value
+    : node.type === 'comment'
+      ? ''
+      : (node.children ?? []).map(textContent).join('');
+
+const DEFAULT_ALLOWED_TAGS = [
+  'a',
+  'abbr',
+  'b',
+  'blockquote',
+  'br',
+  'code',
+  'del',
+  'div',
+  'em',
+  'h1',
+  'h2',
+  'h3',
+  'h4',
+  'h5',
+  'h6',
+  'hr',
+  'i',
+  'img',
+  'kbd',
+  'li',
+  'ol',
+  'p',
+  'pre',
+  's',
+  'span',
+  'strong',
+  'sub',
+  'sup',
+  'table',
+  'tbody',
+  'td',
+  'tfoot',
+  'th',
+  'thead',
+  'tr',
+  'u',
+  'ul',
+];
+
+const DEFAULT_ALLOWED_ATTRIBUTES = {
+  a: ['href', 'title'],
+  abbr: ['title'],
+  code: ['class'],
+  img: ['src', 'alt', 'title', 'width', 'height'],
+  ol: ['start'],
+  td: ['align', 'colspan', 'rowspan'],
+  th: ['align', 'colspan', 'rowspan', 'scope'],
+};
+
+// Attributes that hold URLs, whose scheme is checked
+const URL_ATTRIBUTES = new Set([
+  'href',
+  'src',
+  'cite',
+  'action',
+  'formaction',
+  'poster',
+  'xlink:href',
+]);
+
+const DEFAULT_ALLOWED_SCHEMES = ['http', 'https', 'mailto'];
+
+/**
+ * Check the scheme of a URL against an allow-list. Relative URLs are always allowed.
+ * @param {string} url - The URL
+ * @param {string[]} allowedSchemes - The schemes to allow (default http, https and mailto)
+ * @returns {boolean} Whether the URL is allowed
+ */
+const isSafeUrl = (url, allowedSchemes = DEFAULT_ALLOWED_SCHEMES) => {
+  // Browsers ignore control characters and whitespace in schemes ("java\tscript:")
+  const scheme = url.replace(/[\x00-\x20]/g, '').match(/^([a-z][a-z0-9+.-]*):/i);
+  return (
+    !scheme || allowedSchemes.some((allowed) => allowed.toLowerCase() === scheme[1].toLowerCase())
+  );
+};
+
+/**
+ * Sanitize HTML against an allow-list, so it is safe to embed in a page. Elements that are not
+ * allowed are unwrapped (their content is kept), except scripts, styles and other elements
+ * whose content is not text, which are dropped. Attributes that are not allowed are dropped, as
+ * are URLs with schemes that are not allowed (javascript:, data:...). The output is well-formed:
+ * text is escaped and open elements are closed.
+ * @param {string} html - The HTML
+ * @param {Object} options - Sanitizer options
+ * @param {string[]} options.allowedTags - The elements to keep (default: text formatting,
+ *   headings, lists, links, images, code and tables)
+ * @param {Object} options.allowedAttributes - The attributes to keep, by element ('*' for all
+ *   elements)
+ * @param {string[]} options.allowedSchemes - The URL schemes to keep (default http, https and
+ *   mailto). Relative URLs are always kept.
+ * @param {boolean} options.allowComments - Whether to keep comments (default true)
+ * @param {boolean} options.balance - Whether to close the elements left open and drop end tags
+ *   with no open element (default true). Turn it off for HTML that is balanced elsewhere, such
+ *   as single tags in Markdown.
+ * @param {Function} options.onRemove - Called with each removal: { type: 'element', name },
+ *   { type: 'attribute', element, name, value } or { type: 'comment', value }. Markup that is
+ *   only rewritten, such as <br/> written as <br>, is not a removal.
+ * @returns {string} The sanitized HTML
+ */
+const sanitizeHtml = (html, options = {}) => {
+  const {
+    allowedTags = DEFAULT_ALLOWED_TAGS,
+    allowedAttributes = DEFAULT_ALLOWED_ATTRIBUTES,
+    allowedSchemes = DEFAULT_ALLOWED_SCHEMES,
+    allowComments = true,
+    balance = true,
+    onRemove = () => {},
+  } = options;
+  const tags = new Set(allowedTags);
+  const stack = [];
+  let output = '';
+  let dropping = null;
+
+  const formatAttributes = (name, attributes) =>
+    attributes
+      .filter(([attribute, value]) => {
+        const allowed = [...(allowedAttributes[name] ?? []), ...(allowedAttributes['*'] ?? [])];
+        const kept =
+          allowed.includes(attribute) &&
+          (!URL_ATTRIBUTES.has(attribute) || isSafeUrl(value, allowedSchemes));
+        if (!kept) onRemove({ type: 'attribute', element: name, name: attribute, value });
+        return kept;
+      })
+      .map(([attribute, value]) => ` ${attribute}="${escapeHtml(value)}"`)
+      .join('');
+
+  tokenizeHtml(html).forEach((token) => {
+    // Skip the content of dropped elements, up to their end tag
+    if (dropping) {
+      if (token.type === 'start' && token.name === dropping.name && !token.selfClosing)
+        dropping.depth++;
+      if (token.type === 'end' && token.name === dropping.name && --dropping.depth === 0)
+        dropping = null;
+      return;
+    }
+
+    switch (token.type) {
+      case 'text':
+        output += escapeHtml(token.value);
+        break;
+      case 'comment':
+        // Dashes are collapsed, so no comment can end early
+        if (allowComments) {
+          output += `<!--${token.value.replace(/-{2,}/g, '-').replace(/^-?>|-$/g, '')}-->`;
+        } else {
+          onRemove({ type: 'comment', value: token.value });
+        }
+        break;
+      case 'start':
+        if (tags.has(token.name)) {
+          output += `<${token.name}${formatAttributes(token.name, token.attributes)}>`;
+          if (!VOID_ELEMENTS.has(token.name)) stack.push(token.name);
+        } else {
+          onRemove({ type: 'element', name: token.name });
+          if (DROP_CONTENT_ELEMENTS.has(token.name) && !token.selfClosing) {
+            dropping = { name: token.name, depth: 1 };
+          }
+        }
+        break;
+      case 'end': {
+        const index = stack.lastIndexOf(token.name);
+        if (index === -1) {
+          if (!balance && tags.has(token.name)) output += `</${token.name}>`;
+          break;
+        }
+
+        output += stack
+          .splice(index)
+          .reverse()
+          .map((name) => `</${name}>`)
+          .join('');
+        break;
+      }
+    }
+  });
+
+  if (!balance) return output;
+  return (
+    output +
+    stack
+      .reverse()
+      .map((name) => `</${name}>`)
+      .join('')
+  );
+};
+
+export {
+  VOID_ELEMENTS,
+  BLOCK_ELEMENTS,
+  decodeEntities,
+  tokenizeHtml,
+  parseHtmlTree,
+  textContent,
+  isSafeUrl,
+  sanitizeHtml,
+  DEFAULT_ALLOWED_TAGS,
+  DEFAULT_ALLOWED_ATTRIBUTES,
+};
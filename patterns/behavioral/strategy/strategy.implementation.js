@@ -8,11 +8,194 @@
  * in different formats (CSV, JSON, Excel, PDF) for various business needs.
  */
 
+import { Readable } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+
+import {
+  formatTsvLine,
+  formatYamlItem,
+  formatMarkdownHeader,
+  formatMarkdownRow,
+  formatHtmlTableStart,
+  formatHtmlRow,
+  HTML_TABLE_END,
+} from './strategy.formats.js';
+import { createWorkbook } from './strategy.xlsx.js';
+
+// Whether export options reshape the rows into columns
+const hasColumnOptions = (options) =>
+  Boolean(
+    options.columns ||
+    options.headers ||
+    options.formatters ||
+    options.flatten ||
+    options.headerUnion
+  );
+
+/**
+ * Flatten nested objects into dot-path keys: { user: { name } } gives { 'user.name': name }
+ * @param {Object} row - The row
+ * @param {Object} options - Flattening options
+ * @param {string} options.separator - Joins the keys of a path (default '.')
+ * @param {string} options.arrays - How arrays are flattened: 'index' into a key per item
+ *   (tags.0, tags.1), 'join' into one value joined with arraySeparator, or 'json' into a
+ *   JSON string (default 'index')
+ * @param {string} options.arraySeparator - Joins array items for 'join' (default ', ')
+ * @returns {Object} The flat row
+ */
+const flattenRow = (row, options = {}) => {
+  const { separator = '.', arrays = 'index', arraySeparator = ', ' } = options;
+  const flat = {};
+
+  const visit = (value, path) => {
+    if (Array.isArray(value) && arrays !== 'index') {
+      flat[path] =
+        arrays === 'json'
+          ? JSON.stringify(value)
+          : value
+              .map((item) =>
+                item !== null && typeof item === 'object' ? JSON.stringify(item) : item
+              )
+              .join(arraySeparator);
+      return;
+    }
+
+    const nested =
+      Array.isArray(value) ||
+      (value !== null &&
+        typeof value === 'object' &&
+        [Object.prototype, null].includes(Object.getPrototypeOf(value)));
+
+    if (!nested) {
+      flat[path] = value;
+      return;
+    }
+
+    // Empty objects and arrays have no values, so they give no columns
+    Object.entries(value).forEach(([key, item]) =>
+      visit(item, path ? `${path}${separator}${key}` : key)
+    );
+  };
+
+  visit(row, '');
+  return flat;
+};
+
+// Get a column value by key, or by dot path into nested objects
+const getColumnValue = (row, key) => {
+  if (Object.hasOwn(row, key)) return row[key];
+
+  return String(key)
+    .split('.')
+    .reduce(
+      (value, part) => (value !== null && typeof value === 'object' ? value[part] : undefined),
+      row
+    );
+};
+
+// The columns to export: { key, header, format } in order, from the columns option, else the
+// keys of the first row (or of all rows, for headerUnion)
+const resolveColumns = (rows, options) => {
+  const { columns = null, headers = {}, formatters = {}, headerUnion = false } = options;
+  let specs = columns;
+
+  if (!specs) {
+    const keys = new Set();
+    (headerUnion ? rows : rows.slice(0, 1)).forEach((row) => {
+      Object.keys(row).forEach((key) => keys.add(key));
+    });
+    specs = [...keys];
+  }
+
+  return specs.map((spec) => {
+    const { key, header, format } = typeof spec === 'object' ? spec : { key: spec };
+    if (key === undefined) throw new Error('Export columns need a key');
+
+    return { key, header: header ?? headers[key] ?? key, format: format ?? formatters[key] };
+  });
+};
+
+// Reshape a (flattened) row into an object keyed by column header, with formatted values
+const mapRow = (source, row, columns) => {
+  const mapped = {};
+  columns.forEach(({ key, header, format }) => {
+    const value = getColumnValue(source, key);
+    mapped[header] = format ? format(value, row) : value;
+  });
+  return mapped;
+};
+
 // Base strategy interface
 class DataExportStrategy {
   export(data, options = {}) {
     throw new Error('export() method must be implemented by concrete strategies');
   }
+
+  /**
+   * Produce the export incrementally, as chunks of output
+   * Concrete strategies override this to stream; by default the rows are collected and
+   * exported at once
+   * @param {Iterable|AsyncIterable} rows - The rows, from an array, generator or cursor
+   * @param {Object} options - The export options, as for export()
+   * @returns {AsyncGenerator<string>} The output chunks
+   */
+  async *stream(rows, options = {}) {
+    const data = [];
+    for await (const row of rows) data.push(row);
+
+    yield this.export(data, options);
+  }
+
+  /**
+   * Reshape rows for tabular formats, following the column options:
+   * - columns: the columns to export, in order, as keys (or dot paths) or as
+   *   { key, header, format } objects
+   * - headers: column headers by key, to rename columns
+   * - formatters: value formatters by key, called with (value, row)
+   * - flatten: true or flattening options (see flattenRow), to flatten nested objects into
+   *   dot-path columns
+   * - headerUnion: whether the columns come from all rows instead of the first one
+   * @param {Object[]} data - The rows
+   * @param {Object} options - The export options
+   * @returns {Object[]} The rows keyed by header, or the data itself without column options
+   */
+  _mapRows(data, options) {
+    if (!hasColumnOptions(options)) return data;
+
+    const { flatten = false } = options;
+    const sources = flatten
+      ? data.map((row) => flattenRow(row, flatten === true ? {} : flatten))
+      : data;
+    const columns = resolveColumns(sources, options);
+
+    return sources.map((source, index) => mapRow(source, data[index], columns));
+  }
+
+  // Reshape streamed rows as _mapRows() does. A header union needs all rows, so they are
+  // buffered first.
+  async *_mapRowStream(rows, options) {
+    if (!hasColumnOptions(options)) {
+      yield* rows;
+      return;
+    }
+
+    const { flatten = false, columns: columnSpecs = null, headerUnion = false } = options;
+
+    if (headerUnion && !columnSpecs) {
+      const data = [];
+      for await (const row of rows) data.push(row);
+      yield* this._mapRows(data, options);
+      return;
+    }
+
+    let columns = null;
+    for await (const row of rows) {
+      const source = flatten ? flattenRow(row, flatten === true ? {} : flatten) : row;
+      columns ??= resolveColumns([source], options);
+
+      yield mapRow(source, row, columns);
+    }
+  }
 }
 
 // CSV Export Strategy
@@ -22,48 +205,120 @@ class CSVExportStrategy extends DataExportStrategy {
 
     if (!Array.isArray(data) || data.length === 0) return '';
 
-    const headers = Object.keys(data[0]);
+    const rows = this._mapRows(data, options);
+    const headers = Object.keys(rows[0]);
     let csv = '';
 
     // Add headers
-    if (includeHeaders) csv += headers.join(delimiter) + '\n';
+    if (includeHeaders) csv += this._formatHeader(headers, delimiter);
 
     // Add rows
-    data.forEach((row) => {
-      const values = headers.map((header) => {
-        const value = row[header];
-
-        // Handle values with delimiters, quotes, or newlines
-        if (value === null || value === undefined) {
-          return '';
-        } else if (
-          typeof value === 'string' &&
-          (value.includes(delimiter) || value.includes('"') || value.includes('\n'))
-        ) {
-          return `"${value.replace(/"/g, '""')}"`;
-        } else {
-          return String(value);
-        }
-      });
-
-      csv += values.join(delimiter) + '\n';
+    rows.forEach((row) => {
+      csv += this._formatRow(row, headers, delimiter);
     });
 
     return csv;
   }
+
+  async *stream(rows, options = {}) {
+    const { delimiter = ',', includeHeaders = true } = options;
+    let headers = null;
+
+    for await (const row of this._mapRowStream(rows, options)) {
+      // Columns come from the first row, as for export()
+      if (!headers) {
+        headers = Object.keys(row);
+        if (includeHeaders) yield this._formatHeader(headers, delimiter);
+      }
+
+      yield this._formatRow(row, headers, delimiter);
+    }
+  }
+
+  _formatHeader(headers, delimiter) {
+    return headers.join(delimiter) + '\n';
+  }
+
+  _formatRow(row, headers, delimiter) {
+    const values = headers.map((header) => {
+      const value = row[header];
+
+      // Handle values with delimiters, quotes, or newlines
+      if (value === null || value === undefined) {
+        return '';
+      } else if (
+        typeof value === 'string' &&
+        (value.includes(delimiter) || value.includes('"') || value.includes('\n'))
+      ) {
+        return `"${value.replace(/"/g, '""')}"`;
+      } else {
+        return String(value);
+      }
+    });
+
+    return values.join(delimiter) + '\n';
+  }
 }
 
-// JSON Export Strategy
+// JSON Export Strategy, as an array or as NDJSON (one JSON document per line)
 class JSONExportStrategy extends DataExportStrategy {
   export(data, options = {}) {
-    const { pretty = false, replacer = null } = options;
+    const { pretty = false, replacer = null, ndjson = false } = options;
+
+    if (ndjson) return data.map((row) => this._formatItem(row, replacer) + '\n').join('');
 
     if (pretty) return JSON.stringify(data, replacer, 2);
     else return JSON.stringify(data, replacer);
   }
+
+  async *stream(rows, options = {}) {
+    const { pretty = false, replacer = null, ndjson = false } = options;
+    let first = true;
+
+    if (ndjson) {
+      for await (const row of rows) yield this._formatItem(row, replacer) + '\n';
+      return;
+    }
+
+    // Lay the array out as JSON.stringify() does
+    for await (const row of rows) {
+      const item = pretty
+        ? this._formatItem(row, replacer, 2).replace(/^/gm, '  ')
+        : this._formatItem(row, replacer);
+
+      if (first) yield pretty ? `[\n${item}` : `[${item}`;
+      else yield pretty ? `,\n${item}` : `,${item}`;
+      first = false;
+    }
+
+    if (first) yield '[]';
+    else yield pretty ? '\n]' : ']';
+  }
+
+  // Items that JSON cannot represent are null, as in arrays
+  _formatItem(row, replacer, indent) {
+    return JSON.stringify(row, replacer, indent) ?? 'null';
+  }
 }
 
 // XML Export Strategy
+// Map a column name to an XML element name. Characters that element names cannot hold, such as
+// spaces and colons, are written as _xHHHH_ with their code point in hex, as is a first
+// character that cannot start a name and an underscore that would read as such an escape:
+// 'Full Name' gives Full_x0020_Name and '2024' gives _x0032_024.
+const encodeXmlName = (name) => {
+  if (name === '') throw new Error('XML element names cannot be empty');
+
+  return name.replace(
+    /^[^A-Za-z_]|_(?=x[0-9A-Fa-f]{4,6}_)|[^\w.-]/gu,
+    (char) => `_x${char.codePointAt(0).toString(16).toUpperCase().padStart(4, '0')}_`
+  );
+};
+
+// Read back a column name written by encodeXmlName
+const decodeXmlName = (name) =>
+  name.replace(/_x([0-9A-Fa-f]{4,6})_/g, (_, code) => String.fromCodePoint(parseInt(code, 16)));
+
 class XMLExportStrategy extends DataExportStrategy {
   export(data, options = {}) {
     const { rootElement = 'data', itemElement = 'item' } = options;
@@ -75,15 +330,8 @@ class XMLExportStrategy extends DataExportStrategy {
     let xml = `<?xml version="1.0" encoding="UTF-8"?>\n<${rootElement}>\n`;
 
     // Convert each item to XML
-    data.forEach((item) => {
-      xml += `  <${itemElement}>\n`;
-
-      Object.entries(item).forEach(([key, value]) => {
-        const safeValue = this._escapeXml(String(value ?? ''));
-        xml += `    <${key}>${safeValue}</${key}>\n`;
-      });
-
-      xml += `  </${itemElement}>\n`;
+    this._mapRows(data, options).forEach((item) => {
+      xml += this._formatItem(item, itemElement);
     });
 
     xml += `</${rootElement}>`;
@@ -91,6 +339,40 @@ class XMLExportStrategy extends DataExportStrategy {
     return xml;
   }
 
+  async *stream(rows, options = {}) {
+    const { rootElement = 'data', itemElement = 'item' } = options;
+    let empty = true;
+
+    for await (const item of this._mapRowStream(rows, options)) {
+      if (empty) yield `<?xml version="1.0" encoding="UTF-8"?>\n<${rootElement}>\n`;
+      empty = false;
+
+      yield this._formatItem(item, itemElement);
+    }
+
+    if (empty) {
+      yield `<?xml version="1.0" encoding="UTF-8"?>\n<${rootElement}></${rootElement}>`;
+    } else {
+      yield `</${rootElement}>`;
+    }
+  }
+
+  _formatItem(item, itemElement) {
+    let xml = `  <${itemElement}>\n`;
+
+    // Missing values are empty elements, so they read back as null rather than ''
+    Object.entries(item).forEach(([key, value]) => {
+      const name = encodeXmlName(key);
+      if (value === null || value === undefined) {
+        xml += `    <${name}/>\n`;
+      } else {
+        xml += `    <${name}>${this._escapeXml(String(value))}</${name}>\n`;
+      }
+    });
+
+    return xml + `  </${itemElement}>\n`;
+  }
+
   _escapeXml(unsafe) {
     return unsafe
       .replace(/&/g, '&amp;')
@@ -101,67 +383,507 @@ class XMLExportStrategy extends DataExportStrategy {
   }
 }
 
+// Format a Date as 'YYYY-MM-DD HH:MM:SS.SSS' in UTC, for databases without time zone literals
+const formatUtcDateTime = (date) => date.toISOString().replace('T', ' ').replace('Z', '');
+
+// Double the quotes in an SQL string literal (the standard escaping)
+const escapeSqlString = (value) => value.replace(/'/g, "''");
+
+// Double the quote character in a quoted identifier
+const quoteWith = (quote) => (name) => `${quote}${name.replaceAll(quote, quote + quote)}${quote}`;
+
+// Upserts with ON CONFLICT (PostgreSQL and SQLite)
+const onConflict = (keys, updates, quote) => {
+  const target = `ON CONFLICT (${keys.map(quote).join(', ')})`;
+  if (updates.length === 0) return `${target} DO NOTHING`;
+
+  const assignments = updates.map((column) => `${quote(column)} = excluded.${quote(column)}`);
+  return `${target} DO UPDATE SET ${assignments.join(', ')}`;
+};
+
+/**
+ * SQL dialects, by name: how each quotes identifiers, escapes strings, writes booleans and
+ * dates, names column types and writes upserts
+ */
+const sqlDialects = {
+  generic: {
+    quoteIdentifier: (name) => name,
+    escapeString: escapeSqlString,
+    formatBoolean: (value) => String(value),
+    formatDate: (date) => date.toISOString(),
+    types: {
+      integer: 'INTEGER',
+      bigint: 'BIGINT',
+      float: 'FLOAT',
+      boolean: 'BOOLEAN',
+      datetime: 'DATETIME',
+      string: 'VARCHAR(255)',
+      text: 'TEXT',
+    },
+    upsert: null,
+  },
+  postgres: {
+    quoteIdentifier: quoteWith('"'),
+    escapeString: escapeSqlString,
+    formatBoolean: (value) => (value ? 'TRUE' : 'FALSE'),
+    formatDate: (date) => date.toISOString(),
+    types: {
+      integer: 'INTEGER',
+      bigint: 'BIGINT',
+      float: 'DOUBLE PRECISION',
+      boolean: 'BOOLEAN',
+      datetime: 'TIMESTAMPTZ',
+      string: 'VARCHAR(255)',
+      text: 'TEXT',
+    },
+    upsert: onConflict,
+  },
+  mysql: {
+    quoteIdentifier: quoteWith('`'),
+    // MySQL also treats backslashes as escapes in strings
+    escapeString: (value) => value.replace(/\\/g, '\\\\').replace(/\0/g, '\\0').replace(/'/g, "''"),
+    formatBoolean: (value) => (value ? 'TRUE' : 'FALSE'),
+    formatDate: formatUtcDateTime,
+    types: {
+      integer: 'INT',
+      bigint: 'BIGINT',
+      float: 'DOUBLE',
+      boolean: 'BOOLEAN',
+      datetime: 'DATETIME(3)',
+      string: 'VARCHAR(255)',
+      text: 'TEXT',
+    },
+    upsert: (keys, updates, quote) => {
+      // With only key columns there is nothing to update, so a key is set to itself
+      const assignments =
+        updates.length === 0
+          ? [`${quote(keys[0])} = ${quote(keys[0])}`]
+          : updates.map((column) => `${quote(column)} = VALUES(${quote(column)})`);
+
+      return `ON DUPLICATE KEY UPDATE ${assignments.join(', ')}`;
+    },
+  },
+  sqlite: {
+    quoteIdentifier: quoteWith('"'),
+    escapeString: escapeSqlString,
+    formatBoolean: (value) => (value ? '1' : '0'),
+    formatDate: formatUtcDateTime,
+    types: {
+      integer: 'INTEGER',
+      bigint: 'INTEGER',
+      float: 'REAL',
+      boolean: 'INTEGER',
+      datetime: 'TEXT',
+      string: 'TEXT',
+      text: 'TEXT',
+    },
+    upsert: onConflict,
+  },
+};
+sqlDialects.postgresql = sqlDialects.postgres;
+
+// The kind of SQL column a value needs, see the dialect types
+const sqlTypeOf = (value) => {
+  if (typeof value === 'number') {
+    if (!Number.isInteger(value)) return 'float';
+    return Math.abs(value) > 2147483647 ? 'bigint' : 'integer';
+  }
+  if (typeof value === 'bigint') return 'bigint';
+  if (typeof value === 'boolean') return 'boolean';
+  if (value instanceof Date) return 'datetime';
+  return String(value).length > 255 ? 'text' : 'string';
+};
+
+// The column type that holds values of both kinds: numbers widen, anything else mixed is text
+const widenSqlType = (current, next) => {
+  if (current === null || current === next) return next;
+
+  const numeric = ['integer', 'bigint', 'float'];
+  if (numeric.includes(current) && numeric.includes(next)) {
+    return current === 'float' || next === 'float' ? 'float' : 'bigint';
+  }
+  return current === 'text' || next === 'text' ? 'text' : 'string';
+};
+
 // SQL Export Strategy (generates SQL INSERT statements)
 class SQLExportStrategy extends DataExportStrategy {
+  /**
+   * Export rows as SQL
+   * @param {Object[]} data - The rows
+   * @param {Object} options - Export options
+   * @param {string} options.tableName - The table (default 'data'), may include a schema
+   * @param {string} options.dialect - 'generic' (default), 'postgres', 'mysql' or 'sqlite'
+   * @param {boolean} options.dropTable - Whether to drop the table first (default false)
+   * @param {boolean} options.createTable - Whether to create the table (default true), with
+   *   column types inferred from all rows
+   * @param {Object} options.columnTypes - Column types to use instead of inferred ones, by
+   *   column
+   * @param {number} options.batchSize - Rows per INSERT statement (default 1)
+   * @param {string[]} options.upsertKeys - Key columns: rows that conflict on them update the
+   *   existing rows (ON CONFLICT or ON DUPLICATE KEY). The created table uses them as its
+   *   primary key.
+   * @returns {string} The SQL
+   */
   export(data, options = {}) {
-    const { tableName = 'data', dropTable = false, createTable = true } = options;
-
     if (!Array.isArray(data) || data.length === 0) return '';
 
-    const columns = Object.keys(data[0]);
+    return this._formatRows(this._mapRows(data, options), options);
+  }
+
+  /**
+   * Stream rows as SQL. CREATE TABLE needs the column types before the first INSERT, so the
+   * rows are held back until typeSampleSize rows have been seen, or the rows run out, and the
+   * types are inferred from them. Columns whose types are all given are not held back.
+   * @param {Iterable|AsyncIterable} rows - The rows
+   * @param {Object} options - Export options, as for export(), and:
+   * @param {number} options.typeSampleSize - The number of rows column types are inferred
+   *   from (default 1000). Later rows must fit those types; use columnTypes otherwise.
+   * @returns {AsyncGenerator<string>} The SQL, statement by statement
+   */
+  async *stream(rows, options = {}) {
+    const { createTable = true, columnTypes = {}, typeSampleSize = 1000 } = options;
+    const batchSize = this._getBatchSize(options);
+    if (!Number.isInteger(typeSampleSize) || typeSampleSize < 1) {
+      throw new Error(`SQL typeSampleSize must be a positive integer, got ${typeSampleSize}`);
+    }
+
+    let columns = null;
+    let batch = [];
+    // The rows held back to infer the column types from, until the CREATE TABLE is written
+    let sample = null;
+
+    for await (const row of this._mapRowStream(rows, options)) {
+      // Columns come from the first row, as for export()
+      if (!columns) {
+        columns = Object.keys(row);
+        const inferring =
+          createTable && columns.some((column) => !Object.hasOwn(columnTypes, column));
+        if (inferring) sample = [];
+        else yield this._formatPreamble([row], columns, options);
+      }
+
+      if (sample) {
+        sample.push(row);
+        if (sample.length < typeSampleSize) continue;
+
+        yield this._formatPreamble(sample, columns, options);
+        batch = sample;
+        sample = null;
+      } else {
+        batch.push(row);
+      }
+
+      while (batch.length >= batchSize) {
+        yield this._formatInsert(batch.splice(0, batchSize), columns, options);
+      }
+    }
+
+    // All the rows fit in the sample, so the output is the same as export()
+    if (sample) yield this._formatRows(sample, options);
+    else if (batch.length > 0) yield this._formatInsert(batch, columns, options);
+  }
+
+  // The statements for rows already reshaped by the column options
+  _formatRows(rows, options) {
+    const batchSize = this._getBatchSize(options);
+    const columns = Object.keys(rows[0]);
+    let sql = this._formatPreamble(rows, columns, options);
+
+    // Add INSERT statements
+    for (let start = 0; start < rows.length; start += batchSize) {
+      sql += this._formatInsert(rows.slice(start, start + batchSize), columns, options);
+    }
+
+    return sql;
+  }
+
+  // Rows per INSERT statement, which has to be a positive integer for the batches to end
+  _getBatchSize(options) {
+    const { batchSize = 1 } = options;
+
+    if (!Number.isInteger(batchSize) || batchSize < 1) {
+      throw new Error(`SQL batchSize must be a positive integer, got ${batchSize}`);
+    }
+    return batchSize;
+  }
+
+  _getDialect(options) {
+    const { dialect = 'generic' } = options;
+    const sqlDialect = sqlDialects[String(dialect).toLowerCase()];
+
+    if (!sqlDialect) throw new Error(`Unsupported SQL dialect: ${dialect}`);
+    return sqlDialect;
+  }
+
+  // Quote a table name, and its schema if it has one
+  _quoteTable(tableName, dialect) {
+    return tableName.split('.').map(dialect.quoteIdentifier).join('.');
+  }
+
+  // The DROP TABLE and CREATE TABLE statements, if requested
+  _formatPreamble(rows, columns, options) {
+    const {
+      tableName = 'data',
+      dropTable = false,
+      createTable = true,
+      columnTypes = {},
+      upsertKeys = [],
+    } = options;
+    const dialect = this._getDialect(options);
+    const table = this._quoteTable(tableName, dialect);
     let sql = '';
 
     // Add DROP TABLE statement if requested
-    if (dropTable) sql += `DROP TABLE IF EXISTS ${tableName};\n\n`;
+    if (dropTable) sql += `DROP TABLE IF EXISTS ${table};\n\n`;
 
     // Add CREATE TABLE statement if requested
     if (createTable) {
-      sql += `CREATE TABLE ${tableName} (\n`;
+      sql += `CREATE TABLE ${table} (\n`;
 
-      // Infer column types from first row
+      // Infer column types from the values in all rows, ignoring nulls
       const columnDefinitions = columns.map((column) => {
-        const sampleValue = data[0][column];
-        let type = 'VARCHAR(255)';
-
-        if (typeof sampleValue === 'number') {
-          if (Number.isInteger(sampleValue)) {
-            type = 'INTEGER';
-          } else {
-            type = 'FLOAT';
-          }
-        } else if (typeof sampleValue === 'boolean') {
-          type = 'BOOLEAN';
-        } else if (sampleValue instanceof Date) {
-          type = 'DATETIME';
+        let type = columnTypes[column];
+
+        if (type === undefined) {
+          const kind = rows
+            .map((row) => row[column])
+            .filter((value) => value !== null && value !== undefined)
+            .map(sqlTypeOf)
+            .reduce(widenSqlType, null);
+          type = dialect.types[kind ?? 'string'];
         }
 
-        return `  ${column} ${type}`;
+        return `  ${dialect.quoteIdentifier(column)} ${type}`;
       });
 
+      if (upsertKeys.length > 0) {
+        columnDefinitions.push(
+          `  PRIMARY KEY (${upsertKeys.map(dialect.quoteIdentifier).join(', ')})`
+        );
+      }
+
       sql += columnDefinitions.join(',\n');
       sql += '\n);\n\n';
     }
 
-    // Add INSERT statements
-    data.forEach((row) => {
-      const values = columns.map((column) => {
-        const value = row[column];
-
-        if (value === null || value === undefined) {
-          return 'NULL';
-        } else if (typeof value === 'string') {
-          return `'${value.replace(/'/g, "''")}'`;
-        } else if (value instanceof Date) {
-          return `'${value.toISOString()}'`;
-        } else {
-          return String(value);
-        }
-      });
+    return sql;
+  }
 
-      sql += `INSERT INTO ${tableName} (${columns.join(', ')}) VALUES (${values.join(', ')});\n`;
+  // An INSERT statement for a batch of rows, with the upsert clause if requested
+  _formatInsert(rows, columns, options) {
+    const { tableName = 'data', upsertKeys = [] } = options;
+    const dialect = this._getDialect(options);
+    const tuples = rows.map((row) => {
+      const values = columns.map((column) => this._formatValue(row[column], dialect));
+      return `(${values.join(', ')})`;
     });
 
-    return sql;
+    let sql =
+      `INSERT INTO ${this._quoteTable(tableName, dialect)} ` +
+      `(${columns.map(dialect.quoteIdentifier).join(', ')}) VALUES` +
+      (tuples.length === 1 ? ` ${tuples[0]}` : `\n  ${tuples.join(',\n  ')}`);
+
+    if (upsertKeys.length > 0) {
+      if (!dialect.upsert) {
+        throw new Error('Upserts need a SQL dialect: postgres, mysql or sqlite');
+      }
+
+      const missing = upsertKeys.find((key) => !columns.includes(key));
+      if (missing !== undefined) throw new Error(`Upsert key "${missing}" is not a column`);
+
+      const updates = columns.filter((column) => !upsertKeys.includes(column));
+      sql += `\n${dialect.upsert(upsertKeys, updates, dialect.quoteIdentifier)}`;
+    }
+
+    return `${sql};\n`;
+  }
+
+  _formatValue(value, dialect) {
+    if (value === null || value === undefined) {
+      return 'NULL';
+    } else if (typeof value === 'string') {
+      return `'${dialect.escapeString(value)}'`;
+    } else if (typeof value === 'boolean') {
+      return dialect.formatBoolean(value);
+    } else if (value instanceof Date) {
+      return `'${dialect.formatDate(value)}'`;
+    } else {
+      return String(value);
+    }
+  }
+}
+
+// NDJSON Export Strategy (JSON Lines: one JSON document per line)
+class NDJSONExportStrategy extends JSONExportStrategy {
+  export(data, options = {}) {
+    return super.export(data, { ...options, ndjson: true });
+  }
+
+  stream(rows, options = {}) {
+    return super.stream(rows, { ...options, ndjson: true });
+  }
+}
+
+// TSV Export Strategy. TSV cannot quote fields, so tabs, line breaks and backslashes in
+// values are escaped (\t, \n, \r and \\)
+class TSVExportStrategy extends CSVExportStrategy {
+  export(data, options = {}) {
+    return super.export(data, { ...options, delimiter: '\t' });
+  }
+
+  stream(rows, options = {}) {
+    return super.stream(rows, { ...options, delimiter: '\t' });
+  }
+
+  _formatHeader(headers) {
+    return formatTsvLine(headers);
+  }
+
+  _formatRow(row, headers) {
+    return formatTsvLine(headers.map((header) => row[header]));
+  }
+}
+
+// YAML Export Strategy (a block sequence of mappings; nested objects stay nested)
+class YAMLExportStrategy extends DataExportStrategy {
+  export(data, options = {}) {
+    if (!Array.isArray(data) || data.length === 0) return '[]\n';
+
+    return data.map(formatYamlItem).join('');
+  }
+
+  async *stream(rows, options = {}) {
+    let empty = true;
+
+    for await (const row of rows) {
+      empty = false;
+      yield formatYamlItem(row);
+    }
+
+    if (empty) yield '[]\n';
+  }
+}
+
+// Markdown Table Export Strategy (GitHub-flavoured Markdown)
+class MarkdownTableExportStrategy extends DataExportStrategy {
+  /**
+   * Export rows as a Markdown table
+   * @param {Object[]} data - The rows
+   * @param {Object} options - Export options, and the column options
+   * @param {Object} options.align - Column alignments by header: 'left', 'center' or 'right'
+   * @returns {string} The table
+   */
+  export(data, options = {}) {
+    if (!Array.isArray(data) || data.length === 0) return '';
+
+    const rows = this._mapRows(data, options);
+    const headers = Object.keys(rows[0]);
+
+    return (
+      formatMarkdownHeader(headers, options.align) +
+      rows.map((row) => formatMarkdownRow(headers.map((header) => row[header]))).join('')
+    );
+  }
+
+  async *stream(rows, options = {}) {
+    let headers = null;
+
+    for await (const row of this._mapRowStream(rows, options)) {
+      if (!headers) {
+        headers = Object.keys(row);
+        yield formatMarkdownHeader(headers, options.align);
+      }
+
+      yield formatMarkdownRow(headers.map((header) => row[header]));
+    }
+  }
+}
+
+// HTML Table Export Strategy (a styled <table>, with a <style> element scoped to its class)
+class HTMLTableExportStrategy extends DataExportStrategy {
+  /**
+   * Export rows as an HTML table
+   * @param {Object[]} data - The rows
+   * @param {Object} options - Export options, and the column options
+   * @param {string} options.className - The table's class (default 'data-table')
+   * @param {string} options.caption - A caption for the table
+   * @param {boolean} options.includeStyles - Whether to include the styles (default true)
+   * @param {string} options.styles - CSS to use instead of the default styles
+   * @returns {string} The HTML
+   */
+  export(data, options = {}) {
+    if (!Array.isArray(data) || data.length === 0) return '';
+
+    const rows = this._mapRows(data, options);
+    const headers = Object.keys(rows[0]);
+
+    return (
+      formatHtmlTableStart(headers, options) +
+      rows.map((row) => formatHtmlRow(headers.map((header) => row[header]))).join('') +
+      HTML_TABLE_END
+    );
+  }
+
+  async *stream(rows, options = {}) {
+    let headers = null;
+
+    for await (const row of this._mapRowStream(rows, options)) {
+      if (!headers) {
+        headers = Object.keys(row);
+        yield formatHtmlTableStart(headers, options);
+      }
+
+      yield formatHtmlRow(headers.map((header) => row[header]));
+    }
+
+    if (headers) yield HTML_TABLE_END;
+  }
+}
+
+// XLSX Export Strategy (an Excel workbook, output as a Uint8Array)
+class XLSXExportStrategy extends DataExportStrategy {
+  /**
+   * Export rows as an XLSX workbook, with typed cells: numbers, booleans and dates stay
+   * numbers, booleans and dates in Excel
+   * @param {Object[]|Object} data - The rows, or rows by sheet name for several sheets
+   * @param {Object} options - Export options, and the column options
+   * @param {string} options.sheetName - The sheet name for rows (default 'Sheet1')
+   * @param {boolean} options.includeHeaders - Whether to write a bold, frozen header row
+   *   (default true)
+   * @param {Object} options.columnWidths - Column widths in characters, by header. Other
+   *   columns fit their content.
+   * @param {string} options.dateFormat - The number format of dates (default
+   *   'yyyy-mm-dd hh:mm:ss')
+   * @param {Object} options.sheetOptions - Options by sheet name, over the options above
+   * @returns {Uint8Array} The workbook file
+   */
+  export(data, options = {}) {
+    const { sheetName = 'Sheet1', sheetOptions = {} } = options;
+    const sheets = Array.isArray(data) ? [[sheetName, data]] : Object.entries(data ?? {});
+
+    // A workbook needs at least one sheet
+    if (sheets.length === 0) sheets.push([sheetName, []]);
+
+    return createWorkbook(
+      sheets.map(([name, rows]) =>
+        this._formatSheet(name, rows, { ...options, ...sheetOptions[name] })
+      ),
+      options
+    );
+  }
+
+  _formatSheet(name, rows, options) {
+    const { includeHeaders = true, columnWidths = {} } = options;
+    const mapped = this._mapRows(rows, options);
+    const headers = mapped.length > 0 ? Object.keys(mapped[0]) : [];
+
+    return {
+      name,
+      headers,
+      rows: mapped.map((row) => headers.map((header) => row[header])),
+      includeHeaders: includeHeaders && headers.length > 0,
+      columnWidths: headers.map((header) => columnWidths[header]),
+    };
   }
 }
 
@@ -176,42 +898,722 @@ class DataExporter {
     this.strategy = strategy;
   }
 
+  // Data is an array, or any iterable or async iterable of rows for streaming exports. Other
+  // objects are passed to the strategy as they are (rows by sheet name for XLSX).
   setData(data) {
     this.data = data;
   }
 
   export(options = {}) {
     if (!this.strategy) throw new Error('Export strategy not set');
-    if (!this.data || this.data.length === 0) return '';
+    if (!this.data) return '';
+    if (typeof this.data[Symbol.asyncIterator] === 'function') {
+      throw new Error('Async data can only be exported with exportStream() or exportToStream()');
+    }
+
+    const data =
+      Array.isArray(this.data) || typeof this.data[Symbol.iterator] !== 'function'
+        ? this.data
+        : Array.from(this.data);
+    if (data.length === 0) return '';
+
+    return this.strategy.export(data, options);
+  }
+
+  /**
+   * Pick the export strategy for an HTTP Accept header and use it. When the header leaves the
+   * choice open (no header, or "*\/*"), the default depends on the size of the data: pretty
+   * JSON for small datasets, and NDJSON, meant to be streamed, for large ones.
+   * @param {string} accept - The Accept header
+   * @param {Object} options - Negotiation options
+   * @param {string[]} options.formats - The formats to offer (default all registered formats)
+   * @param {number} options.largeDataset - Datasets with more rows than this are large
+   *   (default 1000). Iterables that are not arrays are always large, their size is unknown.
+   * @param {Object} options.smallDefault - The default for small datasets, as { format,
+   *   options } (default { format: 'json', options: { pretty: true } })
+   * @param {Object} options.largeDefault - The default for large datasets (default
+   *   { format: 'ndjson', options: {} })
+   * @returns {Object|null} { format, strategy, contentType, extension, options, stream }, with
+   *   the export options of the default when it was chosen and whether to use exportStream(),
+   *   or null when the header accepts none of the formats (a 406 response)
+   */
+  negotiateStrategy(accept, options = {}) {
+    const {
+      formats = null,
+      largeDataset = 1000,
+      smallDefault = { format: 'json', options: { pretty: true } },
+      largeDefault = { format: 'ndjson', options: {} },
+    } = options;
+
+    // Rows that are not in an array have an unknown size, so they count as large
+    const iterable =
+      this.data !== null &&
+      typeof this.data === 'object' &&
+      !Array.isArray(this.data) &&
+      (typeof this.data[Symbol.iterator] === 'function' ||
+        typeof this.data[Symbol.asyncIterator] === 'function');
+    const large = iterable || (Array.isArray(this.data) && this.data.length > largeDataset);
+    const fallback = large ? largeDefault : smallDefault;
+
+    const details = ExportStrategyFactory.negotiate(accept, {
+      formats,
+      defaultFormat: fallback.format,
+    });
+    if (!details) return null;
+
+    const strategy = ExportStrategyFactory.createStrategy(details.format);
+    this.setStrategy(strategy);
+
+    return {
+      format: details.format,
+      strategy,
+      contentType: details.contentType,
+      extension: details.extension,
+      options: details.format === fallback.format ? { ...fallback.options } : {},
+      stream: large,
+    };
+  }
+
+  /**
+   * Export the data incrementally, so large or async data never has to fit in memory
+   * @param {Object} options - The export options, and:
+   * @param {number} options.chunkSize - Output is buffered up to chunks of this length
+   *   (default 65536, 0 yields output as soon as the strategy produces it)
+   * @returns {AsyncGenerator<string|Uint8Array>} The output chunks, binary for binary formats
+   */
+  async *exportStream(options = {}) {
+    if (!this.strategy) throw new Error('Export strategy not set');
+    if (!this.data) return;
+
+    // Data that is not rows can only be exported at once
+    if (
+      typeof this.data[Symbol.iterator] !== 'function' &&
+      typeof this.data[Symbol.asyncIterator] !== 'function'
+    ) {
+      const output = this.export(options);
+      if (output.length > 0) yield output;
+      return;
+    }
+
+    const { chunkSize = 65536 } = options;
+    let buffer = '';
+    let empty = true;
+    // Output the strategy produces before the first row, such as an XML declaration
+    const pending = [];
+
+    const rows = (async function* (data) {
+      for await (const row of data) {
+        empty = false;
+        yield row;
+      }
+    })(this.data);
+
+    for await (const chunk of this.strategy.stream(rows, options)) {
+      // As with export(), there is no output without rows, so output is held back until the
+      // first row arrives
+      pending.push(chunk);
+      if (empty) continue;
+
+      for (const output of pending.splice(0)) {
+        // Binary chunks are passed on as they are
+        if (typeof output !== 'string') {
+          if (buffer) yield buffer;
+          buffer = '';
+          yield output;
+          continue;
+        }
+
+        buffer += output;
+        if (buffer && buffer.length >= chunkSize) {
+          yield buffer;
+          buffer = '';
+        }
+      }
+    }
+
+    if (buffer) yield buffer;
+  }
+
+  /**
+   * Export the data into a Node writable stream (a file, an HTTP response, etc.), waiting
+   * for the stream to drain as needed. The writable is ended when the export is done.
+   * @param {stream.Writable} writable - The destination
+   * @param {Object} options - The export options, as for exportStream()
+   * @returns {Promise<void>} Resolves when the output has been written
+   */
+  exportToStream(writable, options = {}) {
+    return pipeline(Readable.from(this.exportStream(options)), writable);
+  }
+}
+
+// Convert a text value read back from CSV, XML or SQL into a number, boolean or null where it
+// looks like one. Numbers with leading zeros (zip codes, ids) stay strings.
+const parseValue = (text) => {
+  if (text === '') return null;
+  if (text === 'true' || text === 'false') return text === 'true';
+  if (/^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/.test(text)) return Number(text);
+  return text;
+};
+
+// Base import strategy interface
+class DataImportStrategy {
+  import(text, options = {}) {
+    throw new Error('import() method must be implemented by concrete strategies');
+  }
+}
+
+// CSV Import Strategy (RFC 4180)
+class CSVImportStrategy extends DataImportStrategy {
+  /**
+   * Parse CSV into rows
+   * @param {string} text - The CSV
+   * @param {Object} options - Import options
+   * @param {string} options.delimiter - The field delimiter (default ',')
+   * @param {boolean} options.includeHeaders - Whether the first record names the columns
+   *   (default true)
+   * @param {string[]} options.headers - The column names, for CSV without headers (default
+   *   the column numbers, from 0)
+   * @param {boolean} options.parseValues - Whether to convert numbers, booleans and empty
+   *   fields (to null) (default true)
+   * @returns {Object[]} The rows
+   */
+  import(text, options = {}) {
+    const { delimiter = ',', includeHeaders = true, headers = null, parseValues = true } = options;
+    const records = this._parseRecords(text, delimiter);
+
+    if (records.length === 0) return [];
+
+    const columns = includeHeaders ? records.shift() : (headers ?? records[0].map((_, i) => i));
+
+    return records.map((record) => {
+      const row = {};
+      columns.forEach((column, index) => {
+        const value = record[index] ?? '';
+        row[column] = parseValues ? parseValue(value) : value;
+      });
+      return row;
+    });
+  }
+
+  // Split CSV into records of fields, with quoted fields holding delimiters, quotes ("") and
+  // line breaks. Blank lines are skipped.
+  _parseRecords(text, delimiter) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+    let pos = 0;
+
+    const endRecord = () => {
+      record.push(field);
+      if (record.length > 1 || record[0] !== '' || quoted) records.push(record);
+      record = [];
+      field = '';
+      quoted = false;
+    };
+
+    while (pos < text.length) {
+      const char = text[pos];
+
+      if (char === '"' && field === '' && !quoted) {
+        // A quoted field runs to the next quote that is not doubled
+        quoted = true;
+        pos++;
+        while (true) {
+          const end = text.indexOf('"', pos);
+          if (end === -1) throw new Error('Unclosed quoted field in CSV');
+
+          field += text.substring(pos, end);
+          pos = end + 1;
+          if (text[pos] !== '"') break;
+          field += '"';
+          pos++;
+        }
+      } else if (text.startsWith(delimiter, pos)) {
+        record.push(field);
+        field = '';
+        quoted = false;
+        pos += delimiter.length;
+      } else if (char === '\n' || char === '\r') {
+        endRecord();
+        pos += char === '\r' && text[pos + 1] === '\n' ? 2 : 1;
+      } else {
+        field += char;
+        pos++;
+      }
+    }
+
+    if (field !== '' || record.length > 0 || quoted) endRecord();
+
+    return records;
+  }
+}
+
+// JSON Import Strategy, from an array or NDJSON (one JSON document per line)
+class JSONImportStrategy extends DataImportStrategy {
+  import(text, options = {}) {
+    const { reviver = null, ndjson = false } = options;
+
+    if (ndjson) {
+      return text
+        .split(/\r?\n/)
+        .filter((line) => line.trim())
+        .map((line) => JSON.parse(line, reviver));
+    }
+
+    const data = JSON.parse(text, reviver);
+    if (!Array.isArray(data)) throw new Error('JSON import expects an array of rows');
+
+    return data;
+  }
+}
+
+// Escape text for use as a literal in a regular expression
+const escapeRegExp = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// XML Import Strategy, for the <rootElement><itemElement><column>value</column>... layout
+// written by XMLExportStrategy
+class XMLImportStrategy extends DataImportStrategy {
+  import(text, options = {}) {
+    const { rootElement = 'data', itemElement = 'item', parseValues = true } = options;
+    const body = text.replace(/^\s*<\?xml[\s\S]*?\?>/, '').trim();
+    const root = escapeRegExp(rootElement);
+    const item = escapeRegExp(itemElement);
+
+    if (new RegExp(`^<${root}\\s*/>$`).test(body)) return [];
+
+    const content = body.match(new RegExp(`^<${root}>([\\s\\S]*)</${root}>$`));
+    if (!content) throw new Error(`Expected a <${rootElement}> root element in XML`);
 
-    return this.strategy.export(this.data, options);
+    const itemPattern = new RegExp(`<${item}\\s*/>|<${item}>([\\s\\S]*?)</${item}>`, 'g');
+    const rows = [];
+    let match;
+
+    while ((match = itemPattern.exec(content[1]))) {
+      const row = {};
+      const fieldPattern = /<([\w.-]+)\s*\/>|<([\w.-]+)>([^<]*)<\/\2>/g;
+      let field;
+
+      // Empty elements (<notes/>) are null, and elements with no text (<notes></notes>) are
+      // empty strings
+      while ((field = fieldPattern.exec(match[1] ?? ''))) {
+        if (field[1]) {
+          row[decodeXmlName(field[1])] = null;
+          continue;
+        }
+
+        const value = this._unescapeXml(field[3]);
+        row[decodeXmlName(field[2])] = parseValues && value !== '' ? parseValue(value) : value;
+      }
+      rows.push(row);
+    }
+
+    return rows;
+  }
+
+  _unescapeXml(safe) {
+    return safe
+      .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+      .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&amp;/g, '&');
+  }
+}
+
+// SQL Import Strategy (reads the rows back from INSERT statements, skipping other statements)
+class SQLImportStrategy extends DataImportStrategy {
+  /**
+   * Parse SQL INSERT statements into rows
+   * @param {string} text - The SQL
+   * @param {Object} options - Import options
+   * @param {string} options.tableName - Only read rows inserted into this table (default all)
+   * @param {string} options.dialect - The dialect the SQL was written for, see
+   *   SQLExportStrategy (default 'generic')
+   * @returns {Object[]} The rows, with strings, numbers, booleans and nulls
+   */
+  import(text, options = {}) {
+    const { tableName = null, dialect = 'generic' } = options;
+    const rows = [];
+
+    for (const statement of this._splitStatements(text)) {
+      const insert = statement.match(
+        /^INSERT\s+INTO\s+([\w."`]+)\s*\(([^)]*)\)\s*VALUES\s*([\s\S]*)$/i
+      );
+      if (!insert) continue;
+
+      const [, table, columnList, valueList] = insert;
+      if (tableName && table.replace(/["`]/g, '') !== tableName) continue;
+
+      const columns = columnList.split(',').map((column) => column.trim().replace(/["`]/g, ''));
+
+      for (const values of this._parseTuples(valueList, dialect)) {
+        if (values.length !== columns.length) {
+          throw new Error(
+            `INSERT into ${table} has ${columns.length} columns but ${values.length} values`
+          );
+        }
+
+        const row = {};
+        columns.forEach((column, index) => {
+          row[column] = values[index];
+        });
+        rows.push(row);
+      }
+    }
+
+    return rows;
+  }
+
+  // Split SQL into statements at semicolons outside string literals
+  _splitStatements(text) {
+    const statements = [];
+    let start = 0;
+    let inString = false;
+
+    for (let pos = 0; pos < text.length; pos++) {
+      if (text[pos] === "'") inString = !inString;
+      else if (text[pos] === ';' && !inString) {
+        statements.push(text.substring(start, pos).trim());
+        start = pos + 1;
+      }
+    }
+    statements.push(text.substring(start).trim());
+
+    return statements.filter(Boolean);
+  }
+
+  // Parse one or more value tuples: ('a', 1, NULL), ('b', 2, TRUE)
+  _parseTuples(text, dialect) {
+    const tuples = [];
+    // MySQL strings also escape backslashes and NUL characters
+    const unescape =
+      dialect === 'mysql'
+        ? (value) => value.replace(/\\([\\0])/g, (_, char) => (char === '0' ? '\0' : char))
+        : (value) => value;
+    const tokenPattern =
+      /\s*(?:'((?:[^']|'')*)'|(NULL|TRUE|FALSE)\b|(-?[\d.]+(?:[eE][+-]?\d+)?)|([(),]))/iy;
+    let tuple = null;
+    let match;
+
+    while (tokenPattern.lastIndex < text.trimEnd().length) {
+      const at = tokenPattern.lastIndex;
+
+      // The values end at an upsert clause (ON CONFLICT or ON DUPLICATE KEY UPDATE)
+      if (!tuple && /^\s*ON\s/i.test(text.substring(at))) break;
+      if (!(match = tokenPattern.exec(text))) {
+        throw new Error(`Unexpected SQL value at "${text.substring(at, at + 20).trim()}"`);
+      }
+
+      const [, string, keyword, number, punctuation] = match;
+
+      if (punctuation === '(') tuple = [];
+      else if (punctuation === ')') {
+        tuples.push(tuple);
+        tuple = null;
+      } else if (punctuation === ',') continue;
+      else if (!tuple) throw new Error('SQL values must be inside parentheses');
+      else if (string !== undefined) tuple.push(unescape(string.replace(/''/g, "'")));
+      else if (number !== undefined) tuple.push(Number(number));
+      else tuple.push(keyword.toUpperCase() === 'NULL' ? null : keyword.toUpperCase() === 'TRUE');
+    }
+
+    return tuples;
   }
 }
 
-// Factory to create export strategies
+// Context class for data import
+class DataImporter {
+  constructor(strategy) {
+    this.strategy = strategy;
+  }
+
+  setStrategy(strategy) {
+    this.strategy = strategy;
+  }
+
+  import(text, options = {}) {
+    if (!this.strategy) throw new Error('Import strategy not set');
+    if (!text || !text.trim()) return [];
+
+    return this.strategy.import(text, options);
+  }
+}
+
+// Registered export formats, by lowercase format name
+const strategyRegistry = new Map();
+
+// Normalize a format name for registry lookups: ' CSV ' and 'csv' give 'csv'
+const normalizeFormat = (format) => String(format).trim().toLowerCase();
+
+// Normalize a MIME type for lookups, dropping parameters such as charset
+const normalizeMimeType = (mimeType) => mimeType.split(';')[0].trim().toLowerCase();
+
+// Normalize an extension or file name for lookups: 'report.CSV', '.csv' and 'csv' give 'csv'
+const normalizeExtension = (extension) => extension.split('.').pop().trim().toLowerCase();
+
+// A quality value: 0 to 1 with up to three decimals, such as 0, 0.5 or 1.000
+const QUALITY_PATTERN = /^(?:0(?:\.\d{0,3})?|1(?:\.0{0,3})?)$/;
+
+/**
+ * Parse an HTTP Accept header into its media ranges. Ranges with an invalid quality, such as
+ * an empty "q=", are ignored rather than read as q=0, and a lone "*" is read as "*\/*".
+ * @param {string} header - The header
+ * @returns {Array} { type, subtype, q, index } for each range
+ */
+const parseAccept = (header) =>
+  header
+    .split(',')
+    .map((part, index) => {
+      const [range, ...params] = part.split(';').map((piece) => piece.trim());
+      const [type, subtype] = (range === '*' ? '*/*' : range).toLowerCase().split('/');
+      const quality = params.find((param) => /^q\s*=/i.test(param))?.replace(/^q\s*=\s*/i, '');
+
+      if (!type || !subtype || (quality !== undefined && !QUALITY_PATTERN.test(quality))) {
+        return null;
+      }
+      const q = quality === undefined ? 1 : Number(quality);
+      return { type, subtype, q, index };
+    })
+    .filter(Boolean);
+
+// The most specific media range that matches a MIME type, with its specificity: 2 for the
+// type itself, 1 for "type/*" and 0 for "*\/*"
+const matchMediaRange = (mimeType, ranges) => {
+  const [type, subtype] = mimeType.split('/');
+  let best = null;
+
+  ranges.forEach((range) => {
+    const specificity =
+      range.type === type && range.subtype === subtype
+        ? 2
+        : range.type === type && range.subtype === '*'
+          ? 1
+          : range.type === '*' && range.subtype === '*'
+            ? 0
+            : -1;
+    if (specificity > (best?.specificity ?? -1)) best = { ...range, specificity };
+  });
+
+  return best;
+};
+
+// Text MIME types are sent with their charset
+const isTextMimeType = (mimeType) =>
+  mimeType.startsWith('text/') ||
+  /^application\/(json|xml|sql|yaml|x-ndjson|javascript)$/.test(mimeType) ||
+  /\+(json|xml)$/.test(mimeType);
+
+// Encode a header parameter value as RFC 8187 UTF-8 (for filename*)
+const encodeHeaderValue = (value) =>
+  encodeURIComponent(value).replace(
+    /['()*]/g,
+    (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+
+// Factory to create export strategies from a registry of formats
 class ExportStrategyFactory {
+  /**
+   * Register an export format, replacing any format of the same name
+   * @param {string} format - The format name, e.g. 'csv'
+   * @param {Function} StrategyClass - A DataExportStrategy subclass
+   * @param {Object} details - Format details
+   * @param {string} details.mimeType - The MIME type of the output, e.g. 'text/csv'
+   * @param {string} details.extension - The file extension of the output, e.g. 'csv'
+   * @returns {ExportStrategyFactory} The factory (for chaining)
+   */
+  static registerStrategy(format, StrategyClass, { mimeType = null, extension = null } = {}) {
+    if (typeof format !== 'string' || !format.trim()) {
+      throw new Error('Export format name must be a non-empty string');
+    }
+    if (typeof StrategyClass?.prototype?.export !== 'function') {
+      throw new Error(`Export strategy for "${format}" must be a class with an export() method`);
+    }
+
+    const name = normalizeFormat(format);
+    strategyRegistry.set(name, {
+      format: name,
+      StrategyClass,
+      mimeType: mimeType && normalizeMimeType(mimeType),
+      extension: extension && normalizeExtension(extension),
+    });
+
+    return this;
+  }
+
+  /**
+   * Remove an export format
+   * @param {string} format - The format name
+   * @returns {boolean} True if the format was registered
+   */
+  static unregisterStrategy(format) {
+    return strategyRegistry.delete(normalizeFormat(format));
+  }
+
   static createStrategy(format, options = {}) {
-    switch (format.toLowerCase()) {
-      case 'csv':
-        return new CSVExportStrategy();
-      case 'json':
-        return new JSONExportStrategy();
-      case 'xml':
-        return new XMLExportStrategy();
-      case 'sql':
-        return new SQLExportStrategy();
-      default:
-        throw new Error(`Unsupported export format: ${format}`);
+    const entry = strategyRegistry.get(normalizeFormat(format));
+    if (!entry) throw new Error(`Unsupported export format: ${format}`);
+
+    return new entry.StrategyClass(options);
+  }
+
+  // Create the strategy for a MIME type, e.g. 'text/csv; charset=utf-8'
+  static createStrategyForMimeType(mimeType, options = {}) {
+    const details = this.getFormatByMimeType(mimeType);
+    if (!details) throw new Error(`Unsupported export MIME type: ${mimeType}`);
+
+    return this.createStrategy(details.format, options);
+  }
+
+  // Create the strategy for a file extension or file name, e.g. 'csv' or 'report.csv'
+  static createStrategyForExtension(extension, options = {}) {
+    const details = this.getFormatByExtension(extension);
+    if (!details) throw new Error(`Unsupported export file extension: ${extension}`);
+
+    return this.createStrategy(details.format, options);
+  }
+
+  // Details of the first registered format with the MIME type, or null
+  static getFormatByMimeType(mimeType) {
+    const wanted = normalizeMimeType(mimeType);
+    return this.listFormats().find((details) => details.mimeType === wanted) ?? null;
+  }
+
+  // Details of the first registered format with the extension, or null
+  static getFormatByExtension(extension) {
+    const wanted = normalizeExtension(extension);
+    return this.listFormats().find((details) => details.extension === wanted) ?? null;
+  }
+
+  /**
+   * Pick the format that an HTTP Accept header prefers. Formats get the quality of the most
+   * specific media range that matches their MIME type, and q=0 excludes them. Among formats
+   * of the same quality, a more specific match wins, then the default format, then the
+   * header order, then the order of the offered formats.
+   * @param {string} accept - The Accept header. A missing or empty header accepts anything.
+   * @param {Object} options - Negotiation options
+   * @param {string[]} options.formats - The formats to offer (default all registered formats)
+   * @param {string} options.defaultFormat - The format to prefer when the header leaves the
+   *   choice open
+   * @returns {Object|null} { format, mimeType, extension, contentType, quality } of the chosen
+   *   format, where contentType includes the charset of text formats, or null when the header
+   *   accepts none of the formats
+   */
+  static negotiate(accept, { formats = null, defaultFormat = null } = {}) {
+    const ranges = accept?.trim() ? parseAccept(accept) : parseAccept('*/*');
+    const offered = formats
+      ? formats.map((format) => {
+          const entry = strategyRegistry.get(normalizeFormat(format));
+          if (!entry) throw new Error(`Unsupported export format: ${format}`);
+          return this.listFormats().find((details) => details.format === entry.format);
+        })
+      : this.listFormats();
+
+    const candidates = offered
+      .filter((details) => details.mimeType)
+      .map((details) => ({ details, range: matchMediaRange(details.mimeType, ranges) }))
+      .filter(({ range }) => range && range.q > 0)
+      .sort(
+        (a, b) =>
+          b.range.q - a.range.q ||
+          b.range.specificity - a.range.specificity ||
+          (b.details.format === defaultFormat) - (a.details.format === defaultFormat) ||
+          a.range.index - b.range.index
+      );
+    if (candidates.length === 0) return null;
+
+    const [{ details, range }] = candidates;
+    const charset = isTextMimeType(details.mimeType) ? '; charset=utf-8' : '';
+    return { ...details, contentType: details.mimeType + charset, quality: range.q };
+  }
+
+  /**
+   * Build a Content-Disposition header for downloading an export. The file name is cleaned of
+   * path separators and control characters, given the format's extension when it lacks it,
+   * and sent as filename*, in UTF-8, when it is not plain ASCII.
+   * @param {string} filename - The file name, e.g. 'Report 2024' or 'report.csv'
+   * @param {Object} options - Header options
+   * @param {string} options.format - The export format, whose extension the name needs
+   * @param {boolean} options.inline - Whether to show the file in the browser instead of
+   *   downloading it (default false)
+   * @returns {string} The header value
+   */
+  static buildContentDisposition(filename, { format = null, inline = false } = {}) {
+    let name = String(filename)
+      .replace(/[\x00-\x1f\x7f/\\]/g, '_')
+      .replace(/^[\s.]+|\s+$/g, '');
+    if (!name) name = 'export';
+
+    if (format) {
+      const entry = strategyRegistry.get(normalizeFormat(format));
+      if (!entry) throw new Error(`Unsupported export format: ${format}`);
+      if (entry.extension && !name.toLowerCase().endsWith(`.${entry.extension}`)) {
+        name += `.${entry.extension}`;
+      }
     }
+
+    // Older clients only read filename, so it gets an ASCII version of the name
+    const fallback = name
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^\x20-\x7e]/g, '_')
+      .replace(/"/g, "'");
+    const type = inline ? 'inline' : 'attachment';
+
+    return fallback === name
+      ? `${type}; filename="${name}"`
+      : `${type}; filename="${fallback}"; filename*=UTF-8''${encodeHeaderValue(name)}`;
+  }
+
+  /**
+   * List the registered formats, in registration order
+   * @returns {Array} { format, mimeType, extension } for each format
+   */
+  static listFormats() {
+    return [...strategyRegistry.values()].map(({ format, mimeType, extension }) => ({
+      format,
+      mimeType,
+      extension,
+    }));
   }
 }
 
+// Built-in formats, saved with their own name as file extension
+[
+  ['csv', CSVExportStrategy, 'text/csv'],
+  ['json', JSONExportStrategy, 'application/json'],
+  ['xml', XMLExportStrategy, 'application/xml'],
+  ['sql', SQLExportStrategy, 'application/sql'],
+  ['ndjson', NDJSONExportStrategy, 'application/x-ndjson'],
+  ['tsv', TSVExportStrategy, 'text/tab-separated-values'],
+  ['yaml', YAMLExportStrategy, 'application/yaml'],
+  ['markdown', MarkdownTableExportStrategy, 'text/markdown', 'md'],
+  ['html', HTMLTableExportStrategy, 'text/html'],
+  ['xlsx', XLSXExportStrategy, 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
+].forEach(([format, StrategyClass, mimeType, extension = format]) =>
+  ExportStrategyFactory.registerStrategy(format, StrategyClass, { mimeType, extension })
+);
+
 export {
   DataExportStrategy,
   CSVExportStrategy,
   JSONExportStrategy,
   XMLExportStrategy,
   SQLExportStrategy,
+  NDJSONExportStrategy,
+  TSVExportStrategy,
+  YAMLExportStrategy,
+  MarkdownTableExportStrategy,
+  HTMLTableExportStrategy,
+  XLSXExportStrategy,
   DataExporter,
   ExportStrategyFactory,
+  DataImportStrategy,
+  CSVImportStrategy,
+  JSONImportStrategy,
+  XMLImportStrategy,
+  SQLImportStrategy,
+  DataImporter,
 };
@@ -0,0 +1,972 @@
+/**
+ * A small Markdown parser and renderers for the content formatters
+ *
+ * Markdown is parsed into a syntax tree (the node types follow mdast), which is rendered as
+ * HTML, plain text or normalized Markdown. HTML can be read into the same tree, which is how
+ * HTML is converted to Markdown.
+ */
+
+import { escapeHtml } from './strategy.formats.js';
+import { BLOCK_ELEMENTS, decodeEntities, parseHtmlTree, textContent } from './strategy.html.js';
+
+// Block-level patterns
+const BLANK_LINE = /^[ \t]*$/;
+const ATX_HEADING = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+const SETEXT_UNDERLINE = /^ {0,3}(=+|-+)[ \t]*$/;
+const THEMATIC_BREAK = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const FENCE = /^( {0,3})(`{3,}|~{3,})(.*)$/;
+const BLOCKQUOTE = /^ {0,3}> ?/;
+const LIST_ITEM = /^( {0,3})([-+*]|\d{1,9}[.)])(?:([ \t]+)(.*))?$/;
+const INDENTED_CODE = /^(?: {4}|\t)/;
+const HTML_BLOCK = new RegExp(
+  `^ {0,3}<(?:!--|/?(?:${[...BLOCK_ELEMENTS, 'script', 'style', 'tbody', 'td', 'th', 'thead', 'tr'].join('|')})(?:[\\s/>]|$))`,
+  'i'
+);
+
+const ASCII_PUNCTUATION = /[!-/:-@[-`{-~]/;
+const isPunctuation = (char) => ASCII_PUNCTUATION.test(char) || /\p{P}/u.test(char);
+const isWhitespace = (char) => /\s/.test(char);
+
+// Whether a line starts a list item that can interrupt a paragraph: it needs content, and
+// ordered lists have to start at 1
+const interruptsParagraph = (line) => {
+  const match = line.match(LIST_ITEM);
+  return Boolean(match?.[4]?.trim()) && (/^[-+*]$/.test(match[2]) || parseInt(match[2], 10) === 1);
+};
+
+// Whether a line starts any block other than a paragraph
+const startsBlock = (line) =>
+  ATX_HEADING.test(line) ||
+  THEMATIC_BREAK.test(line) ||
+  FENCE.test(line) ||
+  BLOCKQUOTE.test(line) ||
+  HTML_BLOCK.test(line) ||
+  interruptsParagraph(line);
+
+// Block quotes, lists and links nest at most this deep. Deeper ones are read as text, so
+// deeply nested user content cannot overflow the stack of the parser or the renderers.
+const MAX_NESTING = 32;
+
+// Strip up to a number of columns of leading spaces
+const stripIndent = (line, columns) => line.replace(new RegExp(`^ {0,${columns}}`), '');
+
+/**
+ * Parse a list, starting at a list item line
+ * @param {string[]} lines - The lines
+ * @param {number} start - The index of the first item
+ * @param {number} depth - The nesting depth of the list
+ * @returns {{ node: Object, end: number }} The list node and the index after the list
+ */
+const parseList = (lines, start, depth) => {
+  const [, , firstMarker] = lines[start].match(LIST_ITEM);
+  const ordered = !/^[-+*]$/.test(firstMarker);
+  const kind = firstMarker.at(-1);
+  const items = [];
+  let index = start;
+  let loose = false;
+
+  // Whether a line is an item of this list: the same bullet, or the same ordered delimiter
+  const continuesList = (line) => {
+    const match = line?.match(LIST_ITEM);
+    return Boolean(match) && match[2].at(-1) === kind && !THEMATIC_BREAK.test(line);
+  };
+
+  while (continuesList(lines[index])) {
+    const match = lines[index].match(LIST_ITEM);
+
+    const [, indent, marker, spacing = '', content = ''] = match;
+    // Content indented by more than four spaces is indented code, one space after the marker
+    const gap = !content || spacing.length > 4 ? 1 : spacing.length;
+    const offset = indent.length + marker.length + gap;
+    const itemLines = [content ? ' '.repeat(Math.max(spacing.length - gap, 0)) + content : ''];
+    index++;
+
+    while (index < lines.length) {
+      const line = lines[index];
+      if (BLANK_LINE.test(line)) {
+        itemLines.push('');
+      } else if (line.startsWith(' '.repeat(offset)) || /^\t/.test(line)) {
+        itemLines.push(line.startsWith('\t') ? line.substring(1) : line.substring(offset));
+      } else if (
+        !BLANK_LINE.test(itemLines.at(-1)) &&
+        !startsBlock(line) &&
+        !LIST_ITEM.test(line)
+      ) {
+        // A lazy continuation of the item's paragraph
+        itemLines.push(line.trim());
+      } else {
+        break;
+      }
+      index++;
+    }
+
+    // Blank lines between items, or between blocks in an item, make the list loose
+    while (itemLines.length > 1 && BLANK_LINE.test(itemLines.at(-1))) {
+      itemLines.pop();
+      if (continuesList(lines[index])) loose = true;
+    }
+    if (itemLines.slice(1).some((line) => BLANK_LINE.test(line))) loose = true;
+
+    items.push({ type: 'listItem', children: parseBlocks(itemLines, depth + 1) });
+  }
+
+  const node = { type: 'list', ordered, start: ordered ? parseInt(firstMarker, 10) : null };
+  node.tight = !loose;
+  node.children = items;
+  return { node, end: index };
+};
+
+/**
+ * Parse lines of Markdown into block nodes
+ * @param {string[]} lines - The lines
+ * @param {number} depth - The number of block quotes and lists the lines are in
+ * @returns {Array<Object>} The block nodes
+ */
+const parseBlocks = (lines, depth = 0) => {
+  const nodes = [];
+  let paragraph = null;
+  let index = 0;
+
+  const closeParagraph = () => {
+    if (paragraph) nodes.push({ type: 'paragraph', children: parseInline(paragraph.join('\n')) });
+    paragraph = null;
+  };
+
+  while (index < lines.length) {
+    const line = lines[index];
+    let match;
+
+    if (BLANK_LINE.test(line)) {
+      closeParagraph();
+      index++;
+    } else if (paragraph && (match = line.match(SETEXT_UNDERLINE))) {
+      nodes.push({
+        type: 'heading',
+        depth: match[1][0] === '=' ? 1 : 2,
+        children: parseInline(paragraph.join('\n')),
+      });
+      paragraph = null;
+      index++;
+    } else if (!paragraph && INDENTED_CODE.test(line)) {
+      const code = [];
+      while (
+        index < lines.length &&
+        (INDENTED_CODE.test(lines[index]) || BLANK_LINE.test(lines[index]))
+      ) {
+        code.push(lines[index].replace(/^(?: {4}|\t)/, ''));
+        index++;
+      }
+      while (BLANK_LINE.test(code.at(-1))) code.pop();
+      nodes.push({ type: 'code', lang: null, value: code.join('\n') + '\n' });
+    } else if ((match = line.match(ATX_HEADING))) {
+      closeParagraph();
+      nodes.push({
+        type: 'heading',
+        depth: match[1].length,
+        children: parseInline(match[2] ?? ''),
+      });
+      index++;
+    } else if (THEMATIC_BREAK.test(line)) {
+      closeParagraph();
+      nodes.push({ type: 'thematicBreak' });
+      index++;
+    } else if ((match = line.match(FENCE)) && !(match[2][0] === '`' && match[3].includes('`'))) {
+      closeParagraph();
+      const [, indent, fence, info] = match;
+      const code = [];
+      index++;
+      while (index < lines.length) {
+        const close = lines[index].match(/^ {0,3}(`{3,}|~{3,})[ \t]*$/);
+        if (close && close[1][0] === fence[0] && close[1].length >= fence.length) {
+          index++;
+          break;
+        }
+        code.push(stripIndent(lines[index], indent.length));
+        index++;
+      }
+      const lang = decodeEntities(
+        info
+          .trim()
+          .split(/\s+/)[0]
+          .replace(/\\([!-/:-@[-`{-~])/g, '$1')
+      );
+      nodes.push({
+        type: 'code',
+        lang: lang || null,
+        value: code.length ? code.join('\n') + '\n' : '',
+      });
+    } else if (BLOCKQUOTE.test(line) && depth < MAX_NESTING) {
+      closeParagraph();
+      const quoted = [];
+      while (index < lines.length) {
+        if (BLOCKQUOTE.test(lines[index])) {
+          quoted.push(lines[index].replace(BLOCKQUOTE, ''));
+        } else if (
+          !BLANK_LINE.test(lines[index]) &&
+          !BLANK_LINE.test(quoted.at(-1)) &&
+          !startsBlock(lines[index])
+        ) {
+          // A lazy continuation of the quoted paragraph
+          quoted.push(lines[index]);
+        } else {
+          break;
+        }
+        index++;
+      }
+      nodes.push({ type: 'blockquote', children: parseBlocks(quoted, depth + 1) });
+    } else if (
+      LIST_ITEM.test(line) &&
+      (!paragraph || interruptsParagraph(line)) &&
+      depth < MAX_NESTING
+    ) {
+      closeParagraph();
+      const { node, end } = parseList(lines, index, depth);
+      nodes.push(node);
+      index = end;
+    } else if (HTML_BLOCK.test(line)) {
+      closeParagraph();
+      const html = [];
+      while (index < lines.length && !BLANK_LINE.test(lines[index])) html.push(lines[index++]);
+      nodes.push({ type: 'html', value: html.join('\n') });
+    } else {
+      paragraph = paragraph ?? [];
+      paragraph.push(line.trimStart());
+      index++;
+    }
+  }
+
+  closeParagraph();
+  return nodes;
+};
+
+/**
+ * Match the brackets of inline text in one pass, so finding links stays linear however many
+ * brackets are left unmatched. Escaped brackets and brackets in code spans are skipped, as code
+ * spans take precedence over links.
+ * @param {string} text - The inline text
+ * @returns {Map<number, number>} The index of the ] that closes each [, or -1 when none does
+ */
+const matchBrackets = (text) => {
+  const closers = new Map();
+  const open = [];
+
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+    if (char === '\\') {
+      index++;
+    } else if (char === '`') {
+      const run = matchAt(/`+/y, text, index)[0];
+      const code = matchAt(
+        new RegExp(`[\\s\\S]*?(?<!\`)${run}(?!\`)`, 'y'),
+        text,
+        index + run.length
+      );
+      index += run.length - 1 + (code ? code[0].length : 0);
+    } else if (char === '[') {
+      open.push(index);
+    } else if (char === ']' && open.length) {
+      closers.set(open.pop(), index);
+    }
+  }
+
+  open.forEach((index) => closers.set(index, -1));
+  return closers;
+};
+
+/**
+ * Find the link or image at an opening bracket: [text](url "title")
+ * @param {string} text - The inline text
+ * @param {number} start - The index of the [
+ * @param {Map<number, number>} brackets - The matched brackets of the text, from matchBrackets
+ * @returns {{ label: string, url: string, title: string, end: number } | null} The link, with
+ *   the index after it, or null when the bracket does not open a link
+ */
+const parseLink = (text, start, brackets) => {
+  const close = brackets.get(start) ?? -1;
+  if (close === -1 || text[close + 1] !== '(') return null;
+
+  const destination =
+    /\(\s*(?:<((?:[^<>\n\\]|\\.)*)>|((?:[^\s()\\]|\\.|\((?:[^\s()\\]|\\.)*\))*))(?:\s+(?:"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|\(((?:[^()\\]|\\.)*)\)))?\s*\)/y;
+  destination.lastIndex = close + 1;
+  const match = destination.exec(text);
+  if (!match) return null;
+
+  const unescape = (value) => decodeEntities(value.replace(/\\([!-/:-@[-`{-~])/g, '$1'));
+  const [, bracketed, plain, double, single, parenthesized] = match;
+  const title = double ?? single ?? parenthesized;
+
+  return {
+    label: text.substring(start + 1, close),
+    url: unescape(bracketed ?? plain ?? ''),
+    title: title === undefined ? null : unescape(title),
+    end: destination.lastIndex,
+  };
+};
+
+const INLINE_HTML =
+  /<(?:[a-z][a-z0-9-]*(?:\s+[a-z_:][\w.:-]*(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*\s*\/?>|\/[a-z][a-z0-9-]*\s*>|!--[\s\S]*?-->)/iy;
+const AUTOLINK = /<([a-z][a-z0-9+.-]{1,31}:[^\s<>]*)>/iy;
+const EMAIL_AUTOLINK =
+  /<([\w.!#$%&'*+/=?^`{|}~-]+@[a-z0-9](?:[a-z0-9-]*[a-z0-9])?(?:\.[a-z0-9](?:[a-z0-9-]*[a-z0-9])?)*)>/iy;
+const ENTITY = /&(?:#\d{1,7}|#x[0-9a-f]{1,6}|[a-z][a-z0-9]{1,31});/iy;
+
+// Match a sticky pattern at a position
+const matchAt = (pattern, text, index) => {
+  pattern.lastIndex = index;
+  return pattern.exec(text);
+};
+
+// Merge adjacent text nodes and drop empty ones
+const mergeText = (nodes) =>
+  nodes.reduce((merged, node) => {
+    if (node.type === 'text' && merged.at(-1)?.type === 'text') merged.at(-1).value += node.value;
+    else if (node.type !== 'text' || node.value) merged.push(node);
+    return merged;
+  }, []);
+
+// Unmatched delimiter runs are text
+const delimiterToText = (node) =>
+  node.type === 'delimiter' ? { type: 'text', value: node.char.repeat(node.count) } : node;
+
+/**
+ * Resolve emphasis, strong emphasis and strikethrough from delimiter runs, following the
+ * CommonMark delimiter algorithm: each closer is matched with the nearest opener of its kind
+ * @param {Array<Object>} nodes - Inline nodes and { type: 'delimiter' } runs
+ * @returns {Array<Object>} The inline nodes
+ */
+const resolveEmphasis = (nodes) => {
+  let closerIndex = 0;
+
+  while (closerIndex < nodes.length) {
+    const closer = nodes[closerIndex];
+    if (closer.type !== 'delimiter' || !closer.canClose || closer.count === 0) {
+      closerIndex++;
+      continue;
+    }
+
+    const openerIndex = nodes.findLastIndex((opener, index) => {
+      if (index >= closerIndex || opener.type !== 'delimiter') return false;
+      if (opener.char !== closer.char || !opener.canOpen || opener.count === 0) return false;
+      if (closer.char === '~') return opener.count === closer.count;
+
+      // A run that can both open and close only matches when the lengths are not a multiple
+      // of three, so "*foo**bar*" is one emphasis
+      const both = opener.canClose || closer.canOpen;
+      const sum = opener.length + closer.length;
+      return !both || sum % 3 !== 0 || (opener.length % 3 === 0 && closer.length % 3 === 0);
+    });
+
+    if (openerIndex === -1) {
+      closerIndex++;
+      continue;
+    }
+
+    const opener = nodes[openerIndex];
+    const used = closer.char === '~' || (opener.count >= 2 && closer.count >= 2) ? 2 : 1;
+    const type = closer.char === '~' ? 'delete' : used === 2 ? 'strong' : 'emphasis';
+    const children = mergeText(nodes.slice(openerIndex + 1, closerIndex).map(delimiterToText));
+
+    opener.count -= used;
+    closer.count -= used;
+    nodes.splice(openerIndex + 1, closerIndex - openerIndex - 1, { type, children });
+    closerIndex = openerIndex + 2;
+  }
+
+  return mergeText(nodes.map(delimiterToText));
+};
+
+/**
+ * Parse inline Markdown: emphasis, code spans, links, images, autolinks, inline HTML and
+ * line breaks
+ * @param {string} source - The inline text
+ * @param {number} depth - The number of links and images the text is in
+ * @returns {Array<Object>} The inline nodes
+ */
+const parseInline = (source, depth = 0) => {
+  const text = source.trim();
+  const brackets = matchBrackets(text);
+  const nodes = [];
+  let buffer = '';
+  let index = 0;
+
+  const flush = () => {
+    if (buffer) nodes.push({ type: 'text', value: buffer });
+    buffer = '';
+  };
+  const push = (node) => {
+    flush();
+    nodes.push(node);
+  };
+
+  while (index < text.length) {
+    const char = text[index];
+    let match;
+    let link;
+
+    if (char === '\\' && text[index + 1] === '\n') {
+      push({ type: 'break' });
+      index += 2;
+    } else if (char === '\\' && ASCII_PUNCTUATION.test(text[index + 1] ?? '')) {
+      buffer += text[index + 1];
+      index += 2;
+    } else if (char === '`') {
+      const run = text.substring(index).match(/^`+/)[0];
+      const close = matchAt(
+        new RegExp(`[\\s\\S]*?(?<!\`)${run}(?!\`)`, 'y'),
+        text,
+        index + run.length
+      );
+      if (close) {
+        let value = close[0].slice(0, -run.length).replace(/\n/g, ' ');
+        if (/^ [\s\S]*[^ ][\s\S]* $/.test(value)) value = value.slice(1, -1);
+        push({ type: 'inlineCode', value });
+        index += run.length + close[0].length;
+      } else {
+        buffer += run;
+        index += run.length;
+      }
+    } else if (
+      char === '!' &&
+      text[index + 1] === '[' &&
+      depth < MAX_NESTING &&
+      (link = parseLink(text, index + 1, brackets))
+    ) {
+      push({
+        type: 'image',
+        url: link.url,
+        title: link.title,
+        alt: plainText(parseInline(link.label, depth + 1)),
+      });
+      index = link.end;
+    } else if (char === '[' && depth < MAX_NESTING && (link = parseLink(text, index, brackets))) {
+      const children = parseInline(link.label, depth + 1);
+      push({ type: 'link', url: link.url, title: link.title, children });
+      index = link.end;
+    } else if (char === '<' && (match = matchAt(AUTOLINK, text, index))) {
+      push({
+        type: 'link',
+        url: match[1],
+        title: null,
+        children: [{ type: 'text', value: match[1] }],
+      });
+      index += match[0].length;
+    } else if (char === '<' && (match = matchAt(EMAIL_AUTOLINK, text, index))) {
+      const children = [{ type: 'text', value: match[1] }];
+      push({ type: 'link', url: `mailto:${match[1]}`, title: null, children });
+      index += match[0].length;
+    } else if (char === '<' && (match = matchAt(INLINE_HTML, text, index))) {
+      push({ type: 'html', value: match[0] });
+      index += match[0].length;
+    } else if (char === '&' && (match = matchAt(ENTITY, text, index))) {
+      buffer += decodeEntities(match[0]);
+      index += match[0].length;
+    } else if (char === '*' || char === '_' || char === '~') {
+      const run = text
+        .substring(index)
+        .match(char === '~' ? /^~+/ : char === '*' ? /^\*+/ : /^_+/)[0];
+      const before = text[index - 1] ?? ' ';
+      const after = text[index + run.length] ?? ' ';
+      const left =
+        !isWhitespace(after) &&
+        (!isPunctuation(after) || isWhitespace(before) || isPunctuation(before));
+      const right =
+        !isWhitespace(before) &&
+        (!isPunctuation(before) || isWhitespace(after) || isPunctuation(after));
+
+      if (char === '~' && run.length !== 2) {
+        buffer += run;
+      } else {
+        // Underscores inside words do not emphasize: snake_case_names
+        const underscore = char === '_';
+        push({
+          type: 'delimiter',
+          char,
+          length: run.length,
+          count: run.length,
+          canOpen: underscore ? left && (!right || isPunctuation(before)) : left,
+          canClose: underscore ? right && (!left || isPunctuation(after)) : right,
+        });
+      }
+      index += run.length;
+    } else if (char === '\n') {
+      // Two trailing spaces make a hard break, otherwise the line break is kept as text
+      const hard = / {2,}$/.test(buffer);
+      buffer = buffer.replace(/ +$/, '');
+      if (hard) push({ type: 'break' });
+      else buffer += '\n';
+      index++;
+      while (text[index] === ' ' || text[index] === '\t') index++;
+    } else {
+      buffer += char;
+      index++;
+    }
+  }
+
+  flush();
+  return resolveEmphasis(nodes);
+};
+
+/**
+ * Parse Markdown into a syntax tree
+ * @param {string} markdown - The Markdown
+ * @returns {Object} The root node: { type: 'root', children }. Block nodes are heading,
+ *   paragraph, blockquote, list, listItem, code, thematicBreak and html; inline nodes are
+ *   text, emphasis, strong, delete, inlineCode, link, image, break and html.
+ */
+const parseMarkdown = (markdown) => ({
+  type: 'root',
+  children: parseBlocks(String(markdown).replace(/\r\n?/g, '\n').split('\n')),
+});
+
+// Percent-encode the characters of a URL that are not allowed in one, like spaces
+const encodeUrl = (url) =>
+  url.replace(/%(?![0-9a-f]{2})|[^\w\-.~:/?#[\]@!$&'()*+,;=%]/gi, (char) =>
+    encodeURIComponent(char)
+  );
+
+// Render inline nodes as HTML
+const inlineHtml = (nodes) => nodes.map((node) => nodeHtml(node)).join('');
+
+// Render a node as HTML
+const nodeHtml = (node, tight = false) => {
+  switch (node.type) {
+    case 'root':
+      return node.children.map((child) => nodeHtml(child)).join('\n');
+    case 'paragraph':
+      return tight ? inlineHtml(node.children) : `<p>${inlineHtml(node.children)}</p>`;
+    case 'heading':
+      return `<h${node.depth}>${inlineHtml(node.children)}</h${node.depth}>`;
+    case 'blockquote':
+      return `<blockquote>\n${node.children.map((child) => nodeHtml(child)).join('\n')}\n</blockquote>`;
+    case 'list': {
+      const tag = node.ordered ? 'ol' : 'ul';
+      const start = node.ordered && node.start !== 1 ? ` start="${node.start}"` : '';
+      const items = node.children.map((item) => nodeHtml(item, node.tight)).join('\n');
+      return `<${tag}${start}>\n${items}\n</${tag}>`;
+    }
+    case 'listItem': {
+      // Paragraphs of tight items are written without <p>, on the <li> line
+      const content = node.children.map((child) => nodeHtml(child, tight)).join('\n');
+      const start = tight && node.children[0]?.type === 'paragraph' ? '' : '\n';
+      const end = tight && node.children.at(-1)?.type === 'paragraph' ? '' : '\n';
+      return content ? `<li>${start}${content}${end}</li>` : '<li></li>';
+    }
+    case 'code': {
+      const className = node.lang ? ` class="language-${escapeHtml(node.lang)}"` : '';
+      return `<pre><code${className}>${escapeHtml(node.value)}</code></pre>`;
+    }
+    case 'thematicBreak':
+      return '<hr>';
+    case 'html':
+      return node.value;
+    case 'text':
+      return escapeHtml(node.value);
+    case 'emphasis':
+      return `<em>${inlineHtml(node.children)}</em>`;
+    case 'strong':
+      return `<strong>${inlineHtml(node.children)}</strong>`;
+    case 'delete':
+      return `<del>${inlineHtml(node.children)}</del>`;
+    case 'inlineCode':
+      return `<code>${escapeHtml(node.value)}</code>`;
+    case 'break':
+      return '<br>\n';
+    case 'link': {
+      const title = node.title !== null ? ` title="${escapeHtml(node.title)}"` : '';
+      return `<a href="${escapeHtml(encodeUrl(node.url))}"${title}>${inlineHtml(node.children)}</a>`;
+    }
+    case 'image': {
+      const title = node.title !== null ? ` title="${escapeHtml(node.title)}"` : '';
+      return `<img src="${escapeHtml(encodeUrl(node.url))}" alt="${escapeHtml(node.alt)}"${title}>`;
+    }
+    default:
+      throw new Error(`Unknown Markdown node type: ${node.type}`);
+  }
+};
+
+/**
+ * Render a syntax tree as HTML. HTML nodes are written as they are: sanitize the output
+ * (sanitizeHtml) before embedding untrusted content.
+ * @param {Object} tree - The root node, from parseMarkdown or parseHtml
+ * @returns {string} The HTML
+ */
+const renderHtml = (tree) => {
+  const html = nodeHtml(tree);
+  return html ? html + '\n' : '';
+};
+
+// The text of inline nodes. Links keep their URL after the text, when it differs.
+const plainText = (nodes) =>
+  nodes
+    .map((node) => {
+      switch (node.type) {
+        case 'text':
+          return node.value;
+        case 'inlineCode':
+          return node.value;
+        case 'break':
+          return '\n';
+        case 'image':
+          return node.alt;
+        case 'html':
+          return '';
+        case 'link': {
+          const text = plainText(node.children);
+          const url = node.url.replace(/^mailto:/, '');
+          return !url || url === text ? text : `${text} (${url})`;
+        }
+        default:
+          return plainText(node.children);
+      }
+    })
+    .join('');
+
+// Indent every line but the first
+const hangingIndent = (text, indent) => text.replace(/\n(?!\n|$)/g, `\n${indent}`);
+
+// Render block nodes as plain text
+const blockText = (nodes, separator = '\n\n') =>
+  nodes
+    .map((node) => {
+      switch (node.type) {
+        case 'paragraph':
+        case 'heading':
+          return plainText(node.children);
+        case 'code':
+          return node.value.replace(/\n$/, '');
+        case 'thematicBreak':
+          return '---';
+        case 'html':
+          return textContent(parseHtmlTree(node.value)).trim();
+        case 'blockquote':
+          return blockText(node.children);
+        case 'list':
+          return node.children
+            .map((item, index) => {
+              const marker = node.ordered ? `${node.start + index}. ` : '- ';
+              const text = blockText(item.children, node.tight ? '\n' : '\n\n');
+              return marker + hangingIndent(text, ' '.repeat(marker.length));
+            })
+            .join(node.tight ? '\n' : '\n\n');
+        default:
+          return plainText([node]);
+      }
+    })
+    .filter(Boolean)
+    .join(separator);
+
+/**
+ * Render a syntax tree as plain text: the text without markup, with list markers kept
+ * @param {Object} tree - The root node, from parseMarkdown or parseHtml
+ * @returns {string} The text
+ */
+const renderPlainText = (tree) => {
+  const text = blockText(tree.children);
+  return text ? text + '\n' : '';
+};
+
+// Escape Markdown punctuation in text, so it reads back as the same text
+const escapeMarkdownText = (value) =>
+  value
+    .replace(/[\\`*_[\]<~]/g, '\\$&')
+    .replace(/&(?=#?\w+;)/g, '\\&')
+    .replace(/^([ \t]*)([#>+=-]|\d+(?=[.)]))/gm, (match, indent, marker) =>
+      /^\d/.test(marker) ? `${indent}${marker}\\` : `${indent}\\${marker}`
+    );
+
+// Format a URL for a link destination, in brackets when it has spaces or parentheses
+const formatDestination = (url) =>
+  /[\s()<>]/.test(url) ? `<${url.replace(/[<>\\]/g, '\\$&')}>` : url.replace(/\\/g, '\\\\') || '<>';
+
+const formatTitle = (title) => (title !== null ? ` "${title.replace(/["\\]/g, '\\$&')}"` : '');
+
+// Render inline nodes as Markdown
+const inlineMarkdown = (nodes) =>
+  nodes
+    .map((node) => {
+      switch (node.type) {
+        case 'text':
+          return escapeMarkdownText(node.value);
+        case 'emphasis':
+          return `*${inlineMarkdown(node.children)}*`;
+        case 'strong':
+          return `**${inlineMarkdown(node.children)}**`;
+        case 'delete':
+          return `~~${inlineMarkdown(node.children)}~~`;
+        case 'inlineCode': {
+          // The fence is one backtick longer than the longest run in the code
+          const longest = Math.max(0, ...(node.value.match(/`+/g) ?? []).map((run) => run.length));
+          const fence = '`'.repeat(longest + 1);
+          const pad = /^`|`$|^ .* $/.test(node.value) ? ' ' : '';
+          return `${fence}${pad}${node.value}${pad}${fence}`;
+        }
+        case 'break':
+          return '\\\n';
+        case 'html':
+          return node.value;
+        case 'link': {
+          // Links whose text is their URL are written as autolinks
+          const text =
+            node.children.length === 1 && node.children[0].type === 'text'
+              ? node.children[0].value
+              : null;
+          if (text !== null && /^[a-z][a-z0-9+.-]{1,31}:[^\s<>]*$/i.test(node.url)) {
+            if (text === node.url) return `<${node.url}>`;
+            if (node.url === `mailto:${text}`) return `<${text}>`;
+          }
+          return `[${inlineMarkdown(node.children)}](${formatDestination(node.url)}${formatTitle(node.title)})`;
+        }
+        case 'image':
+          return `![${escapeMarkdownText(node.alt)}](${formatDestination(node.url)}${formatTitle(node.title)})`;
+        default:
+          throw new Error(`Unknown Markdown node type: ${node.type}`);
+      }
+    })
+    .join('');
+
+// Prefix every line of a block
+const prefixLines = (text, prefix) =>
+  text
+    .split('\n')
+    .map((line) => (line ? prefix + line : prefix.trimEnd()))
+    .join('\n');
+
+// Whether a block can follow a paragraph on the next line without a blank line between
+const interruptsMarkdownParagraph = (node) =>
+  ['heading', 'blockquote', 'code'].includes(node.type) ||
+  (node.type === 'list' && (!node.ordered || node.start === 1));
+
+// Render block nodes as Markdown. Blocks of tight list items are separated by a line break
+// where Markdown allows it.
+const blockMarkdown = (nodes, tight = false) =>
+  nodes
+    .map((node) => {
+      switch (node.type) {
+        case 'paragraph':
+          return inlineMarkdown(node.children);
+        case 'heading':
+          return `${'#'.repeat(node.depth)} ${inlineMarkdown(node.children).replace(/\n/g, ' ')}`;
+        case 'blockquote':
+          return prefixLines(blockMarkdown(node.children), '> ');
+        case 'list':
+          return node.children
+            .map((item, index) => {
+              const marker = node.ordered ? `${node.start + index}. ` : '- ';
+              const content = blockMarkdown(item.children, node.tight);
+              return marker + hangingIndent(content, ' '.repeat(marker.length));
+            })
+            .join(node.tight ? '\n' : '\n\n');
+        case 'code': {
+          const longest = Math.max(
+            2,
+            ...(node.value.match(/^ {0,3}`+/gm) ?? []).map((run) => run.trim().length)
+          );
+          const fence = '`'.repeat(longest + 1);
+          return `${fence}${node.lang ?? ''}\n${node.value}${fence}`;
+        }
+        case 'thematicBreak':
+          return '---';
+        case 'html':
+          return node.value;
+        default:
+          throw new Error(`Unknown Markdown node type: ${node.type}`);
+      }
+    })
+    .reduce(
+      (markdown, block, index) =>
+        index === 0
+          ? block
+          : markdown + (tight && interruptsMarkdownParagraph(nodes[index]) ? '\n' : '\n\n') + block,
+      ''
+    );
+
+/**
+ * Render a syntax tree as normalized Markdown: ATX headings, "-" bullets, "*" emphasis,
+ * "**" strong emphasis and fenced code
+ * @param {Object} tree - The root node, from parseMarkdown or parseHtml
+ * @returns {string} The Markdown
+ */
+const renderMarkdown = (tree) => {
+  const markdown = blockMarkdown(tree.children);
+  return markdown ? markdown + '\n' : '';
+};
+
+// Element names for inline syntax nodes
+const INLINE_ELEMENTS = {
+  b: 'strong',
+  strong: 'strong',
+  em: 'emphasis',
+  i: 'emphasis',
+  del: 'delete',
+  s: 'delete',
+  strike: 'delete',
+};
+
+// Elements whose content is not shown
+const HIDDEN_ELEMENTS = new Set(['head', 'script', 'style', 'template', 'title', 'noscript']);
+
+// Convert HTML nodes in inline content
+const inlineFromHtml = (nodes, preformatted = false) =>
+  mergeText(
+    nodes.flatMap((node) => {
+      if (node.type === 'text') {
+        return [
+          { type: 'text', value: preformatted ? node.value : node.value.replace(/\s+/g, ' ') },
+        ];
+      }
+      if (node.type !== 'element' || HIDDEN_ELEMENTS.has(node.name)) return [];
+
+      const { name, attributes } = node;
+      if (INLINE_ELEMENTS[name])
+        return [{ type: INLINE_ELEMENTS[name], children: inlineFromHtml(node.children) }];
+      if (['code', 'kbd', 'samp', 'tt'].includes(name))
+        return [{ type: 'inlineCode', value: textContent(node) }];
+      if (name === 'br') return [{ type: 'break' }];
+      if (name === 'a' && attributes.href !== undefined) {
+        return [
+          {
+            type: 'link',
+            url: attributes.href,
+            title: attributes.title ?? null,
+            children: inlineFromHtml(node.children),
+          },
+        ];
+      }
+      if (name === 'img') {
+        return [
+          {
+            type: 'image',
+            url: attributes.src ?? '',
+            title: attributes.title ?? null,
+            alt: attributes.alt ?? '',
+          },
+        ];
+      }
+      return inlineFromHtml(node.children, preformatted);
+    })
+  );
+
+// Trim the whitespace around inline content, and around its line breaks
+const trimInline = (nodes) => {
+  nodes.forEach((node, index) => {
+    if (node.type !== 'text') return;
+    if (index === 0 || nodes[index - 1].type === 'break') node.value = node.value.trimStart();
+    if (index === nodes.length - 1 || nodes[index + 1].type === 'break')
+      node.value = node.value.trimEnd();
+  });
+  return mergeText(nodes);
+};
+
+// Convert HTML nodes to block nodes. Inline content between blocks becomes a paragraph.
+const blocksFromHtml = (nodes) => {
+  const blocks = [];
+  let inline = [];
+
+  const closeParagraph = () => {
+    const children = trimInline(inlineFromHtml(inline));
+    if (children.length) blocks.push({ type: 'paragraph', children });
+    inline = [];
+  };
+
+  nodes.forEach((node) => {
+    if (
+      node.type !== 'element' ||
+      (!BLOCK_ELEMENTS.has(node.name) && !['body', 'html', 'tr'].includes(node.name))
+    ) {
+      inline.push(node);
+      return;
+    }
+
+    closeParagraph();
+    const { name, children } = node;
+    const heading = name.match(/^h([1-6])$/);
+
+    if (heading) {
+      blocks.push({
+        type: 'heading',
+        depth: Number(heading[1]),
+        children: trimInline(inlineFromHtml(children)),
+      });
+    } else if (name === 'p') {
+      const content = trimInline(inlineFromHtml(children));
+      if (content.length) blocks.push({ type: 'paragraph', children: content });
+    } else if (name === 'hr') {
+      blocks.push({ type: 'thematicBreak' });
+    } else if (name === 'pre') {
+      const code = children.find((child) => child.type === 'element' && child.name === 'code');
+      const lang = code?.attributes.class?.match(/(?:^|\s)(?:language|lang)-(\S+)/)?.[1] ?? null;
+      const value = textContent(node).replace(/^\n/, '');
+      blocks.push({
+        type: 'code',
+        lang,
+        value: value.endsWith('\n') || !value ? value : value + '\n',
+      });
+    } else if (name === 'blockquote') {
+      blocks.push({ type: 'blockquote', children: blocksFromHtml(children) });
+    } else if (name === 'ul' || name === 'ol') {
+      const items = children.filter((child) => child.type === 'element' && child.name === 'li');
+      const start = parseInt(node.attributes.start, 10);
+      blocks.push({
+        type: 'list',
+        ordered: name === 'ol',
+        start: name === 'ol' ? (Number.isNaN(start) ? 1 : start) : null,
+        tight: !items.some((item) => item.children.some((child) => child.name === 'p')),
+        children: items.map((item) => ({
+          type: 'listItem',
+          children: blocksFromHtml(item.children),
+        })),
+      });
+    } else if (name === 'tr') {
+      // Table rows become a line of cells
+      const cells = children.filter(
+        (child) => child.type === 'element' && ['td', 'th'].includes(child.name)
+      );
+      const content = trimInline(
+        cells.flatMap((cell, index) => [
+          ...(index ? [{ type: 'text', value: ' | ' }] : []),
+          ...inlineFromHtml(cell.children),
+        ])
+      );
+      if (content.length) blocks.push({ type: 'paragraph', children: content });
+    } else {
+      blocks.push(
+        ...blocksFromHtml(
+          children.flatMap((child) =>
+            child.name === 'tbody' || child.name === 'thead' ? child.children : [child]
+          )
+        )
+      );
+    }
+  });
+
+  closeParagraph();
+  return blocks;
+};
+
+/**
+ * Parse HTML into a Markdown syntax tree. Elements with no Markdown equivalent keep their
+ * content; scripts and styles are dropped.
+ * @param {string} html - The HTML
+ * @returns {Object} The root node, as from parseMarkdown
+ */
+const parseHtml = (html) => ({
+  type: 'root',
+  children: blocksFromHtml(parseHtmlTree(html).children),
+});
+
+/**
+ * Convert HTML to Markdown
+ * @param {string} html - The HTML
+ * @returns {string} The Markdown
+ */
+const htmlToMarkdown = (html) => renderMarkdown(parseHtml(html));
+
+export {
+  parseMarkdown,
+  parseInline,
+  parseHtml,
+  renderHtml,
+  renderPlainText,
+  renderMarkdown,
+  htmlToMarkdown,
+};
@@ -0,0 +1,294 @@
+/**
+ * Platform markup dialects and syntax tree transforms for publishing profiles
+ *
+ * The renderers take the syntax trees of strategy.markdown.js and write the markup that chat
+ * platforms accept: Slack mrkdwn and Telegram HTML. Neither has headings, lists or images, so
+ * headings are bold lines, list items start with bullets and images are links.
+ */
+
+const BULLET = '\u2022 ';
+
+// Slack escapes only &, < and >, which would otherwise start links and mentions
+const escapeSlack = (value) =>
+  String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+// Telegram HTML escapes &, < and > in text, and quotes in attributes
+const escapeTelegram = (value) =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// Indent every line but the first
+const hangingIndent = (text, indent) => text.replace(/\n(?!\n|$)/g, `\n${indent}`);
+
+// The text of inline nodes
+const inlineText = (nodes) =>
+  nodes
+    .map((node) => {
+      if (node.type === 'text' || node.type === 'inlineCode') return node.value;
+      if (node.type === 'image') return node.alt;
+      if (node.type === 'break') return '\n';
+      return node.children ? inlineText(node.children) : '';
+    })
+    .join('');
+
+/**
+ * Create a renderer of block nodes from a dialect's inline renderer and block wrappers.
+ * Paragraphs are separated by blank lines, and list items start with bullets or numbers.
+ * @param {Object} dialect - The dialect
+ * @param {Function} dialect.inline - Renders inline nodes
+ * @param {Function} dialect.heading - Wraps a heading's rendered text
+ * @param {Function} dialect.blockquote - Wraps a blockquote's rendered blocks
+ * @param {Function} dialect.code - Renders a code block
+ * @returns {Function} A renderer of a syntax tree
+ */
+const createBlockRenderer = (dialect) => {
+  const blocks = (nodes, separator = '\n\n') =>
+    nodes
+      .map((node) => {
+        switch (node.type) {
+          case 'paragraph':
+            return dialect.inline(node.children);
+          case 'heading':
+            return dialect.heading(dialect.inline(node.children));
+          case 'blockquote':
+            return dialect.blockquote(blocks(node.children));
+          case 'code':
+            return dialect.code(node);
+          case 'thematicBreak':
+            return '---';
+          case 'list':
+            return node.children
+              .map((item, index) => {
+                const marker = node.ordered ? `${node.start + index}. ` : BULLET;
+                const content = blocks(item.children, node.tight ? '\n' : '\n\n');
+                return marker + hangingIndent(content, ' '.repeat(marker.length));
+              })
+              .join(node.tight ? '\n' : '\n\n');
+          default:
+            // Raw HTML has no equivalent
+            return '';
+        }
+      })
+      .filter(Boolean)
+      .join(separator);
+
+  return (tree) => {
+    const output = blocks(tree.children);
+    return output ? output + '\n' : '';
+  };
+};
+
+// Render inline nodes as Slack mrkdwn
+const slackInline = (nodes) =>
+  nodes
+    .map((node) => {
+      switch (node.type) {
+        case 'text':
+          return escapeSlack(node.value);
+        case 'strong':
+          return `*${slackInline(node.children)}*`;
+        case 'emphasis':
+          return `_${slackInline(node.children)}_`;
+        case 'delete':
+          return `~${slackInline(node.children)}~`;
+        case 'inlineCode':
+          return `\`${escapeSlack(node.value)}\``;
+        case 'break':
+          return '\n';
+        case 'link': {
+          const text = inlineText(node.children);
+          const url = escapeSlack(node.url);
+          return text === node.url ? `<${url}>` : `<${url}|${escapeSlack(text)}>`;
+        }
+        case 'image':
+          return `<${escapeSlack(node.url)}|${escapeSlack(node.alt || node.url)}>`;
+        default:
+          return '';
+      }
+    })
+    .join('');
+
+/**
+ * Render a syntax tree as Slack mrkdwn
+ * @param {Object} tree - The root node, from parseMarkdown or parseHtml
+ * @returns {string} The mrkdwn
+ */
+const renderSlack = createBlockRenderer({
+  inline: slackInline,
+  heading: (text) => `*${text}*`,
+  blockquote: (text) => text.replace(/^/gm, '> '),
+  code: (node) => `\`\`\`\n${escapeSlack(node.value)}\`\`\``,
+});
+
+// Render inline nodes as Telegram HTML
+const telegramInline = (nodes) =>
+  nodes
+    .map((node) => {
+      switch (node.type) {
+        case 'text':
+          return escapeTelegram(node.value);
+        case 'strong':
+          return `<b>${telegramInline(node.children)}</b>`;
+        case 'emphasis':
+          return `<i>${telegramInline(node.children)}</i>`;
+        case 'delete':
+          return `<s>${telegramInline(node.children)}</s>`;
+        case 'inlineCode':
+          return `<code>${escapeTelegram(node.value)}</code>`;
+        case 'break':
+          return '\n';
+        case 'link':
+          return `<a href="${escapeTelegram(node.url)}">${telegramInline(node.children)}</a>`;
+        case 'image':
+          return `<a href="${escapeTelegram(node.url)}">${escapeTelegram(node.alt || node.url)}</a>`;
+        default:
+          return '';
+      }
+    })
+    .join('');
+
+/**
+ * Render a syntax tree as Telegram HTML (the HTML parse mode of the Bot API)
+ * @param {Object} tree - The root node, from parseMarkdown or parseHtml
+ * @returns {string} The HTML
+ */
+const renderTelegram = createBlockRenderer({
+  inline: telegramInline,
+  heading: (text) => `<b>${text}</b>`,
+  blockquote: (text) => `<blockquote>${text}</blockquote>`,
+  code: (node) => {
+    const className = node.lang ? ` class="language-${escapeTelegram(node.lang)}"` : '';
+    return `<pre><code${className}>${escapeTelegram(node.value.replace(/\n$/, ''))}</code></pre>`;
+  },
+});
+
+/**
+ * Rewrite the URLs of the links in a syntax tree. Links whose text is their URL get the new
+ * URL as text too.
+ * @param {Object} tree - The root node
+ * @param {Function} rewrite - Called with each link URL, returns the URL to use
+ * @returns {Object} A new tree
+ */
+const mapLinks = (tree, rewrite) => {
+  const map = (node) => {
+    if (node.type !== 'link') {
+      return node.children ? { ...node, children: node.children.map(map) } : node;
+    }
+
+    const url = rewrite(node.url);
+    const autolink =
+      node.children.length === 1 &&
+      node.children[0].type === 'text' &&
+      node.children[0].value === node.url;
+    const children = autolink ? [{ type: 'text', value: url }] : node.children.map(map);
+    return { ...node, url, children };
+  };
+
+  return map(tree);
+};
+
+// Find the nodes of a type in a syntax tree
+const findNodes = (tree, type) =>
+  (tree.children ?? []).flatMap((node) => [
+    ...(node.type === type ? [node] : []),
+    ...findNodes(node, type),
+  ]);
+
+/**
+ * Keep the start of a syntax tree's text. The text is cut at a word boundary, trailing
+ * punctuation is dropped and the ellipsis is added where it was cut; the blocks after the cut
+ * are dropped. Code blocks are cut at line boundaries.
+ * @param {Object} tree - The root node
+ * @param {number} limit - The number of text characters to keep, not counting the ellipsis
+ * @param {string} ellipsis - The text that marks the cut
+ * @returns {Object} A new tree, or the same tree when its text fits
+ */
+const truncateTree = (tree, limit, ellipsis = '\u2026') => {
+  let remaining = limit;
+  let cut = false;
+  // The last text node kept, which the ellipsis is added to
+  let lastText = null;
+
+  // Cut text at the last word boundary that fits. Words are only split when nothing else fits.
+  const cutText = (value) => {
+    if (value.length <= remaining) {
+      remaining -= value.length;
+      return value;
+    }
+
+    cut = true;
+    const start = value.substring(0, remaining + 1);
+    const boundary = start.search(/\s\S*$/);
+    if (boundary > 0) return start.substring(0, boundary);
+    return lastText ? '' : value.substring(0, remaining);
+  };
+
+  // Nodes whose children are blocks rather than inline content
+  const containers = ['root', 'blockquote', 'list', 'listItem'];
+
+  const truncate = (nodes, inline) => {
+    const kept = [];
+
+    // The ellipsis goes after the last text kept, without its trailing punctuation, or in a
+    // paragraph of its own after a code block
+    const addEllipsis = (afterText = true) => {
+      if (afterText && lastText) {
+        lastText.value = lastText.value.replace(/[\s,;:.!?-]+$/, '') + ellipsis;
+      } else {
+        const text = { type: 'text', value: ellipsis };
+        kept.push(inline ? text : { type: 'paragraph', children: [text] });
+      }
+    };
+
+    for (const node of nodes) {
+      if (cut) break;
+
+      if (node.type === 'text') {
+        const value = cutText(node.value);
+        if (value) kept.push((lastText = { ...node, value }));
+        if (cut) addEllipsis();
+      } else if (node.type === 'inlineCode') {
+        const value = cutText(node.value);
+        if (value) kept.push({ ...node, value });
+        if (cut) addEllipsis(false);
+      } else if (node.type === 'code') {
+        const lines = node.value.split(/(?<=\n)/);
+        const fitting = [];
+        while (lines.length && lines[0].length <= remaining) {
+          remaining -= lines[0].length;
+          fitting.push(lines.shift());
+        }
+        cut = lines.length > 0;
+        if (fitting.length) kept.push({ ...node, value: fitting.join('') });
+        if (cut) addEllipsis(false);
+      } else if (node.children) {
+        const children = truncate(node.children, !containers.includes(node.type));
+        if (children.length) kept.push({ ...node, children });
+      } else {
+        // Images, breaks and other leaves count as their text
+        remaining -= node.type === 'image' ? node.alt.length : 1;
+        cut = remaining < 0;
+        if (cut) addEllipsis();
+        else kept.push(node);
+      }
+    }
+
+    return kept;
+  };
+
+  const children = truncate(tree.children, false);
+  return cut ? { ...tree, children } : tree;
+};
+
+export {
+  escapeSlack,
+  escapeTelegram,
+  renderSlack,
+  renderTelegram,
+  mapLinks,
+  findNodes,
+  truncateTree,
+};
@@ -1,20 +1,50 @@
-import { describe, it, expect, beforeEach } from 'vitest';
+import { Writable } from 'node:stream';
+import { inflateRawSync } from 'node:zlib';
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
 
 import {
   plainTextFormatter,
   htmlFormatter,
   markdownFormatter,
   seoFormatter,
+  compositeFormatter,
   createContentPublisher,
+  ndjsonExporter,
+  tsvExporter,
+  yamlExporter,
+  markdownTableExporter,
+  htmlTableExporter,
 } from './strategy.functional';
 import {
+  DataExportStrategy,
   CSVExportStrategy,
   JSONExportStrategy,
   XMLExportStrategy,
   SQLExportStrategy,
+  NDJSONExportStrategy,
+  TSVExportStrategy,
+  YAMLExportStrategy,
+  MarkdownTableExportStrategy,
+  HTMLTableExportStrategy,
+  XLSXExportStrategy,
   DataExporter,
   ExportStrategyFactory,
+  CSVImportStrategy,
+  JSONImportStrategy,
+  XMLImportStrategy,
+  SQLImportStrategy,
+  DataImporter,
 } from './strategy.implementation';
+import { crc32, createZip } from './strategy.xlsx';
+import {
+  parseMarkdown,
+  renderHtml,
+  renderPlainText,
+  renderMarkdown,
+  htmlToMarkdown,
+} from './strategy.markdown';
+import { sanitizeHtml } from './strategy.html';
+import { renderSlack, renderTelegram, truncateTree } from './strategy.platforms';
 
 // Sample test data
 const sampleContent = `
@@ -147,6 +177,1191 @@ describe('Data Export Strategy Implementation', () => {
   });
 });
 
+// ====================================
+// Tests for the Export Format Registry
+// ====================================
+describe('Export Strategy Registry', () => {
+  class PSVExportStrategy extends DataExportStrategy {
+    constructor(options = {}) {
+      super();
+      this.options = options;
+    }
+
+    export(data) {
+      return new CSVExportStrategy().export(data, { delimiter: '|' });
+    }
+  }
+
+  afterEach(() => {
+    ExportStrategyFactory.unregisterStrategy('psv');
+  });
+
+  it('should list the built-in formats', () => {
+    expect(ExportStrategyFactory.listFormats()).toEqual([
+      { format: 'csv', mimeType: 'text/csv', extension: 'csv' },
+      { format: 'json', mimeType: 'application/json', extension: 'json' },
+      { format: 'xml', mimeType: 'application/xml', extension: 'xml' },
+      { format: 'sql', mimeType: 'application/sql', extension: 'sql' },
+      { format: 'ndjson', mimeType: 'application/x-ndjson', extension: 'ndjson' },
+      { format: 'tsv', mimeType: 'text/tab-separated-values', extension: 'tsv' },
+      { format: 'yaml', mimeType: 'application/yaml', extension: 'yaml' },
+      { format: 'markdown', mimeType: 'text/markdown', extension: 'md' },
+      { format: 'html', mimeType: 'text/html', extension: 'html' },
+      {
+        format: 'xlsx',
+        mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        extension: 'xlsx',
+      },
+    ]);
+  });
+
+  it('should create strategies for registered formats', () => {
+    ExportStrategyFactory.registerStrategy('PSV', PSVExportStrategy, {
+      mimeType: 'text/pipe-separated-values',
+      extension: '.psv',
+    });
+
+    const strategy = ExportStrategyFactory.createStrategy('psv', { locale: 'en' });
+
+    expect(strategy).toBeInstanceOf(PSVExportStrategy);
+    expect(strategy.options).toEqual({ locale: 'en' });
+    expect(strategy.export(analyticsData)).toContain('2023-01-01|1250|864');
+    expect(ExportStrategyFactory.listFormats().at(-1)).toEqual({
+      format: 'psv',
+      mimeType: 'text/pipe-separated-values',
+      extension: 'psv',
+    });
+  });
+
+  it('should unregister formats', () => {
+    ExportStrategyFactory.registerStrategy('psv', PSVExportStrategy);
+
+    expect(ExportStrategyFactory.unregisterStrategy('psv')).toBe(true);
+    expect(ExportStrategyFactory.unregisterStrategy('psv')).toBe(false);
+
+    ExportStrategyFactory.registerStrategy(' PSV ', PSVExportStrategy);
+    expect(ExportStrategyFactory.createStrategy(' psv ')).toBeInstanceOf(PSVExportStrategy);
+    expect(ExportStrategyFactory.unregisterStrategy(' psv ')).toBe(true);
+    expect(() => ExportStrategyFactory.createStrategy('psv')).toThrow(
+      'Unsupported export format: psv'
+    );
+  });
+
+  it('should replace formats registered under the same name', () => {
+    ExportStrategyFactory.registerStrategy('psv', CSVExportStrategy);
+    ExportStrategyFactory.registerStrategy('psv', PSVExportStrategy);
+
+    expect(ExportStrategyFactory.createStrategy('psv')).toBeInstanceOf(PSVExportStrategy);
+    expect(
+      ExportStrategyFactory.listFormats().filter(({ format }) => format === 'psv')
+    ).toHaveLength(1);
+  });
+
+  it('should look formats up by MIME type', () => {
+    expect(ExportStrategyFactory.getFormatByMimeType('Application/JSON; charset=utf-8')).toEqual({
+      format: 'json',
+      mimeType: 'application/json',
+      extension: 'json',
+    });
+    expect(ExportStrategyFactory.createStrategyForMimeType('text/csv')).toBeInstanceOf(
+      CSVExportStrategy
+    );
+    expect(ExportStrategyFactory.getFormatByMimeType('application/pdf')).toBeNull();
+    expect(() => ExportStrategyFactory.createStrategyForMimeType('application/pdf')).toThrow(
+      'Unsupported export MIME type: application/pdf'
+    );
+  });
+
+  it('should look formats up by file extension or file name', () => {
+    expect(ExportStrategyFactory.getFormatByExtension('.XML').format).toBe('xml');
+    expect(ExportStrategyFactory.getFormatByExtension('exports/report.sql').format).toBe('sql');
+    expect(ExportStrategyFactory.createStrategyForExtension('stats.csv')).toBeInstanceOf(
+      CSVExportStrategy
+    );
+    expect(ExportStrategyFactory.getFormatByExtension('report.pdf')).toBeNull();
+    expect(() => ExportStrategyFactory.createStrategyForExtension('pdf')).toThrow(
+      'Unsupported export file extension: pdf'
+    );
+  });
+
+  it('should reject invalid registrations', () => {
+    expect(() => ExportStrategyFactory.registerStrategy('psv', {})).toThrow(
+      'Export strategy for "psv" must be a class with an export() method'
+    );
+    expect(() => ExportStrategyFactory.registerStrategy('', PSVExportStrategy)).toThrow(
+      'Export format name must be a non-empty string'
+    );
+  });
+});
+
+describe('Export Negotiation', () => {
+  const rows = (count) => Array.from({ length: count }, (_, id) => ({ id }));
+
+  it('should pick the format with the highest quality', () => {
+    expect(ExportStrategyFactory.negotiate('text/csv;q=0.5, application/json').format).toBe('json');
+    expect(ExportStrategyFactory.negotiate('text/html;level=1;q=0.7, text/csv ;q=0.3')).toEqual({
+      format: 'html',
+      mimeType: 'text/html',
+      extension: 'html',
+      contentType: 'text/html; charset=utf-8',
+      quality: 0.7,
+    });
+  });
+
+  it('should match the most specific media range', () => {
+    expect(ExportStrategyFactory.negotiate('text/*, text/csv;q=0.2').format).toBe('tsv');
+    expect(ExportStrategyFactory.negotiate('*/*;q=0.1, text/csv;q=0').format).toBe('json');
+    expect(
+      ExportStrategyFactory.negotiate('application/json, */*', { defaultFormat: 'yaml' }).format
+    ).toBe('json');
+  });
+
+  it('should prefer the default format when the header leaves the choice open', () => {
+    expect(ExportStrategyFactory.negotiate('*/*', { defaultFormat: 'ndjson' }).format).toBe(
+      'ndjson'
+    );
+    expect(ExportStrategyFactory.negotiate('', { defaultFormat: 'xml' }).format).toBe('xml');
+    expect(
+      ExportStrategyFactory.negotiate('application/json, application/x-ndjson', {
+        defaultFormat: 'ndjson',
+      }).format
+    ).toBe('ndjson');
+    expect(ExportStrategyFactory.negotiate(undefined).format).toBe('csv');
+  });
+
+  it('should only offer the given formats', () => {
+    expect(ExportStrategyFactory.negotiate('*/*', { formats: ['xlsx', 'csv'] })).toEqual({
+      format: 'xlsx',
+      mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      extension: 'xlsx',
+      contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      quality: 1,
+    });
+    expect(ExportStrategyFactory.negotiate('application/json', { formats: ['csv'] })).toBeNull();
+    expect(() => ExportStrategyFactory.negotiate('*/*', { formats: ['pdf'] })).toThrow(
+      'Unsupported export format: pdf'
+    );
+  });
+
+  it('should return null when no format is acceptable', () => {
+    expect(ExportStrategyFactory.negotiate('application/pdf, image/*')).toBeNull();
+    expect(ExportStrategyFactory.negotiate('text/csv;q=abc')).toBeNull();
+  });
+
+  it('should ignore media ranges with an empty or malformed quality', () => {
+    ['text/csv;q=', 'text/csv; q = ', 'text/csv;q=0x1', 'text/csv;q=1.5', 'text/csv;q=.5'].forEach(
+      (range) => {
+        expect(
+          ExportStrategyFactory.negotiate(`${range}, text/*;q=0.5`, { formats: ['csv'] })
+        ).toMatchObject({ format: 'csv', quality: 0.5 });
+      }
+    );
+    expect(
+      ExportStrategyFactory.negotiate('text/csv; Q = 0.25', { formats: ['csv'] })
+    ).toMatchObject({ format: 'csv', quality: 0.25 });
+  });
+
+  it('should choose pretty JSON for small datasets and NDJSON for large ones', () => {
+    const exporter = new DataExporter();
+    exporter.setData(rows(3));
+    const small = exporter.negotiateStrategy('*/*');
+
+    expect(small).toEqual({
+      format: 'json',
+      strategy: expect.any(JSONExportStrategy),
+      contentType: 'application/json; charset=utf-8',
+      extension: 'json',
+      options: { pretty: true },
+      stream: false,
+    });
+    expect(exporter.strategy).toBe(small.strategy);
+    expect(exporter.export(small.options)).toBe(JSON.stringify(rows(3), null, 2));
+
+    exporter.setData(rows(1001));
+    const large = exporter.negotiateStrategy();
+    expect(large.format).toBe('ndjson');
+    expect(large.stream).toBe(true);
+    expect(large.strategy).toBeInstanceOf(NDJSONExportStrategy);
+  });
+
+  it('should treat rows of unknown size as large and honour explicit formats', () => {
+    const exporter = new DataExporter();
+    exporter.setData(new Set(rows(2)));
+
+    expect(exporter.negotiateStrategy('*/*').format).toBe('ndjson');
+
+    const csv = exporter.negotiateStrategy('text/csv');
+    expect(csv.format).toBe('csv');
+    expect(csv.options).toEqual({});
+    expect(csv.stream).toBe(true);
+  });
+
+  it('should use custom defaults and leave the strategy when nothing is acceptable', () => {
+    const exporter = new DataExporter(new XMLExportStrategy());
+    exporter.setData(rows(10));
+
+    const negotiated = exporter.negotiateStrategy('*/*', {
+      largeDataset: 5,
+      largeDefault: { format: 'csv', options: { includeHeaders: false } },
+    });
+    expect(negotiated.format).toBe('csv');
+    expect(negotiated.options).toEqual({ includeHeaders: false });
+
+    exporter.setStrategy(new XMLExportStrategy());
+    expect(exporter.negotiateStrategy('image/png')).toBeNull();
+    expect(exporter.strategy).toBeInstanceOf(XMLExportStrategy);
+  });
+
+  it('should build Content-Disposition headers', () => {
+    expect(ExportStrategyFactory.buildContentDisposition('Report 2024', { format: 'csv' })).toBe(
+      'attachment; filename="Report 2024.csv"'
+    );
+    expect(ExportStrategyFactory.buildContentDisposition('report.CSV', { format: 'csv' })).toBe(
+      'attachment; filename="report.CSV"'
+    );
+    expect(
+      ExportStrategyFactory.buildContentDisposition('stats', { format: 'markdown', inline: true })
+    ).toBe('inline; filename="stats.md"');
+  });
+
+  it('should encode non-ASCII file names and strip path separators', () => {
+    expect(ExportStrategyFactory.buildContentDisposition('R\u00e9sum\u00e9 "final".xlsx')).toBe(
+      "attachment; filename=\"Resume 'final'.xlsx\"; filename*=UTF-8''R%C3%A9sum%C3%A9%20%22final%22.xlsx"
+    );
+    expect(ExportStrategyFactory.buildContentDisposition('../../etc/passwd')).toBe(
+      'attachment; filename="_.._etc_passwd"'
+    );
+    expect(ExportStrategyFactory.buildContentDisposition('  ', { format: 'json' })).toBe(
+      'attachment; filename="export.json"'
+    );
+    expect(() => ExportStrategyFactory.buildContentDisposition('a', { format: 'pdf' })).toThrow(
+      'Unsupported export format: pdf'
+    );
+  });
+});
+
+describe('Streaming Export', () => {
+  const rows = [
+    ...analyticsData,
+    { date: '2023-01-03', pageViews: 998.5, uniqueVisitors: null, note: 'a, "quoted" <b>' },
+  ];
+
+  async function* generateRows(data) {
+    for (const row of data) {
+      await Promise.resolve();
+      yield row;
+    }
+  }
+
+  const collect = async (chunks) => {
+    let output = '';
+    for await (const chunk of chunks) output += chunk;
+    return output;
+  };
+
+  const strategies = [
+    ['CSV', CSVExportStrategy, {}],
+    ['CSV without headers', CSVExportStrategy, { delimiter: ';', includeHeaders: false }],
+    ['JSON', JSONExportStrategy, {}],
+    ['pretty JSON', JSONExportStrategy, { pretty: true }],
+    ['NDJSON', JSONExportStrategy, { ndjson: true }],
+    ['XML', XMLExportStrategy, { rootElement: 'stats', itemElement: 'day' }],
+    ['SQL', SQLExportStrategy, { tableName: 'stats', dropTable: true }],
+  ];
+
+  it.each(strategies)(
+    'should stream %s output identical to export()',
+    async (_, Strategy, options) => {
+      const strategy = new Strategy();
+      const expected = strategy.export(rows, options);
+
+      expect(await collect(strategy.stream(rows, options))).toBe(expected);
+      expect(await collect(strategy.stream(generateRows(rows), options))).toBe(expected);
+    }
+  );
+
+  it.each(strategies)(
+    'should stream empty %s data as export() does',
+    async (_, Strategy, options) => {
+      const strategy = new Strategy();
+
+      expect(await collect(strategy.stream([], options))).toBe(strategy.export([], options));
+    }
+  );
+
+  it('should produce output incrementally, one row at a time', async () => {
+    const chunks = [];
+    for await (const chunk of new CSVExportStrategy().stream(generateRows(analyticsData))) {
+      chunks.push(chunk);
+    }
+
+    expect(chunks).toEqual([
+      'date,pageViews,uniqueVisitors\n',
+      '2023-01-01,1250,864\n',
+      '2023-01-02,1315,954\n',
+    ]);
+  });
+
+  it('should export NDJSON with one document per line', () => {
+    expect(new JSONExportStrategy().export(analyticsData, { ndjson: true })).toBe(
+      '{"date":"2023-01-01","pageViews":1250,"uniqueVisitors":864}\n' +
+        '{"date":"2023-01-02","pageViews":1315,"uniqueVisitors":954}\n'
+    );
+  });
+
+  it('should fall back to export() for strategies that do not stream', async () => {
+    class CountStrategy extends DataExportStrategy {
+      export(data) {
+        return `${data.length} rows`;
+      }
+    }
+
+    expect(await collect(new CountStrategy().stream(generateRows(rows)))).toBe('3 rows');
+  });
+
+  it('should buffer exporter output into chunks', async () => {
+    const exporter = new DataExporter(new CSVExportStrategy());
+    exporter.setData(generateRows(rows));
+
+    const chunks = [];
+    for await (const chunk of exporter.exportStream({ chunkSize: 40 })) chunks.push(chunk);
+
+    expect(chunks.join('')).toBe(new CSVExportStrategy().export(rows));
+    expect(chunks.length).toBeGreaterThan(1);
+    expect(chunks.slice(0, -1).every((chunk) => chunk.length >= 40)).toBe(true);
+  });
+
+  it('should yield nothing for empty data', async () => {
+    const exporter = new DataExporter(new XMLExportStrategy());
+    exporter.setData([]);
+
+    const chunks = [];
+    for await (const chunk of exporter.exportStream()) chunks.push(chunk);
+
+    expect(chunks).toEqual([]);
+  });
+
+  it('should keep output the strategy yields before the first row', async () => {
+    class PreambleStrategy extends DataExportStrategy {
+      async *stream(rows) {
+        yield '# report\n';
+        for await (const row of rows) yield `${row.date}\n`;
+      }
+    }
+
+    const exporter = new DataExporter(new PreambleStrategy());
+    const chunks = [];
+    exporter.setData(generateRows(analyticsData));
+    for await (const chunk of exporter.exportStream({ chunkSize: 0 })) chunks.push(chunk);
+
+    expect(chunks).toEqual(['# report\n', '2023-01-01\n', '2023-01-02\n']);
+
+    exporter.setData(generateRows([]));
+    for await (const chunk of exporter.exportStream()) chunks.push(chunk);
+    expect(chunks).toHaveLength(3);
+  });
+
+  it('should export into a writable stream', async () => {
+    let written = '';
+    const writable = new Writable({
+      write(chunk, encoding, callback) {
+        written += chunk;
+        callback();
+      },
+    });
+
+    const exporter = new DataExporter(new SQLExportStrategy());
+    exporter.setData(generateRows(rows));
+    await exporter.exportToStream(writable, { tableName: 'stats', chunkSize: 0 });
+
+    expect(written).toBe(new SQLExportStrategy().export(rows, { tableName: 'stats' }));
+    expect(writable.writableFinished).toBe(true);
+  });
+
+  it('should export sync iterables, but only stream async ones', () => {
+    const exporter = new DataExporter(new JSONExportStrategy());
+
+    exporter.setData(new Set(analyticsData));
+    expect(exporter.export()).toBe(JSON.stringify(analyticsData));
+
+    exporter.setData(generateRows(analyticsData));
+    expect(() => exporter.export()).toThrow(
+      'Async data can only be exported with exportStream() or exportToStream()'
+    );
+  });
+});
+
+describe('SQL Dialects, Batching and Upserts', () => {
+  const rows = [
+    { id: 1, name: "O'Brien", score: 10, active: true, seen: new Date('2023-01-01T10:00:00Z') },
+    { id: 2, name: 'C:\\temp', score: 7.5, active: false, seen: null },
+    { id: 3000000000, name: null, score: 'n/a', active: true, seen: null },
+  ];
+  const sql = (options) => new SQLExportStrategy().export(rows, { tableName: 'users', ...options });
+
+  it('should quote identifiers and write literals for each dialect', () => {
+    expect(sql({ dialect: 'postgres', createTable: false }).split('\n')[0]).toBe(
+      'INSERT INTO "users" ("id", "name", "score", "active", "seen") ' +
+        `VALUES (1, 'O''Brien', 10, TRUE, '2023-01-01T10:00:00.000Z');`
+    );
+    expect(sql({ dialect: 'mysql', createTable: false }).split('\n')[1]).toBe(
+      'INSERT INTO `users` (`id`, `name`, `score`, `active`, `seen`) ' +
+        "VALUES (2, 'C:\\\\temp', 7.5, FALSE, NULL);"
+    );
+    expect(sql({ dialect: 'sqlite', createTable: false }).split('\n')[0]).toBe(
+      'INSERT INTO "users" ("id", "name", "score", "active", "seen") ' +
+        `VALUES (1, 'O''Brien', 10, 1, '2023-01-01 10:00:00.000');`
+    );
+    expect(sql({ tableName: 'app.users', dialect: 'postgres' })).toContain(
+      'CREATE TABLE "app"."users"'
+    );
+    expect(() => sql({ dialect: 'oracle' })).toThrow('Unsupported SQL dialect: oracle');
+  });
+
+  it('should infer column types from all rows', () => {
+    expect(sql({ dialect: 'postgres' })).toContain(
+      'CREATE TABLE "users" (\n' +
+        '  "id" BIGINT,\n' +
+        '  "name" VARCHAR(255),\n' +
+        '  "score" VARCHAR(255),\n' +
+        '  "active" BOOLEAN,\n' +
+        '  "seen" TIMESTAMPTZ\n' +
+        ');'
+    );
+    expect(sql({ dialect: 'mysql' })).toContain('`seen` DATETIME(3)');
+    expect(sql({ dialect: 'sqlite' })).toContain('"active" INTEGER');
+
+    const typed = new SQLExportStrategy().export(
+      [{ ratio: 1 }, { ratio: 0.5 }, { ratio: null }, { ratio: 2 }],
+      { columnTypes: {} }
+    );
+    expect(typed).toContain('ratio FLOAT');
+    expect(new SQLExportStrategy().export([{ bio: 'x'.repeat(300) }])).toContain('bio TEXT');
+    expect(
+      new SQLExportStrategy().export(rows, { columnTypes: { score: 'NUMERIC(5, 2)' } })
+    ).toContain('score NUMERIC(5, 2)');
+  });
+
+  it('should batch rows into multi-row INSERTs', () => {
+    const result = sql({ createTable: false, batchSize: 2 });
+
+    expect(result).toBe(
+      'INSERT INTO users (id, name, score, active, seen) VALUES\n' +
+        "  (1, 'O''Brien', 10, true, '2023-01-01T10:00:00.000Z'),\n" +
+        "  (2, 'C:\\temp', 7.5, false, NULL);\n" +
+        "INSERT INTO users (id, name, score, active, seen) VALUES (3000000000, NULL, 'n/a', true, NULL);\n"
+    );
+  });
+
+  it('should write upserts on the key columns', () => {
+    const options = { createTable: false, upsertKeys: ['id'], batchSize: 3 };
+
+    expect(sql({ ...options, dialect: 'postgres' })).toContain(
+      'ON CONFLICT ("id") DO UPDATE SET "name" = excluded."name", "score" = excluded."score", ' +
+        '"active" = excluded."active", "seen" = excluded."seen";'
+    );
+    expect(sql({ ...options, dialect: 'mysql' })).toContain(
+      'ON DUPLICATE KEY UPDATE `name` = VALUES(`name`), `score` = VALUES(`score`), ' +
+        '`active` = VALUES(`active`), `seen` = VALUES(`seen`);'
+    );
+
+    const keysOnly = new SQLExportStrategy().export([{ a: 1, b: 2 }], {
+      dialect: 'sqlite',
+      upsertKeys: ['a', 'b'],
+    });
+    expect(keysOnly).toContain('  PRIMARY KEY ("a", "b")\n);');
+    expect(keysOnly).toContain('ON CONFLICT ("a", "b") DO NOTHING;');
+
+    expect(() => sql(options)).toThrow('Upserts need a SQL dialect: postgres, mysql or sqlite');
+    expect(() => sql({ ...options, dialect: 'mysql', upsertKeys: ['email'] })).toThrow(
+      'Upsert key "email" is not a column'
+    );
+  });
+
+  it.each([0, -2, 1.5, NaN, '2'])('should reject a batchSize of %s', async (batchSize) => {
+    const strategy = new SQLExportStrategy();
+    const message = `SQL batchSize must be a positive integer, got ${batchSize}`;
+
+    expect(() => strategy.export(rows, { batchSize })).toThrow(message);
+    await expect(strategy.stream(rows, { batchSize }).next()).rejects.toThrow(message);
+  });
+
+  it.each(['generic', 'postgres', 'mysql'])(
+    'should stream and re-import %s batches and upserts',
+    async (dialect) => {
+      const data = rows.map(({ seen, ...row }) => row);
+      const options = { dialect, batchSize: 2, upsertKeys: dialect === 'generic' ? [] : ['id'] };
+      const strategy = new SQLExportStrategy();
+      const expected = strategy.export(data, options);
+
+      let streamed = '';
+      for await (const chunk of strategy.stream(data, options)) streamed += chunk;
+      expect(streamed).toBe(expected);
+
+      expect(new SQLImportStrategy().import(expected, { dialect })).toEqual(data);
+    }
+  );
+
+  it('should stream rows without buffering when the column types are given', async () => {
+    const columnTypes = { id: 'INTEGER', name: 'TEXT' };
+    const chunks = [];
+
+    for await (const chunk of new SQLExportStrategy().stream(
+      [
+        { id: 1, name: 'a' },
+        { id: 2, name: 'b' },
+      ],
+      { columnTypes }
+    )) {
+      chunks.push(chunk);
+    }
+
+    expect(chunks).toEqual([
+      'CREATE TABLE data (\n  id INTEGER,\n  name TEXT\n);\n\n',
+      "INSERT INTO data (id, name) VALUES (1, 'a');\n",
+      "INSERT INTO data (id, name) VALUES (2, 'b');\n",
+    ]);
+  });
+
+  it('should start streaming once the column types are inferred from a sample', async () => {
+    let pulled = 0;
+    const source = (async function* () {
+      for (let id = 1; id <= 5; id++) {
+        pulled++;
+        yield { id, name: `row ${id}` };
+      }
+    })();
+
+    const stream = new SQLExportStrategy().stream(source, { typeSampleSize: 2, batchSize: 2 });
+
+    expect((await stream.next()).value).toBe(
+      'CREATE TABLE data (\n  id INTEGER,\n  name VARCHAR(255)\n);\n\n'
+    );
+    expect(pulled).toBe(2);
+    expect((await stream.next()).value).toBe(
+      "INSERT INTO data (id, name) VALUES\n  (1, 'row 1'),\n  (2, 'row 2');\n"
+    );
+
+    let rest = '';
+    for await (const chunk of stream) rest += chunk;
+    expect(pulled).toBe(5);
+    expect(rest).toBe(
+      "INSERT INTO data (id, name) VALUES\n  (3, 'row 3'),\n  (4, 'row 4');\n" +
+        "INSERT INTO data (id, name) VALUES (5, 'row 5');\n"
+    );
+    await expect(new SQLExportStrategy().stream([], { typeSampleSize: 0 }).next()).rejects.toThrow(
+      'SQL typeSampleSize must be a positive integer, got 0'
+    );
+  });
+
+  it('should not hold back more than the type sample of a large source', async () => {
+    let pulled = 0;
+    const source = (function* () {
+      for (let id = 1; id <= 2500; id++) {
+        pulled++;
+        yield { id };
+      }
+    })();
+
+    const stream = new SQLExportStrategy().stream(source);
+    await stream.next();
+
+    expect(pulled).toBe(1000);
+    await stream.return();
+  });
+});
+
+describe('Column Mapping and Flattening', () => {
+  const orders = [
+    {
+      id: 1,
+      customer: { name: 'Ada', address: { city: 'London' } },
+      tags: ['new', 'vip'],
+      total: 12.5,
+    },
+    { id: 2, customer: { name: 'Alan', address: { city: 'Wilmslow' } }, tags: [], total: 8 },
+    { id: 3, customer: { name: 'Grace' }, total: 20, coupon: 'SAVE5' },
+  ];
+
+  it('should select, order, rename and format columns', () => {
+    const result = new CSVExportStrategy().export(orders, {
+      columns: [
+        { key: 'customer.name', header: 'Customer' },
+        'id',
+        { key: 'total', format: (value) => value.toFixed(2) },
+      ],
+      headers: { id: 'Order' },
+    });
+
+    expect(result).toBe('Customer,Order,total\nAda,1,12.50\nAlan,2,8.00\nGrace,3,20.00\n');
+  });
+
+  it('should pass formatters the value and the original row', () => {
+    const result = new CSVExportStrategy().export(orders, {
+      columns: ['id', 'coupon'],
+      formatters: { coupon: (value, row) => value ?? `none for ${row.customer.name}` },
+    });
+
+    expect(result).toBe('id,coupon\n1,none for Ada\n2,none for Alan\n3,SAVE5\n');
+  });
+
+  it('should flatten nested objects into dot-path columns', () => {
+    const result = new CSVExportStrategy().export(orders, { flatten: true, headerUnion: true });
+
+    expect(result.split('\n')).toEqual([
+      'id,customer.name,customer.address.city,tags.0,tags.1,total,coupon',
+      '1,Ada,London,new,vip,12.5,',
+      '2,Alan,Wilmslow,,,8,',
+      '3,Grace,,,,20,SAVE5',
+      '',
+    ]);
+  });
+
+  it('should flatten arrays by index, joined or as JSON', () => {
+    const row = { id: 1, items: [{ sku: 'a' }, { sku: 'b' }] };
+
+    expect(flattenWith({ flatten: true })).toEqual({
+      id: 1,
+      'items.0.sku': 'a',
+      'items.1.sku': 'b',
+    });
+    expect(flattenWith({ flatten: { arrays: 'json' } })).toEqual({
+      id: 1,
+      items: '[{"sku":"a"},{"sku":"b"}]',
+    });
+    expect(
+      flattenWith({ flatten: { arrays: 'join', arraySeparator: '|', separator: '_' } })
+    ).toEqual({
+      id: 1,
+      items: '{"sku":"a"}|{"sku":"b"}',
+    });
+    expect(
+      new CSVExportStrategy().export([{ tags: ['x', 'y'], meta: {} }], {
+        flatten: { arrays: 'join' },
+      })
+    ).toBe('tags\n"x, y"\n');
+
+    function flattenWith(options) {
+      return new DataExportStrategy()._mapRows([row], options)[0];
+    }
+  });
+
+  it('should take the header union across all rows', () => {
+    const rows = [{ a: 1 }, { b: 2 }, { a: 3, c: 4 }];
+
+    expect(new CSVExportStrategy().export(rows)).toBe('a\n1\n\n3\n');
+    expect(new CSVExportStrategy().export(rows, { headerUnion: true })).toBe(
+      'a,b,c\n1,,\n,2,\n3,,4\n'
+    );
+  });
+
+  it('should apply the column options to XML and SQL', () => {
+    const options = {
+      flatten: true,
+      headerUnion: true,
+      columns: ['id', { key: 'customer.name', header: 'name' }, 'coupon'],
+    };
+
+    const xml = new XMLExportStrategy().export(orders, options);
+    expect(xml).toContain(
+      '  <item>\n    <id>3</id>\n    <name>Grace</name>\n    <coupon>SAVE5</coupon>\n'
+    );
+    expect(xml).not.toContain('[object Object]');
+
+    const sql = new SQLExportStrategy().export(orders, { ...options, dialect: 'postgres' });
+    expect(sql).toContain('"id" INTEGER,\n  "name" VARCHAR(255),\n  "coupon" VARCHAR(255)');
+    expect(sql).toContain(`VALUES (1, 'Ada', NULL);`);
+  });
+
+  it.each([
+    ['CSV', CSVExportStrategy],
+    ['XML', XMLExportStrategy],
+    ['SQL', SQLExportStrategy],
+  ])('should stream %s with the column options as export() does', async (_, Strategy) => {
+    async function* generateOrders() {
+      yield* orders;
+    }
+
+    for (const options of [
+      { flatten: true, headerUnion: true, batchSize: 2 },
+      { columns: ['customer.address.city', 'id'], formatters: { id: (id) => id * 10 } },
+    ]) {
+      const strategy = new Strategy();
+      let streamed = '';
+      for await (const chunk of strategy.stream(generateOrders(), options)) streamed += chunk;
+
+      expect(streamed).toBe(strategy.export(orders, options));
+    }
+  });
+
+  it('should require a key for each column', () => {
+    expect(() => new CSVExportStrategy().export(orders, { columns: [{ header: 'x' }] })).toThrow(
+      'Export columns need a key'
+    );
+  });
+});
+
+describe('Additional Export Formats', () => {
+  const rows = [
+    { name: 'Tab\there', note: 'line 1\nline 2', path: 'C:\\temp', count: 3 },
+    { name: '<b>Bold</b> & "quoted"', note: '*not* _emphasis_ | pipe', path: null, count: 1.5 },
+  ];
+
+  it('should export NDJSON', () => {
+    expect(new NDJSONExportStrategy().export(rows)).toBe(
+      rows.map((row) => JSON.stringify(row) + '\n').join('')
+    );
+    expect(ndjsonExporter()(rows)).toBe(new NDJSONExportStrategy().export(rows));
+  });
+
+  it('should export TSV with escaped tabs, line breaks and backslashes', () => {
+    const expected =
+      'name\tnote\tpath\tcount\n' +
+      'Tab\\there\tline 1\\nline 2\tC:\\\\temp\t3\n' +
+      '<b>Bold</b> & "quoted"\t*not* _emphasis_ | pipe\t\t1.5\n';
+
+    expect(new TSVExportStrategy().export(rows)).toBe(expected);
+    expect(tsvExporter()(rows)).toBe(expected);
+    expect(tsvExporter({ includeHeaders: false })(rows)).toBe(
+      expected.slice(expected.indexOf('\n') + 1)
+    );
+  });
+
+  it('should export YAML that quotes ambiguous strings', () => {
+    const data = [
+      {
+        id: 1,
+        name: 'Ada',
+        active: true,
+        tags: ['x', 'y'],
+        address: { city: 'London', zip: '02134' },
+        note: 'yes',
+        empty: '',
+        missing: null,
+      },
+      { id: 2, nested: [{ a: 1, b: [] }], text: 'key: value # comment', date: '2023-01-01' },
+    ];
+    const expected = [
+      '- id: 1',
+      '  name: Ada',
+      '  active: true',
+      '  tags:',
+      '    - x',
+      '    - "y"',
+      '  address:',
+      '    city: London',
+      '    zip: "02134"',
+      '  note: "yes"',
+      '  empty: ""',
+      '  missing: null',
+      '- id: 2',
+      '  nested:',
+      '    - a: 1',
+      '      b: []',
+      '  text: "key: value # comment"',
+      '  date: "2023-01-01"',
+      '',
+    ].join('\n');
+
+    expect(new YAMLExportStrategy().export(data)).toBe(expected);
+    expect(yamlExporter()(data)).toBe(expected);
+    expect(new YAMLExportStrategy().export([])).toBe('[]\n');
+    expect(new YAMLExportStrategy().export([{ text: 'multi\nline', odd: '\u2028' }])).toBe(
+      '- text: "multi\\nline"\n  odd: "\\u2028"\n'
+    );
+  });
+
+  it('should export GitHub-flavoured Markdown tables', () => {
+    const expected =
+      '| name | note | path | count |\n' +
+      '| --- | --- | --- | ---: |\n' +
+      '| Tab\there | line 1<br>line 2 | C:\\\\temp | 3 |\n' +
+      '| \\<b\\>Bold\\</b\\> \\& "quoted" | \\*not\\* \\_emphasis\\_ \\| pipe |  | 1.5 |\n';
+    const options = { align: { count: 'right' } };
+
+    expect(new MarkdownTableExportStrategy().export(rows, options)).toBe(expected);
+    expect(markdownTableExporter(options)(rows)).toBe(expected);
+    expect(() => markdownTableExporter({ align: { name: 'justify' } })(rows)).toThrow(
+      'Unsupported Markdown column alignment: justify'
+    );
+  });
+
+  it('should export styled HTML tables with escaped content', () => {
+    const html = new HTMLTableExportStrategy().export(rows, { caption: 'Q1 <draft>' });
+
+    expect(html).toContain('<style>\n.data-table { border-collapse: collapse;');
+    expect(html).toContain('<table class="data-table">\n  <caption>Q1 &lt;draft&gt;</caption>');
+    expect(html).toContain(
+      '<tr><th scope="col">name</th><th scope="col">note</th><th scope="col">path</th>' +
+        '<th scope="col">count</th></tr>'
+    );
+    expect(html).toContain(
+      '<tr><td>&lt;b&gt;Bold&lt;/b&gt; &amp; &quot;quoted&quot;</td>' +
+        '<td>*not* _emphasis_ | pipe</td><td></td><td class="number">1.5</td></tr>'
+    );
+    expect(html.endsWith('  </tbody>\n</table>\n')).toBe(true);
+    expect(htmlTableExporter({ caption: 'Q1 <draft>' })(rows)).toBe(html);
+
+    const plain = new HTMLTableExportStrategy().export(rows, {
+      className: 'report',
+      includeStyles: false,
+    });
+    expect(plain.startsWith('<table class="report">')).toBe(true);
+    expect(() => htmlTableExporter({ className: 'x" onclick="' })(rows)).toThrow(
+      'Invalid HTML table class name: x" onclick="'
+    );
+  });
+
+  it.each([
+    ['NDJSON', NDJSONExportStrategy, {}],
+    ['TSV', TSVExportStrategy, { headerUnion: true }],
+    ['YAML', YAMLExportStrategy, {}],
+    ['Markdown', MarkdownTableExportStrategy, { columns: ['count', 'name'] }],
+    ['HTML', HTMLTableExportStrategy, { caption: 'Rows' }],
+  ])('should stream %s as export() does', async (_, Strategy, options) => {
+    const strategy = new Strategy();
+    let streamed = '';
+    for await (const chunk of strategy.stream(rows, options)) streamed += chunk;
+
+    expect(streamed).toBe(strategy.export(rows, options));
+  });
+
+  it('should create the new formats from the factory', () => {
+    expect(ExportStrategyFactory.createStrategyForExtension('report.md')).toBeInstanceOf(
+      MarkdownTableExportStrategy
+    );
+    expect(ExportStrategyFactory.createStrategyForMimeType('text/html')).toBeInstanceOf(
+      HTMLTableExportStrategy
+    );
+    expect(ExportStrategyFactory.createStrategy('tsv')).toBeInstanceOf(TSVExportStrategy);
+  });
+});
+
+describe('XLSX Export', () => {
+  // Read a zip archive into a map of file names to text, checking each file's CRC
+  const unzip = (zip) => {
+    const view = new DataView(zip.buffer, zip.byteOffset, zip.byteLength);
+    const decoder = new TextDecoder();
+    const end = zip.byteLength - 22;
+    expect(view.getUint32(end, true)).toBe(0x06054b50);
+
+    const files = new Map();
+    let at = view.getUint32(end + 16, true);
+
+    for (let i = 0; i < view.getUint16(end + 10, true); i++) {
+      expect(view.getUint32(at, true)).toBe(0x02014b50);
+      const method = view.getUint16(at + 10, true);
+      const crc = view.getUint32(at + 16, true);
+      const size = view.getUint32(at + 20, true);
+      const nameLength = view.getUint16(at + 28, true);
+      const offset = view.getUint32(at + 42, true);
+      const name = decoder.decode(zip.subarray(at + 46, at + 46 + nameLength));
+
+      expect(view.getUint32(offset, true)).toBe(0x04034b50);
+      const start = offset + 30 + view.getUint16(offset + 26, true);
+      const stored = zip.subarray(start, start + size);
+      const content = method === 8 ? new Uint8Array(inflateRawSync(stored)) : stored;
+
+      expect(crc32(content)).toBe(crc);
+      files.set(name, decoder.decode(content));
+      at += 46 + nameLength;
+    }
+
+    return files;
+  };
+
+  const rows = [
+    {
+      date: new Date('2023-01-02T12:00:00Z'),
+      visits: 1250,
+      rate: 0.5,
+      active: true,
+      page: '/home',
+    },
+    { date: null, visits: 980, rate: 0.25, active: false, page: 'A & B <c>' },
+  ];
+
+  it('should compute CRC-32 checksums', () => {
+    expect(crc32(new TextEncoder().encode('123456789'))).toBe(0xcbf43926);
+  });
+
+  it('should write zip archives with stored and deflated files', () => {
+    const files = unzip(
+      createZip([
+        { name: 'a.txt', data: 'x' },
+        { name: 'dir/b.txt', data: 'repeat '.repeat(100) },
+        { name: 'bin', data: new Uint8Array([0, 1, 2]) },
+      ])
+    );
+
+    expect([...files.keys()]).toEqual(['a.txt', 'dir/b.txt', 'bin']);
+    expect(files.get('dir/b.txt')).toBe('repeat '.repeat(100));
+    expect(files.get('bin')).toBe('\u0000\u0001\u0002');
+  });
+
+  it('should write a workbook with typed cells and a bold header row', () => {
+    const xlsx = new XLSXExportStrategy().export(rows);
+    const files = unzip(xlsx);
+
+    expect(xlsx).toBeInstanceOf(Uint8Array);
+    expect([...files.keys()]).toEqual([
+      '[Content_Types].xml',
+      '_rels/.rels',
+      'xl/workbook.xml',
+      'xl/_rels/workbook.xml.rels',
+      'xl/styles.xml',
+      'xl/sharedStrings.xml',
+      'xl/worksheets/sheet1.xml',
+    ]);
+    expect(files.get('xl/workbook.xml')).toContain(
+      '<sheet name="Sheet1" sheetId="1" r:id="rId1"/>'
+    );
+
+    const sheet = files.get('xl/worksheets/sheet1.xml');
+    expect(sheet).toContain('<row r="1"><c r="A1" s="1" t="s"><v>0</v></c>');
+    expect(sheet).toContain(
+      '<row r="2"><c r="A2" s="2"><v>44928.5</v></c><c r="B2"><v>1250</v></c>' +
+        '<c r="C2"><v>0.5</v></c><c r="D2" t="b"><v>1</v></c><c r="E2" t="s"><v>5</v></c></row>'
+    );
+    expect(sheet).toContain('<row r="3"><c r="B3"><v>980</v></c>');
+    expect(sheet).toContain('state="frozen"');
+
+    expect(files.get('xl/sharedStrings.xml')).toContain(
+      'count="7" uniqueCount="7"><si><t>date</t></si>'
+    );
+    expect(files.get('xl/sharedStrings.xml')).toContain('<si><t>A &amp; B &lt;c&gt;</t></si>');
+    expect(files.get('xl/styles.xml')).toContain('formatCode="yyyy-mm-dd hh:mm:ss"');
+    expect(files.get('xl/styles.xml')).toContain('<font><b/>');
+  });
+
+  it('should set column widths, fitting the other columns to their content', () => {
+    const sheet = unzip(
+      new XLSXExportStrategy().export(rows, { columnWidths: { page: 40 }, includeHeaders: false })
+    ).get('xl/worksheets/sheet1.xml');
+
+    expect(sheet).toContain('<col min="1" max="1" width="21" customWidth="1"/>');
+    expect(sheet).toContain('<col min="2" max="2" width="8" customWidth="1"/>');
+    expect(sheet).toContain('<col min="5" max="5" width="40" customWidth="1"/>');
+    expect(sheet).not.toContain('s="1"');
+    expect(sheet).not.toContain('<pane');
+  });
+
+  it('should fit column widths for sheets with many rows', () => {
+    const many = Array.from({ length: 200000 }, (_, index) => ({ id: index }));
+    const sheet = unzip(new XLSXExportStrategy().export(many)).get('xl/worksheets/sheet1.xml');
+
+    expect(sheet).toContain('<col min="1" max="1" width="8" customWidth="1"/>');
+    expect(sheet).toContain('<row r="200001"><c r="A200001"><v>199999</v></c></row>');
+  });
+
+  it('should write one sheet per entry of rows by sheet name', () => {
+    const files = unzip(
+      new XLSXExportStrategy().export(
+        { Traffic: rows, 'Top pages': [{ page: '/home', views: 10 }] },
+        { sheetOptions: { 'Top pages': { columns: ['views'] } } }
+      )
+    );
+
+    expect(files.get('xl/workbook.xml')).toContain(
+      '<sheet name="Traffic" sheetId="1" r:id="rId1"/>' +
+        '<sheet name="Top pages" sheetId="2" r:id="rId2"/>'
+    );
+    expect(files.get('[Content_Types].xml')).toContain('/xl/worksheets/sheet2.xml');
+    expect(files.get('xl/_rels/workbook.xml.rels')).toContain('Target="worksheets/sheet2.xml"');
+    expect(files.get('xl/worksheets/sheet2.xml')).toContain(
+      '<row r="2"><c r="A2"><v>10</v></c></row>'
+    );
+  });
+
+  it('should escape control characters in cell text', () => {
+    const files = unzip(new XLSXExportStrategy().export([{ text: 'a\u0001b _x0041_ ' }]));
+
+    expect(files.get('xl/sharedStrings.xml')).toContain(
+      '<t xml:space="preserve">a_x0001_b _x005F_x0041_ </t>'
+    );
+  });
+
+  it('should reject invalid sheet names and oversized cells', () => {
+    const strategy = new XLSXExportStrategy();
+
+    expect(() => strategy.export(rows, { sheetName: 'Q1/Q2' })).toThrow(
+      'XLSX sheet name "Q1/Q2" cannot contain [ ] : * ? / \\ or edge quotes'
+    );
+    expect(() => strategy.export(rows, { sheetName: 'x'.repeat(32) })).toThrow(
+      'is longer than 31 characters'
+    );
+    expect(() => strategy.export({ Data: rows, data: rows })).toThrow(
+      'Duplicate XLSX sheet name: data'
+    );
+    expect(() => strategy.export([{ text: 'x'.repeat(32768) }])).toThrow(
+      'XLSX cell A2 holds more than 32767 characters'
+    );
+  });
+
+  it('should export a workbook through DataExporter and the factory', async () => {
+    const exporter = new DataExporter(
+      ExportStrategyFactory.createStrategyForExtension('report.xlsx')
+    );
+    exporter.setData({ Traffic: rows });
+
+    const xlsx = exporter.export();
+    expect(xlsx).toBeInstanceOf(Uint8Array);
+    expect(unzip(xlsx).has('xl/worksheets/sheet1.xml')).toBe(true);
+
+    const chunks = [];
+    const writable = new Writable({
+      write(chunk, encoding, callback) {
+        chunks.push(chunk);
+        callback();
+      },
+    });
+    exporter.setData(rows);
+    await exporter.exportToStream(writable);
+
+    expect(new Uint8Array(Buffer.concat(chunks))).toEqual(new XLSXExportStrategy().export(rows));
+  });
+});
+
+describe('Data Import Strategies', () => {
+  const rows = [
+    { id: 1, name: 'Widget, large', price: 19.99, active: true, notes: 'Say "hi"\nthen leave' },
+    { id: 2, name: "O'Brien & Sons <Ltd>", price: -3, active: false, notes: null },
+    { id: 3, name: 'Zip 02134', price: 0, active: true, notes: 'a;b' },
+    { id: 4, name: 'Blank', price: 1.5, active: false, notes: '' },
+  ];
+  // CSV cannot tell an empty string from a missing value, and reads both back as null
+  const csvRows = rows.map((row) => ({ ...row, notes: row.notes === '' ? null : row.notes }));
+
+  it.each([
+    ['CSV', CSVExportStrategy, CSVImportStrategy, {}, csvRows],
+    ['CSV with semicolons', CSVExportStrategy, CSVImportStrategy, { delimiter: ';' }, csvRows],
+    ['JSON', JSONExportStrategy, JSONImportStrategy, { pretty: true }],
+    ['NDJSON', JSONExportStrategy, JSONImportStrategy, { ndjson: true }],
+    ['XML', XMLExportStrategy, XMLImportStrategy, { rootElement: 'items', itemElement: 'row' }],
+    ['SQL', SQLExportStrategy, SQLImportStrategy, { tableName: 'items', dropTable: true }],
+  ])(
+    'should round-trip rows through %s',
+    (_, ExportStrategy, ImportStrategy, options, expected = rows) => {
+      const exported = new ExportStrategy().export(rows, options);
+      const importer = new DataImporter(new ImportStrategy());
+
+      expect(importer.import(exported, options)).toEqual(expected);
+    }
+  );
+
+  it('should parse RFC 4180 CSV with quoted line breaks and CRLF records', () => {
+    const csv = 'a,b,c\r\n"line 1\r\nline 2","say ""x""",\r\n\r\n"",plain,"3"\r\n';
+
+    expect(new CSVImportStrategy().import(csv, { parseValues: false })).toEqual([
+      { a: 'line 1\r\nline 2', b: 'say "x"', c: '' },
+      { a: '', b: 'plain', c: '3' },
+    ]);
+    expect(() => new CSVImportStrategy().import('a\n"open')).toThrow(
+      'Unclosed quoted field in CSV'
+    );
+  });
+
+  it('should read CSV without a header record', () => {
+    const csv = '1,Jan\n2,Feb';
+    const importer = new CSVImportStrategy();
+
+    expect(importer.import(csv, { includeHeaders: false })).toEqual([
+      { 0: 1, 1: 'Jan' },
+      { 0: 2, 1: 'Feb' },
+    ]);
+    expect(importer.import(csv, { includeHeaders: false, headers: ['month', 'name'] })).toEqual([
+      { month: 1, name: 'Jan' },
+      { month: 2, name: 'Feb' },
+    ]);
+  });
+
+  it('should read empty exports back as no rows', () => {
+    const importer = new DataImporter(new XMLImportStrategy());
+
+    expect(importer.import(new XMLExportStrategy().export([]))).toEqual([]);
+    expect(importer.import('<data/>')).toEqual([]);
+    expect(importer.import('')).toEqual([]);
+  });
+
+  it('should decode XML character references', () => {
+    const xml = '<data><item><name>caf&#233; &#x2603; &amp;amp;</name><empty/></item></data>';
+
+    expect(new XMLImportStrategy().import(xml)).toEqual([{ name: 'café ☃ &amp;', empty: null }]);
+    expect(() => new XMLImportStrategy().import('<rows></rows>')).toThrow(
+      'Expected a <data> root element in XML'
+    );
+  });
+
+  it('should match XML element names literally', () => {
+    const options = { rootElement: 'sales.report', itemElement: 'line-item' };
+    const xml = new XMLExportStrategy().export([{ id: 1 }], options);
+    const importer = new XMLImportStrategy();
+
+    expect(importer.import(xml, options)).toEqual([{ id: 1 }]);
+    expect(() => importer.import(xml.replace(/sales\.report/g, 'salesXreport'), options)).toThrow(
+      'Expected a <sales.report> root element in XML'
+    );
+    expect(
+      importer.import('<a+b><c+d><id>2</id></c+d></a+b>', {
+        rootElement: 'a+b',
+        itemElement: 'c+d',
+      })
+    ).toEqual([{ id: 2 }]);
+  });
+
+  it('should escape column names that are not XML names', () => {
+    const rows = [{ id: 1, name: 'Ada', 2024: 5, 'a:b': 'x', _x0041_: 'y' }];
+    const xml = new XMLExportStrategy().export(rows, {
+      columns: ['id', 'name', '2024', 'a:b', '_x0041_'],
+      headers: { name: 'Full Name' },
+    });
+
+    expect(xml).toContain('<Full_x0020_Name>Ada</Full_x0020_Name>');
+    expect(xml).toContain('<_x0032_024>5</_x0032_024>');
+    expect(xml).toContain('<a_x003A_b>x</a_x003A_b>');
+    expect(xml).toContain('<_x005F_x0041_>y</_x005F_x0041_>');
+    expect(
+      new DOMParser().parseFromString(xml, 'application/xml').querySelector('parsererror')
+    ).toBeNull();
+    expect(new XMLImportStrategy().import(xml)).toEqual([
+      { id: 1, 'Full Name': 'Ada', 2024: 5, 'a:b': 'x', _x0041_: 'y' },
+    ]);
+    expect(() => new XMLExportStrategy().export([{ '': 1 }])).toThrow(
+      'XML element names cannot be empty'
+    );
+  });
+
+  it('should read multi-row INSERTs and filter by table', () => {
+    const sql = `
+      CREATE TABLE t (a INTEGER, b VARCHAR(255));
+      INSERT INTO t (a, b) VALUES (1, 'x; y'), (2, NULL);
+      INSERT INTO other (a) VALUES (3);
+      INSERT INTO "t" ("a", "b") VALUES (4.5e1, 'it''s');
+    `;
+    const importer = new SQLImportStrategy();
+
+    expect(importer.import(sql, { tableName: 't' })).toEqual([
+      { a: 1, b: 'x; y' },
+      { a: 2, b: null },
+      { a: 45, b: "it's" },
+    ]);
+    expect(importer.import(sql)).toHaveLength(4);
+    expect(() => importer.import('INSERT INTO t (a, b) VALUES (1);')).toThrow(
+      'INSERT into t has 2 columns but 1 values'
+    );
+  });
+
+  it('should reject JSON that is not an array of rows', () => {
+    expect(() => new JSONImportStrategy().import('{"a": 1}')).toThrow(
+      'JSON import expects an array of rows'
+    );
+  });
+
+  it('should require an import strategy', () => {
+    expect(() => new DataImporter().import('a\n1')).toThrow('Import strategy not set');
+  });
+});
+
 // ====================================
 // Tests for Functional Implementation
 // ====================================
@@ -200,3 +1415,464 @@ describe('Functional Strategy Pattern', () => {
     expect(() => emptyPublisher.publish()).toThrow('Formatter strategy not set');
   });
 });
+
+describe('Markdown Content Formatting', () => {
+  const toHtml = (markdown) => renderHtml(parseMarkdown(markdown));
+
+  it('should parse Markdown into a syntax tree', () => {
+    const tree = parseMarkdown('# Title\n\nSome *text*.');
+
+    expect(tree).toEqual({
+      type: 'root',
+      children: [
+        { type: 'heading', depth: 1, children: [{ type: 'text', value: 'Title' }] },
+        {
+          type: 'paragraph',
+          children: [
+            { type: 'text', value: 'Some ' },
+            { type: 'emphasis', children: [{ type: 'text', value: 'text' }] },
+            { type: 'text', value: '.' },
+          ],
+        },
+      ],
+    });
+  });
+
+  it('should render nested emphasis', () => {
+    expect(toHtml('***strong** in emphasis*')).toBe(
+      '<p><em><strong>strong</strong> in emphasis</em></p>\n'
+    );
+    expect(toHtml('**bold _inner_ text**')).toBe(
+      '<p><strong>bold <em>inner</em> text</strong></p>\n'
+    );
+    expect(toHtml('*foo**bar*')).toBe('<p><em>foo**bar</em></p>\n');
+    expect(toHtml('snake_case_name and a * b')).toBe('<p>snake_case_name and a * b</p>\n');
+  });
+
+  it('should render headings, links, images and code', () => {
+    expect(toHtml('## Setup ##')).toBe('<h2>Setup</h2>\n');
+    expect(toHtml('Title\n===')).toBe('<h1>Title</h1>\n');
+    expect(toHtml('[the *docs*](<https://example.com/a b> "Docs")')).toBe(
+      '<p><a href="https://example.com/a%20b" title="Docs">the <em>docs</em></a></p>\n'
+    );
+    expect(toHtml('![A logo](logo.png)')).toBe('<p><img src="logo.png" alt="A logo"></p>\n');
+    expect(toHtml('Use `a < b` or <https://example.com>')).toBe(
+      '<p>Use <code>a &lt; b</code> or <a href="https://example.com">https://example.com</a></p>\n'
+    );
+    expect(toHtml('```js\nif (a < b) {}\n```')).toBe(
+      '<pre><code class="language-js">if (a &lt; b) {}\n</code></pre>\n'
+    );
+    expect(toHtml('    indented\n    code')).toBe('<pre><code>indented\ncode\n</code></pre>\n');
+  });
+
+  it('should match link brackets in linear time', () => {
+    expect(toHtml('[ [a [b] c](u) \\[ `[` ]')).toBe(
+      '<p>[ <a href="u">a [b] c</a> [ <code>[</code> ]</p>\n'
+    );
+
+    const start = performance.now();
+    const html = toHtml(`${'['.repeat(100000)}[x](u)`);
+
+    expect(html).toContain('<a href="u">x</a>');
+    expect(performance.now() - start).toBeLessThan(2000);
+  });
+
+  it('should render tight, loose and nested lists', () => {
+    expect(toHtml('- one\n- two\n  - nested\n- three')).toBe(
+      '<ul>\n<li>one</li>\n<li>two\n<ul>\n<li>nested</li>\n</ul>\n</li>\n<li>three</li>\n</ul>\n'
+    );
+    expect(toHtml('3. first\n\n4. second')).toBe(
+      '<ol start="3">\n<li>\n<p>first</p>\n</li>\n<li>\n<p>second</p>\n</li>\n</ol>\n'
+    );
+    expect(toHtml('Not a list:\n2. item')).toBe('<p>Not a list:\n2. item</p>\n');
+  });
+
+  it('should render blockquotes, breaks and thematic breaks', () => {
+    expect(toHtml('> quoted\nlazy line\n\n---')).toBe(
+      '<blockquote>\n<p>quoted\nlazy line</p>\n</blockquote>\n<hr>\n'
+    );
+    expect(toHtml('line  \nbreak')).toBe('<p>line<br>\nbreak</p>\n');
+  });
+
+  it('should render plain text without markup', () => {
+    const tree = parseMarkdown(
+      '# Title\n\nSee [the docs](https://example.com), **now**.\n\n1. a\n2. b'
+    );
+
+    expect(renderPlainText(tree)).toBe(
+      'Title\n\nSee the docs (https://example.com), now.\n\n1. a\n2. b\n'
+    );
+  });
+
+  it('should render normalized Markdown that parses back to the same tree', () => {
+    const source = 'Title\n---\n\n__bold__ and _em_ with a \\* star\n\n* a\n* b\n\n~~~\ncode\n~~~';
+    const markdown = renderMarkdown(parseMarkdown(source));
+
+    expect(markdown).toBe(
+      '## Title\n\n**bold** and *em* with a \\* star\n\n- a\n- b\n\n```\ncode\n```\n'
+    );
+    expect(parseMarkdown(markdown)).toEqual(parseMarkdown(source));
+  });
+
+  it('should convert HTML to Markdown', () => {
+    const html =
+      '<h2>Hello <em>there</em></h2>\n<p>Some <b>bold</b>,\n  a <a href="/docs">link</a> and <code>a*b</code>.<br>Next</p>' +
+      '<ul><li>one</li><li>two<ol start="3"><li>three</li></ol></li></ul>' +
+      '<pre><code class="language-py">print(1)\n</code></pre><script>alert(1)</script>';
+
+    expect(htmlToMarkdown(html)).toBe(
+      '## Hello *there*\n\nSome **bold**, a [link](/docs) and `a*b`.\\\nNext\n\n' +
+        '- one\n- two\n\n  3. three\n\n```py\nprint(1)\n```\n'
+    );
+  });
+
+  it('should keep allowed markup when sanitizing HTML', () => {
+    const html =
+      '<p>Text with <strong>bold</strong> and <a href="https://example.com" title="x">a link</a></p>';
+
+    expect(sanitizeHtml(html)).toBe(html);
+  });
+
+  it('should drop scripts, event handlers and unsafe URLs when sanitizing HTML', () => {
+    expect(
+      sanitizeHtml(
+        '<p onclick="steal()">Hi<script>alert(1)</script><style>p{}</style><iframe src="x"></iframe></p>'
+      )
+    ).toBe('<p>Hi</p>');
+    expect(
+      sanitizeHtml('<a href="java\tscript:alert(1)">x</a><img src="data:text/html,x" alt="y">')
+    ).toBe('<a>x</a><img alt="y">');
+    expect(sanitizeHtml('<a href="/relative">x</a><a href="mailto:a@b.c">y</a>')).toBe(
+      '<a href="/relative">x</a><a href="mailto:a@b.c">y</a>'
+    );
+  });
+
+  it('should unwrap unknown elements, escape text and close open elements when sanitizing', () => {
+    expect(sanitizeHtml('<custom-tag>kept</custom-tag> a < b & c <em>open')).toBe(
+      'kept a &lt; b &amp; c <em>open</em>'
+    );
+    expect(sanitizeHtml('<p>a</b></em>b</p>')).toBe('<p>ab</p>');
+  });
+
+  it('should keep comments from closing early when sanitizing', () => {
+    expect(sanitizeHtml('<!-- a --!><script>alert(1)</script> -->')).toBe('<!-- a --> --&gt;');
+    expect(sanitizeHtml('<!-- a --- b -->', { allowComments: false })).toBe('');
+  });
+
+  it('should sanitize with custom allow-lists', () => {
+    const options = { allowedTags: ['span'], allowedAttributes: { span: ['class'] } };
+
+    expect(sanitizeHtml('<span class="note" id="x"><b>Hi</b></span>', options)).toBe(
+      '<span class="note">Hi</span>'
+    );
+    expect(sanitizeHtml('<a href="ftp://host/file">f</a>', { allowedSchemes: ['ftp'] })).toBe(
+      '<a href="ftp://host/file">f</a>'
+    );
+  });
+
+  it('should sanitize single tags without balancing them', () => {
+    const options = { balance: false };
+
+    expect(sanitizeHtml('<em onclick="x">', options)).toBe('<em>');
+    expect(sanitizeHtml('</em>', options)).toBe('</em>');
+    expect(sanitizeHtml('</custom>', options)).toBe('');
+    expect(sanitizeHtml('<em>', {})).toBe('<em></em>');
+  });
+
+  it('should report what the sanitizer removed, and not what it only rewrote', () => {
+    const removals = [];
+    const onRemove = (removal) => removals.push(removal);
+
+    expect(
+      sanitizeHtml('<p onclick="x">A<br/>B<script>1</script><a href="javascript:x">c</a></p>', {
+        onRemove,
+      })
+    ).toBe('<p>A<br>B<a>c</a></p>');
+    expect(removals).toEqual([
+      { type: 'attribute', element: 'p', name: 'onclick', value: 'x' },
+      { type: 'element', name: 'script' },
+      { type: 'attribute', element: 'a', name: 'href', value: 'javascript:x' },
+    ]);
+
+    removals.length = 0;
+    sanitizeHtml('<em >x</em><img src="a.png" />y &amp; z', { onRemove });
+    expect(removals).toEqual([]);
+  });
+
+  it('should sanitize raw HTML in Markdown when formatting as HTML', () => {
+    const content =
+      'Hello <img src="x" onerror="alert(1)">\n\n<div><script>alert(1)</script></div>';
+
+    expect(htmlFormatter()(content)).toBe('<p>Hello <img src="x"></p>\n<div></div>\n');
+    expect(htmlFormatter({ sanitize: false })(content)).toContain('onerror');
+  });
+
+  it('should read block quotes nested too deep as text', () => {
+    const publisher = createContentPublisher(htmlFormatter());
+    publisher.setContent(`${'>'.repeat(2500)} hi`);
+    const html = publisher.publish();
+
+    expect(html.match(/<blockquote>/g)).toHaveLength(32);
+    expect(html).toContain(`<p>${'&gt;'.repeat(2468)} hi</p>`);
+  });
+
+  it('should read lists nested too deep as text', () => {
+    const lines = Array.from({ length: 2000 }, (_, depth) => `${'  '.repeat(depth)}- x`);
+    const publisher = createContentPublisher(htmlFormatter());
+    publisher.setContent(lines.join('\n'));
+    const html = publisher.publish();
+
+    expect(html.match(/<ul>/g)).toHaveLength(32);
+    expect(html).toContain('<li>x\n- x\n- x');
+  });
+
+  it('should read links nested too deep, and HTML nested too deep, without overflowing', () => {
+    const links = `${'['.repeat(3000)}x${'](u)'.repeat(3000)}`;
+    const html = `${'<div>'.repeat(5000)}x`;
+
+    expect(htmlFormatter()(links).match(/<a href/g)).toHaveLength(32);
+    expect(plainTextFormatter()(html)).toBe('x\n');
+    expect(markdownFormatter()(html)).toBe('x\n');
+  });
+
+  it('should format HTML content as Markdown and plain text', () => {
+    const html = '<h1>Title</h1><p>Some <strong>bold</strong> text</p>';
+
+    expect(markdownFormatter()(html)).toBe('# Title\n\nSome **bold** text\n');
+    expect(plainTextFormatter()(html)).toBe('Title\n\nSome bold text\n');
+  });
+
+  it('should sanitize published HTML, but not plain text', () => {
+    const content = '<p onclick="x">a < b</p>';
+    const publisher = createContentPublisher((text) => text);
+    publisher.setContent(content);
+
+    expect(publisher.publish()).toBe('<p>a &lt; b</p>');
+
+    publisher.setFormatter(plainTextFormatter());
+    expect(publisher.publish()).toBe('a < b\n');
+
+    publisher.setFormatter(
+      compositeFormatter(htmlFormatter({ sanitize: false }), markdownFormatter())
+    );
+    expect(publisher.publish()).toBe('a \\< b\n');
+
+    const unsafePublisher = createContentPublisher((text) => text, { sanitize: false });
+    unsafePublisher.setContent(content);
+    expect(unsafePublisher.publish()).toBe(content);
+  });
+
+  it('should sanitize raw HTML and unsafe URLs in Markdown output', () => {
+    const publisher = createContentPublisher(markdownFormatter());
+    publisher.setContent('Hi <img src=x onerror=alert(1)> and <em onclick="x">this</em>');
+
+    expect(publisher.publish()).toBe('Hi <img src="x"> and <em>this</em>\n');
+    expect(markdownFormatter()('<b>kept</b> <a href="javascript:x">link</a>')).toBe(
+      '**kept** [link](<>)\n'
+    );
+    expect(markdownFormatter({ sanitize: false })('a <i onclick="x">b</i>')).toBe(
+      'a <i onclick="x">b</i>\n'
+    );
+
+    // Formatters that declare Markdown output are sanitized by the publisher, and output with
+    // nothing unsafe is kept as it is
+    const passThrough = Object.assign((text) => text, { outputFormat: 'markdown' });
+    publisher.setFormatter(passThrough);
+    publisher.setContent('[a](javascript:alert(1)) <span onmouseover="x">b</span>');
+    expect(publisher.publish()).toBe('[a](<>) <span>b</span>\n');
+    publisher.setContent('Safe  *markdown*<br/>');
+    expect(publisher.publish()).toBe('Safe  *markdown*<br/>');
+  });
+});
+
+describe('Publishing Profiles', () => {
+  const article = [
+    '# Launch day',
+    '',
+    'We shipped **version 2** of the _exporter_. Read the [notes](https://example.com/notes) & <https://example.com/log>.',
+    '',
+    '- Faster CSV',
+    '- New `xlsx` writer',
+  ].join('\n');
+
+  it('should render Slack mrkdwn', () => {
+    expect(renderSlack(parseMarkdown(article))).toBe(
+      '*Launch day*\n\n' +
+        'We shipped *version 2* of the _exporter_. Read the <https://example.com/notes|notes> &amp; <https://example.com/log>.\n\n' +
+        '\u2022 Faster CSV\n\u2022 New `xlsx` writer\n'
+    );
+  });
+
+  it('should render Telegram HTML', () => {
+    expect(renderTelegram(parseMarkdown(article))).toBe(
+      '<b>Launch day</b>\n\n' +
+        'We shipped <b>version 2</b> of the <i>exporter</i>. Read the <a href="https://example.com/notes">notes</a> &amp; ' +
+        '<a href="https://example.com/log">https://example.com/log</a>.\n\n' +
+        '\u2022 Faster CSV\n\u2022 New <code>xlsx</code> writer\n'
+    );
+    expect(renderTelegram(parseMarkdown('```js\na < b\n```'))).toBe(
+      '<pre><code class="language-js">a &lt; b</code></pre>\n'
+    );
+  });
+
+  it('should truncate syntax trees at word boundaries', () => {
+    const tree = parseMarkdown('We shipped **version 2** of the _exporter_ today.');
+
+    expect(renderMarkdown(truncateTree(tree, 30))).toBe('We shipped **version 2** of the\u2026\n');
+    expect(renderMarkdown(truncateTree(tree, 13, '...'))).toBe('We shipped...\n');
+    expect(renderMarkdown(truncateTree(parseMarkdown('Supercalifragilistic'), 5))).toBe(
+      'Super\u2026\n'
+    );
+    expect(truncateTree(tree, 100)).toBe(tree);
+  });
+
+  it('should publish every profile with its dialect', async () => {
+    const publisher = createContentPublisher(null, {
+      profiles: {
+        website: {},
+        newsletter: { dialect: 'markdown' },
+        slack: { dialect: 'slack' },
+        telegram: { dialect: 'telegram' },
+      },
+    });
+    publisher.setContent(article);
+    const renditions = await publisher.publishAll();
+
+    expect(Object.keys(renditions)).toEqual(['website', 'newsletter', 'slack', 'telegram']);
+    expect(renditions.website.output).toContain('<h1>Launch day</h1>');
+    expect(renditions.newsletter.output).toContain('# Launch day');
+    expect(renditions.slack.output).toContain('*Launch day*');
+    expect(renditions.telegram.output).toContain('<b>Launch day</b>');
+    Object.values(renditions).forEach(({ warnings }) => expect(warnings).toEqual([]));
+  });
+
+  it('should truncate output to the profile length limit', async () => {
+    const publisher = createContentPublisher(null, {
+      profiles: {
+        social: { dialect: 'text', maxLength: 60 },
+        chat: { dialect: 'telegram', maxLength: 60 },
+      },
+    });
+    publisher.setContent(article);
+    const { social, chat } = await publisher.publishAll();
+
+    expect(social.output).toBe(
+      'Launch day\n\nWe shipped version 2 of the exporter. Read the\u2026\n'
+    );
+    expect(social.warnings).toEqual(['Truncated from 152 to 60 characters']);
+    expect(chat.output.length).toBeLessThanOrEqual(60);
+    expect(chat.output).toBe('<b>Launch day</b>\n\nWe shipped <b>version 2</b> of the\u2026\n');
+  });
+
+  it('should run the profile formatter chain before rendering', async () => {
+    const footer = (content) => `${content}\n\n_Sent from the newsroom_`;
+    const publisher = createContentPublisher(null, {
+      profiles: {
+        slack: { dialect: 'slack', formatters: [footer, (content) => content.toUpperCase()] },
+      },
+    });
+    publisher.setContent('Hello');
+
+    expect((await publisher.publishTo('slack')).output).toBe('HELLO\n\n_SENT FROM THE NEWSROOM_\n');
+  });
+
+  it('should shorten links with the profile hook', async () => {
+    const shortened = [];
+    const publisher = createContentPublisher(null, {
+      profiles: {
+        slack: {
+          dialect: 'slack',
+          shortenLink: (url) => {
+            if (url.endsWith('/log')) throw new Error('Rate limited');
+            shortened.push(url);
+            return 'https://sho.rt/1';
+          },
+        },
+      },
+    });
+    publisher.setContent(article);
+    const { output, warnings } = await publisher.publishTo('slack');
+
+    expect(shortened).toEqual(['https://example.com/notes']);
+    expect(output).toContain('<https://sho.rt/1|notes>');
+    expect(output).toContain('<https://example.com/log>');
+    expect(warnings).toEqual(['Could not shorten https://example.com/log: Rate limited']);
+  });
+
+  it('should wait for async link shorteners', async () => {
+    const calls = [];
+    const publisher = createContentPublisher(null, {
+      profiles: {
+        slack: {
+          dialect: 'slack',
+          shortenLink: async (url) => {
+            calls.push(url);
+            if (url.endsWith('/log')) throw new Error('Timed out');
+            return 'https://sho.rt/2';
+          },
+        },
+      },
+    });
+    publisher.setContent(`${article}\n\nSee the [notes](https://example.com/notes) again.`);
+    const { output, warnings } = await publisher.publishTo('slack');
+
+    expect(calls).toEqual(['https://example.com/notes', 'https://example.com/log']);
+    expect(output).not.toContain('[object Promise]');
+    expect(output.match(/<https:\/\/sho\.rt\/2\|notes>/g)).toHaveLength(2);
+    expect(output).toContain('<https://example.com/log>');
+    expect(warnings).toEqual(['Could not shorten https://example.com/log: Timed out']);
+  });
+
+  it('should warn about content a platform cannot show', async () => {
+    const publisher = createContentPublisher(null, {
+      profiles: { website: {}, slack: { dialect: 'slack' } },
+    });
+    publisher.setContent('![Chart](chart.png)\n\n<div onclick="x">Sponsored</div>');
+    const { website, slack } = await publisher.publishAll();
+
+    expect(website.output).toBe('<p><img src="chart.png" alt="Chart"></p>\n<div>Sponsored</div>\n');
+    expect(website.warnings).toEqual(['Unsafe HTML was removed by the sanitizer']);
+    expect(slack.output).toBe('<chart.png|Chart>\n');
+    expect(slack.warnings).toEqual([
+      'Raw HTML is not supported by slack and was dropped',
+      'Images are not supported by slack and were written as links',
+    ]);
+  });
+
+  it('should sanitize raw HTML in Markdown profiles', async () => {
+    const publisher = createContentPublisher(null, {
+      profiles: { newsletter: { dialect: 'markdown' } },
+    });
+    publisher.setContent('Hi <img src=x onerror=alert(1)> [there](javascript:alert(1))');
+    const { output, warnings } = await publisher.publishTo('newsletter');
+
+    expect(output).toBe('Hi <img src="x"> [there](<>)\n');
+    expect(warnings).toEqual(['Unsafe HTML was removed by the sanitizer']);
+  });
+
+  it('should only warn about sanitized HTML when something was removed', async () => {
+    const publisher = createContentPublisher(null, { profiles: { website: {} } });
+    publisher.setContent('Line one<br/>line two & <em >more</em>');
+    const { output, warnings } = await publisher.publishTo('website');
+
+    expect(output).toBe('<p>Line one<br>line two &amp; <em>more</em></p>\n');
+    expect(warnings).toEqual([]);
+  });
+
+  it('should manage profiles and reject invalid ones', async () => {
+    const publisher = createContentPublisher();
+    publisher.setContent('Hi');
+    publisher.setProfile('chat', { dialect: 'telegram' });
+
+    expect((await publisher.publishTo('chat')).output).toBe('Hi\n');
+    expect(publisher.removeProfile('chat')).toBe(true);
+    expect(await publisher.publishAll()).toEqual({});
+    await expect(publisher.publishTo('chat')).rejects.toThrow('Unknown publishing profile: chat');
+    expect(() => publisher.setProfile('irc', { dialect: 'irc' })).toThrow(
+      'Unsupported markup dialect: irc'
+    );
+    expect(() => publisher.setProfile('social', { maxLength: 0 })).toThrow(
+      'Publishing profile "social" needs a positive integer maxLength'
+    );
+  });
+});
@@ -0,0 +1,372 @@
+/**
+ * Office Open XML workbook (XLSX) writer for the XLSX export strategy: the zip container,
+ * worksheets with typed cells, shared strings and styles
+ */
+
+import { deflateRawSync } from 'node:zlib';
+
+// CRC-32 lookup table (polynomial 0xEDB88320), as zip entries need
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (const byte of bytes) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// DOS date and time of the entries: 1980-01-01 00:00, so output is reproducible
+const DOS_DATE = (1 << 5) | 1;
+const DOS_TIME = 0;
+
+/**
+ * Create a zip archive
+ * @param {Array<{name: string, data: string|Uint8Array}>} files - The files, strings are
+ *   written as UTF-8
+ * @returns {Uint8Array} The archive. Files are deflated, or stored when that is smaller.
+ */
+const createZip = (files) => {
+  const encoder = new TextEncoder();
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  files.forEach(({ name, data }) => {
+    const nameBytes = encoder.encode(name);
+    const content = typeof data === 'string' ? encoder.encode(data) : data;
+    const deflated = deflateRawSync(content);
+    const compressed = deflated.length < content.length;
+    const stored = compressed ? deflated : content;
+    const crc = crc32(content);
+
+    // Fields shared by the local and central headers, from "version needed" on
+    const common = (view, at) => {
+      view.setUint16(at, 20, true); // version needed: 2.0
+      view.setUint16(at + 2, 0x0800, true); // flags: UTF-8 names
+      view.setUint16(at + 4, compressed ? 8 : 0, true); // method: deflate or store
+      view.setUint16(at + 6, DOS_TIME, true);
+      view.setUint16(at + 8, DOS_DATE, true);
+      view.setUint32(at + 10, crc, true);
+      view.setUint32(at + 14, stored.length, true);
+      view.setUint32(at + 18, content.length, true);
+      view.setUint16(at + 22, nameBytes.length, true);
+    };
+
+    const local = new Uint8Array(30 + nameBytes.length);
+    const localView = new DataView(local.buffer);
+    localView.setUint32(0, 0x04034b50, true);
+    common(localView, 4);
+    local.set(nameBytes, 30);
+
+    const central = new Uint8Array(46 + nameBytes.length);
+    const centralView = new DataView(central.buffer);
+    centralView.setUint32(0, 0x02014b50, true);
+    centralView.setUint16(4, 20, true); // version made by
+    common(centralView, 6);
+    centralView.setUint32(42, offset, true);
+    central.set(nameBytes, 46);
+
+    localParts.push(local, stored);
+    centralParts.push(central);
+    offset += local.length + stored.length;
+  });
+
+  const centralSize = centralParts.reduce((size, part) => size + part.length, 0);
+  const end = new Uint8Array(22);
+  const endView = new DataView(end.buffer);
+  endView.setUint32(0, 0x06054b50, true);
+  endView.setUint16(8, files.length, true);
+  endView.setUint16(10, files.length, true);
+  endView.setUint32(12, centralSize, true);
+  endView.setUint32(16, offset, true);
+
+  const parts = [...localParts, ...centralParts, end];
+  const zip = new Uint8Array(offset + centralSize + end.length);
+  parts.reduce((at, part) => {
+    zip.set(part, at);
+    return at + part.length;
+  }, 0);
+
+  return zip;
+};
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const SPREADSHEET_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const RELATIONSHIP_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const PACKAGE_RELATIONSHIP_NS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+const CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml';
+
+// The most characters Excel holds in a cell, and in a sheet name
+const MAX_CELL_TEXT = 32767;
+const MAX_SHEET_NAME = 31;
+
+// Style indexes in styles.xml
+const STYLE_HEADER = 1;
+const STYLE_DATE = 2;
+
+const escapeXml = (text) =>
+  text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+// Escape cell text. XML cannot hold most control characters, so they are written as _xHHHH_,
+// and text that looks like such an escape has its underscore escaped.
+const escapeCellText = (text) =>
+  escapeXml(
+    text
+      .replace(/_x[0-9a-f]{4}_/gi, (escape) => `_x005F${escape}`)
+      .replace(
+        /[\x00-\x08\x0b\x0c\x0e-\x1f\ufffe\uffff]/g,
+        (char) => `_x${char.charCodeAt(0).toString(16).toUpperCase().padStart(4, '0')}_`
+      )
+  );
+
+// Column letters for a zero-based column index: 0 is A, 26 is AA
+const columnName = (index) => {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+};
+
+// Excel serial date: days since 1899-12-30, in UTC
+const toSerialDate = (date) => date.getTime() / 86400000 + 25569;
+
+// The text a value shows as, for column widths
+const displayText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return '0000-00-00 00:00:00';
+  return String(value);
+};
+
+/**
+ * Check a sheet name against Excel's rules
+ * @param {string} name - The sheet name
+ * @param {Set<string>} used - The lowercase names already used in the workbook
+ * @throws {Error} If the name is empty, too long, has characters Excel does not allow, or is
+ *   already used (names are case-insensitive)
+ */
+const validateSheetName = (name, used) => {
+  if (typeof name !== 'string' || !name.trim()) {
+    throw new Error('XLSX sheet names must be non-empty strings');
+  }
+  if (name.length > MAX_SHEET_NAME) {
+    throw new Error(`XLSX sheet name "${name}" is longer than ${MAX_SHEET_NAME} characters`);
+  }
+  if (/[[\]:*?/\\]/.test(name) || name.startsWith("'") || name.endsWith("'")) {
+    throw new Error(`XLSX sheet name "${name}" cannot contain [ ] : * ? / \\ or edge quotes`);
+  }
+  if (used.has(name.toLowerCase())) throw new Error(`Duplicate XLSX sheet name: ${name}`);
+
+  used.add(name.toLowerCase());
+};
+
+/**
+ * Write a worksheet
+ * @param {Object} sheet - The sheet: { headers, rows, includeHeaders, columnWidths }, with
+ *   rows as arrays of values and columnWidths as widths (in characters) by column index
+ * @param {Function} sharedString - Gets the shared string index of a text
+ * @returns {string} The worksheet XML
+ */
+const formatWorksheet = ({ headers, rows, includeHeaders, columnWidths }, sharedString) => {
+  const cellOf = (value, ref, header = false) => {
+    if (value === null || value === undefined) return '';
+
+    if (typeof value === 'number' || typeof value === 'bigint') {
+      if (typeof value === 'number' && !Number.isFinite(value)) return '';
+      return `<c r="${ref}"><v>${value}</v></c>`;
+    }
+    if (typeof value === 'boolean') return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+    if (value instanceof Date) {
+      if (Number.isNaN(value.getTime())) return '';
+      return `<c r="${ref}" s="${STYLE_DATE}"><v>${toSerialDate(value)}</v></c>`;
+    }
+
+    const text = String(value);
+    if (text.length > MAX_CELL_TEXT) {
+      throw new Error(`XLSX cell ${ref} holds more than ${MAX_CELL_TEXT} characters`);
+    }
+
+    const style = header ? ` s="${STYLE_HEADER}"` : '';
+    return `<c r="${ref}"${style} t="s"><v>${sharedString(text)}</v></c>`;
+  };
+
+  const lines = [];
+  const allRows = includeHeaders ? [headers, ...rows] : rows;
+
+  allRows.forEach((values, rowIndex) => {
+    const header = includeHeaders && rowIndex === 0;
+    const cells = values
+      .map((value, column) => cellOf(value, `${columnName(column)}${rowIndex + 1}`, header))
+      .join('');
+    lines.push(`<row r="${rowIndex + 1}">${cells}</row>`);
+  });
+
+  const cols = columnWidths
+    .map(
+      (width, index) =>
+        `<col min="${index + 1}" max="${index + 1}" width="${width}" customWidth="1"/>`
+    )
+    .join('');
+
+  return (
+    XML_HEADER +
+    `<worksheet xmlns="${SPREADSHEET_NS}">` +
+    (includeHeaders && rows.length > 0
+      ? '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+      : '') +
+    (cols ? `<cols>${cols}</cols>` : '') +
+    `<sheetData>${lines.join('')}</sheetData>` +
+    '</worksheet>'
+  );
+};
+
+const formatStyles = (dateFormat) =>
+  XML_HEADER +
+  `<styleSheet xmlns="${SPREADSHEET_NS}">` +
+  `<numFmts count="1"><numFmt numFmtId="164" formatCode="${escapeXml(dateFormat)}"/></numFmts>` +
+  '<fonts count="2">' +
+  '<font><sz val="11"/><name val="Calibri"/><family val="2"/></font>' +
+  '<font><b/><sz val="11"/><name val="Calibri"/><family val="2"/></font>' +
+  '</fonts>' +
+  '<fills count="2"><fill><patternFill patternType="none"/></fill>' +
+  '<fill><patternFill patternType="gray125"/></fill></fills>' +
+  '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+  '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+  '<cellXfs count="3">' +
+  '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+  '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+  '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+  '</cellXfs>' +
+  '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+  '</styleSheet>';
+
+/**
+ * Create an XLSX workbook
+ * @param {Array<Object>} sheets - The sheets, in order: { name, headers, rows, includeHeaders,
+ *   columnWidths }, with rows as arrays of values. Column widths (in characters) are given by
+ *   column index, missing ones fit the column's content.
+ * @param {Object} options - Workbook options
+ * @param {string} options.dateFormat - The number format of date cells (default
+ *   'yyyy-mm-dd hh:mm:ss')
+ * @returns {Uint8Array} The workbook file
+ */
+const createWorkbook = (sheets, { dateFormat = 'yyyy-mm-dd hh:mm:ss' } = {}) => {
+  const usedNames = new Set();
+  const strings = new Map();
+  let stringCount = 0;
+
+  const sharedString = (text) => {
+    stringCount++;
+    if (!strings.has(text)) strings.set(text, strings.size);
+    return strings.get(text);
+  };
+
+  const worksheets = sheets.map((sheet) => {
+    validateSheetName(sheet.name, usedNames);
+
+    const allRows = sheet.includeHeaders ? [sheet.headers, ...sheet.rows] : sheet.rows;
+    const columnWidths = sheet.headers.map((_, column) => {
+      const width = sheet.columnWidths?.[column];
+      if (width !== undefined && width !== null) return width;
+
+      // A loop rather than Math.max(...lengths), which overflows the stack for large sheets
+      const longest = allRows.reduce(
+        (max, values) => Math.max(max, displayText(values[column]).length),
+        0
+      );
+      return Math.min(Math.max(longest + 2, 8), 60);
+    });
+
+    return formatWorksheet({ ...sheet, columnWidths }, sharedString);
+  });
+
+  const sheetEntries = sheets
+    .map(
+      ({ name }, index) =>
+        `<sheet name="${escapeXml(name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`
+    )
+    .join('');
+  const sheetRelationships = sheets
+    .map(
+      (_, index) =>
+        `<Relationship Id="rId${index + 1}" Type="${RELATIONSHIP_NS}/worksheet" ` +
+        `Target="worksheets/sheet${index + 1}.xml"/>`
+    )
+    .join('');
+  const sheetOverrides = sheets
+    .map(
+      (_, index) =>
+        `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ` +
+        `ContentType="${CONTENT_TYPE}.worksheet+xml"/>`
+    )
+    .join('');
+  const sharedStrings = [...strings.keys()]
+    .map((text) => {
+      const space = /^\s|\s$/.test(text) ? ' xml:space="preserve"' : '';
+      return `<si><t${space}>${escapeCellText(text)}</t></si>`;
+    })
+    .join('');
+
+  return createZip([
+    {
+      name: '[Content_Types].xml',
+      data:
+        XML_HEADER +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        `<Override PartName="/xl/workbook.xml" ContentType="${CONTENT_TYPE}.sheet.main+xml"/>` +
+        sheetOverrides +
+        `<Override PartName="/xl/styles.xml" ContentType="${CONTENT_TYPE}.styles+xml"/>` +
+        `<Override PartName="/xl/sharedStrings.xml" ContentType="${CONTENT_TYPE}.sharedStrings+xml"/>` +
+        '</Types>',
+    },
+    {
+      name: '_rels/.rels',
+      data:
+        XML_HEADER +
+        `<Relationships xmlns="${PACKAGE_RELATIONSHIP_NS}">` +
+        `<Relationship Id="rId1" Type="${RELATIONSHIP_NS}/officeDocument" Target="xl/workbook.xml"/>` +
+        '</Relationships>',
+    },
+    {
+      name: 'xl/workbook.xml',
+      data:
+        XML_HEADER +
+        `<workbook xmlns="${SPREADSHEET_NS}" xmlns:r="${RELATIONSHIP_NS}">` +
+        `<sheets>${sheetEntries}</sheets>` +
+        '</workbook>',
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      data:
+        XML_HEADER +
+        `<Relationships xmlns="${PACKAGE_RELATIONSHIP_NS}">` +
+        sheetRelationships +
+        `<Relationship Id="rId${sheets.length + 1}" Type="${RELATIONSHIP_NS}/styles" Target="styles.xml"/>` +
+        `<Relationship Id="rId${sheets.length + 2}" Type="${RELATIONSHIP_NS}/sharedStrings" ` +
+        'Target="sharedStrings.xml"/>' +
+        '</Relationships>',
+    },
+    { name: 'xl/styles.xml', data: formatStyles(dateFormat) },
+    {
+      name: 'xl/sharedStrings.xml',
+      data:
+        XML_HEADER +
+        `<sst xmlns="${SPREADSHEET_NS}" count="${stringCount}" uniqueCount="${strings.size}">` +
+        sharedStrings +
+        '</sst>',
+    },
+    ...worksheets.map((data, index) => ({ name: `xl/worksheets/sheet${index + 1}.xml`, data })),
+  ]);
+};
+
+export { crc32, createZip, createWorkbook };